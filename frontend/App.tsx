@@ -17,17 +17,25 @@ import { UsersComp } from './components/Users';
 import { Trash } from './components/Trash';
 import { ExcelImport } from './components/ExcelImport';
 import { TenantSetup } from './components/TenantSetup';
+import { ResetPassword } from './components/ResetPassword';
 
 // Inner component that uses the context
 const AppRoutes: React.FC = () => {
   const { token, loginUser } = useApp();
 
   if (!token) {
-    return <Login onLogin={loginUser} />;
+    return (
+      <Routes>
+        <Route path="/reset-password" element={<ResetPassword />} />
+        <Route path="/signup" element={<TenantSetup />} />
+        <Route path="*" element={<Login onLogin={loginUser} />} />
+      </Routes>
+    );
   }
 
   return (
     <Routes>
+      <Route path="/reset-password" element={<ResetPassword />} />
       <Route path="/" element={<Layout />}>
         <Route index element={<Dashboard />} />
         <Route path="inventory" element={<Inventory />} />
@@ -0,0 +1,104 @@
+import React, { useEffect, useState } from 'react';
+import { useApp } from '../context/AppContext';
+import { getMyBusiness, updateMyBusiness } from '../services/api';
+import { Business } from '../types';
+import { GST_STATES, gstinStateCode } from '../constants';
+import { Building2, Save } from 'lucide-react';
+
+// Business profile (name, GSTIN, state, address, currency, timezone, network sharing) stored on the tenant's Business record
+export const BusinessSettings: React.FC = () => {
+    const { token, addNotification } = useApp();
+    const [business, setBusiness] = useState<Business | null>(null);
+    const [form, setForm] = useState({ name: '', gstNumber: '', stateCode: '', address: '', currency: 'INR', timezone: 'Asia/Kolkata', shareStockWithNetwork: false });
+    const [error, setError] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        if (!token) return;
+        getMyBusiness(token)
+            .then((data: Business) => {
+                setBusiness(data);
+                setForm({
+                    name: data.name || '',
+                    gstNumber: data.gstNumber || '',
+                    stateCode: data.stateCode || gstinStateCode(data.gstNumber) || '',
+                    address: data.address || '',
+                    currency: data.settings?.currency || 'INR',
+                    timezone: data.settings?.timezone || 'Asia/Kolkata',
+                    shareStockWithNetwork: !!data.settings?.shareStockWithNetwork
+                });
+            })
+            .catch((err: any) => setError(err.message));
+    }, [token]);
+
+    const handleSave = async (e: React.FormEvent) => {
+        e.preventDefault();
+        if (!token) return;
+        setSaving(true);
+        try {
+            setBusiness(await updateMyBusiness(token, form));
+            addNotification('SUCCESS', 'Business profile updated');
+        } catch (err: any) {
+            addNotification('ERROR', 'Failed to update business profile', err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (error) return <p className="text-slate-500">{error}</p>;
+    if (!business) return <p className="text-slate-500">Loading business profile...</p>;
+
+    const inputClass = 'w-full p-2.5 border border-slate-300 rounded-lg outline-none focus:border-indigo-500';
+    const gstinState = gstinStateCode(form.gstNumber);
+
+    return (
+        <form onSubmit={handleSave} className="max-w-xl space-y-4 animate-in fade-in">
+            <h3 className="text-lg font-bold text-slate-800 flex items-center gap-2"><Building2 size={18} /> Business Profile</h3>
+            <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Business Name</label>
+                <input className={inputClass} required value={form.name} onChange={e => setForm({ ...form, name: e.target.value })} />
+            </div>
+            <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">GSTIN</label>
+                <input className={inputClass} value={form.gstNumber} onChange={e => {
+                    const gstNumber = e.target.value.toUpperCase();
+                    setForm({ ...form, gstNumber, stateCode: gstinStateCode(gstNumber) || form.stateCode });
+                }} placeholder="29ABCDE1234F1Z5" />
+            </div>
+            <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">State</label>
+                <select className={inputClass} value={form.stateCode} disabled={!!gstinState} onChange={e => setForm({ ...form, stateCode: e.target.value })}>
+                    <option value="">Select state</option>
+                    {Object.entries(GST_STATES).map(([code, name]) => <option key={code} value={code}>{code} - {name}</option>)}
+                </select>
+                <p className="text-xs text-slate-400 mt-1">{gstinState ? 'Taken from the GSTIN.' : 'Sales to customers in other states are charged IGST instead of CGST + SGST.'}</p>
+            </div>
+            <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Registered Address</label>
+                <input className={inputClass} value={form.address} onChange={e => setForm({ ...form, address: e.target.value })} />
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+                <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">Currency</label>
+                    <input className={inputClass} value={form.currency} onChange={e => setForm({ ...form, currency: e.target.value })} />
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">Timezone</label>
+                    <input className={inputClass} value={form.timezone} onChange={e => setForm({ ...form, timezone: e.target.value })} />
+                </div>
+            </div>
+            <label className="flex items-start gap-3 p-3 border border-slate-200 rounded-lg cursor-pointer">
+                <input type="checkbox" className="mt-1" checked={form.shareStockWithNetwork} onChange={e => setForm({ ...form, shareStockWithNetwork: e.target.checked })} />
+                <span>
+                    <span className="block text-sm font-medium text-slate-700">Share stock with the network</span>
+                    <span className="block text-xs text-slate-500">Other businesses can see your stock levels in the network stock check and send you stock requests.</span>
+                </span>
+            </label>
+            <div className="pt-4 border-t border-slate-100">
+                <button type="submit" disabled={saving} className="bg-indigo-600 text-white px-6 py-2.5 rounded-lg hover:bg-indigo-700 flex items-center gap-2 font-medium disabled:opacity-50">
+                    <Save size={18} /> {saving ? 'Saving...' : 'Save Business Profile'}
+                </button>
+            </div>
+        </form>
+    );
+};
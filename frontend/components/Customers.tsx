@@ -1,15 +1,32 @@
 
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useApp } from '../context/AppContext';
-import { Customer } from '../types';
-import { User, Plus, Search, Edit2, Gift, Phone, Mail, MapPin, FileText, X, History, TrendingUp, Award } from 'lucide-react';
+import { Customer, CustomerHistory, CustomerLoyalty, CustomerReceivables, LoyaltySettings, ReceiptMethod, Role } from '../types';
+import { getCustomerSales, getCustomerLoyalty, adjustCustomerLoyalty, getLoyaltySettings, getCustomerReceivables, recordCustomerReceipt } from '../services/api';
+import { User, Plus, Search, Edit2, Gift, Phone, Mail, MapPin, FileText, X, History, TrendingUp, Award, Trash2, CalendarClock, BookOpen, Clock } from 'lucide-react';
+import { ConfirmationModal } from './ConfirmationModal';
+import { ReceivablesAgeing } from './ReceivablesAgeing';
+import { GST_STATES, gstinStateCode } from '../constants';
 
 export const Customers: React.FC = () => {
-  const { customers, addCustomer, updateCustomer, sales } = useApp();
+  const { token, currentUser, customers, addCustomer, updateCustomer, deleteCustomer, addNotification, reloadContext } = useApp();
   const [searchTerm, setSearchTerm] = useState('');
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [editingCustomer, setEditingCustomer] = useState<Customer | null>(null);
   const [viewHistoryCustomer, setViewHistoryCustomer] = useState<Customer | null>(null);
+  const [history, setHistory] = useState<CustomerHistory | null>(null);
+  const [historyError, setHistoryError] = useState('');
+  const [deleteTarget, setDeleteTarget] = useState<Customer | null>(null);
+  const [loyaltySettings, setLoyaltySettings] = useState<LoyaltySettings | null>(null);
+  const [loyalty, setLoyalty] = useState<CustomerLoyalty | null>(null);
+  const [adjustment, setAdjustment] = useState({ points: '', note: '' });
+  const [receivables, setReceivables] = useState<CustomerReceivables | null>(null);
+  const [receipt, setReceipt] = useState<{ amount: string; method: ReceiptMethod; reference: string; saleId?: string }>({ amount: '', method: 'CASH', reference: '' });
+  const [showAgeing, setShowAgeing] = useState(false);
+
+  // Owners adjust points and grant credit; the server enforces both
+  const canAdjustPoints = currentUser?.role === Role.WAREHOUSE_OWNER || currentUser?.role === Role.SUPER_ADMIN;
+  const pointsValue = (points: number) => points * (loyaltySettings?.pointValue ?? 1);
 
   const [formData, setFormData] = useState<Partial<Customer>>({});
 
@@ -20,38 +37,112 @@ export const Customers: React.FC = () => {
 
   const handleOpenModal = (c?: Customer) => {
     setEditingCustomer(c || null);
-    setFormData(c || { name: '', phone: '', email: '', gstNumber: '', address: '' });
+    setFormData(c || { name: '', phone: '', email: '', gstNumber: '', address: '', stateCode: '' });
     setIsModalOpen(true);
   };
 
-  const handleSubmit = (e: React.FormEvent) => {
+  const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
+    let saved = false;
     if (editingCustomer && formData.name && formData.phone) {
-      updateCustomer({ ...editingCustomer, ...formData as Customer });
+      saved = await updateCustomer({ ...editingCustomer, ...formData as Customer });
     } else if (formData.name && formData.phone) {
-      addCustomer({
+      saved = await addCustomer({
         id: `cust-${Date.now()}`,
         name: formData.name,
         phone: formData.phone,
         email: formData.email,
         gstNumber: formData.gstNumber,
         address: formData.address,
+        stateCode: formData.stateCode,
+        creditLimit: formData.creditLimit,
         loyaltyPoints: 0,
         totalPurchases: 0
       });
     }
-    setIsModalOpen(false);
+    // Keep the form open on failure (e.g. duplicate phone/GSTIN) so it can be corrected
+    if (saved) setIsModalOpen(false);
+  };
+
+  useEffect(() => {
+    if (!token) return;
+    getLoyaltySettings(token).then(setLoyaltySettings).catch(() => setLoyaltySettings(null));
+  }, [token]);
+
+  useEffect(() => {
+    setHistory(null);
+    setHistoryError('');
+    setLoyalty(null);
+    setAdjustment({ points: '', note: '' });
+    setReceivables(null);
+    setReceipt({ amount: '', method: 'CASH', reference: '' });
+    if (!viewHistoryCustomer || !token) return;
+    getCustomerSales(token, viewHistoryCustomer.id)
+      .then(setHistory)
+      .catch((err: any) => setHistoryError(err.message));
+    getCustomerLoyalty(token, viewHistoryCustomer.id)
+      .then(setLoyalty)
+      .catch((err: any) => addNotification('ERROR', 'Failed to load loyalty ledger', err.message));
+    getCustomerReceivables(token, viewHistoryCustomer.id)
+      .then(setReceivables)
+      .catch((err: any) => addNotification('ERROR', 'Failed to load receivables', err.message));
+  }, [viewHistoryCustomer, token]);
+
+  const handleReceipt = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!token || !viewHistoryCustomer) return;
+    const amount = Number(receipt.amount);
+    try {
+      await recordCustomerReceipt(token, viewHistoryCustomer.id, {
+        amount,
+        method: receipt.method,
+        reference: receipt.reference || undefined,
+        allocations: receipt.saleId ? [{ saleId: receipt.saleId, amount }] : undefined
+      });
+      addNotification('SUCCESS', 'Payment recorded', `${viewHistoryCustomer.name}: ₹${amount.toFixed(2)}`);
+      setReceipt({ amount: '', method: 'CASH', reference: '' });
+      setReceivables(await getCustomerReceivables(token, viewHistoryCustomer.id));
+      reloadContext();
+    } catch (err: any) {
+      addNotification('ERROR', 'Failed to record payment', err.message);
+    }
   };
 
-  const getHistory = (id: string) => sales.filter(s => s.customerId === id);
+  const handleAdjust = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!token || !viewHistoryCustomer) return;
+    try {
+      await adjustCustomerLoyalty(token, viewHistoryCustomer.id, { points: Number(adjustment.points), note: adjustment.note });
+      addNotification('SUCCESS', 'Loyalty points adjusted', `${viewHistoryCustomer.name}: ${Number(adjustment.points) > 0 ? '+' : ''}${adjustment.points} pts`);
+      setAdjustment({ points: '', note: '' });
+      setLoyalty(await getCustomerLoyalty(token, viewHistoryCustomer.id));
+      reloadContext();
+    } catch (err: any) {
+      addNotification('ERROR', 'Failed to adjust loyalty points', err.message);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!deleteTarget) return;
+    await deleteCustomer(deleteTarget.id);
+    setDeleteTarget(null);
+  };
 
   return (
     <div className="space-y-6">
       <div className="flex justify-between items-center">
         <h2 className="text-2xl font-bold text-slate-800">Customers</h2>
-        <button onClick={() => handleOpenModal()} className="bg-indigo-600 text-white px-4 py-2 rounded-lg flex items-center space-x-2"><Plus size={18} /><span>Add Customer</span></button>
+        <div className="flex gap-2">
+          <button onClick={() => setShowAgeing(!showAgeing)} className={`px-4 py-2 rounded-lg flex items-center space-x-2 border ${showAgeing ? 'bg-indigo-50 border-indigo-500 text-indigo-700' : 'bg-white text-slate-700'}`}><Clock size={18} /><span>Receivables Ageing</span></button>
+          <button onClick={() => handleOpenModal()} className="bg-indigo-600 text-white px-4 py-2 rounded-lg flex items-center space-x-2"><Plus size={18} /><span>Add Customer</span></button>
+        </div>
       </div>
 
+      {showAgeing && <ReceivablesAgeing onSelectCustomer={id => {
+        const customer = customers.find(c => c.id === id);
+        if (customer) setViewHistoryCustomer(customer);
+      }} />}
+
       <div className="bg-white p-4 rounded-xl border shadow-sm">
         <div className="relative">
           <Search className="absolute left-3 top-2.5 text-slate-400" size={20} />
@@ -67,6 +158,7 @@ export const Customers: React.FC = () => {
               <th className="px-6 py-4">Details (GST/Email)</th>
               <th className="px-6 py-4">Total Spent</th>
               <th className="px-6 py-4">Loyalty</th>
+              <th className="px-6 py-4">Outstanding</th>
               <th className="px-6 py-4 text-right">Actions</th>
             </tr>
           </thead>
@@ -80,15 +172,21 @@ export const Customers: React.FC = () => {
                 <td className="px-6 py-4 text-xs text-slate-600">
                   <div>{c.email || '-'}</div>
                   <div className="text-indigo-600">{c.gstNumber || 'Unregistered'}</div>
+                  {c.stateCode && <div className="text-slate-400">{GST_STATES[c.stateCode] || c.stateCode}</div>}
                 </td>
                 <td className="px-6 py-4 font-bold">₹{c.totalPurchases.toLocaleString()}</td>
                 <td className="px-6 py-4">
                   <span className="bg-indigo-100 text-indigo-800 px-2 py-0.5 rounded text-xs">{c.loyaltyPoints} Pts</span>
-                  <span className="ml-2 text-xs text-green-600 font-medium">(₹{c.loyaltyPoints} Off)</span>
+                  <span className="ml-2 text-xs text-green-600 font-medium">(₹{pointsValue(c.loyaltyPoints).toLocaleString()} Off)</span>
+                </td>
+                <td className="px-6 py-4">
+                  <div className={c.outstandingBalance ? 'font-bold text-orange-600' : 'text-slate-400'}>₹{(c.outstandingBalance || 0).toLocaleString()}</div>
+                  {c.creditLimit ? <div className="text-xs text-slate-400">of ₹{c.creditLimit.toLocaleString()} limit</div> : null}
                 </td>
                 <td className="px-6 py-4 text-right flex justify-end gap-2">
                   <button onClick={(e) => { e.stopPropagation(); setViewHistoryCustomer(c); }} className="p-1.5 text-slate-500 hover:bg-slate-100 rounded" title="History"><History size={16} /></button>
                   <button onClick={(e) => { e.stopPropagation(); handleOpenModal(c); }} className="p-1.5 text-blue-500 hover:bg-blue-50 rounded" title="Edit"><Edit2 size={16} /></button>
+                  <button onClick={(e) => { e.stopPropagation(); setDeleteTarget(c); }} className="p-1.5 text-red-500 hover:bg-red-50 rounded" title="Delete"><Trash2 size={16} /></button>
                 </td>
               </tr>
             ))}
@@ -105,8 +203,19 @@ export const Customers: React.FC = () => {
               <input className="w-full border p-2 rounded" placeholder="Name" value={formData.name} onChange={e => setFormData({ ...formData, name: e.target.value })} required />
               <input className="w-full border p-2 rounded" placeholder="Phone" value={formData.phone} onChange={e => setFormData({ ...formData, phone: e.target.value })} required />
               <input className="w-full border p-2 rounded" placeholder="Email" value={formData.email} onChange={e => setFormData({ ...formData, email: e.target.value })} />
-              <input className="w-full border p-2 rounded" placeholder="GST Number" value={formData.gstNumber} onChange={e => setFormData({ ...formData, gstNumber: e.target.value })} />
+              <input className="w-full border p-2 rounded" placeholder="GST Number" value={formData.gstNumber} onChange={e => {
+                const gstNumber = e.target.value.toUpperCase();
+                setFormData({ ...formData, gstNumber, stateCode: gstinStateCode(gstNumber) || formData.stateCode });
+              }} />
               <input className="w-full border p-2 rounded" placeholder="Address" value={formData.address} onChange={e => setFormData({ ...formData, address: e.target.value })} />
+              <select className="w-full border p-2 rounded disabled:bg-slate-50" value={formData.stateCode || ''} disabled={!!gstinStateCode(formData.gstNumber)} onChange={e => setFormData({ ...formData, stateCode: e.target.value })} title="Decides IGST vs CGST + SGST on their invoices">
+                <option value="">State (for GST)</option>
+                {Object.entries(GST_STATES).map(([code, name]) => <option key={code} value={code}>{code} - {name}</option>)}
+              </select>
+              <div>
+                <input type="number" min={0} step="0.01" className="w-full border p-2 rounded disabled:bg-slate-50" placeholder="Credit Limit (₹)" value={formData.creditLimit || ''} disabled={!canAdjustPoints} onChange={e => setFormData({ ...formData, creditLimit: e.target.value === '' ? 0 : Number(e.target.value) })} />
+                <p className="text-xs text-slate-400 mt-1">{canAdjustPoints ? 'Leave empty for no sales on account.' : 'Only an owner can change the credit limit.'}</p>
+              </div>
               <div className="flex gap-2 pt-2">
                 <button type="button" onClick={() => setIsModalOpen(false)} className="flex-1 border py-2 rounded">Cancel</button>
                 <button type="submit" className="flex-1 bg-indigo-600 text-white py-2 rounded">Save</button>
@@ -129,27 +238,36 @@ export const Customers: React.FC = () => {
             <div className="bg-slate-50 border border-slate-100 rounded-xl p-4 mb-6 flex justify-around">
               <div className="text-center">
                 <div className="flex justify-center mb-1 text-indigo-500"><Award size={24} /></div>
-                <div className="text-2xl font-bold text-slate-800">{viewHistoryCustomer.loyaltyPoints}</div>
+                <div className="text-2xl font-bold text-slate-800">{loyalty?.balance ?? viewHistoryCustomer.loyaltyPoints}</div>
                 <div className="text-xs text-slate-500 font-medium uppercase">Total Loyalty Points</div>
-                <div className="text-xs text-green-600 font-bold mt-1">(= ₹{viewHistoryCustomer.loyaltyPoints} Off)</div>
+                <div className="text-xs text-green-600 font-bold mt-1">(= ₹{pointsValue(loyalty?.balance ?? viewHistoryCustomer.loyaltyPoints).toLocaleString()} Off)</div>
               </div>
               <div className="w-px bg-slate-200"></div>
               <div className="text-center">
                 <div className="flex justify-center mb-1 text-emerald-500"><TrendingUp size={24} /></div>
-                <div className="text-2xl font-bold text-slate-800">₹{viewHistoryCustomer.totalPurchases.toLocaleString()}</div>
-                <div className="text-xs text-slate-500 font-medium uppercase">Total Spent</div>
+                <div className="text-2xl font-bold text-slate-800">₹{(history?.summary.lifetimeValue ?? viewHistoryCustomer.totalPurchases).toLocaleString()}</div>
+                <div className="text-xs text-slate-500 font-medium uppercase">Lifetime Value</div>
+                {history && history.summary.orders > 0 && <div className="text-xs text-slate-400 mt-1">Avg ₹{history.summary.averageOrderValue.toLocaleString()}</div>}
               </div>
               <div className="w-px bg-slate-200"></div>
               <div className="text-center">
                 <div className="flex justify-center mb-1 text-blue-500"><FileText size={24} /></div>
-                <div className="text-2xl font-bold text-slate-800">{getHistory(viewHistoryCustomer.id).length}</div>
+                <div className="text-2xl font-bold text-slate-800">{history ? history.summary.orders : '-'}</div>
                 <div className="text-xs text-slate-500 font-medium uppercase">Total Orders</div>
               </div>
+              <div className="w-px bg-slate-200"></div>
+              <div className="text-center">
+                <div className="flex justify-center mb-1 text-amber-500"><CalendarClock size={24} /></div>
+                <div className="text-lg font-bold text-slate-800 pt-1">{history?.summary.lastVisit ? new Date(history.summary.lastVisit).toLocaleDateString() : '-'}</div>
+                <div className="text-xs text-slate-500 font-medium uppercase">Last Visit</div>
+              </div>
             </div>
 
             <h4 className="font-bold text-slate-700 mb-3 text-sm">Transaction History</h4>
             <div className="space-y-2">
-              {getHistory(viewHistoryCustomer.id).map(s => (
+              {historyError && <p className="text-red-500 text-center py-4">{historyError}</p>}
+              {!history && !historyError && <p className="text-slate-500 text-center py-4">Loading purchase history...</p>}
+              {history?.sales.map(s => (
                 <div key={s.id} className="border p-3 rounded-lg flex justify-between items-center text-sm hover:bg-slate-50 transition-colors">
                   <div>
                     <div className="font-bold text-indigo-700 font-mono">{s.id}</div>
@@ -158,15 +276,164 @@ export const Customers: React.FC = () => {
                   <div className="text-xs bg-slate-100 px-2 py-1 rounded">{s.items.length} items</div>
                   <div className="text-right">
                     <div className="font-bold text-slate-800">₹{s.totalAmount.toFixed(2)}</div>
-                    <div className="text-[10px] text-slate-400 uppercase">{s.paymentMethod}</div>
+                    <div className="text-[10px] text-slate-400 uppercase">{s.payments && s.payments.length > 1 ? s.payments.map(p => p.method).join(' + ') : s.paymentMethod}</div>
+                    {s.balanceDue ? <div className="text-[10px] text-orange-600 font-bold">₹{s.balanceDue.toFixed(2)} due</div> : null}
                   </div>
                 </div>
               ))}
-              {getHistory(viewHistoryCustomer.id).length === 0 && <p className="text-slate-500 text-center py-4 italic">No purchases found for this customer.</p>}
+              {history && history.sales.length === 0 && <p className="text-slate-500 text-center py-4 italic">No purchases found for this customer.</p>}
             </div>
+
+            {receivables && (receivables.creditLimit > 0 || receivables.entries.length > 0) && (
+              <>
+                <h4 className="font-bold text-slate-700 mt-6 mb-3 text-sm flex items-center gap-2"><BookOpen size={16} className="text-orange-500" /> Account</h4>
+                <div className="grid grid-cols-3 gap-3 mb-3 text-center">
+                  <div className="bg-orange-50 border border-orange-100 rounded-lg p-2">
+                    <div className="text-lg font-bold text-orange-700">₹{receivables.outstanding.toLocaleString()}</div>
+                    <div className="text-[10px] text-slate-500 uppercase font-medium">Outstanding</div>
+                  </div>
+                  <div className="bg-slate-50 border border-slate-100 rounded-lg p-2">
+                    <div className="text-lg font-bold text-slate-800">₹{receivables.creditLimit.toLocaleString()}</div>
+                    <div className="text-[10px] text-slate-500 uppercase font-medium">Credit Limit</div>
+                  </div>
+                  <div className="bg-slate-50 border border-slate-100 rounded-lg p-2">
+                    <div className="text-lg font-bold text-slate-800">₹{receivables.availableCredit.toLocaleString()}</div>
+                    <div className="text-[10px] text-slate-500 uppercase font-medium">Available</div>
+                  </div>
+                </div>
+
+                {receivables.openInvoices.length > 0 && (
+                  <table className="w-full text-left text-xs mb-3">
+                    <thead className="text-slate-500 border-b">
+                      <tr>
+                        <th className="py-2">Invoice</th>
+                        <th className="py-2">Date</th>
+                        <th className="py-2 text-right">Age</th>
+                        <th className="py-2 text-right">Total</th>
+                        <th className="py-2 text-right">Due</th>
+                        <th className="py-2"></th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-slate-100">
+                      {receivables.openInvoices.map(inv => (
+                        <tr key={inv.id} className={receipt.saleId === inv.id ? 'bg-indigo-50' : ''}>
+                          <td className="py-2 font-mono text-slate-700">{inv.invoiceNumber}</td>
+                          <td className="py-2 text-slate-500">{new Date(inv.date).toLocaleDateString()}</td>
+                          <td className={`py-2 text-right ${inv.ageDays > 90 ? 'text-red-600 font-bold' : inv.ageDays > 30 ? 'text-amber-600' : 'text-slate-500'}`}>{inv.ageDays}d</td>
+                          <td className="py-2 text-right text-slate-500">₹{inv.totalAmount.toFixed(2)}</td>
+                          <td className="py-2 text-right font-bold text-slate-800">₹{inv.balanceDue.toFixed(2)}</td>
+                          <td className="py-2 text-right">
+                            <button type="button" onClick={() => setReceipt({ ...receipt, amount: String(inv.balanceDue), saleId: inv.id })} className="text-indigo-600 hover:underline">Settle</button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+
+                {receivables.outstanding > 0 && (
+                  <form onSubmit={handleReceipt} className="flex gap-2 mb-3">
+                    <input type="number" min={0.01} step="0.01" max={receivables.outstanding} required className="w-28 border p-2 rounded text-sm" placeholder="Amount" value={receipt.amount} onChange={e => setReceipt({ ...receipt, amount: e.target.value })} />
+                    <select className="border p-2 rounded text-sm" value={receipt.method} onChange={e => setReceipt({ ...receipt, method: e.target.value as ReceiptMethod })}>
+                      <option value="CASH">Cash</option>
+                      <option value="UPI">UPI</option>
+                      <option value="CARD">Card</option>
+                      <option value="BANK">Bank Transfer</option>
+                      <option value="CHEQUE">Cheque</option>
+                    </select>
+                    <input className="flex-1 border p-2 rounded text-sm" placeholder={receipt.method === 'CHEQUE' ? 'Cheque no.' : 'Reference'} value={receipt.reference} onChange={e => setReceipt({ ...receipt, reference: e.target.value })} />
+                    <button type="submit" className="px-3 py-2 bg-indigo-600 text-white rounded text-sm whitespace-nowrap">Record Payment</button>
+                  </form>
+                )}
+                {receipt.saleId && <p className="text-xs text-slate-500 -mt-2 mb-3">Applied to {receivables.openInvoices.find(inv => inv.id === receipt.saleId)?.invoiceNumber} first, then the oldest invoices. <button type="button" onClick={() => setReceipt({ ...receipt, saleId: undefined })} className="text-indigo-600 hover:underline">Clear</button></p>}
+
+                {receivables.entries.length > 0 && (
+                  <table className="w-full text-left text-xs">
+                    <thead className="text-slate-500 border-b">
+                      <tr>
+                        <th className="py-2">Date</th>
+                        <th className="py-2">Type</th>
+                        <th className="py-2">Invoices / Reference</th>
+                        <th className="py-2 text-right">Amount</th>
+                        <th className="py-2 text-right">Balance</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-slate-100">
+                      {receivables.entries.map(e => (
+                        <tr key={e.id}>
+                          <td className="py-2 text-slate-500">{new Date(e.timestamp).toLocaleDateString()}</td>
+                          <td className="py-2 font-medium text-slate-700">{e.type.replace('_', ' ')}{e.method && <span className="text-slate-400 font-normal"> ({e.method})</span>}</td>
+                          <td className="py-2 text-slate-500">
+                            <span className="font-mono">{e.allocations.map(a => a.invoiceNumber).join(', ')}</span>
+                            {e.reference && <span> · {e.reference}</span>}
+                            {e.note && <span className="italic"> {e.note}</span>}
+                          </td>
+                          <td className={`py-2 text-right font-bold ${e.amount > 0 ? 'text-orange-600' : 'text-green-600'}`}>{e.amount > 0 ? '+' : '-'}₹{Math.abs(e.amount).toFixed(2)}</td>
+                          <td className="py-2 text-right text-slate-700">₹{e.balance.toFixed(2)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </>
+            )}
+
+            <h4 className="font-bold text-slate-700 mt-6 mb-3 text-sm flex items-center gap-2"><Gift size={16} className="text-indigo-500" /> Loyalty Ledger</h4>
+            {loyalty && loyalty.expiringSoon.length > 0 && (
+              <div className="bg-amber-50 border border-amber-100 text-amber-800 text-xs rounded-lg p-2 mb-3">
+                {loyalty.expiringSoon.map((e, idx) => (
+                  <div key={idx}>{e.points} pts expire on {new Date(e.expiresAt).toLocaleDateString()}</div>
+                ))}
+              </div>
+            )}
+            {!loyalty && <p className="text-slate-500 text-center py-4">Loading loyalty ledger...</p>}
+            {loyalty && loyalty.entries.length === 0 && <p className="text-slate-500 text-center py-4 italic">No loyalty activity yet.</p>}
+            {loyalty && loyalty.entries.length > 0 && (
+              <table className="w-full text-left text-xs">
+                <thead className="text-slate-500 border-b">
+                  <tr>
+                    <th className="py-2">Date</th>
+                    <th className="py-2">Type</th>
+                    <th className="py-2">Reference / Note</th>
+                    <th className="py-2 text-right">Points</th>
+                    <th className="py-2 text-right">Balance</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-100">
+                  {loyalty.entries.map(e => (
+                    <tr key={e.id}>
+                      <td className="py-2 text-slate-500">{new Date(e.timestamp).toLocaleDateString()}</td>
+                      <td className="py-2 font-medium text-slate-700">{e.type}</td>
+                      <td className="py-2 text-slate-500">
+                        {e.referenceId && <span className="font-mono">{e.referenceId}</span>}
+                        {e.note && <span className="italic"> {e.note}</span>}
+                        {e.expiresAt && e.points > 0 && <div className="text-[10px] text-slate-400">Expires {new Date(e.expiresAt).toLocaleDateString()}</div>}
+                      </td>
+                      <td className={`py-2 text-right font-bold ${e.points > 0 ? 'text-green-600' : 'text-red-500'}`}>{e.points > 0 ? '+' : ''}{e.points}</td>
+                      <td className="py-2 text-right text-slate-700">{e.balance}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {canAdjustPoints && (
+              <form onSubmit={handleAdjust} className="flex gap-2 mt-3">
+                <input type="number" step={1} required className="w-24 border p-2 rounded text-sm" placeholder="+/- pts" value={adjustment.points} onChange={e => setAdjustment({ ...adjustment, points: e.target.value })} />
+                <input required className="flex-1 border p-2 rounded text-sm" placeholder="Reason for adjustment" value={adjustment.note} onChange={e => setAdjustment({ ...adjustment, note: e.target.value })} />
+                <button type="submit" className="px-3 py-2 bg-indigo-600 text-white rounded text-sm">Adjust</button>
+              </form>
+            )}
           </div>
         </div>
       )}
+
+      <ConfirmationModal
+        isOpen={deleteTarget !== null}
+        onClose={() => setDeleteTarget(null)}
+        onConfirm={handleDelete}
+        title="Delete Customer"
+        message={`Move ${deleteTarget?.name || 'this customer'} to Trash? Past sales keep the customer's name and can be linked again by restoring from Trash.`}
+      />
     </div>
   );
 };
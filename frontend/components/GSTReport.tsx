@@ -1,11 +1,22 @@
 
 import React, { useMemo, useState, useEffect } from 'react';
 import { useApp } from '../context/AppContext';
-import { Calendar, Filter, Download, FileText, Bot, Settings2, Plus, Trash2, AlertCircle, X, Save, Table } from 'lucide-react';
+import { Calendar, Filter, Download, FileText, Bot, Settings2, Plus, Trash2, AlertCircle, X, Save, Table, FileJson } from 'lucide-react';
 import { chatWithAgent } from '../services/geminiService';
+import { getGstReturn, getSalesReturns } from '../services/api';
+import { GstReturnExport, Role, SalesReturn } from '../types';
+
+// Previous calendar month as YYYY-MM: returns are filed for the month just closed
+const previousMonth = () => {
+    const d = new Date();
+    d.setDate(1);
+    d.setMonth(d.getMonth() - 1);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+};
 
 export const GSTReport: React.FC = () => {
-    const { sales, locations, products, taxTiers, addTaxTier, deleteTaxTier } = useApp();
+    const { token, currentUser, sales, locations, products, taxTiers, addTaxTier, deleteTaxTier, addNotification } = useApp();
+    const canExportReturns = currentUser?.role !== Role.WAREHOUSE_MANAGER;
     const [selectedLocation, setSelectedLocation] = useState('all');
     const [selectedCategory, setSelectedCategory] = useState('all');
     const [selectedTaxRate, setSelectedTaxRate] = useState<string>('all');
@@ -16,15 +27,23 @@ export const GSTReport: React.FC = () => {
     const [endDate, setEndDate] = useState('');
     const [dateError, setDateError] = useState('');
 
+    // Credit notes of the period, reported as negative rows
+    const [creditNotes, setCreditNotes] = useState<SalesReturn[]>([]);
+
     // AI Analyst
     const [isAnalystOpen, setIsAnalystOpen] = useState(false);
     const [aiQuery, setAiQuery] = useState('');
     const [aiResponse, setAiResponse] = useState('');
     const [isAiLoading, setIsAiLoading] = useState(false);
 
+    // GST Returns
+    const [returnMonth, setReturnMonth] = useState(previousMonth());
+    const [exportingReturn, setExportingReturn] = useState<'gstr1' | 'gstr3b' | null>(null);
+    const [returnWarnings, setReturnWarnings] = useState<GstReturnExport['warnings']>([]);
+
     // Tax Configuration Modal
     const [taxConfigOpen, setTaxConfigOpen] = useState(false);
-    const [newTaxForm, setNewTaxForm] = useState({ name: '', rate: '', cgst: '', sgst: '', category: 'Standard' });
+    const [newTaxForm, setNewTaxForm] = useState({ name: '', rate: '', cgst: '', sgst: '', igst: '', category: 'Standard' });
 
     // Initialize Dates
     useEffect(() => {
@@ -50,6 +69,16 @@ export const GSTReport: React.FC = () => {
         }
     }, [dateRangeType]);
 
+    useEffect(() => {
+        if (!token || !startDate || !endDate || startDate > endDate) {
+            setCreditNotes([]);
+            return;
+        }
+        getSalesReturns(token, { from: startDate, to: endDate })
+            .then(setCreditNotes)
+            .catch(() => setCreditNotes([]));
+    }, [token, startDate, endDate, sales]);
+
     const filteredSales = useMemo(() => {
         if (startDate && endDate && startDate > endDate) return [];
         return sales.filter(s => {
@@ -64,13 +93,30 @@ export const GSTReport: React.FC = () => {
         });
     }, [sales, selectedLocation, startDate, endDate, selectedCategory, selectedTaxRate, taxTiers]);
 
+    const filteredCreditNotes = useMemo(() => {
+        return creditNotes.filter(note => {
+            const matchLoc = selectedLocation === 'all' || note.locationId === selectedLocation;
+            const matchCat = selectedCategory === 'all' || note.items.some(i => products.find(p => p.id === i.id)?.category === selectedCategory);
+            const matchTax = selectedTaxRate === 'all' || note.items.some(item => {
+                const tier = taxTiers.find(t => t.id === selectedTaxRate);
+                return tier ? item.taxRate === tier.rate : false;
+            });
+            return matchLoc && matchCat && matchTax;
+        });
+    }, [creditNotes, selectedLocation, selectedCategory, selectedTaxRate, products, taxTiers]);
+
+    // Credit notes reduce the period's figures, as they do in the returns
     const totals = useMemo(() => {
-        return filteredSales.reduce((acc, curr) => ({
-            taxable: acc.taxable + curr.subtotal,
-            tax: acc.tax + curr.totalTax,
-            total: acc.total + curr.totalAmount
-        }), { taxable: 0, tax: 0, total: 0 });
-    }, [filteredSales]);
+        const acc = { taxable: 0, tax: 0, total: 0 };
+        const add = (doc: { subtotal: number; totalTax: number; totalAmount: number }, sign: number) => {
+            acc.taxable += sign * doc.subtotal;
+            acc.tax += sign * doc.totalTax;
+            acc.total += sign * doc.totalAmount;
+        };
+        filteredSales.forEach(s => add(s, 1));
+        filteredCreditNotes.forEach(n => add(n, -1));
+        return acc;
+    }, [filteredSales, filteredCreditNotes]);
 
     // Helper to determine dominant Tax Category for a sale
     const getSaleTaxCategory = (sale: typeof sales[0]) => {
@@ -89,7 +135,7 @@ export const GSTReport: React.FC = () => {
     const handleDownloadCSV = () => {
         const headers = ["Invoice ID", "Date", "Location", "Customer", "Tax Category", "Taxable Amount", "Tax Amount", "Total Amount"];
         const rows = filteredSales.map(s => [
-            s.id,
+            s.invoiceNumber || s.id,
             s.date,
             locations.find(l => l.id === s.locationId)?.name || 'Unknown',
             s.customerName,
@@ -98,6 +144,16 @@ export const GSTReport: React.FC = () => {
             s.totalTax.toFixed(2),
             s.totalAmount.toFixed(2)
         ]);
+        filteredCreditNotes.forEach(n => rows.push([
+            n.creditNoteNumber,
+            n.date,
+            locations.find(l => l.id === n.locationId)?.name || 'Unknown',
+            n.customerName,
+            `Credit Note (${n.invoiceNumber})`,
+            (-n.subtotal).toFixed(2),
+            (-n.totalTax).toFixed(2),
+            (-n.totalAmount).toFixed(2)
+        ]));
         const csvContent = "data:text/csv;charset=utf-8,"
             + [headers.join(','), ...rows.map(e => e.join(','))].join('\n');
 
@@ -110,6 +166,29 @@ export const GSTReport: React.FC = () => {
         document.body.removeChild(link);
     };
 
+    const handleExportReturn = async (type: 'gstr1' | 'gstr3b') => {
+        if (!token) return;
+        setExportingReturn(type);
+        try {
+            const result: GstReturnExport = await getGstReturn(token, type, returnMonth);
+            setReturnWarnings(result.warnings);
+            const blob = new Blob([JSON.stringify(result.data, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${type.toUpperCase()}_${result.data.gstin}_${result.data.fp || result.data.ret_period}.json`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+            addNotification('SUCCESS', `${type.toUpperCase()} exported`, result.warnings.length ? `${result.warnings.length} warning(s) to review` : undefined);
+        } catch (err: any) {
+            addNotification('ERROR', `Failed to export ${type.toUpperCase()}`, err.message);
+        } finally {
+            setExportingReturn(null);
+        }
+    };
+
     const handleAddTax = () => {
         if (!newTaxForm.name || !newTaxForm.rate) return;
         addTaxTier({
@@ -118,9 +197,10 @@ export const GSTReport: React.FC = () => {
             categoryType: newTaxForm.category as any,
             rate: Number(newTaxForm.rate),
             cgst: Number(newTaxForm.cgst),
-            sgst: Number(newTaxForm.sgst)
+            sgst: Number(newTaxForm.sgst),
+            igst: newTaxForm.igst !== '' ? Number(newTaxForm.igst) : Number(newTaxForm.rate) // Inter-state sales
         });
-        setNewTaxForm({ name: '', rate: '', cgst: '', sgst: '', category: 'Standard' });
+        setNewTaxForm({ name: '', rate: '', cgst: '', sgst: '', igst: '', category: 'Standard' });
     };
 
     return (
@@ -150,6 +230,35 @@ export const GSTReport: React.FC = () => {
                 </div>
             </div>
 
+            {/* GST Returns Export: tenant-wide, so the server refuses managers limited to their locations */}
+            {canExportReturns && (
+                <div className="bg-white dark:bg-slate-800 p-4 rounded-xl border border-slate-200 dark:border-slate-700 shadow-sm">
+                    <div className="flex flex-col md:flex-row md:items-end gap-4">
+                        <div className="flex-1">
+                            <h4 className="text-xs font-bold text-slate-500 dark:text-slate-400 uppercase mb-1 flex items-center"><FileJson size={14} className="mr-2" /> GST Returns</h4>
+                            <p className="text-xs text-slate-500 dark:text-slate-400">Portal-ready JSON built from recorded sales and credit notes for all locations.</p>
+                        </div>
+                        <div>
+                            <label className="block text-xs font-bold text-slate-500 dark:text-slate-400 uppercase mb-1.5">Return Period</label>
+                            <input type="month" className="border border-slate-300 dark:border-slate-600 rounded-lg p-2 outline-none text-sm bg-white dark:bg-slate-700 text-slate-900 dark:text-white" value={returnMonth} onChange={e => setReturnMonth(e.target.value)} />
+                        </div>
+                        <button onClick={() => handleExportReturn('gstr1')} disabled={!returnMonth || exportingReturn !== null} className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg text-sm font-medium flex items-center gap-2 disabled:opacity-50">
+                            <Download size={14} /> {exportingReturn === 'gstr1' ? 'Building...' : 'GSTR-1'}
+                        </button>
+                        <button onClick={() => handleExportReturn('gstr3b')} disabled={!returnMonth || exportingReturn !== null} className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg text-sm font-medium flex items-center gap-2 disabled:opacity-50">
+                            <Download size={14} /> {exportingReturn === 'gstr3b' ? 'Building...' : 'GSTR-3B'}
+                        </button>
+                    </div>
+                    {returnWarnings.length > 0 && (
+                        <div className="mt-3 bg-amber-50 dark:bg-amber-900/20 border border-amber-100 dark:border-amber-900/50 rounded-lg p-3 text-xs text-amber-800 dark:text-amber-300 space-y-1 max-h-32 overflow-y-auto">
+                            {returnWarnings.map((w, i) => (
+                                <div key={i} className="flex gap-2"><AlertCircle size={12} className="mt-0.5 flex-shrink-0" /><span><span className="font-mono">{w.invoice}</span>: {w.error}</span></div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            )}
+
             {/* Filters - Fixed Alignment */}
             <div className="bg-white dark:bg-slate-800 p-5 rounded-xl border border-slate-200 dark:border-slate-700 shadow-sm grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-5 items-end">
                 <div>
@@ -220,6 +329,7 @@ export const GSTReport: React.FC = () => {
                 <div className="bg-white dark:bg-slate-800 p-5 rounded-xl border border-slate-200 dark:border-slate-700 shadow-sm hover:shadow-md transition-shadow">
                     <p className="text-xs font-bold text-slate-400 dark:text-slate-400 uppercase mb-1">Invoice Count</p>
                     <h3 className="text-2xl font-bold text-slate-800 dark:text-white">{filteredSales.length}</h3>
+                    {filteredCreditNotes.length > 0 && <p className="text-xs text-red-500 dark:text-red-400 mt-1">{filteredCreditNotes.length} credit note(s)</p>}
                 </div>
             </div>
 
@@ -251,7 +361,7 @@ export const GSTReport: React.FC = () => {
                                 const taxCat = getSaleTaxCategory(s);
                                 return (
                                     <tr key={s.id} className="hover:bg-slate-50 dark:hover:bg-slate-700/50 transition-colors">
-                                        <td className="p-4 font-mono text-slate-500 dark:text-slate-500">{s.id}</td>
+                                        <td className="p-4 font-mono text-slate-500 dark:text-slate-500">{s.invoiceNumber || s.id}</td>
                                         <td className="p-4 whitespace-nowrap text-slate-800 dark:text-slate-300">{new Date(s.date).toLocaleDateString()}</td>
                                         <td className="p-4 text-slate-600 dark:text-slate-400">{locName}</td>
                                         <td className="p-4 font-medium text-slate-800 dark:text-slate-200">{s.customerName}</td>
@@ -270,6 +380,20 @@ export const GSTReport: React.FC = () => {
                                     </tr>
                                 );
                             })}
+                            {filteredCreditNotes.map(n => (
+                                <tr key={n.id} className="bg-red-50/40 dark:bg-red-900/10 hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors">
+                                    <td className="p-4 font-mono text-slate-500 dark:text-slate-500">{n.creditNoteNumber}</td>
+                                    <td className="p-4 whitespace-nowrap text-slate-800 dark:text-slate-300">{new Date(n.date).toLocaleDateString()}</td>
+                                    <td className="p-4 text-slate-600 dark:text-slate-400">{locations.find(l => l.id === n.locationId)?.name}</td>
+                                    <td className="p-4 font-medium text-slate-800 dark:text-slate-200">{n.customerName}</td>
+                                    <td className="p-4">
+                                        <span className="text-xs px-2 py-1 rounded-full border bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300 border-red-200 dark:border-red-800" title={`Against ${n.invoiceNumber}`}>Credit Note</span>
+                                    </td>
+                                    <td className="p-4 text-right whitespace-nowrap text-slate-800 dark:text-slate-200">-₹{n.subtotal.toFixed(2)}</td>
+                                    <td className="p-4 text-right font-medium text-red-600 dark:text-red-400 whitespace-nowrap">-₹{n.totalTax.toFixed(2)}</td>
+                                    <td className="p-4 text-right font-bold text-slate-800 dark:text-white whitespace-nowrap">-₹{n.totalAmount.toFixed(2)}</td>
+                                </tr>
+                            ))}
                         </tbody>
                     </table>
                 </div>
@@ -293,10 +417,11 @@ export const GSTReport: React.FC = () => {
                                     <option>Essential</option><option>Standard</option><option>Luxury</option><option>Goods</option>
                                 </select>
                             </div>
-                            <div className="grid grid-cols-3 gap-3 mb-3">
+                            <div className="grid grid-cols-4 gap-3 mb-3">
                                 <input className="border border-slate-300 dark:border-slate-600 p-2 rounded-lg text-sm outline-none focus:border-indigo-500 bg-white dark:bg-slate-700 text-slate-900 dark:text-white" placeholder="Rate %" type="number" value={newTaxForm.rate} onChange={e => setNewTaxForm({ ...newTaxForm, rate: e.target.value })} />
                                 <input className="border border-slate-300 dark:border-slate-600 p-2 rounded-lg text-sm outline-none focus:border-indigo-500 bg-white dark:bg-slate-700 text-slate-900 dark:text-white" placeholder="CGST %" type="number" value={newTaxForm.cgst} onChange={e => setNewTaxForm({ ...newTaxForm, cgst: e.target.value })} />
                                 <input className="border border-slate-300 dark:border-slate-600 p-2 rounded-lg text-sm outline-none focus:border-indigo-500 bg-white dark:bg-slate-700 text-slate-900 dark:text-white" placeholder="SGST %" type="number" value={newTaxForm.sgst} onChange={e => setNewTaxForm({ ...newTaxForm, sgst: e.target.value })} />
+                                <input className="border border-slate-300 dark:border-slate-600 p-2 rounded-lg text-sm outline-none focus:border-indigo-500 bg-white dark:bg-slate-700 text-slate-900 dark:text-white" placeholder={`IGST % (${newTaxForm.rate || 'rate'})`} type="number" value={newTaxForm.igst} onChange={e => setNewTaxForm({ ...newTaxForm, igst: e.target.value })} />
                             </div>
                             <button onClick={handleAddTax} className="w-full bg-slate-800 dark:bg-indigo-600 text-white py-2 rounded-lg text-sm font-medium hover:bg-slate-900 dark:hover:bg-indigo-700 flex items-center justify-center"><Plus size={16} className="mr-1" /> Add Rate</button>
                         </div>
@@ -307,7 +432,7 @@ export const GSTReport: React.FC = () => {
                                 <div key={t.id} className="flex justify-between items-center p-3 rounded-lg border border-slate-100 dark:border-slate-700 hover:bg-slate-50 dark:hover:bg-slate-700/50 transition-colors">
                                     <div>
                                         <div className="font-bold text-slate-800 dark:text-white text-sm">{t.name}</div>
-                                        <div className="text-xs text-slate-500 dark:text-slate-400">{t.rate}% (C:{t.cgst}% S:{t.sgst}%) <span className="ml-1 px-1.5 py-0.5 bg-slate-200 dark:bg-slate-600 dark:text-slate-300 rounded text-[10px]">{t.categoryType}</span></div>
+                                        <div className="text-xs text-slate-500 dark:text-slate-400">{t.rate}% (C:{t.cgst}% S:{t.sgst}% I:{t.igst ?? t.rate}%) <span className="ml-1 px-1.5 py-0.5 bg-slate-200 dark:bg-slate-600 dark:text-slate-300 rounded text-[10px]">{t.categoryType}</span></div>
                                     </div>
                                     <button onClick={() => deleteTaxTier(t.id)} className="text-slate-400 dark:text-slate-500 hover:text-red-500 p-1.5 rounded-md hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors"><Trash2 size={16} /></button>
                                 </div>
@@ -3,7 +3,8 @@ import React, { useState, useMemo, useRef, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useApp } from '../context/AppContext';
 import { Search, MapPin, ArrowRightLeft, Filter, Plus, History, Edit, Box, X, IndianRupee, Skull, Truck, Tag, AlertTriangle, Calendar, CheckCircle, Info, MoreHorizontal, CheckSquare, Camera, Trash2, ChevronDown, Check, ScanLine, Clock, Wand2, Zap, FileText, Bell, Download, Upload } from 'lucide-react';
-import { Product } from '../types';
+import { Product, NetworkStockEntry } from '../types';
+import { StockRequests } from './StockRequests';
 import { identifyProductFromImage } from '../services/geminiService';
 import { useLanguage } from '../context/LanguageContext';
 import { isDeadStockProduct, isLocationLowStock, isLowStock, isExpiringSoon } from '../services/AnalyticsEngine';
@@ -33,7 +34,7 @@ export const Inventory: React.FC = () => {
     const { t } = useLanguage();
     const navigate = useNavigate();
     const [searchTerm, setSearchTerm] = useState('');
-    const [activeTab, setActiveTab] = useState<'all' | 'low_stock' | 'expiring' | 'dead_stock' | 'history'>('all');
+    const [activeTab, setActiveTab] = useState<'all' | 'low_stock' | 'expiring' | 'dead_stock' | 'history' | 'network'>('all');
     const [selectedLocation, setSelectedLocation] = useState<string>('all');
     const [selectedSupplier, setSelectedSupplier] = useState<string>('all');
     const [selectedCategory, setSelectedCategory] = useState<string>('all');
@@ -69,24 +70,40 @@ export const Inventory: React.FC = () => {
 
     // Global Check State
     const [isGlobalCheckOpen, setIsGlobalCheckOpen] = useState(false);
-    const [globalStockData, setGlobalStockData] = useState<any[]>([]);
+    const [globalStockData, setGlobalStockData] = useState<NetworkStockEntry[]>([]);
     const [checkingSku, setCheckingSku] = useState('');
     const [checkLoading, setCheckLoading] = useState(false);
+    const [globalCheckFilters, setGlobalCheckFilters] = useState<{ maxDistance: number | ''; minQuantity: number | '' }>({ maxDistance: '', minQuantity: '' });
+    const [stockRequestDraft, setStockRequestDraft] = useState<{ locationId: string; quantity: number; toLocationId: string } | null>(null);
 
-    const handleGlobalCheck = async (product: Product) => {
-        if (!product.sku) {
-            alert("Product missing SKU");
-            return;
+    const submitStockRequest = async () => {
+        if (!stockRequestDraft) return;
+        try {
+            const token = localStorage.getItem('token') || '';
+            const { createStockRequest } = await import('../services/api');
+            await createStockRequest(token, {
+                sku: checkingSku,
+                fromLocationId: stockRequestDraft.locationId,
+                toLocationId: stockRequestDraft.toLocationId,
+                quantity: stockRequestDraft.quantity
+            });
+            addNotification('SUCCESS', 'Stock request sent', `${stockRequestDraft.quantity} units of ${checkingSku}. Track it under Network Requests.`);
+            setStockRequestDraft(null);
+        } catch (err: any) {
+            addNotification('ERROR', 'Failed to send stock request', err.message);
         }
-        setCheckingSku(product.sku);
-        setIsGlobalCheckOpen(true);
+    };
+
+    const runGlobalCheck = async (sku: string, filters = globalCheckFilters) => {
         setCheckLoading(true);
         setGlobalStockData([]);
 
         try {
             const token = localStorage.getItem('token') || '';
             const { checkGlobalStock } = await import('../services/api'); // Dynamic import to avoid circular dep issues if any, or just easy use
-            const data = await checkGlobalStock(token, product.sku);
+            // Distances are measured from the location selected in the stock filter, when there is one
+            const fromLocationId = selectedLocation !== 'all' ? selectedLocation : undefined;
+            const data = await checkGlobalStock(token, sku, { ...filters, fromLocationId });
             setGlobalStockData(data);
         } catch (err) {
             alert("Failed to check network stock");
@@ -95,6 +112,17 @@ export const Inventory: React.FC = () => {
         }
     };
 
+    const handleGlobalCheck = (product: Product) => {
+        if (!product.sku) {
+            alert("Product missing SKU");
+            return;
+        }
+        setCheckingSku(product.sku);
+        setIsGlobalCheckOpen(true);
+        setStockRequestDraft(null);
+        runGlobalCheck(product.sku);
+    };
+
     const exportData = (format: 'csv' | 'xlsx' | 'json' | 'xml') => {
         const dataToExport = products;
         const timestamp = new Date().toISOString().split('T')[0];
@@ -516,6 +544,37 @@ export const Inventory: React.FC = () => {
                                 <span className="font-mono text-sm font-bold text-indigo-700">{checkingSku}</span>
                             </div>
 
+                            <form
+                                className="flex items-end gap-3 mb-6"
+                                onSubmit={(e) => { e.preventDefault(); runGlobalCheck(checkingSku); }}
+                            >
+                                <label className="flex-1 text-xs font-medium text-slate-500">
+                                    Max Distance (km)
+                                    <input
+                                        type="number"
+                                        min={0}
+                                        className="mt-1 w-full px-3 py-2 border border-slate-200 rounded-lg text-sm text-slate-800"
+                                        placeholder="Any"
+                                        value={globalCheckFilters.maxDistance}
+                                        onChange={e => setGlobalCheckFilters(prev => ({ ...prev, maxDistance: e.target.value === '' ? '' : Number(e.target.value) }))}
+                                    />
+                                </label>
+                                <label className="flex-1 text-xs font-medium text-slate-500">
+                                    Min Quantity
+                                    <input
+                                        type="number"
+                                        min={0}
+                                        className="mt-1 w-full px-3 py-2 border border-slate-200 rounded-lg text-sm text-slate-800"
+                                        placeholder="Any"
+                                        value={globalCheckFilters.minQuantity}
+                                        onChange={e => setGlobalCheckFilters(prev => ({ ...prev, minQuantity: e.target.value === '' ? '' : Number(e.target.value) }))}
+                                    />
+                                </label>
+                                <button type="submit" disabled={checkLoading} className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg text-sm font-medium transition-colors disabled:opacity-50">
+                                    Apply
+                                </button>
+                            </form>
+
                             {checkLoading ? (
                                 <div className="py-8 text-center text-slate-500">
                                     <div className="animate-spin w-8 h-8 border-2 border-indigo-600 border-t-transparent rounded-full mx-auto mb-2"></div>
@@ -525,30 +584,65 @@ export const Inventory: React.FC = () => {
                                 <div className="space-y-3">
                                     {globalStockData.length === 0 ? (
                                         <div className="text-center py-6 text-slate-400">
-                                            <p>No stock found in other branches.</p>
+                                            <p>No stock found matching these filters.</p>
                                         </div>
                                     ) : (
                                         globalStockData.map((item, idx) => (
-                                            <div key={idx} className={`p-4 rounded-xl border flex justify-between items-center ${item.isLocal ? 'bg-green-50 border-green-200' : 'bg-white border-slate-200'}`}>
+                                            <React.Fragment key={idx}>
+                                            <div className={`p-4 rounded-xl border flex justify-between items-center ${item.isLocal ? 'bg-green-50 border-green-200' : 'bg-white border-slate-200'}`}>
                                                 <div>
                                                     <h4 className="font-bold text-slate-800">{item.locationName}</h4>
                                                     <div className="flex flex-col gap-1 mt-1">
                                                         <span className={`inline-flex items-center text-xs px-2 py-0.5 rounded-full w-fit ${item.isLocal ? 'bg-green-100 text-green-700' : 'bg-blue-100 text-blue-700'}`}>
                                                             {item.isLocal ? 'Your Warehouse' : 'External Branch'}
                                                         </span>
-                                                        {!item.isLocal && (
-                                                            <div className="flex items-center gap-3 text-xs text-slate-500 mt-1">
-                                                                <span className="flex items-center gap-1"><MapPin size={12} /> {item.distance}</span>
-                                                                <span className="flex items-center gap-1"><Clock size={12} /> {item.eta}</span>
-                                                            </div>
-                                                        )}
+                                                        <div className="flex items-center gap-3 text-xs text-slate-500 mt-1">
+                                                            <span className="flex items-center gap-1"><MapPin size={12} /> {item.distanceKm === null ? '—' : item.distance}</span>
+                                                            <span className="flex items-center gap-1"><Clock size={12} /> {item.distanceKm === null ? '—' : item.eta}</span>
+                                                        </div>
                                                     </div>
                                                 </div>
                                                 <div className="text-right">
                                                     <p className="text-2xl font-bold text-slate-800">{item.quantity}</p>
                                                     <p className="text-xs text-slate-500">Units Available</p>
+                                                    {!item.isLocal && stockRequestDraft?.locationId !== item.locationId && (
+                                                        <button
+                                                            onClick={() => setStockRequestDraft({ locationId: item.locationId, quantity: 1, toLocationId: selectedLocation !== 'all' ? selectedLocation : (locations[0]?.id || '') })}
+                                                            className="mt-2 text-xs font-medium text-indigo-600 hover:text-indigo-800"
+                                                        >
+                                                            Request Stock
+                                                        </button>
+                                                    )}
                                                 </div>
                                             </div>
+                                            {stockRequestDraft?.locationId === item.locationId && (
+                                                <div className="-mt-2 p-3 rounded-b-xl border border-t-0 border-slate-200 bg-slate-50 flex flex-wrap items-end gap-2">
+                                                    <label className="text-xs text-slate-500">
+                                                        Quantity
+                                                        <input
+                                                            type="number"
+                                                            min={1}
+                                                            max={item.quantity}
+                                                            className="mt-1 block w-20 px-2 py-1 border border-slate-200 rounded text-sm text-slate-800"
+                                                            value={stockRequestDraft.quantity}
+                                                            onChange={e => setStockRequestDraft({ ...stockRequestDraft, quantity: Number(e.target.value) })}
+                                                        />
+                                                    </label>
+                                                    <label className="flex-1 text-xs text-slate-500">
+                                                        Deliver To
+                                                        <select
+                                                            className="mt-1 block w-full px-2 py-1 border border-slate-200 rounded text-sm text-slate-800"
+                                                            value={stockRequestDraft.toLocationId}
+                                                            onChange={e => setStockRequestDraft({ ...stockRequestDraft, toLocationId: e.target.value })}
+                                                        >
+                                                            {locations.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+                                                        </select>
+                                                    </label>
+                                                    <button onClick={submitStockRequest} disabled={!(stockRequestDraft.quantity > 0) || !stockRequestDraft.toLocationId} className="px-3 py-1.5 bg-indigo-600 hover:bg-indigo-700 text-white rounded text-xs font-medium disabled:opacity-50">Send</button>
+                                                    <button onClick={() => setStockRequestDraft(null)} className="px-3 py-1.5 bg-slate-200 hover:bg-slate-300 text-slate-700 rounded text-xs font-medium">Cancel</button>
+                                                </div>
+                                            )}
+                                            </React.Fragment>
                                         ))
                                     )}
                                 </div>
@@ -721,7 +815,8 @@ export const Inventory: React.FC = () => {
                             { id: 'low_stock', label: 'Low Stock' },
                             { id: 'expiring', label: 'Expiring Soon' },
                             { id: 'dead_stock', label: 'Dead Stock' },
-                            { id: 'history', label: 'Transfer History' }
+                            { id: 'history', label: 'Transfer History' },
+                            { id: 'network', label: 'Network Requests' }
                         ].map(opt => (
                             <button
                                 key={opt.id}
@@ -791,7 +886,7 @@ export const Inventory: React.FC = () => {
             </div>
 
             {/* Product Table View */}
-            {activeTab !== 'history' && (
+            {activeTab !== 'history' && activeTab !== 'network' && (
                 <div className="bg-white dark:bg-slate-800 rounded-xl border border-slate-200 dark:border-slate-700 shadow-sm overflow-hidden animate-in fade-in">
                     <div className="overflow-x-auto">
                         <table className="w-full text-left text-sm">
@@ -902,6 +997,8 @@ export const Inventory: React.FC = () => {
             )
             }
 
+            {activeTab === 'network' && <StockRequests />}
+
             {/* History Table View */}
             {
                 activeTab === 'history' && (
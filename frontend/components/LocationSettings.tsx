@@ -0,0 +1,165 @@
+import React, { useState } from 'react';
+import { useApp } from '../context/AppContext';
+import { Location } from '../types';
+import { GST_STATES } from '../constants';
+import { MapPin, Plus, Edit2, Trash2, X } from 'lucide-react';
+
+const EMPTY_FORM = { name: '', address: '', type: 'WAREHOUSE' as Location['type'], lat: '', lng: '', capacity: '', invoicePrefix: '', stateCode: '' };
+
+export const LocationSettings: React.FC = () => {
+    const { locations, products, addLocation, updateLocation, deleteLocation } = useApp();
+    const [editing, setEditing] = useState<Location | null>(null);
+    const [isFormOpen, setIsFormOpen] = useState(false);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [deleteTarget, setDeleteTarget] = useState<Location | null>(null);
+    const [moveStockTo, setMoveStockTo] = useState('');
+
+    const stockAt = (locationId: string) => products.reduce((sum, p) => sum + (p.stock?.[locationId] || 0), 0);
+
+    const openForm = (loc: Location | null) => {
+        setEditing(loc);
+        setForm(loc ? {
+            name: loc.name,
+            address: loc.address || '',
+            type: loc.type,
+            lat: loc.coordinates ? String(loc.coordinates.lat) : '',
+            lng: loc.coordinates ? String(loc.coordinates.lng) : '',
+            capacity: loc.capacity !== undefined && loc.capacity !== null ? String(loc.capacity) : '',
+            invoicePrefix: loc.invoicePrefix || '',
+            stateCode: loc.stateCode || ''
+        } : EMPTY_FORM);
+        setIsFormOpen(true);
+    };
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        const payload: any = {
+            ...editing,
+            name: form.name,
+            address: form.address,
+            type: form.type,
+            coordinates: form.lat !== '' && form.lng !== '' ? { lat: Number(form.lat), lng: Number(form.lng) } : null,
+            capacity: form.capacity !== '' ? Number(form.capacity) : null,
+            invoicePrefix: form.invoicePrefix,
+            stateCode: form.stateCode
+        };
+        if (editing) await updateLocation(payload);
+        else await addLocation(payload);
+        setIsFormOpen(false);
+    };
+
+    const handleDelete = async () => {
+        if (!deleteTarget) return;
+        const ok = await deleteLocation(deleteTarget.id, moveStockTo || undefined);
+        if (ok) {
+            setDeleteTarget(null);
+            setMoveStockTo('');
+        }
+    };
+
+    const inputClass = 'w-full p-2.5 border border-slate-300 rounded-lg outline-none focus:border-indigo-500';
+
+    return (
+        <div className="space-y-4 animate-in fade-in">
+            <div className="flex items-center justify-between">
+                <h3 className="text-lg font-bold text-slate-800 flex items-center gap-2"><MapPin size={18} /> Locations</h3>
+                <button onClick={() => openForm(null)} className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 flex items-center gap-2 font-medium text-sm">
+                    <Plus size={16} /> Add Location
+                </button>
+            </div>
+
+            <table className="w-full text-left text-sm">
+                <thead className="bg-slate-50 border-b border-slate-200 text-slate-500 uppercase font-semibold text-xs">
+                    <tr>
+                        <th className="px-4 py-3">Name</th>
+                        <th className="px-4 py-3">Type</th>
+                        <th className="px-4 py-3">Stock / Capacity</th>
+                        <th className="px-4 py-3">Coordinates</th>
+                        <th className="px-4 py-3 text-right">Actions</th>
+                    </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-100">
+                    {locations.map(loc => (
+                        <tr key={loc.id}>
+                            <td className="px-4 py-3">
+                                <div className="font-medium text-slate-800">{loc.name}</div>
+                                <div className="text-xs text-slate-500">{loc.address}{loc.stateCode && ` (${GST_STATES[loc.stateCode] || loc.stateCode})`}</div>
+                            </td>
+                            <td className="px-4 py-3 text-slate-600">{loc.type}</td>
+                            <td className="px-4 py-3 text-slate-600">{stockAt(loc.id)}{loc.capacity ? ` / ${loc.capacity}` : ''}</td>
+                            <td className="px-4 py-3 text-slate-500 text-xs">{loc.coordinates ? `${loc.coordinates.lat}, ${loc.coordinates.lng}` : '-'}</td>
+                            <td className="px-4 py-3 text-right">
+                                <button onClick={() => openForm(loc)} className="p-2 text-indigo-600 hover:bg-indigo-50 rounded-lg" title="Edit Location"><Edit2 size={16} /></button>
+                                <button onClick={() => setDeleteTarget(loc)} className="p-2 text-red-500 hover:bg-red-50 rounded-lg" title="Delete Location"><Trash2 size={16} /></button>
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+
+            {isFormOpen && (
+                <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+                    <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow-2xl w-full max-w-md p-6 space-y-4">
+                        <div className="flex justify-between items-center">
+                            <h3 className="text-lg font-bold text-slate-800">{editing ? 'Edit Location' : 'New Location'}</h3>
+                            <button type="button" onClick={() => setIsFormOpen(false)} className="text-slate-400 hover:text-slate-600"><X size={20} /></button>
+                        </div>
+                        <input className={inputClass} required placeholder="Name" value={form.name} onChange={e => setForm({ ...form, name: e.target.value })} />
+                        <input className={inputClass} placeholder="Address" value={form.address} onChange={e => setForm({ ...form, address: e.target.value })} />
+                        <select className={inputClass} value={form.type} onChange={e => setForm({ ...form, type: e.target.value as Location['type'] })}>
+                            <option value="WAREHOUSE">Warehouse</option>
+                            <option value="STORE">Store</option>
+                        </select>
+                        <div className="grid grid-cols-2 gap-3">
+                            <input className={inputClass} type="number" step="any" placeholder="Latitude" value={form.lat} onChange={e => setForm({ ...form, lat: e.target.value })} />
+                            <input className={inputClass} type="number" step="any" placeholder="Longitude" value={form.lng} onChange={e => setForm({ ...form, lng: e.target.value })} />
+                        </div>
+                        <input className={inputClass} type="number" min="0" placeholder="Capacity (units, optional)" value={form.capacity} onChange={e => setForm({ ...form, capacity: e.target.value })} />
+                        <div>
+                            <select className={inputClass} value={form.stateCode} onChange={e => setForm({ ...form, stateCode: e.target.value })}>
+                                <option value="">State: same as business</option>
+                                {Object.entries(GST_STATES).map(([code, name]) => <option key={code} value={code}>{code} - {name}</option>)}
+                            </select>
+                            <p className="text-xs text-slate-400 mt-1">Sales from this location to buyers in another state are charged IGST.</p>
+                        </div>
+                        <div>
+                            <input className={inputClass} maxLength={5} placeholder="Invoice series prefix (e.g. DEL)" value={form.invoicePrefix} onChange={e => setForm({ ...form, invoicePrefix: e.target.value.toUpperCase().replace(/[^A-Z0-9]/g, '') })} />
+                            <p className="text-xs text-slate-400 mt-1">Invoices from this location are numbered {form.invoicePrefix || 'INV'}/YYYY/00001 per financial year. Leave blank to share the default INV series.</p>
+                        </div>
+                        <button type="submit" className="w-full py-2.5 bg-indigo-600 text-white rounded-lg font-medium hover:bg-indigo-700">Save Location</button>
+                    </form>
+                </div>
+            )}
+
+            {deleteTarget && (
+                <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+                    <div className="bg-white rounded-xl shadow-2xl w-full max-w-md p-6 space-y-4">
+                        <h3 className="text-lg font-bold text-slate-800">Delete {deleteTarget.name}?</h3>
+                        <p className="text-sm text-slate-600">The location moves to Trash and can be restored from there.</p>
+                        {stockAt(deleteTarget.id) > 0 && (
+                            <div>
+                                <label className="block text-sm font-medium text-slate-700 mb-1">
+                                    {stockAt(deleteTarget.id)} units are still here. Transfer them to:
+                                </label>
+                                <select className={inputClass} value={moveStockTo} onChange={e => setMoveStockTo(e.target.value)}>
+                                    <option value="">Select a location</option>
+                                    {locations.filter(l => l.id !== deleteTarget.id).map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+                                </select>
+                            </div>
+                        )}
+                        <div className="flex gap-3">
+                            <button onClick={() => { setDeleteTarget(null); setMoveStockTo(''); }} className="flex-1 py-2.5 border border-slate-300 rounded-lg text-slate-700 hover:bg-slate-50">Cancel</button>
+                            <button
+                                onClick={handleDelete}
+                                disabled={stockAt(deleteTarget.id) > 0 && !moveStockTo}
+                                className="flex-1 py-2.5 bg-red-600 text-white rounded-lg font-medium hover:bg-red-700 disabled:opacity-50"
+                            >
+                                Delete
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
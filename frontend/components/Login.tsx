@@ -1,11 +1,11 @@
 import React, { useState } from 'react';
-import { login } from '../services/api';
-import { Package, User, Building2 } from 'lucide-react';
+import { login, loginTwoFactor } from '../services/api';
+import { Package, User, Building2, ShieldCheck } from 'lucide-react';
 import { useApp } from '../context/AppContext';
 import { useNavigate } from 'react-router-dom';
 
 interface LoginProps {
-    onLogin: (token: string, user: any) => void;
+    onLogin: (token: string, user: any, refreshToken?: string) => void;
 }
 
 export const Login: React.FC<LoginProps> = ({ onLogin }) => {
@@ -13,6 +13,9 @@ export const Login: React.FC<LoginProps> = ({ onLogin }) => {
     const [password, setPassword] = useState('');
     const [error, setError] = useState('');
     const [loading, setLoading] = useState(false);
+    // Set when the password was accepted but the account needs a 2FA code
+    const [challengeToken, setChallengeToken] = useState<string | null>(null);
+    const [code, setCode] = useState('');
     const { } = useApp();
     const navigate = useNavigate();
 
@@ -34,8 +37,11 @@ export const Login: React.FC<LoginProps> = ({ onLogin }) => {
         setError('');
         try {
             const data = await login(email, password);
-            onLogin(data.token, data.user);
-            navigate('/');
+            if (data.twoFactorRequired) {
+                setChallengeToken(data.challengeToken);
+                return;
+            }
+            finishLogin(data);
         } catch (err: any) {
             setError(err.message);
         } finally {
@@ -43,6 +49,28 @@ export const Login: React.FC<LoginProps> = ({ onLogin }) => {
         }
     };
 
+    const handleVerifyCode = async (e: React.FormEvent) => {
+        e.preventDefault();
+        if (!challengeToken) return;
+        setLoading(true);
+        setError('');
+        try {
+            finishLogin(await loginTwoFactor(challengeToken, code));
+        } catch (err: any) {
+            setError(err.message);
+            // An expired challenge means starting over from the password step
+            if (/expired|sign in again/i.test(err.message)) setChallengeToken(null);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const finishLogin = (data: any) => {
+        onLogin(data.token, data.user, data.refreshToken);
+        // Tenant requires 2FA for this account: send the user straight to enrollment
+        navigate(data.twoFactorSetupRequired ? '/settings?tab=security' : '/');
+    };
+
     return (
         <div className="min-h-screen bg-slate-50 flex items-center justify-center p-4">
             <div className="bg-white p-8 rounded-2xl shadow-xl w-full max-w-md">
@@ -60,37 +88,66 @@ export const Login: React.FC<LoginProps> = ({ onLogin }) => {
                     </div>
                 )}
 
-                <form onSubmit={handleLogin} className="space-y-4">
-                    <div>
-                        <label className="block text-sm font-medium text-slate-700 mb-1">Email Address</label>
-                        <input
-                            type="email"
-                            value={email}
-                            onChange={(e) => setEmail(e.target.value)}
-                            className="w-full px-4 py-2 rounded-lg border border-slate-300 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none transition-all"
-                            placeholder="admin@hanuman.com"
-                            required
-                        />
-                    </div>
-                    <div>
-                        <label className="block text-sm font-medium text-slate-700 mb-1">Password</label>
+                {challengeToken ? (
+                    <form onSubmit={handleVerifyCode} className="space-y-4">
+                        <div className="flex items-center gap-2 text-slate-600 text-sm">
+                            <ShieldCheck size={18} className="text-indigo-600" />
+                            Enter the 6-digit code from your authenticator app, or one of your backup codes.
+                        </div>
                         <input
-                            type="password"
-                            value={password}
-                            onChange={(e) => setPassword(e.target.value)}
-                            className="w-full px-4 py-2 rounded-lg border border-slate-300 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none transition-all"
-                            placeholder="••••••••"
+                            type="text"
+                            autoComplete="one-time-code"
+                            autoFocus
+                            value={code}
+                            onChange={(e) => setCode(e.target.value)}
+                            className="w-full px-4 py-2 rounded-lg border border-slate-300 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none transition-all text-center tracking-widest text-lg"
+                            placeholder="123456"
                             required
                         />
-                    </div>
-                    <button
-                        type="submit"
-                        disabled={loading}
-                        className="w-full bg-indigo-600 text-white py-2.5 rounded-lg font-medium hover:bg-indigo-700 transition-colors disabled:opacity-50"
-                    >
-                        {loading ? 'Signing in...' : 'Sign In'}
-                    </button>
-                </form>
+                        <button
+                            type="submit"
+                            disabled={loading}
+                            className="w-full bg-indigo-600 text-white py-2.5 rounded-lg font-medium hover:bg-indigo-700 transition-colors disabled:opacity-50"
+                        >
+                            {loading ? 'Verifying...' : 'Verify'}
+                        </button>
+                        <button type="button" onClick={() => { setChallengeToken(null); setCode(''); }} className="w-full text-sm text-slate-500 hover:text-slate-700">
+                            Back to sign in
+                        </button>
+                    </form>
+                ) : (
+                    <form onSubmit={handleLogin} className="space-y-4">
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-1">Email Address</label>
+                            <input
+                                type="email"
+                                value={email}
+                                onChange={(e) => setEmail(e.target.value)}
+                                className="w-full px-4 py-2 rounded-lg border border-slate-300 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none transition-all"
+                                placeholder="admin@hanuman.com"
+                                required
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-1">Password</label>
+                            <input
+                                type="password"
+                                value={password}
+                                onChange={(e) => setPassword(e.target.value)}
+                                className="w-full px-4 py-2 rounded-lg border border-slate-300 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none transition-all"
+                                placeholder="••••••••"
+                                required
+                            />
+                        </div>
+                        <button
+                            type="submit"
+                            disabled={loading}
+                            className="w-full bg-indigo-600 text-white py-2.5 rounded-lg font-medium hover:bg-indigo-700 transition-colors disabled:opacity-50"
+                        >
+                            {loading ? 'Signing in...' : 'Sign In'}
+                        </button>
+                    </form>
+                )}
 
                 <div className="mt-8 pt-6 border-t border-slate-100">
                     <p className="text-center text-xs text-slate-400 mb-4 uppercase font-bold tracking-wider">Quick Demo Login</p>
@@ -109,6 +166,9 @@ export const Login: React.FC<LoginProps> = ({ onLogin }) => {
                         </button>
                     </div>
                     <p className="text-xs text-center mt-3 text-slate-400">NOTE: Use the Provisioning Tool to create a real Sub-Warehouse account first.</p>
+                    <button onClick={() => navigate('/signup')} className="w-full mt-4 text-sm text-indigo-600 hover:text-indigo-800 font-medium">
+                        New here? Create a business account
+                    </button>
                 </div>
             </div>
         </div>
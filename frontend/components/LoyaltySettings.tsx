@@ -0,0 +1,113 @@
+import React, { useEffect, useState } from 'react';
+import { useApp } from '../context/AppContext';
+import { getLoyaltySettings, updateLoyaltySettings } from '../services/api';
+import { LoyaltySettings as LoyaltySettingsType } from '../types';
+import { Gift, Save } from 'lucide-react';
+
+// Tenant loyalty rules: how points are earned (rate, minimum bill, per-category multipliers),
+// what they are worth at the POS and when they expire
+export const LoyaltySettings: React.FC = () => {
+    const { token, products, addNotification } = useApp();
+    const [form, setForm] = useState<LoyaltySettingsType | null>(null);
+    const [error, setError] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        if (!token) return;
+        getLoyaltySettings(token)
+            .then(setForm)
+            .catch((err: any) => setError(err.message));
+    }, [token]);
+
+    const categories = Array.from(new Set<string>(products.map(p => p.category).filter(Boolean))).sort();
+
+    const handleSave = async (e: React.FormEvent) => {
+        e.preventDefault();
+        if (!token || !form) return;
+        setSaving(true);
+        try {
+            setForm(await updateLoyaltySettings(token, form));
+            addNotification('SUCCESS', 'Loyalty settings updated');
+        } catch (err: any) {
+            addNotification('ERROR', 'Failed to update loyalty settings', err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const setMultiplier = (category: string, value: string) => {
+        if (!form) return;
+        const categoryMultipliers = { ...form.categoryMultipliers };
+        if (value === '') delete categoryMultipliers[category];
+        else categoryMultipliers[category] = Number(value);
+        setForm({ ...form, categoryMultipliers });
+    };
+
+    if (error) return <p className="text-slate-500">{error}</p>;
+    if (!form) return <p className="text-slate-500">Loading loyalty settings...</p>;
+
+    const inputClass = 'w-full p-2.5 border border-slate-300 rounded-lg outline-none focus:border-indigo-500';
+
+    return (
+        <form onSubmit={handleSave} className="max-w-xl space-y-4 animate-in fade-in">
+            <h3 className="text-lg font-bold text-slate-800 flex items-center gap-2"><Gift size={18} /> Loyalty Program</h3>
+            <label className="flex items-start gap-3 p-3 border border-slate-200 rounded-lg cursor-pointer">
+                <input type="checkbox" className="mt-1" checked={form.enabled} onChange={e => setForm({ ...form, enabled: e.target.checked })} />
+                <span>
+                    <span className="block text-sm font-medium text-slate-700">Enable loyalty points</span>
+                    <span className="block text-xs text-slate-500">When disabled, sales earn no points and points cannot be redeemed. Existing balances are kept.</span>
+                </span>
+            </label>
+            <div className="grid grid-cols-2 gap-4">
+                <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">Spend per Point (₹)</label>
+                    <input type="number" min={0.01} step="0.01" required className={inputClass} value={form.spendPerPoint} onChange={e => setForm({ ...form, spendPerPoint: Number(e.target.value) })} />
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">Minimum Bill (₹)</label>
+                    <input type="number" min={0} step="0.01" required className={inputClass} value={form.minBillAmount} onChange={e => setForm({ ...form, minBillAmount: Number(e.target.value) })} />
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">Point Value (₹)</label>
+                    <input type="number" min={0.01} step="0.01" required className={inputClass} value={form.pointValue} onChange={e => setForm({ ...form, pointValue: Number(e.target.value) })} />
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">Max Redeemable (% of bill)</label>
+                    <input type="number" min={0} max={100} required className={inputClass} value={form.maxRedeemPercent} onChange={e => setForm({ ...form, maxRedeemPercent: Number(e.target.value) })} />
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">Points Expire After (days)</label>
+                    <input type="number" min={0} step={1} required className={inputClass} value={form.expiryDays} onChange={e => setForm({ ...form, expiryDays: Number(e.target.value) })} />
+                    <p className="text-xs text-slate-400 mt-1">0 = never expire</p>
+                </div>
+            </div>
+            {categories.length > 0 && (
+                <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">Category Multipliers</label>
+                    <p className="text-xs text-slate-500 mb-2">Leave blank for the normal rate (1×). Use 2 for double points, 0 to exclude a category.</p>
+                    <div className="grid grid-cols-2 gap-2">
+                        {categories.map(category => (
+                            <div key={category} className="flex items-center gap-2">
+                                <span className="flex-1 text-sm text-slate-600 truncate">{category}</span>
+                                <input
+                                    type="number"
+                                    min={0}
+                                    step="0.1"
+                                    placeholder="1"
+                                    className="w-20 p-1.5 border border-slate-300 rounded text-sm"
+                                    value={form.categoryMultipliers[category] ?? ''}
+                                    onChange={e => setMultiplier(category, e.target.value)}
+                                />
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+            <div className="pt-4 border-t border-slate-100">
+                <button type="submit" disabled={saving} className="bg-indigo-600 text-white px-6 py-2.5 rounded-lg hover:bg-indigo-700 flex items-center gap-2 font-medium disabled:opacity-50">
+                    <Save size={18} /> {saving ? 'Saving...' : 'Save Loyalty Settings'}
+                </button>
+            </div>
+        </form>
+    );
+};
@@ -0,0 +1,77 @@
+import React, { useEffect, useState } from 'react';
+import { useApp } from '../context/AppContext';
+import { getReceivablesAgeing } from '../services/api';
+import { ReceivablesAgeing as ReceivablesAgeingType } from '../types';
+import { Clock } from 'lucide-react';
+
+interface ReceivablesAgeingProps {
+    onSelectCustomer?: (customerId: string) => void;
+}
+
+// What customers owe on account, by how long the invoices have been open (0-30/31-60/61-90/90+ days)
+export const ReceivablesAgeing: React.FC<ReceivablesAgeingProps> = ({ onSelectCustomer }) => {
+    const { token } = useApp();
+    const [asOf, setAsOf] = useState('');
+    const [report, setReport] = useState<ReceivablesAgeingType | null>(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        if (!token) return;
+        setError('');
+        getReceivablesAgeing(token, asOf || undefined)
+            .then(setReport)
+            .catch((err: any) => setError(err.message));
+    }, [token, asOf]);
+
+    const money = (value: number) => value ? `₹${value.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}` : '-';
+    // Older buckets are more urgent
+    const bucketClass = ['text-slate-700', 'text-amber-600', 'text-orange-600', 'text-red-600 font-bold'];
+
+    return (
+        <div className="bg-white rounded-xl border shadow-sm overflow-hidden animate-in fade-in">
+            <div className="flex justify-between items-center p-4 border-b">
+                <h3 className="font-bold text-slate-800 flex items-center gap-2"><Clock size={18} className="text-orange-500" /> Receivables Ageing</h3>
+                <label className="text-sm text-slate-500 flex items-center gap-2">
+                    As of
+                    <input type="date" className="border p-1.5 rounded text-sm" value={asOf || report?.asOf || ''} onChange={e => setAsOf(e.target.value)} />
+                </label>
+            </div>
+            {error && <p className="text-red-500 text-center py-6">{error}</p>}
+            {!report && !error && <p className="text-slate-500 text-center py-6">Loading receivables...</p>}
+            {report && report.customers.length === 0 && <p className="text-slate-500 text-center py-6 italic">Nothing is outstanding on account.</p>}
+            {report && report.customers.length > 0 && (
+                <table className="w-full text-left text-sm">
+                    <thead className="bg-slate-50 text-slate-600 font-medium">
+                        <tr>
+                            <th className="px-6 py-3">Customer</th>
+                            {report.buckets.map(bucket => <th key={bucket} className="px-4 py-3 text-right">{bucket} days</th>)}
+                            <th className="px-6 py-3 text-right">Total</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-slate-100">
+                        {report.customers.map(row => (
+                            <tr key={row.customerId} onClick={() => onSelectCustomer?.(row.customerId)} className={onSelectCustomer ? 'hover:bg-slate-50 cursor-pointer' : ''}>
+                                <td className="px-6 py-3">
+                                    <div className="font-medium text-slate-800">{row.name}</div>
+                                    <div className="text-xs text-slate-500">
+                                        {row.phone}
+                                        {row.creditLimit > 0 && row.total > row.creditLimit && <span className="ml-2 text-red-600 font-medium">Over limit</span>}
+                                    </div>
+                                </td>
+                                {report.buckets.map((bucket, i) => <td key={bucket} className={`px-4 py-3 text-right ${row.buckets[bucket] ? bucketClass[i] : 'text-slate-300'}`}>{money(row.buckets[bucket])}</td>)}
+                                <td className="px-6 py-3 text-right font-bold text-slate-800">{money(row.total)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                    <tfoot className="bg-slate-50 font-bold text-slate-800 border-t">
+                        <tr>
+                            <td className="px-6 py-3">Total</td>
+                            {report.buckets.map(bucket => <td key={bucket} className="px-4 py-3 text-right">{money(report.totals[bucket])}</td>)}
+                            <td className="px-6 py-3 text-right">{money(report.totals.total)}</td>
+                        </tr>
+                    </tfoot>
+                </table>
+            )}
+        </div>
+    );
+};
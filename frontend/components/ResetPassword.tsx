@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { KeyRound } from 'lucide-react';
+import { resetPassword } from '../services/api';
+
+// Mirrors the server-side password policy (validatePassword in server.js)
+export const PASSWORD_HINT = 'At least 8 characters, with upper and lower case letters and a digit.';
+
+// Landing page for the one-time link sent by "Send Password Reset Link"
+export const ResetPassword: React.FC = () => {
+    const [searchParams] = useSearchParams();
+    const navigate = useNavigate();
+    const resetToken = searchParams.get('token') || '';
+    const [password, setPassword] = useState('');
+    const [confirm, setConfirm] = useState('');
+    const [error, setError] = useState('');
+    const [done, setDone] = useState(false);
+    const [loading, setLoading] = useState(false);
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        if (password !== confirm) {
+            setError('Passwords do not match');
+            return;
+        }
+        setLoading(true);
+        setError('');
+        try {
+            await resetPassword(resetToken, password);
+            setDone(true);
+        } catch (err: any) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-slate-50 flex items-center justify-center p-4">
+            <div className="bg-white p-8 rounded-2xl shadow-xl w-full max-w-md">
+                <div className="flex justify-center mb-6">
+                    <div className="w-12 h-12 bg-indigo-600 rounded-xl flex items-center justify-center">
+                        <KeyRound className="text-white" size={28} />
+                    </div>
+                </div>
+                <h2 className="text-2xl font-bold text-center text-slate-800 mb-6">Choose a New Password</h2>
+
+                {!resetToken ? (
+                    <p className="text-center text-slate-500">This reset link is incomplete. Ask your administrator for a new one.</p>
+                ) : done ? (
+                    <div className="text-center space-y-4">
+                        <p className="text-slate-600">Your password has been changed. All previous sessions were signed out.</p>
+                        <button onClick={() => navigate('/')} className="w-full bg-indigo-600 text-white py-2.5 rounded-lg font-medium hover:bg-indigo-700 transition-colors">
+                            Go to Sign In
+                        </button>
+                    </div>
+                ) : (
+                    <form onSubmit={handleSubmit} className="space-y-4">
+                        {error && <div className="bg-red-50 text-red-600 p-3 rounded-lg text-sm">{error}</div>}
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-1">New Password</label>
+                            <input
+                                type="password"
+                                value={password}
+                                onChange={(e) => setPassword(e.target.value)}
+                                className="w-full px-4 py-2 rounded-lg border border-slate-300 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none transition-all"
+                                required
+                            />
+                            <p className="text-xs text-slate-400 mt-1">{PASSWORD_HINT}</p>
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-1">Confirm Password</label>
+                            <input
+                                type="password"
+                                value={confirm}
+                                onChange={(e) => setConfirm(e.target.value)}
+                                className="w-full px-4 py-2 rounded-lg border border-slate-300 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none transition-all"
+                                required
+                            />
+                        </div>
+                        <button
+                            type="submit"
+                            disabled={loading}
+                            className="w-full bg-indigo-600 text-white py-2.5 rounded-lg font-medium hover:bg-indigo-700 transition-colors disabled:opacity-50"
+                        >
+                            {loading ? 'Saving...' : 'Set Password'}
+                        </button>
+                    </form>
+                )}
+            </div>
+        </div>
+    );
+};
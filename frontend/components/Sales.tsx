@@ -1,11 +1,13 @@
 
 import React, { useState, useMemo, useEffect } from 'react';
 import { useApp } from '../context/AppContext';
-import { Product, CartItem, Sale, Customer } from '../types';
-import { Plus, Trash2, Printer, Save, MapPin, Tag, User, Gift, X, CreditCard, Banknote, QrCode, Search, ShoppingBag, AlertCircle, History, FileText, ArrowLeft, Minus } from 'lucide-react';
+import { Product, CartItem, Sale, Customer, LoyaltySettings, SalesReturn, ReturnCondition, SalePayment, SalePaymentMethod } from '../types';
+import { getLoyaltySettings, getSaleInvoicePdf, getSaleReturns, createSalesReturn, getCreditNotePdf } from '../services/api';
+import { gstinStateCode } from '../constants';
+import { Plus, Trash2, Printer, Save, MapPin, Tag, User, Gift, X, CreditCard, Banknote, QrCode, Search, ShoppingBag, AlertCircle, History, FileText, ArrowLeft, Minus, RotateCcw, BookOpen } from 'lucide-react';
 
 export const Sales: React.FC = () => {
-    const { products, locations, addSale, customers, addCustomer, sales } = useApp();
+    const { token, products, locations, addSale, customers, addCustomer, sales, addNotification, reloadContext } = useApp();
     const [currentLocationId, setCurrentLocationId] = useState<string>(locations[0].id);
     const [activeTab, setActiveTab] = useState<'POS' | 'HISTORY'>('POS');
 
@@ -15,15 +17,30 @@ export const Sales: React.FC = () => {
     const [customerSearch, setCustomerSearch] = useState('');
     const [productSearch, setProductSearch] = useState('');
     const [billDiscountPercent, setBillDiscountPercent] = useState<number>(0);
+    const [loyaltySettings, setLoyaltySettings] = useState<LoyaltySettings | null>(null);
+    const [redeemPoints, setRedeemPoints] = useState<number>(0);
 
     // History State
     const [historySearch, setHistorySearch] = useState('');
 
+    // Return Modal State
+    const [returnSale, setReturnSale] = useState<Sale | null>(null);
+    const [returnedQty, setReturnedQty] = useState<Record<number, number>>({}); // lineIndex -> already returned
+    const [returnLines, setReturnLines] = useState<Record<number, { quantity: number; condition: ReturnCondition }>>({});
+    const [returnReason, setReturnReason] = useState('');
+    const [isSubmittingReturn, setIsSubmittingReturn] = useState(false);
+
     // Payment Modal State
     const [isPaymentModalOpen, setIsPaymentModalOpen] = useState(false);
-    const [paymentMethod, setPaymentMethod] = useState<'CASH' | 'CARD' | 'UPI'>('CASH');
+    const [paymentMethod, setPaymentMethod] = useState<SalePaymentMethod>('CASH'); // Pays whatever the split lines leave
+    const [splitPayments, setSplitPayments] = useState<SalePayment[]>([]);
     const [cardDetails, setCardDetails] = useState({ number: '', expiry: '', cvv: '' });
 
+    useEffect(() => {
+        if (!token) return;
+        getLoyaltySettings(token).then(setLoyaltySettings).catch(() => setLoyaltySettings(null));
+    }, [token]);
+
     // Auto-Add Logic (Scan Support)
     useEffect(() => {
         const match = products.find(p => p.sku === productSearch || p.barcode === productSearch);
@@ -136,12 +153,44 @@ export const Sales: React.FC = () => {
 
     const { rawSubtotal, billDiscountAmount, finalSubtotal, finalTax, grandTotal } = calculateTotals();
 
-    const handlePayment = () => {
+    // Preview of the split the server will apply: IGST when the buyer is in another state than this location
+    const sellerState = locations.find(l => l.id === currentLocationId)?.stateCode;
+    const buyerState = selectedCustomer ? gstinStateCode(selectedCustomer.gstNumber) || selectedCustomer.stateCode : undefined;
+    const taxLabel = sellerState && buyerState ? (buyerState !== sellerState ? 'IGST' : 'CGST + SGST') : 'GST';
+
+    // Points can pay for part of the bill; the server re-checks the balance and the cap
+    const maxRedeemablePoints = selectedCustomer && loyaltySettings?.enabled
+        ? Math.max(0, Math.min(selectedCustomer.loyaltyPoints, Math.floor(grandTotal * loyaltySettings.maxRedeemPercent / 100 / loyaltySettings.pointValue)))
+        : 0;
+    const pointsToRedeem = Math.min(redeemPoints, maxRedeemablePoints);
+    const redeemedValue = pointsToRedeem * (loyaltySettings?.pointValue || 0);
+    const amountDue = grandTotal - redeemedValue;
+
+    // Split lines take fixed amounts; the selected method pays the rest. ON_ACCOUNT needs a customer with credit left
+    const splitTotal = splitPayments.reduce((sum, p) => sum + (p.amount || 0), 0);
+    const remainingDue = Math.round((amountDue - splitTotal) * 100) / 100;
+    const availableCredit = selectedCustomer ? Math.max(0, (selectedCustomer.creditLimit || 0) - (selectedCustomer.outstandingBalance || 0)) : 0;
+    const paymentError = remainingDue < 0
+        ? 'Split payments exceed the bill'
+        : paymentMethod === 'ON_ACCOUNT' && !selectedCustomer
+            ? 'Select a customer to sell on account'
+            : paymentMethod === 'ON_ACCOUNT' && remainingDue > availableCredit
+                ? `Only ₹${availableCredit.toFixed(2)} of credit is available`
+                : paymentMethod !== 'ON_ACCOUNT' && remainingDue <= 0 && splitPayments.length > 0
+                    ? 'Split payments already cover the bill; remove one'
+                    : '';
+
+    const handlePayment = async () => {
+        if (paymentError) return;
         const txnId = `TXN-${Date.now()}`;
-        const invId = `INV-${Date.now()}`;
+        const payments: SalePayment[] = [
+            ...splitPayments.filter(p => p.amount > 0),
+            { method: paymentMethod, amount: Math.max(0, remainingDue) }
+        ];
 
+        // Id, date, invoice number and GST split are assigned by the server
         const newSale: Sale = {
-            id: invId,
+            id: '',
             date: new Date().toISOString().split('T')[0],
             items: [...cart],
             totalAmount: grandTotal,
@@ -151,203 +200,107 @@ export const Sales: React.FC = () => {
             customerName: selectedCustomer ? selectedCustomer.name : (customerSearch || 'Walk-in'),
             customerId: selectedCustomer?.id,
             locationId: currentLocationId,
-            paymentMethod: paymentMethod,
-            transactionId: txnId
+            paymentMethod: payments.length > 1 ? 'SPLIT' : paymentMethod,
+            payments,
+            transactionId: txnId,
+            loyaltyPointsRedeemed: pointsToRedeem || undefined
         };
 
-        addSale(newSale);
+        const savedSale = await addSale(newSale);
+        // Keep the cart on failure (e.g. stock or points changed) so the sale can be corrected
+        if (!savedSale) return;
         setIsPaymentModalOpen(false);
         setCart([]);
         setSelectedCustomer(null);
         setCustomerSearch('');
         setBillDiscountPercent(0);
+        setRedeemPoints(0);
+        setPaymentMethod('CASH');
+        setSplitPayments([]);
 
-        generateInvoicePDF(newSale);
+        openInvoicePdf(savedSale);
     };
 
-    const generateInvoicePDF = (sale: Sale) => {
-        const locationInfo = locations.find(l => l.id === sale.locationId);
-
-        // Totals calculation for footer row
-        const totalQty = sale.items.reduce((acc, i) => acc + i.quantity, 0);
-
-        const invoiceContent = `
-        <!DOCTYPE html>
-        <html>
-          <head>
-            <title>Invoice ${sale.id}</title>
-            <style>
-                @import url('https://fonts.googleapis.com/css2?family=Inter:wght@400;600;700&display=swap');
-                body { font-family: 'Inter', sans-serif; color: #333; margin: 0; padding: 40px; background: white; }
-                .container { max-width: 800px; margin: 0 auto; }
-                
-                /* Header */
-                .header-top { display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 40px; }
-                .title { font-size: 42px; font-weight: 800; color: #1e293b; letter-spacing: -1px; line-height: 1; }
-                
-                .company-info { margin-top: 10px; font-size: 14px; line-height: 1.5; color: #64748b; }
-                .company-name { font-weight: 700; font-size: 16px; color: #334155; margin-bottom: 4px; display:block; }
-                
-                .invoice-meta { text-align: right; }
-                .meta-item { margin-bottom: 6px; }
-                .meta-label { font-size: 12px; text-transform: uppercase; color: #94a3b8; font-weight: 600; display: block; }
-                .meta-value { font-size: 15px; font-weight: 600; color: #334155; }
-                
-                /* Billed To */
-                .billed-section { margin-bottom: 40px; padding-bottom: 20px; border-bottom: 2px solid #e2e8f0; }
-                .section-title { font-size: 12px; text-transform: uppercase; color: #94a3b8; font-weight: 600; margin-bottom: 10px; }
-                .client-name { font-size: 18px; font-weight: 700; color: #1e293b; margin-bottom: 4px; }
-                .client-details { font-size: 14px; color: #64748b; line-height: 1.5; }
-                
-                /* Table */
-                table { width: 100%; border-collapse: collapse; margin-bottom: 30px; }
-                th { text-align: left; padding: 12px 0; border-bottom: 2px solid #3b82f6; color: #3b82f6; font-size: 12px; text-transform: uppercase; font-weight: 700; }
-                td { padding: 16px 0; border-bottom: 1px solid #e2e8f0; font-size: 14px; vertical-align: top; }
-                
-                .col-item { width: 40%; }
-                .col-qty { text-align: center; width: 10%; }
-                .col-price { text-align: right; width: 15%; }
-                .col-gst { text-align: right; width: 15%; }
-                .col-total { text-align: right; width: 20%; font-weight: 600; }
-                
-                .item-name { font-weight: 600; color: #334155; display: block; margin-bottom: 2px; }
-                .item-desc { font-size: 12px; color: #94a3b8; }
-                
-                /* Totals Footer */
-                .table-footer td { border-bottom: none; border-top: 2px solid #334155; padding-top: 12px; font-weight: 700; color: #1e293b; }
-                
-                /* Summary */
-                .summary-section { display: flex; justify-content: flex-end; }
-                .summary-table { width: 300px; }
-                .summary-row { display: flex; justify-content: space-between; padding: 6px 0; font-size: 14px; color: #64748b; }
-                .summary-row.total { font-size: 18px; font-weight: 700; color: #1e293b; border-top: 2px solid #e2e8f0; margin-top: 10px; padding-top: 10px; }
-                
-                /* Footer */
-                .footer { margin-top: 60px; text-align: center; font-size: 13px; color: #94a3b8; padding-top: 20px; border-top: 1px solid #f1f5f9; }
-                
-            </style>
-          </head>
-          <body>
-            <div class="container">
-                <div class="header-top">
-                    <div>
-                        <div class="title">INVOICE</div>
-                        <div class="company-info">
-                            <span class="company-name">Hanuman Trader</span>
-                            ${locationInfo?.address || 'Main Branch'}<br>
-                            Phone: +91 98765 43210<br>
-                            Email: billing@hanumantrader.com<br>
-                            GSTIN: 29AAAAA0000A1Z5
-                        </div>
-                    </div>
-                    <div class="invoice-meta">
-                        <div class="meta-item">
-                            <span class="meta-label">Invoice No</span>
-                            <span class="meta-value">#${sale.id}</span>
-                        </div>
-                        <div class="meta-item">
-                            <span class="meta-label">Date Issued</span>
-                            <span class="meta-value">${sale.date}</span>
-                        </div>
-                        <div class="meta-item">
-                            <span class="meta-label">Transaction ID</span>
-                            <span class="meta-value">${sale.transactionId}</span>
-                        </div>
-                    </div>
-                </div>
-                
-                <div class="billed-section">
-                    <div class="section-title">Billed To</div>
-                    <div class="client-name">${sale.customerName || 'Walk-in Customer'}</div>
-                    <div class="client-details">
-                        ${selectedCustomer?.address || 'Address not provided'}<br>
-                        ${selectedCustomer?.phone || ''}<br>
-                        ${selectedCustomer?.email || ''}
-                    </div>
-                </div>
+    // PDFs rendered by the server; the tab is opened before any fetch so popup blockers allow it
+    const openPdf = async (load: () => Promise<Blob>, failure: string, win = window.open('', '_blank')) => {
+        try {
+            const url = URL.createObjectURL(await load());
+            if (win) win.location.href = url;
+            else window.open(url, '_blank');
+        } catch (err: any) {
+            win?.close();
+            addNotification('ERROR', failure, err.message);
+        }
+    };
 
-                <table>
-                  <thead>
-                    <tr>
-                      <th class="col-item">Item Details</th>
-                      <th class="col-qty">Qty</th>
-                      <th class="col-price">Unit Price</th>
-                      <th class="col-gst">GST Charges</th>
-                      <th class="col-total">Total</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    ${sale.items.map(i => {
-            const taxable = i.price * i.quantity * (1 - i.discount / 100);
-            const gstAmount = taxable * (i.taxRate / 100);
-            const totalLine = taxable + gstAmount;
-            return `
-                          <tr>
-                            <td class="col-item">
-                                <span class="item-name">${i.name}</span>
-                                <span class="item-desc">SKU: ${i.sku || '-'} | HSN: ${i.hsnCode} | Rate: ${i.taxRate}%</span>
-                            </td>
-                            <td class="col-qty">${i.quantity}</td>
-                            <td class="col-price">₹${i.price}</td>
-                            <td class="col-gst">₹${gstAmount.toFixed(2)}</td>
-                            <td class="col-total">₹${totalLine.toFixed(2)}</td>
-                          </tr>
-                        `;
-        }).join('')}
-                    
-                    <tr class="table-footer">
-                        <td>Totals</td>
-                        <td class="col-qty">${totalQty}</td>
-                        <td></td>
-                        <td class="col-gst">₹${sale.totalTax.toFixed(2)}</td>
-                        <td class="col-total">₹${sale.totalAmount.toFixed(2)}</td>
-                    </tr>
-                  </tbody>
-                </table>
-
-                <div class="summary-section">
-                    <div class="summary-table">
-                        <div class="summary-row">
-                            <span>Subtotal</span>
-                            <span>₹${sale.subtotal.toFixed(2)}</span>
-                        </div>
-                         <div class="summary-row">
-                            <span>GST (Tax)</span>
-                            <span>₹${sale.totalTax.toFixed(2)}</span>
-                        </div>
-                        ${sale.billDiscount > 0 ? `
-                        <div class="summary-row" style="color: #ef4444;">
-                            <span>Discount (${sale.billDiscount}%)</span>
-                            <span>- ₹${(sale.subtotal * sale.billDiscount / 100).toFixed(2)}</span>
-                        </div>` : ''}
-                        <div class="summary-row total">
-                            <span>Grand Total</span>
-                            <span>₹${sale.totalAmount.toFixed(2)}</span>
-                        </div>
-                    </div>
-                </div>
-                
-                <div class="footer">
-                    <p>Thank you for your business!</p>
-                    <p>Terms & Conditions: Returns accepted within 7 days with original receipt.</p>
-                </div>
-            </div>
-          </body>
-        </html>
-      `;
+    const openInvoicePdf = (sale: Sale) => {
+        if (!token) return;
+        openPdf(() => getSaleInvoicePdf(token, sale.id), 'Failed to load invoice');
+    };
+
+    const openReturnModal = async (sale: Sale) => {
+        if (!token) return;
+        try {
+            const previous: SalesReturn[] = await getSaleReturns(token, sale.id);
+            const returned: Record<number, number> = {};
+            previous.forEach(r => r.items.forEach(i => { returned[i.lineIndex] = (returned[i.lineIndex] || 0) + i.quantity; }));
+            setReturnedQty(returned);
+            setReturnLines({});
+            setReturnReason('');
+            setReturnSale(sale);
+        } catch (err: any) {
+            addNotification('ERROR', 'Failed to load previous returns', err.message);
+        }
+    };
+
+    const setReturnLine = (lineIndex: number, change: Partial<{ quantity: number; condition: ReturnCondition }>) => {
+        setReturnLines(prev => ({ ...prev, [lineIndex]: { quantity: 0, condition: 'GOOD', ...prev[lineIndex], ...change } }));
+    };
+
+    // Line value incl. tax per unit, as the server will credit it
+    const unitCreditValue = (sale: Sale, item: CartItem) => {
+        if (item.taxableValue !== undefined) {
+            return (item.taxableValue + (item.cgst || 0) + (item.sgst || 0) + (item.igst || 0)) / item.quantity;
+        }
+        return item.price * (1 - item.discount / 100) * (1 - (sale.billDiscount || 0) / 100) * (1 + (item.taxRate || 0) / 100);
+    };
+
+    const returnTotal = returnSale
+        ? returnSale.items.reduce((sum, item, i) => sum + unitCreditValue(returnSale, item) * (returnLines[i]?.quantity || 0), 0)
+        : 0;
+
+    const handleSubmitReturn = async () => {
+        if (!token || !returnSale) return;
+        const items = returnSale.items
+            .map((_, lineIndex) => ({ lineIndex, quantity: returnLines[lineIndex]?.quantity || 0, condition: returnLines[lineIndex]?.condition || 'GOOD' }))
+            .filter(line => line.quantity > 0);
+        if (items.length === 0) {
+            addNotification('WARNING', 'Enter a quantity for at least one item');
+            return;
+        }
         const win = window.open('', '_blank');
-        win?.document.write(invoiceContent);
-        win?.document.close();
-        // Wait for content to load slightly before print to ensure styles apply
-        setTimeout(() => {
-            win?.print();
-        }, 500);
+        setIsSubmittingReturn(true);
+        try {
+            const created: SalesReturn = await createSalesReturn(token, returnSale.id, { items, reason: returnReason || undefined });
+            const restored = created.loyalty?.pointsRestored ? `, ${created.loyalty.pointsRestored} loyalty points restored` : '';
+            addNotification('SUCCESS', `Credit note ${created.creditNoteNumber} issued`, `Refund ₹${created.refundAmount.toFixed(2)}${restored}`);
+            setReturnSale(null);
+            reloadContext();
+            openPdf(() => getCreditNotePdf(token, created.id), 'Failed to load credit note', win);
+        } catch (err: any) {
+            win?.close();
+            addNotification('ERROR', 'Failed to record return', err.message);
+        } finally {
+            setIsSubmittingReturn(false);
+        }
     };
 
+    const isFullyReturned = (sale: Sale) => (sale.returnedAmount || 0) >= sale.totalAmount - 0.005;
+
     const filteredHistory = useMemo(() => {
         if (!historySearch) return sales;
         const lower = historySearch.toLowerCase();
-        return sales.filter(s => s.id.toLowerCase().includes(lower) || s.customerName?.toLowerCase().includes(lower) || s.transactionId.toLowerCase().includes(lower));
+        return sales.filter(s => s.id.toLowerCase().includes(lower) || s.invoiceNumber?.toLowerCase().includes(lower) || s.customerName?.toLowerCase().includes(lower) || s.transactionId.toLowerCase().includes(lower));
     }, [sales, historySearch]);
 
 
@@ -371,7 +324,7 @@ export const Sales: React.FC = () => {
                     <table className="w-full text-left text-sm">
                         <thead className="bg-slate-50 dark:bg-slate-700/50 border-b border-slate-200 dark:border-slate-700 text-slate-500 dark:text-slate-400">
                             <tr>
-                                <th className="p-4">Invoice ID</th>
+                                <th className="p-4">Invoice No.</th>
                                 <th className="p-4">Date</th>
                                 <th className="p-4">Customer</th>
                                 <th className="p-4">Items</th>
@@ -383,16 +336,29 @@ export const Sales: React.FC = () => {
                         <tbody className="divide-y divide-slate-100 dark:divide-slate-700">
                             {filteredHistory.map(s => (
                                 <tr key={s.id} className="hover:bg-slate-50 dark:hover:bg-slate-700/50 text-slate-700 dark:text-slate-300">
-                                    <td className="p-4 font-mono text-slate-600 dark:text-slate-400">{s.id}</td>
+                                    <td className="p-4 font-mono text-slate-600 dark:text-slate-400">{s.invoiceNumber || s.id}</td>
                                     <td className="p-4">{s.date}</td>
                                     <td className="p-4 font-medium text-slate-900 dark:text-white">{s.customerName}</td>
                                     <td className="p-4">{s.items.length}</td>
                                     <td className="p-4 text-right font-bold text-slate-900 dark:text-white">₹{s.totalAmount.toFixed(2)}</td>
-                                    <td className="p-4 text-center"><span className="bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400 text-xs px-2 py-1 rounded-full uppercase font-bold">Paid</span></td>
-                                    <td className="p-4 text-right">
-                                        <button onClick={() => generateInvoicePDF(s)} className="p-2 text-indigo-600 dark:text-indigo-400 hover:bg-indigo-50 dark:hover:bg-indigo-900/30 rounded" title="Reprint Invoice">
+                                    <td className="p-4 text-center">
+                                        {isFullyReturned(s) ? (
+                                            <span className="bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400 text-xs px-2 py-1 rounded-full uppercase font-bold">Returned</span>
+                                        ) : s.returnedAmount ? (
+                                            <span className="bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400 text-xs px-2 py-1 rounded-full uppercase font-bold" title={`₹${s.returnedAmount.toFixed(2)} credited`}>Part Returned</span>
+                                        ) : s.balanceDue ? (
+                                            <span className="bg-orange-100 text-orange-700 dark:bg-orange-900/30 dark:text-orange-400 text-xs px-2 py-1 rounded-full uppercase font-bold" title={`₹${s.balanceDue.toFixed(2)} on account`}>Due</span>
+                                        ) : (
+                                            <span className="bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400 text-xs px-2 py-1 rounded-full uppercase font-bold">Paid</span>
+                                        )}
+                                    </td>
+                                    <td className="p-4 text-right whitespace-nowrap">
+                                        <button onClick={() => openInvoicePdf(s)} className="p-2 text-indigo-600 dark:text-indigo-400 hover:bg-indigo-50 dark:hover:bg-indigo-900/30 rounded" title="Reprint Invoice">
                                             <Printer size={18} />
                                         </button>
+                                        <button onClick={() => openReturnModal(s)} disabled={isFullyReturned(s)} className="p-2 text-orange-600 dark:text-orange-400 hover:bg-orange-50 dark:hover:bg-orange-900/30 rounded disabled:opacity-30 disabled:cursor-not-allowed" title="Return Items">
+                                            <RotateCcw size={18} />
+                                        </button>
                                     </td>
                                 </tr>
                             ))}
@@ -400,6 +366,86 @@ export const Sales: React.FC = () => {
                         </tbody>
                     </table>
                 </div>
+
+                {returnSale && (
+                    <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4 backdrop-blur-sm" onClick={(e) => { if (e.target === e.currentTarget) setReturnSale(null); }}>
+                        <div className="bg-white dark:bg-slate-800 rounded-xl shadow-2xl max-w-2xl w-full p-6 animate-in zoom-in-95 border border-slate-200 dark:border-slate-700">
+                            <div className="flex justify-between items-start mb-4">
+                                <div>
+                                    <h3 className="text-xl font-bold text-slate-800 dark:text-white">Return Items</h3>
+                                    <p className="text-sm text-slate-500 dark:text-slate-400">Invoice {returnSale.invoiceNumber || returnSale.id} · {returnSale.date} · {returnSale.customerName || 'Walk-in Customer'}</p>
+                                </div>
+                                <button onClick={() => setReturnSale(null)} className="p-1 text-slate-400 hover:text-slate-600 dark:hover:text-slate-200"><X size={20} /></button>
+                            </div>
+
+                            <div className="max-h-80 overflow-y-auto border border-slate-200 dark:border-slate-700 rounded-lg mb-4">
+                                <table className="w-full text-left text-sm">
+                                    <thead className="bg-slate-50 dark:bg-slate-700/50 text-slate-500 dark:text-slate-400">
+                                        <tr>
+                                            <th className="p-3">Item</th>
+                                            <th className="p-3 text-right">Sold</th>
+                                            <th className="p-3 text-right">Returned</th>
+                                            <th className="p-3">Return Qty</th>
+                                            <th className="p-3">Condition</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-slate-100 dark:divide-slate-700 text-slate-700 dark:text-slate-300">
+                                        {returnSale.items.map((item, i) => {
+                                            const available = item.quantity - (returnedQty[i] || 0);
+                                            return (
+                                                <tr key={i}>
+                                                    <td className="p-3 font-medium text-slate-900 dark:text-white">{item.name}</td>
+                                                    <td className="p-3 text-right">{item.quantity}</td>
+                                                    <td className="p-3 text-right">{returnedQty[i] || 0}</td>
+                                                    <td className="p-3">
+                                                        <input
+                                                            type="number"
+                                                            min={0}
+                                                            max={available}
+                                                            disabled={available <= 0}
+                                                            className="w-20 p-1.5 border border-slate-300 dark:border-slate-600 rounded bg-white dark:bg-slate-700 text-slate-900 dark:text-white disabled:opacity-50"
+                                                            value={returnLines[i]?.quantity || ''}
+                                                            placeholder="0"
+                                                            onChange={e => setReturnLine(i, { quantity: Math.min(available, Math.max(0, Number(e.target.value))) })}
+                                                        />
+                                                    </td>
+                                                    <td className="p-3">
+                                                        <select
+                                                            disabled={available <= 0}
+                                                            className="p-1.5 border border-slate-300 dark:border-slate-600 rounded bg-white dark:bg-slate-700 text-slate-900 dark:text-white disabled:opacity-50"
+                                                            value={returnLines[i]?.condition || 'GOOD'}
+                                                            onChange={e => setReturnLine(i, { condition: e.target.value as ReturnCondition })}
+                                                        >
+                                                            <option value="GOOD">Good (restock)</option>
+                                                            <option value="DAMAGED">Damaged</option>
+                                                        </select>
+                                                    </td>
+                                                </tr>
+                                            );
+                                        })}
+                                    </tbody>
+                                </table>
+                            </div>
+
+                            <input
+                                placeholder="Reason for return (optional)"
+                                className="w-full border border-slate-300 dark:border-slate-600 p-2.5 rounded-lg outline-none focus:ring-2 focus:ring-indigo-500 bg-white dark:bg-slate-700 text-slate-900 dark:text-white mb-4"
+                                value={returnReason}
+                                onChange={e => setReturnReason(e.target.value)}
+                            />
+
+                            <div className="flex justify-between items-center">
+                                <p className="text-slate-500 dark:text-slate-400">Credit Note Total: <span className="text-indigo-600 dark:text-indigo-400 font-bold text-lg">₹{returnTotal.toFixed(2)}</span></p>
+                                <div className="flex gap-3">
+                                    <button onClick={() => setReturnSale(null)} className="px-4 py-2 text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-700 rounded-lg">Cancel</button>
+                                    <button onClick={handleSubmitReturn} disabled={isSubmittingReturn || returnTotal <= 0} className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 font-medium disabled:opacity-50 flex items-center gap-2">
+                                        <RotateCcw size={16} /> {isSubmittingReturn ? 'Recording...' : 'Issue Credit Note'}
+                                    </button>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                )}
             </div>
         );
     }
@@ -558,12 +604,22 @@ export const Sales: React.FC = () => {
                         <span className="text-red-500">- ₹{billDiscountAmount.toFixed(2)}</span>
                     </div>
                     <div className="flex justify-between text-slate-600 dark:text-slate-400">
-                        <span>GST (Included/Calc)</span>
+                        <span>{taxLabel} (Included/Calc)</span>
                         <span>₹{finalTax.toFixed(2)}</span>
                     </div>
+                    {maxRedeemablePoints > 0 && (
+                        <div className="flex justify-between items-center text-slate-600 dark:text-slate-400">
+                            <span className="flex items-center gap-1">
+                                <Gift size={14} className="text-indigo-500" /> Redeem Points
+                                <input type="number" min={0} max={maxRedeemablePoints} className="w-14 border dark:border-slate-600 rounded px-1 text-center bg-white dark:bg-slate-800 outline-none" value={redeemPoints} onChange={e => setRedeemPoints(Math.max(0, Math.floor(Number(e.target.value))))} />
+                                <span className="text-[10px] text-slate-400">/ {maxRedeemablePoints}</span>
+                            </span>
+                            <span className="text-green-600">- ₹{redeemedValue.toFixed(2)}</span>
+                        </div>
+                    )}
                     <div className="flex justify-between text-lg font-bold text-slate-800 dark:text-white pt-2 border-t border-slate-200 dark:border-slate-600 mt-2">
                         <span>Total Payable</span>
-                        <span>₹{grandTotal.toFixed(2)}</span>
+                        <span>₹{amountDue.toFixed(2)}</span>
                     </div>
 
                     <button
@@ -581,9 +637,28 @@ export const Sales: React.FC = () => {
                 <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4 backdrop-blur-sm">
                     <div className="bg-white dark:bg-slate-800 rounded-xl shadow-2xl max-w-md w-full p-6 animate-in zoom-in-95 border border-slate-200 dark:border-slate-700">
                         <h3 className="text-xl font-bold mb-1 text-slate-800 dark:text-white">Payment</h3>
-                        <p className="text-slate-500 dark:text-slate-400 mb-6">Total Amount: <span className="text-indigo-600 dark:text-indigo-400 font-bold text-lg">₹{grandTotal.toFixed(2)}</span></p>
+                        <p className="text-slate-500 dark:text-slate-400 mb-6">Total Amount: <span className="text-indigo-600 dark:text-indigo-400 font-bold text-lg">₹{amountDue.toFixed(2)}</span>
+                            {pointsToRedeem > 0 && <span className="block text-xs text-green-600">{pointsToRedeem} loyalty points applied (₹{redeemedValue.toFixed(2)})</span>}
+                        </p>
+
+                        {splitPayments.length > 0 && (
+                            <div className="space-y-2 mb-4">
+                                {splitPayments.map((p, i) => (
+                                    <div key={i} className="flex items-center gap-2">
+                                        <select className="border border-slate-300 dark:border-slate-600 p-2 rounded-lg text-sm bg-white dark:bg-slate-700 text-slate-900 dark:text-white" value={p.method} onChange={e => setSplitPayments(splitPayments.map((line, j) => j === i ? { ...line, method: e.target.value as SalePaymentMethod } : line))}>
+                                            <option value="CASH">Cash</option>
+                                            <option value="CARD">Card</option>
+                                            <option value="UPI">UPI</option>
+                                        </select>
+                                        <input type="number" min={0} step="0.01" placeholder="Amount" className="flex-1 border border-slate-300 dark:border-slate-600 p-2 rounded-lg text-sm outline-none bg-white dark:bg-slate-700 text-slate-900 dark:text-white" value={p.amount || ''} onChange={e => setSplitPayments(splitPayments.map((line, j) => j === i ? { ...line, amount: Math.max(0, Number(e.target.value)) } : line))} />
+                                        <button onClick={() => setSplitPayments(splitPayments.filter((_, j) => j !== i))} className="p-2 text-slate-400 hover:text-red-500"><X size={16} /></button>
+                                    </div>
+                                ))}
+                                <p className="text-xs text-slate-500 dark:text-slate-400">Balance of ₹{Math.max(0, remainingDue).toFixed(2)} by the method below</p>
+                            </div>
+                        )}
 
-                        <div className="grid grid-cols-3 gap-3 mb-6">
+                        <div className="grid grid-cols-4 gap-3 mb-3">
                             <button onClick={() => setPaymentMethod('CASH')} className={`p-3 border dark:border-slate-600 rounded-lg flex flex-col items-center transition-colors ${paymentMethod === 'CASH' ? 'bg-indigo-50 border-indigo-500 text-indigo-700 dark:bg-indigo-900/30 dark:border-indigo-500 dark:text-indigo-400' : 'hover:bg-slate-50 dark:hover:bg-slate-700 text-slate-600 dark:text-slate-400'}`}>
                                 <Banknote size={24} className="mb-1" /> <span className="text-xs font-bold">Cash</span>
                             </button>
@@ -593,7 +668,22 @@ export const Sales: React.FC = () => {
                             <button onClick={() => setPaymentMethod('UPI')} className={`p-3 border dark:border-slate-600 rounded-lg flex flex-col items-center transition-colors ${paymentMethod === 'UPI' ? 'bg-indigo-50 border-indigo-500 text-indigo-700 dark:bg-indigo-900/30 dark:border-indigo-500 dark:text-indigo-400' : 'hover:bg-slate-50 dark:hover:bg-slate-700 text-slate-600 dark:text-slate-400'}`}>
                                 <QrCode size={24} className="mb-1" /> <span className="text-xs font-bold">UPI</span>
                             </button>
+                            <button onClick={() => setPaymentMethod('ON_ACCOUNT')} disabled={!selectedCustomer} title={selectedCustomer ? `₹${availableCredit.toFixed(2)} credit available` : 'Select a customer to sell on account'} className={`p-3 border dark:border-slate-600 rounded-lg flex flex-col items-center transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${paymentMethod === 'ON_ACCOUNT' ? 'bg-indigo-50 border-indigo-500 text-indigo-700 dark:bg-indigo-900/30 dark:border-indigo-500 dark:text-indigo-400' : 'hover:bg-slate-50 dark:hover:bg-slate-700 text-slate-600 dark:text-slate-400'}`}>
+                                <BookOpen size={24} className="mb-1" /> <span className="text-xs font-bold">On Account</span>
+                            </button>
                         </div>
+                        <button onClick={() => setSplitPayments([...splitPayments, { method: paymentMethod === 'CASH' ? 'CARD' : 'CASH', amount: 0 }])} className="text-xs text-indigo-600 dark:text-indigo-400 font-medium hover:underline mb-4 flex items-center gap-1">
+                            <Plus size={12} /> Split payment
+                        </button>
+
+                        {paymentMethod === 'ON_ACCOUNT' && selectedCustomer && (
+                            <div className="bg-slate-50 dark:bg-slate-700/50 p-4 rounded-lg mb-4 text-sm text-slate-600 dark:text-slate-300 border border-slate-100 dark:border-slate-700 space-y-1">
+                                <div className="flex justify-between"><span>Credit limit</span><span>₹{(selectedCustomer.creditLimit || 0).toFixed(2)}</span></div>
+                                <div className="flex justify-between"><span>Outstanding</span><span>₹{(selectedCustomer.outstandingBalance || 0).toFixed(2)}</span></div>
+                                <div className="flex justify-between font-medium"><span>Available</span><span>₹{availableCredit.toFixed(2)}</span></div>
+                                <div className="flex justify-between font-bold text-slate-800 dark:text-white"><span>Charged to account</span><span>₹{Math.max(0, remainingDue).toFixed(2)}</span></div>
+                            </div>
+                        )}
 
                         {paymentMethod === 'CASH' && (
                             <div className="bg-orange-50 dark:bg-orange-900/20 p-4 rounded-lg mb-4 text-center text-sm text-orange-800 dark:text-orange-300 border border-orange-100 dark:border-orange-900/50 flex items-center justify-center gap-2">
@@ -620,9 +710,15 @@ export const Sales: React.FC = () => {
                             </div>
                         )}
 
+                        {paymentError && (
+                            <div className="flex items-center gap-2 text-sm text-red-600 dark:text-red-400 mb-4">
+                                <AlertCircle size={16} /> {paymentError}
+                            </div>
+                        )}
+
                         <div className="flex gap-3">
                             <button onClick={() => setIsPaymentModalOpen(false)} className="flex-1 py-2.5 border border-slate-300 dark:border-slate-600 rounded-lg text-slate-700 dark:text-slate-300 font-medium hover:bg-slate-50 dark:hover:bg-slate-700">Cancel</button>
-                            <button onClick={handlePayment} className="flex-1 py-2.5 bg-indigo-600 text-white rounded-lg font-bold hover:bg-indigo-700 shadow-md">Complete Sale</button>
+                            <button onClick={handlePayment} disabled={!!paymentError} className="flex-1 py-2.5 bg-indigo-600 text-white rounded-lg font-bold hover:bg-indigo-700 shadow-md disabled:opacity-50">Complete Sale</button>
                         </div>
                     </div>
                 </div>
@@ -0,0 +1,276 @@
+import React, { useEffect, useState } from 'react';
+import { useApp } from '../context/AppContext';
+import { changePassword, getSessions, revokeSession, getTwoFactorStatus, setupTwoFactor, enableTwoFactor, disableTwoFactor, regenerateBackupCodes, getSecuritySettings, updateSecuritySettings } from '../services/api';
+import { UserSession, TwoFactorStatus, Role } from '../types';
+import { Lock, Monitor, LogOut, Save, ShieldCheck, KeyRound } from 'lucide-react';
+import { PASSWORD_HINT } from './ResetPassword';
+
+export const SecuritySettings: React.FC = () => {
+    const { token, addNotification } = useApp();
+    const [form, setForm] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+    const [saving, setSaving] = useState(false);
+    const [sessions, setSessions] = useState<UserSession[]>([]);
+
+    const fetchSessions = async () => {
+        if (!token) return;
+        try {
+            setSessions(await getSessions(token));
+        } catch (err: any) {
+            addNotification('ERROR', 'Failed to load sessions', err.message);
+        }
+    };
+
+    useEffect(() => {
+        fetchSessions();
+    }, [token]);
+
+    const handleChangePassword = async (e: React.FormEvent) => {
+        e.preventDefault();
+        if (!token) return;
+        if (form.newPassword !== form.confirmPassword) {
+            addNotification('ERROR', 'Passwords do not match');
+            return;
+        }
+        setSaving(true);
+        try {
+            await changePassword(token, form.currentPassword, form.newPassword);
+            setForm({ currentPassword: '', newPassword: '', confirmPassword: '' });
+            addNotification('SUCCESS', 'Password changed', 'Other devices have been signed out');
+            fetchSessions();
+        } catch (err: any) {
+            addNotification('ERROR', 'Failed to change password', err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleRevoke = async (sessionId?: string) => {
+        if (!token) return;
+        try {
+            await revokeSession(token, sessionId);
+            fetchSessions();
+        } catch (err: any) {
+            addNotification('ERROR', 'Failed to revoke session', err.message);
+        }
+    };
+
+    return (
+        <div className="space-y-8 animate-in fade-in">
+            <form onSubmit={handleChangePassword} className="max-w-xl space-y-4">
+                <h3 className="text-lg font-bold text-slate-800 flex items-center gap-2"><Lock size={18} /> Change Password</h3>
+                {(['currentPassword', 'newPassword', 'confirmPassword'] as const).map(field => (
+                    <div key={field}>
+                        <label className="block text-sm font-medium text-slate-700 mb-1">
+                            {field === 'currentPassword' ? 'Current Password' : field === 'newPassword' ? 'New Password' : 'Confirm New Password'}
+                        </label>
+                        <input
+                            type="password"
+                            required
+                            className="w-full p-2.5 border border-slate-300 rounded-lg outline-none focus:border-indigo-500"
+                            value={form[field]}
+                            onChange={e => setForm({ ...form, [field]: e.target.value })}
+                        />
+                        {field === 'newPassword' && <p className="text-xs text-slate-400 mt-1">{PASSWORD_HINT}</p>}
+                    </div>
+                ))}
+                <button type="submit" disabled={saving} className="bg-indigo-600 text-white px-6 py-2.5 rounded-lg hover:bg-indigo-700 flex items-center gap-2 font-medium disabled:opacity-50">
+                    <Save size={18} /> {saving ? 'Saving...' : 'Update Password'}
+                </button>
+            </form>
+
+            <TwoFactorSettings />
+
+            <div className="pt-6 border-t border-slate-100">
+                <div className="flex items-center justify-between mb-4">
+                    <h3 className="text-lg font-bold text-slate-800 flex items-center gap-2"><Monitor size={18} /> Active Sessions</h3>
+                    {sessions.length > 1 && (
+                        <button onClick={() => handleRevoke()} className="text-sm text-red-600 hover:bg-red-50 px-3 py-1.5 rounded-lg font-medium">
+                            Sign out all other devices
+                        </button>
+                    )}
+                </div>
+                <div className="space-y-2">
+                    {sessions.map(session => (
+                        <div key={session.id} className="flex items-center justify-between p-3 border rounded-lg">
+                            <div>
+                                <div className="text-sm font-medium text-slate-800 truncate max-w-md">
+                                    {session.userAgent || 'Unknown device'}
+                                    {session.current && <span className="ml-2 px-2 py-0.5 bg-green-100 text-green-700 rounded text-xs">This device</span>}
+                                </div>
+                                <div className="text-xs text-slate-500">
+                                    {session.ipAddress} · Last active {new Date(session.lastUsedAt).toLocaleString()}
+                                </div>
+                            </div>
+                            {!session.current && (
+                                <button onClick={() => handleRevoke(session.id)} className="p-2 text-red-500 hover:bg-red-50 rounded-lg" title="Sign out">
+                                    <LogOut size={16} />
+                                </button>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// TOTP enrollment: setup returns a secret + otpauth:// URI, the first valid code enables it
+const TwoFactorSettings: React.FC = () => {
+    const { token, currentUser, addNotification } = useApp();
+    const [status, setStatus] = useState<TwoFactorStatus | null>(null);
+    const [enrollment, setEnrollment] = useState<{ secret: string; otpauthUri: string } | null>(null);
+    const [backupCodes, setBackupCodes] = useState<string[] | null>(null);
+    const [code, setCode] = useState('');
+    const [password, setPassword] = useState('');
+    const [requireForOwners, setRequireForOwners] = useState(false);
+
+    // Tenant-wide policy; super admins have no tenant of their own
+    const canManagePolicy = currentUser?.role === Role.WAREHOUSE_OWNER;
+
+    const fetchStatus = async () => {
+        if (!token) return;
+        try {
+            setStatus(await getTwoFactorStatus(token));
+            if (canManagePolicy) setRequireForOwners((await getSecuritySettings(token)).requireOwnerTwoFactor);
+        } catch (err: any) {
+            addNotification('ERROR', 'Failed to load two-factor status', err.message);
+        }
+    };
+
+    useEffect(() => {
+        fetchStatus();
+    }, [token]);
+
+    const run = async (action: () => Promise<void>, failure: string) => {
+        try {
+            await action();
+            setCode('');
+            setPassword('');
+        } catch (err: any) {
+            addNotification('ERROR', failure, err.message);
+        }
+    };
+
+    const handleStart = () => run(async () => {
+        setEnrollment(await setupTwoFactor(token!));
+    }, 'Failed to start setup');
+
+    const handleEnable = (e: React.FormEvent) => {
+        e.preventDefault();
+        run(async () => {
+            const data = await enableTwoFactor(token!, code);
+            setBackupCodes(data.backupCodes);
+            setEnrollment(null);
+            addNotification('SUCCESS', 'Two-factor authentication enabled');
+            fetchStatus();
+        }, 'Failed to enable two-factor authentication');
+    };
+
+    const handleDisable = (e: React.FormEvent) => {
+        e.preventDefault();
+        run(async () => {
+            await disableTwoFactor(token!, password, code);
+            setBackupCodes(null);
+            addNotification('SUCCESS', 'Two-factor authentication disabled');
+            fetchStatus();
+        }, 'Failed to disable two-factor authentication');
+    };
+
+    const handleRegenerate = () => run(async () => {
+        const data = await regenerateBackupCodes(token!, code);
+        setBackupCodes(data.backupCodes);
+        fetchStatus();
+    }, 'Failed to regenerate backup codes');
+
+    const handleTogglePolicy = () => run(async () => {
+        const data = await updateSecuritySettings(token!, { requireOwnerTwoFactor: !requireForOwners });
+        setRequireForOwners(data.requireOwnerTwoFactor);
+    }, 'Failed to update security settings');
+
+    if (!status) return null;
+
+    const inputClass = 'p-2.5 border border-slate-300 rounded-lg outline-none focus:border-indigo-500';
+
+    return (
+        <div className="pt-6 border-t border-slate-100 max-w-xl space-y-4">
+            <h3 className="text-lg font-bold text-slate-800 flex items-center gap-2">
+                <ShieldCheck size={18} /> Two-Factor Authentication
+                <span className={`px-2 py-0.5 rounded text-xs ${status.enabled ? 'bg-green-100 text-green-700' : 'bg-slate-100 text-slate-600'}`}>
+                    {status.enabled ? 'On' : 'Off'}
+                </span>
+            </h3>
+
+            {status.required && !status.enabled && (
+                <div className="bg-amber-50 text-amber-800 p-3 rounded-lg text-sm">
+                    Your business requires two-factor authentication for owners. Set it up to continue using the app.
+                </div>
+            )}
+
+            {backupCodes && (
+                <div className="p-4 border border-amber-200 bg-amber-50 rounded-lg">
+                    <p className="text-sm font-medium text-amber-900 mb-2">Save these backup codes now. Each works once and they will not be shown again.</p>
+                    <div className="grid grid-cols-2 gap-1 font-mono text-sm">
+                        {backupCodes.map(c => <span key={c}>{c}</span>)}
+                    </div>
+                </div>
+            )}
+
+            {!status.enabled && !enrollment && (
+                <button onClick={handleStart} className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 font-medium text-sm">
+                    Set Up Authenticator App
+                </button>
+            )}
+
+            {!status.enabled && enrollment && (
+                <form onSubmit={handleEnable} className="space-y-3">
+                    <p className="text-sm text-slate-600">
+                        Add this account to your authenticator app by opening the setup link on your phone, or enter the key manually. Then type the 6-digit code it shows.
+                    </p>
+                    <a href={enrollment.otpauthUri} className="text-sm text-indigo-600 underline break-all">{enrollment.otpauthUri}</a>
+                    <div className="font-mono text-sm bg-slate-50 border rounded-lg p-2 break-all">{enrollment.secret}</div>
+                    <div className="flex gap-2">
+                        <input className={`${inputClass} flex-1`} placeholder="123456" value={code} onChange={e => setCode(e.target.value)} required />
+                        <button type="submit" className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 font-medium text-sm">Verify & Enable</button>
+                    </div>
+                </form>
+            )}
+
+            {status.enabled && (
+                <div className="space-y-3">
+                    <p className="text-sm text-slate-500 flex items-center gap-1">
+                        <KeyRound size={14} /> {status.backupCodesRemaining} backup code(s) remaining
+                    </p>
+                    <form onSubmit={handleDisable} className="flex flex-wrap gap-2">
+                        <input className={`${inputClass} w-32`} placeholder="Code" value={code} onChange={e => setCode(e.target.value)} required />
+                        {!status.required && (
+                            <input className={`${inputClass} flex-1`} type="password" placeholder="Password (to disable)" value={password} onChange={e => setPassword(e.target.value)} />
+                        )}
+                        <button type="button" onClick={handleRegenerate} className="bg-white border border-slate-300 text-slate-700 px-4 py-2 rounded-lg hover:bg-slate-100 font-medium text-sm">
+                            New Backup Codes
+                        </button>
+                        {!status.required && (
+                            <button type="submit" disabled={!password} className="bg-white border border-red-300 text-red-600 px-4 py-2 rounded-lg hover:bg-red-50 font-medium text-sm disabled:opacity-50">
+                                Disable
+                            </button>
+                        )}
+                    </form>
+                </div>
+            )}
+
+            {canManagePolicy && (
+                <div className="flex items-center justify-between p-4 border rounded-lg">
+                    <div>
+                        <h4 className="font-medium text-slate-800">Require for all owners</h4>
+                        <p className="text-xs text-slate-500">Owner accounts in this business must use two-factor authentication.</p>
+                    </div>
+                    <div
+                        onClick={handleTogglePolicy}
+                        className={`w-12 h-6 rounded-full p-1 cursor-pointer transition-colors ${requireForOwners ? 'bg-indigo-600' : 'bg-slate-300'}`}
+                    >
+                        <div className={`w-4 h-4 bg-white rounded-full shadow-sm transform transition-transform ${requireForOwners ? 'translate-x-6' : 'translate-x-0'}`}></div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
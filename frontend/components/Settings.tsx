@@ -1,12 +1,20 @@
 import React, { useState, useEffect } from 'react';
 import { useApp } from '../context/AppContext';
-import { User, Bell, Database, Save, Trash2, Plus, Shield, Mail, Phone, AlertTriangle } from 'lucide-react';
+import { useSearchParams } from 'react-router-dom';
+import { User, Bell, Database, Save, Trash2, Plus, Shield, Mail, Phone, AlertTriangle, Lock, Building2, MapPin, Gift } from 'lucide-react';
 import { getUsers, createUser, deleteUser } from '../services/api';
 import { UsersComp } from './Users';
+import { SecuritySettings } from './SecuritySettings';
+import { BusinessSettings } from './BusinessSettings';
+import { LocationSettings } from './LocationSettings';
+import { LoyaltySettings } from './LoyaltySettings';
 
 export const Settings: React.FC = () => {
     const { locations, token } = useApp();
-    const [activeTab, setActiveTab] = useState<'profile' | 'users' | 'data' | 'notifications'>('profile');
+    const [searchParams] = useSearchParams();
+    const [activeTab, setActiveTab] = useState<'profile' | 'business' | 'locations' | 'loyalty' | 'security' | 'users' | 'data' | 'notifications'>(
+        searchParams.get('tab') === 'security' ? 'security' : 'profile'
+    );
 
     // Profile State
     const [profile, setProfile] = useState({ name: 'John Doe', email: 'admin@hanumantrader.com', role: 'Super Admin', phone: '+91 98765 43210' });
@@ -39,6 +47,18 @@ export const Settings: React.FC = () => {
                     <button onClick={() => setActiveTab('profile')} className={`text-left px-4 py-3 rounded-lg flex items-center gap-3 font-medium transition-colors ${activeTab === 'profile' ? 'bg-indigo-600 text-white shadow' : 'bg-white text-slate-600 hover:bg-slate-50'}`}>
                         <User size={18} /> Profile
                     </button>
+                    <button onClick={() => setActiveTab('business')} className={`text-left px-4 py-3 rounded-lg flex items-center gap-3 font-medium transition-colors ${activeTab === 'business' ? 'bg-indigo-600 text-white shadow' : 'bg-white text-slate-600 hover:bg-slate-50'}`}>
+                        <Building2 size={18} /> Business
+                    </button>
+                    <button onClick={() => setActiveTab('locations')} className={`text-left px-4 py-3 rounded-lg flex items-center gap-3 font-medium transition-colors ${activeTab === 'locations' ? 'bg-indigo-600 text-white shadow' : 'bg-white text-slate-600 hover:bg-slate-50'}`}>
+                        <MapPin size={18} /> Locations
+                    </button>
+                    <button onClick={() => setActiveTab('loyalty')} className={`text-left px-4 py-3 rounded-lg flex items-center gap-3 font-medium transition-colors ${activeTab === 'loyalty' ? 'bg-indigo-600 text-white shadow' : 'bg-white text-slate-600 hover:bg-slate-50'}`}>
+                        <Gift size={18} /> Loyalty
+                    </button>
+                    <button onClick={() => setActiveTab('security')} className={`text-left px-4 py-3 rounded-lg flex items-center gap-3 font-medium transition-colors ${activeTab === 'security' ? 'bg-indigo-600 text-white shadow' : 'bg-white text-slate-600 hover:bg-slate-50'}`}>
+                        <Lock size={18} /> Security
+                    </button>
                     <button onClick={() => setActiveTab('users')} className={`text-left px-4 py-3 rounded-lg flex items-center gap-3 font-medium transition-colors ${activeTab === 'users' ? 'bg-indigo-600 text-white shadow' : 'bg-white text-slate-600 hover:bg-slate-50'}`}>
                         <Shield size={18} /> User Management
                     </button>
@@ -96,6 +116,18 @@ export const Settings: React.FC = () => {
                         </form>
                     )}
 
+                    {/* BUSINESS TAB */}
+                    {activeTab === 'business' && <BusinessSettings />}
+
+                    {/* LOCATIONS TAB */}
+                    {activeTab === 'locations' && <LocationSettings />}
+
+                    {/* LOYALTY TAB */}
+                    {activeTab === 'loyalty' && <LoyaltySettings />}
+
+                    {/* SECURITY TAB */}
+                    {activeTab === 'security' && <SecuritySettings />}
+
                     {/* USERS TAB */}
                     {activeTab === 'users' && (
                         <div className="animate-in fade-in">
@@ -0,0 +1,149 @@
+import React, { useEffect, useState } from 'react';
+import { useApp } from '../context/AppContext';
+import { getStockRequests, advanceStockRequest } from '../services/api';
+import { Role, StockRequest, StockRequestStatus } from '../types';
+import { Check, X, Ban, ArrowDownLeft, ArrowUpRight } from 'lucide-react';
+
+const STATUS_STYLES: Record<StockRequestStatus, string> = {
+    REQUESTED: 'bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400',
+    ACCEPTED: 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400',
+    DECLINED: 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400',
+    CANCELLED: 'bg-slate-100 text-slate-600 dark:bg-slate-700 dark:text-slate-400'
+};
+
+// Stock requests exchanged with other businesses: incoming ones are answered here (owners set the price),
+// outgoing ones can be cancelled while still pending
+export const StockRequests: React.FC = () => {
+    const { token, currentUser, products, addNotification, reloadContext } = useApp();
+    const [direction, setDirection] = useState<'incoming' | 'outgoing'>('incoming');
+    const [requests, setRequests] = useState<StockRequest[]>([]);
+    const [loading, setLoading] = useState(true);
+    const [prices, setPrices] = useState<Record<string, string>>({});
+    const [busyId, setBusyId] = useState<string | null>(null);
+
+    const canRespond = currentUser?.role === Role.WAREHOUSE_OWNER || currentUser?.role === Role.SUPER_ADMIN;
+
+    const load = async () => {
+        if (!token) return;
+        setLoading(true);
+        try {
+            setRequests(await getStockRequests(token, direction));
+        } catch (err: any) {
+            addNotification('ERROR', 'Failed to load stock requests', err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        load();
+    }, [token, direction]);
+
+    const productName = (r: StockRequest) => {
+        const id = direction === 'incoming' ? r.supplierProductId : r.requesterProductId;
+        return products.find(p => p.id === id)?.name || r.sku;
+    };
+
+    const handleAction = async (r: StockRequest, action: 'accept' | 'decline' | 'cancel') => {
+        if (!token) return;
+        const data: any = {};
+        if (action === 'accept' && prices[r.id] !== undefined && prices[r.id] !== '') data.unitPrice = Number(prices[r.id]);
+        setBusyId(r.id);
+        try {
+            const updated = await advanceStockRequest(token, r.id, action, data);
+            setRequests(prev => prev.map(x => (x.id === updated.id ? updated : x)));
+            if (action === 'accept') {
+                addNotification('SUCCESS', 'Stock request accepted', `${r.quantity} units of ${r.sku} sold to ${r.requesterName}`);
+                reloadContext();
+            }
+        } catch (err: any) {
+            addNotification('ERROR', `Failed to ${action} stock request`, err.message);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    return (
+        <div className="bg-white dark:bg-slate-800 rounded-xl border border-slate-200 dark:border-slate-700 shadow-sm overflow-hidden animate-in fade-in">
+            <div className="p-4 border-b border-slate-100 dark:border-slate-700 bg-slate-50 dark:bg-slate-700/50 flex justify-between items-center">
+                <h3 className="font-bold text-slate-700 dark:text-white">Network Stock Requests</h3>
+                <div className="flex items-center bg-slate-100 dark:bg-slate-700 rounded-lg p-1">
+                    <button onClick={() => setDirection('incoming')} className={`px-3 py-1.5 rounded-md text-xs font-medium flex items-center gap-1 ${direction === 'incoming' ? 'bg-white dark:bg-slate-600 shadow text-indigo-600 dark:text-indigo-400' : 'text-slate-500'}`}>
+                        <ArrowDownLeft size={14} /> Received
+                    </button>
+                    <button onClick={() => setDirection('outgoing')} className={`px-3 py-1.5 rounded-md text-xs font-medium flex items-center gap-1 ${direction === 'outgoing' ? 'bg-white dark:bg-slate-600 shadow text-indigo-600 dark:text-indigo-400' : 'text-slate-500'}`}>
+                        <ArrowUpRight size={14} /> Sent
+                    </button>
+                </div>
+            </div>
+            <div className="overflow-x-auto">
+                <table className="w-full text-left text-sm">
+                    <thead className="bg-slate-50 dark:bg-slate-700/50 text-slate-500 dark:text-slate-400 font-medium border-b border-slate-200 dark:border-slate-700">
+                        <tr>
+                            <th className="px-6 py-4">Date</th>
+                            <th className="px-6 py-4">Product</th>
+                            <th className="px-6 py-4">{direction === 'incoming' ? 'Requested By' : 'Supplier'}</th>
+                            <th className="px-6 py-4">From → To</th>
+                            <th className="px-6 py-4 text-right">Qty</th>
+                            <th className="px-6 py-4">Status</th>
+                            <th className="px-6 py-4 text-right">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-slate-100 dark:divide-slate-700/50">
+                        {loading ? (
+                            <tr><td colSpan={7} className="p-8 text-center text-slate-400">Loading requests...</td></tr>
+                        ) : requests.length === 0 ? (
+                            <tr><td colSpan={7} className="p-8 text-center text-slate-400">No stock requests yet. Use "Check Network Stock" on a product to request stock from another business.</td></tr>
+                        ) : requests.map(r => (
+                            <tr key={r.id} className="hover:bg-slate-50 dark:hover:bg-slate-700/50">
+                                <td className="px-6 py-4 text-slate-600 dark:text-slate-300">{new Date(r.createdAt).toLocaleDateString()}</td>
+                                <td className="px-6 py-4">
+                                    <div className="font-medium text-slate-900 dark:text-white">{productName(r)}</div>
+                                    <div className="text-xs font-mono text-slate-400">{r.sku}</div>
+                                </td>
+                                <td className="px-6 py-4 text-slate-600 dark:text-slate-300">{direction === 'incoming' ? r.requesterName : r.supplierName}</td>
+                                <td className="px-6 py-4 text-xs text-slate-500 dark:text-slate-400 whitespace-nowrap">
+                                    {r.fromLocationName || r.fromLocationId} <span className="mx-1">→</span> {r.toLocationName || r.toLocationId}
+                                    {r.notes && <div className="mt-1 italic opacity-75 truncate max-w-[200px]" title={r.notes}>"{r.notes}"</div>}
+                                </td>
+                                <td className="px-6 py-4 text-right font-bold text-slate-700 dark:text-slate-200">
+                                    {r.quantity}
+                                    {r.unitPrice !== undefined && r.unitPrice !== null && <div className="text-xs font-normal text-slate-500">@ ₹{r.unitPrice}</div>}
+                                </td>
+                                <td className="px-6 py-4">
+                                    <span className={`text-xs font-bold px-2 py-1 rounded-full ${STATUS_STYLES[r.status]}`}>{r.status}</span>
+                                </td>
+                                <td className="px-6 py-4 text-right whitespace-nowrap">
+                                    {r.status === 'REQUESTED' && direction === 'incoming' && canRespond && (
+                                        <div className="inline-flex items-center gap-2">
+                                            <input
+                                                type="number"
+                                                min={0}
+                                                step="0.01"
+                                                placeholder="Unit price"
+                                                className="w-24 px-2 py-1 border border-slate-300 dark:border-slate-600 dark:bg-slate-700 rounded text-sm"
+                                                value={prices[r.id] ?? ''}
+                                                onChange={e => setPrices(prev => ({ ...prev, [r.id]: e.target.value }))}
+                                            />
+                                            <button onClick={() => handleAction(r, 'accept')} disabled={busyId === r.id} className="p-1.5 text-green-600 hover:bg-green-50 rounded disabled:opacity-50" title="Accept and ship">
+                                                <Check size={16} />
+                                            </button>
+                                            <button onClick={() => handleAction(r, 'decline')} disabled={busyId === r.id} className="p-1.5 text-red-600 hover:bg-red-50 rounded disabled:opacity-50" title="Decline">
+                                                <X size={16} />
+                                            </button>
+                                        </div>
+                                    )}
+                                    {r.status === 'REQUESTED' && direction === 'outgoing' && (
+                                        <button onClick={() => handleAction(r, 'cancel')} disabled={busyId === r.id} className="inline-flex items-center gap-1 px-2 py-1 text-xs text-slate-600 border border-slate-200 rounded hover:bg-slate-50 disabled:opacity-50">
+                                            <Ban size={14} /> Cancel
+                                        </button>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
@@ -1,12 +1,15 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Building2, User, MapPin, CheckCircle, ArrowRight, ShieldCheck, Mail, Lock } from 'lucide-react';
+import { Building2, User, MapPin, CheckCircle, ArrowRight, ShieldCheck, Mail, Lock, FileText } from 'lucide-react';
 import { useApp } from '../context/AppContext';
 import { useLanguage } from '../context/LanguageContext';
+import { signupBusiness } from '../services/api';
+import { PASSWORD_HINT } from './ResetPassword';
+import { GST_STATES, gstinStateCode } from '../constants';
 
 export const TenantSetup: React.FC = () => {
     const navigate = useNavigate();
-    const { currentUser, addLocation } = useApp();
+    const { currentUser } = useApp();
     const { t } = useLanguage();
 
     const [loading, setLoading] = useState(false);
@@ -16,11 +19,16 @@ export const TenantSetup: React.FC = () => {
     // Form Data
     const [warehouseName, setWarehouseName] = useState('');
     const [warehouseAddress, setWarehouseAddress] = useState('');
+    const [gstNumber, setGstNumber] = useState('');
+    const [stateCode, setStateCode] = useState('');
     const [adminName, setAdminName] = useState('');
     const [adminEmail, setAdminEmail] = useState('');
     const [adminPassword, setAdminPassword] = useState('');
 
-    if (currentUser?.role !== 'SUPER_ADMIN') {
+    // Signed out visitors get self-signup (/signup); signed in, only Super Admins can provision tenants
+    const isSelfSignup = !currentUser;
+
+    if (currentUser && currentUser.role !== 'SUPER_ADMIN') {
         return (
             <div className="flex flex-col items-center justify-center h-full text-slate-500">
                 <ShieldCheck size={48} className="text-red-500 mb-4" />
@@ -33,75 +41,19 @@ export const TenantSetup: React.FC = () => {
         );
     }
 
-    const generateTenantId = () => `T-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
-    const generateLocationId = () => `LOC-${Date.now()}`;
-
     const handleCreate = async (e: React.FormEvent) => {
         e.preventDefault();
         setLoading(true);
 
         try {
-            // 1. Generate IDs
-            const tenantId = generateTenantId();
-            const locationId = generateLocationId();
-
-            // 2. Create Location (Linked to Tenant)
-            // Note: We need to use `api` service directly or ensure `addLocation` supports custom objects? 
-            // `addLocation` in AppContext is wrapper around API. Let's use direct fetch/API for precise control if needed, 
-            // but for now let's assume standard API calls. 
-            // We'll simulate the chain here or use a specialized API endpoint if we had one.
-            // Since we need to ensure the LOCATION has the tenant_id, we need to make sure the backend supports it.
-            // (We added tenant_id to all schemas in Phase 1).
-
-            // Actually, we must use `fetch` to pass `tenantId` explicitly because `addLocation` might rely on current user's context only (Phase 1 logic).
-            // As Super Admin, we are creating for *another* tenant.
-
-            const token = localStorage.getItem('token');
-            const headers = {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`
-            };
-
-            // A. Create Location for New Tenant
-            // We need a way to override the tenant_id in the backend save.
-            // In Phase 1 `getTenantIdForSave`, if Super Admin AND body.tenantId, it uses body.tenantId. Perfect.
-
-            const locRes = await fetch('http://localhost:5000/api/locations', {
-                method: 'POST',
-                headers,
-                body: JSON.stringify({
-                    id: locationId,
-                    name: warehouseName,
-                    address: warehouseAddress,
-                    type: 'STORE', // Or WAREHOUSE
-                    tenantId: tenantId // Explicit override
-                })
-            });
-            if (!locRes.ok) throw new Error("Failed to create location");
-
-            // B. Create Admin User for New Tenant
-            const userRes = await fetch('http://localhost:5000/api/users', {
-                method: 'POST',
-                headers,
-                body: JSON.stringify({
-                    name: adminName,
-                    email: adminEmail,
-                    password: adminPassword,
-                    role: 'WAREHOUSE_OWNER',
-                    locationId: locationId,
-                    tenantId: tenantId, // Explicit override
-                    permissions: ['dashboard', 'inventory', 'sales', 'customers', 'suppliers', 'settings', 'reports', 'trash']
-                })
+            // One call creates the Business, its owner, the first location and default tax tiers
+            const created = await signupBusiness({
+                business: { name: warehouseName, address: warehouseAddress, gstNumber, stateCode },
+                owner: { name: adminName, email: adminEmail, password: adminPassword },
+                location: { name: warehouseName, address: warehouseAddress, type: 'WAREHOUSE', stateCode }
             });
 
-            // Handle "Email already exists" separately to show nice error
-            if (userRes.status === 400) {
-                const errData = await userRes.json();
-                if (errData.error === 'Email already registered') throw new Error("Email already used.");
-            }
-            if (!userRes.ok) throw new Error("Failed to create admin user");
-
-            setSuccessData({ tenantId, locationId, warehouseName, adminEmail });
+            setSuccessData({ tenantId: created.business.id, locationId: created.location.id, warehouseName, adminEmail });
             setStep(3);
 
         } catch (err: any) {
@@ -113,8 +65,8 @@ export const TenantSetup: React.FC = () => {
 
     return (
         <div className="max-w-2xl mx-auto py-12 px-4">
-            <h1 className="text-3xl font-bold text-slate-800 mb-2">Setup Sub-Warehouse</h1>
-            <p className="text-slate-500 mb-8">Provision a fresh, isolated workspace for a new branch.</p>
+            <h1 className="text-3xl font-bold text-slate-800 mb-2">{isSelfSignup ? 'Create Your Business Account' : 'Setup Sub-Warehouse'}</h1>
+            <p className="text-slate-500 mb-8">{isSelfSignup ? 'Set up your business, first warehouse and owner login.' : 'Provision a fresh, isolated workspace for a new branch.'}</p>
 
             {step === 1 && (
                 <div className="bg-white p-8 rounded-2xl shadow-lg border border-slate-100 animate-in fade-in slide-in-from-bottom-4">
@@ -149,6 +101,35 @@ export const TenantSetup: React.FC = () => {
                                 />
                             </div>
                         </div>
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-1">GSTIN (optional)</label>
+                            <div className="relative">
+                                <FileText className="absolute left-3 top-2.5 text-slate-400" size={18} />
+                                <input
+                                    type="text"
+                                    value={gstNumber}
+                                    onChange={e => {
+                                        const value = e.target.value.toUpperCase();
+                                        setGstNumber(value);
+                                        if (gstinStateCode(value)) setStateCode(gstinStateCode(value)!);
+                                    }}
+                                    className="w-full pl-10 pr-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none"
+                                    placeholder="e.g. 29ABCDE1234F1Z5"
+                                />
+                            </div>
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-1">State</label>
+                            <select
+                                value={stateCode}
+                                disabled={!!gstinStateCode(gstNumber)}
+                                onChange={e => setStateCode(e.target.value)}
+                                className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none disabled:bg-slate-50"
+                            >
+                                <option value="">Select state</option>
+                                {Object.entries(GST_STATES).map(([code, name]) => <option key={code} value={code}>{code} - {name}</option>)}
+                            </select>
+                        </div>
                         <div className="flex justify-end mt-6">
                             <button
                                 disabled={!warehouseName || !warehouseAddress}
@@ -207,6 +188,7 @@ export const TenantSetup: React.FC = () => {
                                     placeholder="••••••••"
                                 />
                             </div>
+                            <p className="text-xs text-slate-400 mt-1">{PASSWORD_HINT}</p>
                         </div>
                         <div className="flex justify-between mt-8">
                             <button
@@ -254,19 +236,22 @@ export const TenantSetup: React.FC = () => {
                     </div>
 
                     <div className="flex gap-4 justify-center">
-                        <button onClick={() => {
-                            setStep(1);
-                            setSuccessData(null);
-                            setWarehouseName('');
-                            setWarehouseAddress('');
-                            setAdminName('');
-                            setAdminEmail('');
-                            setAdminPassword('');
-                        }} className="px-6 py-2 bg-white border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 font-medium">
-                            Create Another
-                        </button>
-                        <button onClick={() => navigate('/inventory')} className="px-6 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 font-medium">
-                            Go to Inventory
+                        {!isSelfSignup && (
+                            <button onClick={() => {
+                                setStep(1);
+                                setSuccessData(null);
+                                setWarehouseName('');
+                                setWarehouseAddress('');
+                                setGstNumber('');
+                                setAdminName('');
+                                setAdminEmail('');
+                                setAdminPassword('');
+                            }} className="px-6 py-2 bg-white border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 font-medium">
+                                Create Another
+                            </button>
+                        )}
+                        <button onClick={() => navigate(isSelfSignup ? '/' : '/inventory')} className="px-6 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 font-medium">
+                            {isSelfSignup ? 'Sign In' : 'Go to Inventory'}
                         </button>
                     </div>
                 </div>
@@ -1,7 +1,8 @@
 import React, { useEffect, useState } from 'react';
-import { getTrash, restoreItem } from '../services/api';
+import { getTrash, restoreItem, restoreItems, purgeTrashItem } from '../services/api';
 import { useApp } from '../context/AppContext';
-import { Trash2, RotateCcw, AlertTriangle } from 'lucide-react';
+import { Trash2, RotateCcw, AlertTriangle, Search, CheckSquare, Square } from 'lucide-react';
+import { ConfirmationModal } from './ConfirmationModal';
 
 export const Trash: React.FC = () => {
     const { token } = useApp();
@@ -10,15 +11,21 @@ export const Trash: React.FC = () => {
     const [error, setError] = useState('');
     const [actionLoading, setActionLoading] = useState<string | null>(null);
 
+    // Filters (applied server-side)
+    const [filters, setFilters] = useState({ collectionName: '', from: '', to: '', q: '' });
+    const [selectedIds, setSelectedIds] = useState<Set<string>>(new Set());
+    const [purgeTarget, setPurgeTarget] = useState<string | null>(null);
+
     useEffect(() => {
         fetchTrash();
-    }, [token]);
+    }, [token, filters]);
 
     const fetchTrash = async () => {
         try {
             setLoading(true);
-            const data = await getTrash(token);
+            const data = await getTrash(token, filters);
             setItems(data);
+            setSelectedIds(new Set());
         } catch (err: any) {
             setError(err.message);
         } finally {
@@ -39,16 +46,57 @@ export const Trash: React.FC = () => {
         }
     };
 
-    const getDaysLeft = (deletedAt: string) => {
-        const deletedDate = new Date(deletedAt);
-        const expiryDate = new Date(deletedDate.getTime() + 30 * 24 * 60 * 60 * 1000); // +30 days
+    const handleBulkRestore = async () => {
+        try {
+            setActionLoading('bulk');
+            const { restored, failed } = await restoreItems(token, Array.from(selectedIds));
+            setItems(prev => prev.filter(i => !restored.includes(i.id)));
+            setSelectedIds(new Set());
+            if (failed.length > 0) {
+                alert(`${failed.length} item(s) could not be restored:\n${failed.map((f: any) => `${f.id}: ${f.error}`).join('\n')}`);
+            }
+        } catch (err: any) {
+            alert(err.message);
+        } finally {
+            setActionLoading(null);
+        }
+    };
+
+    const handlePurge = async () => {
+        if (!purgeTarget) return;
+        try {
+            setActionLoading(purgeTarget);
+            await purgeTrashItem(token, purgeTarget);
+            setItems(prev => prev.filter(i => i.id !== purgeTarget));
+        } catch (err: any) {
+            alert(err.message);
+        } finally {
+            setActionLoading(null);
+            setPurgeTarget(null);
+        }
+    };
+
+    const toggleSelected = (id: string) => {
+        setSelectedIds(prev => {
+            const next = new Set(prev);
+            if (next.has(id)) next.delete(id);
+            else next.add(id);
+            return next;
+        });
+    };
+
+    const getDaysLeft = (item: any) => {
+        // Older entries have no expiresAt; they used the fixed 30-day window
+        const expiryDate = item.expiresAt
+            ? new Date(item.expiresAt)
+            : new Date(new Date(item.deletedAt).getTime() + 30 * 24 * 60 * 60 * 1000);
         const now = new Date();
         const diffTime = expiryDate.getTime() - now.getTime();
         const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
         return diffDays > 0 ? diffDays : 0;
     };
 
-    if (loading) return <div className="p-8 text-center text-gray-500">Loading trash...</div>;
+    const allSelected = items.length > 0 && selectedIds.size === items.length;
 
     return (
         <div className="p-6 max-w-7xl mx-auto">
@@ -58,10 +106,47 @@ export const Trash: React.FC = () => {
                     Trash / Archive
                 </h1>
                 <p className="text-gray-600 mt-2">
-                    Items are automatically permanently deleted after 30 days.
+                    Items are automatically permanently deleted once their retention period ends.
                 </p>
             </div>
 
+            <div className="flex flex-wrap gap-3 mb-6 items-center">
+                <div className="relative">
+                    <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+                    <input
+                        type="text"
+                        placeholder="Search name, email, SKU..."
+                        className="pl-9 pr-3 py-2 border border-gray-200 rounded-lg text-sm"
+                        value={filters.q}
+                        onChange={e => setFilters(prev => ({ ...prev, q: e.target.value }))}
+                    />
+                </div>
+                <select
+                    className="px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                    value={filters.collectionName}
+                    onChange={e => setFilters(prev => ({ ...prev, collectionName: e.target.value }))}
+                >
+                    <option value="">All Types</option>
+                    <option value="Product">Product</option>
+                    <option value="User">User</option>
+                    <option value="Role">Role</option>
+                    <option value="Location">Location</option>
+                    <option value="Customer">Customer</option>
+                </select>
+                <input type="date" className="px-3 py-2 border border-gray-200 rounded-lg text-sm" value={filters.from} onChange={e => setFilters(prev => ({ ...prev, from: e.target.value }))} />
+                <span className="text-gray-400 text-sm">to</span>
+                <input type="date" className="px-3 py-2 border border-gray-200 rounded-lg text-sm" value={filters.to} onChange={e => setFilters(prev => ({ ...prev, to: e.target.value }))} />
+                {selectedIds.size > 0 && (
+                    <button
+                        onClick={handleBulkRestore}
+                        disabled={actionLoading === 'bulk'}
+                        className="ml-auto inline-flex items-center gap-1 px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm font-medium disabled:opacity-50"
+                    >
+                        <RotateCcw className="w-4 h-4" /> {actionLoading === 'bulk' ? 'Restoring...' : `Restore ${selectedIds.size} Selected`}
+                    </button>
+                )}
+            </div>
+
             {error && (
                 <div className="bg-red-50 text-red-600 p-4 rounded mb-6 flex items-center gap-2">
                     <AlertTriangle className="w-5 h-5" />
@@ -69,7 +154,9 @@ export const Trash: React.FC = () => {
                 </div>
             )}
 
-            {items.length === 0 ? (
+            {loading ? (
+                <div className="p-8 text-center text-gray-500">Loading trash...</div>
+            ) : items.length === 0 ? (
                 <div className="text-center py-20 bg-white rounded-lg shadow-sm border border-gray-100">
                     <Trash2 className="w-16 h-16 text-gray-200 mx-auto mb-4" />
                     <p className="text-gray-500 text-lg">Trash is empty</p>
@@ -79,6 +166,11 @@ export const Trash: React.FC = () => {
                     <table className="w-full text-left border-collapse">
                         <thead>
                             <tr className="bg-gray-50 border-b border-gray-100 text-gray-600 text-sm uppercase tracking-wider">
+                                <th className="p-4 w-10">
+                                    <button onClick={() => setSelectedIds(allSelected ? new Set() : new Set(items.map(i => i.id)))}>
+                                        {allSelected ? <CheckSquare className="w-4 h-4 text-blue-600" /> : <Square className="w-4 h-4" />}
+                                    </button>
+                                </th>
                                 <th className="p-4 font-semibold">Item</th>
                                 <th className="p-4 font-semibold">Type</th>
                                 <th className="p-4 font-semibold">Deleted By</th>
@@ -90,6 +182,11 @@ export const Trash: React.FC = () => {
                         <tbody className="divide-y divide-gray-100">
                             {items.map((item) => (
                                 <tr key={item.id} className="hover:bg-gray-50 transition-colors">
+                                    <td className="p-4">
+                                        <button onClick={() => toggleSelected(item.id)}>
+                                            {selectedIds.has(item.id) ? <CheckSquare className="w-4 h-4 text-blue-600" /> : <Square className="w-4 h-4 text-gray-400" />}
+                                        </button>
+                                    </td>
                                     <td className="p-4 font-medium text-gray-900">
                                         {item.document?.name || item.document?.email || item.originalId}
                                     </td>
@@ -103,24 +200,31 @@ export const Trash: React.FC = () => {
                                         {new Date(item.deletedAt).toLocaleDateString()}
                                     </td>
                                     <td className="p-4">
-                                        <span className={`font-medium ${getDaysLeft(item.deletedAt) < 5 ? 'text-red-500' : 'text-green-600'}`}>
-                                            {getDaysLeft(item.deletedAt)} Days
+                                        <span className={`font-medium ${getDaysLeft(item) < 5 ? 'text-red-500' : 'text-green-600'}`}>
+                                            {getDaysLeft(item)} Days
                                         </span>
                                     </td>
-                                    <td className="p-4 text-right">
+                                    <td className="p-4 text-right space-x-2">
                                         <button
                                             onClick={() => handleRestore(item.id)}
                                             disabled={actionLoading === item.id}
                                             className="inline-flex items-center gap-1 px-3 py-1.5 bg-blue-50 text-blue-600 rounded-lg hover:bg-blue-100 transition-colors text-sm font-medium disabled:opacity-50"
                                         >
                                             {actionLoading === item.id ? (
-                                                'Restoring...'
+                                                'Working...'
                                             ) : (
                                                 <>
                                                     <RotateCcw className="w-4 h-4" /> Restore
                                                 </>
                                             )}
                                         </button>
+                                        <button
+                                            onClick={() => setPurgeTarget(item.id)}
+                                            disabled={actionLoading === item.id}
+                                            className="inline-flex items-center gap-1 px-3 py-1.5 bg-red-50 text-red-600 rounded-lg hover:bg-red-100 transition-colors text-sm font-medium disabled:opacity-50"
+                                        >
+                                            <Trash2 className="w-4 h-4" /> Delete Forever
+                                        </button>
                                     </td>
                                 </tr>
                             ))}
@@ -128,6 +232,14 @@ export const Trash: React.FC = () => {
                     </table>
                 </div>
             )}
+
+            <ConfirmationModal
+                isOpen={purgeTarget !== null}
+                onClose={() => setPurgeTarget(null)}
+                onConfirm={handlePurge}
+                title="Delete Permanently"
+                message="This item will be removed for good and cannot be restored. Continue?"
+            />
         </div>
     );
 };
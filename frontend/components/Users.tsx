@@ -2,10 +2,11 @@
 import React, { useState, useEffect } from 'react';
 import { useApp } from '../context/AppContext';
 import { Role, User } from '../types';
-import { getUsers, createUser, deleteUser, updateUser, getRoles, createRole, updateRole, deleteRole } from '../services/api';
-import { Plus, Trash2, Shield, Search, User as UserIcon, X, Loader2, Check, Edit2, GripVertical, ArrowRight, Settings } from 'lucide-react';
+import { getUsers, createUser, deleteUser, updateUser, getRoles, createRole, updateRole, deleteRole, revokeUserSessions, sendPasswordReset } from '../services/api';
+import { Plus, Trash2, Shield, Search, User as UserIcon, X, Loader2, Check, Edit2, GripVertical, ArrowRight, Settings, LogOut, KeyRound, Lock } from 'lucide-react';
 import { APP_MODULES, DEFAULT_PERMISSIONS } from '../constants/permissions';
 import { ConfirmationModal } from './ConfirmationModal';
+import { PASSWORD_HINT } from './ResetPassword';
 
 export const UsersComp: React.FC = () => {
     const { token, currentUser, locations, addNotification } = useApp();
@@ -113,6 +114,26 @@ export const UsersComp: React.FC = () => {
         setIsDeleteModalOpen(true);
     };
 
+    const handleSignOutEverywhere = async (user: User) => {
+        if (!token) return;
+        try {
+            const { revoked } = await revokeUserSessions(token, user.id);
+            addNotification('SUCCESS', `Signed out ${user.name}`, `${revoked} active session(s) revoked`);
+        } catch (err: any) {
+            addNotification('ERROR', 'Failed to revoke sessions', err.message);
+        }
+    };
+
+    const handleSendReset = async (user: User) => {
+        if (!token) return;
+        try {
+            await sendPasswordReset(token, user.id);
+            addNotification('SUCCESS', 'Reset link sent', `A one-time reset link was emailed to ${user.email}`);
+        } catch (err: any) {
+            addNotification('ERROR', 'Failed to send reset link', err.message);
+        }
+    };
+
     const initiateDeleteRole = (roleId: string) => {
         setDeleteTarget({ id: roleId, type: 'role' });
         setIsDeleteModalOpen(true);
@@ -312,6 +333,9 @@ export const UsersComp: React.FC = () => {
                                                     <div>
                                                         <div className="font-medium text-slate-800 dark:text-slate-200">{user.name || 'Unnamed User'}</div>
                                                         <div className="text-xs text-slate-500 dark:text-slate-400">{user.email || 'No Email'}</div>
+                                                        {user.lockedUntil && new Date(user.lockedUntil) > new Date() && (
+                                                            <div className="text-xs text-red-500 flex items-center gap-1 mt-0.5"><Lock size={12} /> Locked until {new Date(user.lockedUntil).toLocaleTimeString()}</div>
+                                                        )}
                                                     </div>
                                                 </div>
                                             </td>
@@ -338,6 +362,24 @@ export const UsersComp: React.FC = () => {
                                                 >
                                                     <Edit2 size={16} />
                                                 </button>
+                                                {user.id !== currentUser?.id && (
+                                                    <button
+                                                        onClick={() => handleSendReset(user)}
+                                                        className="p-2 text-slate-500 hover:bg-slate-100 rounded-lg transition-colors"
+                                                        title="Send Password Reset Link"
+                                                    >
+                                                        <KeyRound size={16} />
+                                                    </button>
+                                                )}
+                                                {user.id !== currentUser?.id && (
+                                                    <button
+                                                        onClick={() => handleSignOutEverywhere(user)}
+                                                        className="p-2 text-amber-600 hover:bg-amber-50 rounded-lg transition-colors"
+                                                        title="Sign Out Everywhere"
+                                                    >
+                                                        <LogOut size={16} />
+                                                    </button>
+                                                )}
                                                 {user.id !== currentUser?.id && (
                                                     <button
                                                         onClick={() => initiateDeleteUser(user.id)}
@@ -392,7 +434,10 @@ export const UsersComp: React.FC = () => {
                                         }
                                     </td>
                                     <td className="px-6 py-4 text-right flex justify-end gap-2">
-                                        <button onClick={() => handleEditRoleClick(role)} className="p-2 text-indigo-600 hover:bg-indigo-50 dark:hover:bg-indigo-900/40 rounded-lg"><Edit2 size={16} /></button>
+                                        {/* System roles are shared by every tenant; only a super admin can change them */}
+                                        {(!role.isSystem || currentUser?.role === Role.SUPER_ADMIN) && (
+                                            <button onClick={() => handleEditRoleClick(role)} className="p-2 text-indigo-600 hover:bg-indigo-50 dark:hover:bg-indigo-900/40 rounded-lg"><Edit2 size={16} /></button>
+                                        )}
                                         {!role.isSystem && (
                                             <button onClick={() => { if (!role.isSystem) initiateDeleteRole(role.id); }} className="p-2 text-red-500 hover:bg-red-50 dark:hover:bg-red-900/30 rounded-lg"><Trash2 size={16} /></button>
                                         )}
@@ -446,6 +491,7 @@ export const UsersComp: React.FC = () => {
                                     onChange={e => setNewPassword(e.target.value)}
                                     placeholder="Leave blank to keep current password"
                                 />
+                                <p className="text-xs text-slate-400 mt-1">{PASSWORD_HINT}</p>
                             </div>
                             <div>
                                 <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">Role</label>
@@ -2,11 +2,28 @@
 import { Location, Product, Sale, Customer, SalesTarget, Transfer, TaxTier, Supplier, User, Role } from './types';
 
 export const LOCATIONS: Location[] = [
-  { id: 'loc-1', name: 'Main Warehouse', address: 'Industrial Area, Sector 4, New Delhi', type: 'WAREHOUSE', tenantId: 'tenant-1' },
-  { id: 'loc-2', name: 'City Center Store', address: 'Market Road, Shop 12, Mumbai', type: 'STORE', tenantId: 'tenant-1' },
-  { id: 'loc-3', name: 'North Branch', address: 'Highway 5, Exit 2, Chandigarh', type: 'STORE', tenantId: 'tenant-2' },
+  { id: 'loc-1', name: 'Main Warehouse', address: 'Industrial Area, Sector 4, New Delhi', type: 'WAREHOUSE', tenantId: 'tenant-1', stateCode: '07' },
+  { id: 'loc-2', name: 'City Center Store', address: 'Market Road, Shop 12, Mumbai', type: 'STORE', tenantId: 'tenant-1', stateCode: '27' },
+  { id: 'loc-3', name: 'North Branch', address: 'Highway 5, Exit 2, Chandigarh', type: 'STORE', tenantId: 'tenant-2', stateCode: '04' },
 ];
 
+// GST state codes; mirrors GST_STATE_CODES in server/server.js
+export const GST_STATES: Record<string, string> = {
+  '01': 'Jammu and Kashmir', '02': 'Himachal Pradesh', '03': 'Punjab', '04': 'Chandigarh', '05': 'Uttarakhand',
+  '06': 'Haryana', '07': 'Delhi', '08': 'Rajasthan', '09': 'Uttar Pradesh', '10': 'Bihar', '11': 'Sikkim',
+  '12': 'Arunachal Pradesh', '13': 'Nagaland', '14': 'Manipur', '15': 'Mizoram', '16': 'Tripura', '17': 'Meghalaya',
+  '18': 'Assam', '19': 'West Bengal', '20': 'Jharkhand', '21': 'Odisha', '22': 'Chhattisgarh', '23': 'Madhya Pradesh',
+  '24': 'Gujarat', '26': 'Dadra and Nagar Haveli and Daman and Diu', '27': 'Maharashtra', '29': 'Karnataka', '30': 'Goa',
+  '31': 'Lakshadweep', '32': 'Kerala', '33': 'Tamil Nadu', '34': 'Puducherry', '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana', '37': 'Andhra Pradesh', '38': 'Ladakh', '97': 'Other Territory',
+};
+
+// State code from the first two digits of a GSTIN, when they name a known state
+export const gstinStateCode = (gstin?: string) => {
+  const code = (gstin || '').trim().slice(0, 2);
+  return GST_STATES[code] ? code : undefined;
+};
+
 export const MOCK_USERS: User[] = [
   { id: 'u-admin', name: 'Super Admin', email: 'admin@hanuman.com', role: Role.SUPER_ADMIN },
   { id: 'u-owner-1', name: 'Rajesh (Owner)', email: 'rajesh@tenant1.com', role: Role.WAREHOUSE_OWNER, tenantId: 'tenant-1' },
@@ -56,11 +73,11 @@ export const MOCK_TENANT2_PRODUCTS: Product[] = [
 
 
 export const DEFAULT_TAX_TIERS: TaxTier[] = [
-  { id: 'tax-0', name: 'Exempt', categoryType: 'Essential', rate: 0, cgst: 0, sgst: 0 },
-  { id: 'tax-5', name: 'GST 5%', categoryType: 'Essential', rate: 5, cgst: 2.5, sgst: 2.5 },
-  { id: 'tax-12', name: 'GST 12%', categoryType: 'Standard', rate: 12, cgst: 6, sgst: 6 },
-  { id: 'tax-18', name: 'GST 18%', categoryType: 'Standard', rate: 18, cgst: 9, sgst: 9 },
-  { id: 'tax-28', name: 'GST 28%', categoryType: 'Luxury', rate: 28, cgst: 14, sgst: 14 },
+  { id: 'tax-0', name: 'Exempt', categoryType: 'Essential', rate: 0, cgst: 0, sgst: 0, igst: 0 },
+  { id: 'tax-5', name: 'GST 5%', categoryType: 'Essential', rate: 5, cgst: 2.5, sgst: 2.5, igst: 5 },
+  { id: 'tax-12', name: 'GST 12%', categoryType: 'Standard', rate: 12, cgst: 6, sgst: 6, igst: 12 },
+  { id: 'tax-18', name: 'GST 18%', categoryType: 'Standard', rate: 18, cgst: 9, sgst: 9, igst: 18 },
+  { id: 'tax-28', name: 'GST 28%', categoryType: 'Luxury', rate: 28, cgst: 14, sgst: 14, igst: 28 },
 ];
 
 // Helper to get date relative to today (days offset)
@@ -1,6 +1,7 @@
 export const APP_MODULES = [
     { id: 'dashboard', label: 'Dashboard' },
     { id: 'inventory', label: 'Inventory Management' },
+    { id: 'inventory_manage', label: 'Inventory Deletes & Approvals' },
     { id: 'sales', label: 'Sales & Billing' },
     { id: 'customers', label: 'Customer Management' },
     { id: 'suppliers', label: 'Supplier Management' },
@@ -11,8 +12,8 @@ export const APP_MODULES = [
 ];
 
 export const DEFAULT_PERMISSIONS = {
-    SUPER_ADMIN: ['dashboard', 'inventory', 'sales', 'customers', 'suppliers', 'reports', 'analytics', 'users', 'settings'],
-    WAREHOUSE_OWNER: ['dashboard', 'inventory', 'sales', 'customers', 'suppliers', 'reports', 'analytics', 'users', 'settings'],
-    WAREHOUSE_MANAGER: ['dashboard', 'inventory', 'sales', 'customers', 'suppliers', 'reports'],
-    STAFF: ['dashboard', 'inventory', 'sales']
+    SUPER_ADMIN: ['dashboard', 'inventory', 'inventory_manage', 'sales', 'customers', 'suppliers', 'reports', 'analytics', 'users', 'settings'],
+    WAREHOUSE_OWNER: ['dashboard', 'inventory', 'inventory_manage', 'sales', 'customers', 'suppliers', 'reports', 'analytics', 'users', 'settings'],
+    WAREHOUSE_MANAGER: ['dashboard', 'inventory', 'inventory_manage', 'sales', 'customers', 'suppliers', 'reports'],
+    STAFF: ['dashboard', 'sales']
 };
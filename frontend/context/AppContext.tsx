@@ -2,16 +2,18 @@
 import React, { createContext, useContext, useState, useEffect, ReactNode, useMemo } from 'react';
 import { Product, Location, Sale, Transfer, Customer, SalesTarget, TaxTier, Notification, Supplier, BusinessGoal, User, Role } from '../types';
 import * as Constants from '../constants';
-import { getProducts, getLocations, getCustomers, createCustomer, getSuppliers, getSales, createSale, getTransfers, createTransfer, getTaxTiers, createProduct as apiCreateProduct, updateProduct as apiUpdateProduct } from '../services/api';
+import { getProducts, getLocations, getCustomers, createCustomer, getSuppliers, getSales, createSale, getTransfers, createTransfer, getTaxTiers, refreshSession, logout, createLocation, updateLocation as apiUpdateLocation, updateCustomer as apiUpdateCustomer, deleteCustomer as apiDeleteCustomer, deleteLocation as apiDeleteLocation, createProduct as apiCreateProduct, updateProduct as apiUpdateProduct } from '../services/api';
 
 interface AppState {
   currentUser: User | null;
   token: string | null;
-  loginUser: (token: string, user: User) => void;
+  loginUser: (token: string, user: User, refreshToken?: string) => void;
   logoutUser: () => void;
   products: Product[];
   locations: Location[];
   addLocation: (location: Location) => void;
+  updateLocation: (location: Location) => void;
+  deleteLocation: (locationId: string, moveStockTo?: string) => Promise<boolean>;
   sales: Sale[];
   transfers: Transfer[];
   customers: Customer[];
@@ -26,9 +28,10 @@ interface AppState {
   deleteProducts: (productIds: string[]) => void;
   updateStock: (productId: string, locationId: string, quantityChange: number) => void;
   transferStock: (productId: string, fromLocId: string, toLocId: string, quantity: number, notes?: string) => void;
-  addSale: (sale: Sale) => void;
-  addCustomer: (customer: Customer) => void;
-  updateCustomer: (customer: Customer) => void;
+  addSale: (sale: Sale) => Promise<Sale | null>; // Resolves to the saved sale (with server-computed loyalty)
+  addCustomer: (customer: Customer) => Promise<boolean>;
+  updateCustomer: (customer: Customer) => Promise<boolean>;
+  deleteCustomer: (customerId: string) => Promise<boolean>;
   setSalesTarget: (target: SalesTarget) => void;
   addTaxTier: (tier: TaxTier) => void;
   deleteTaxTier: (id: string) => void;
@@ -41,8 +44,12 @@ interface AppState {
 
 const AppContext = createContext<AppState | undefined>(undefined);
 
+// Server access tokens live 15 minutes by default
+const TOKEN_REFRESH_INTERVAL_MS = 10 * 60 * 1000;
+
 export const AppProvider: React.FC<{ children: ReactNode }> = ({ children }) => {
   const [token, setToken] = useState<string | null>(localStorage.getItem('token'));
+  const [refreshToken, setRefreshToken] = useState<string | null>(localStorage.getItem('refreshToken'));
   const [currentUser, setCurrentUser] = useState<User | null>(() => {
     const savedUser = localStorage.getItem('user');
     return savedUser ? JSON.parse(savedUser) : null;
@@ -99,6 +106,9 @@ export const AppProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
         getTransfers(token),
         getTaxTiers(token)
       ]);
+      // Error bodies (e.g. TWO_FACTOR_SETUP_REQUIRED) come back as objects; keep the previous state
+      const failed = [prods, locs, custs, supps, salesData, transfersData, tiers].find(r => !Array.isArray(r));
+      if (failed) throw new Error(failed.error || 'Failed to load data');
       setProducts(prods);
       setLocations(locs);
       setCustomers(custs);
@@ -127,21 +137,93 @@ export const AppProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
 
   const reloadContext = () => fetchAllData();
 
-  const loginUser = (newToken: string, user: User) => {
+  const loginUser = (newToken: string, user: User, newRefreshToken?: string) => {
     setToken(newToken);
     setCurrentUser(user);
     localStorage.setItem('token', newToken);
     localStorage.setItem('user', JSON.stringify(user));
+    if (newRefreshToken) {
+      setRefreshToken(newRefreshToken);
+      localStorage.setItem('refreshToken', newRefreshToken);
+    }
   };
 
-  const logoutUser = () => {
+  const clearSession = () => {
     setToken(null);
+    setRefreshToken(null);
     setCurrentUser(null);
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('tokenRotatedAt');
     localStorage.removeItem('user');
     setProducts([]);
   };
 
+  const logoutUser = () => {
+    const storedRefreshToken = localStorage.getItem('refreshToken');
+    if (storedRefreshToken) logout(storedRefreshToken).catch(() => { /* session ends locally either way */ });
+    clearSession();
+  };
+
+  // Access tokens are short-lived: rotate them on load and then well before they expire.
+  // Open tabs share one rotation chain in localStorage. Rotation runs under a cross-tab lock, and a tab that
+  // finds the tokens freshly rotated by another tab adopts them instead of presenting a spent refresh token.
+  useEffect(() => {
+    if (!refreshToken) {
+      // Tokens issued before sessions existed cannot be refreshed or used
+      if (token) clearSession();
+      return;
+    }
+    const adoptStoredTokens = () => {
+      const storedToken = localStorage.getItem('token');
+      const storedRefreshToken = localStorage.getItem('refreshToken');
+      if (!storedToken || !storedRefreshToken) return false;
+      setToken(storedToken);
+      setRefreshToken(storedRefreshToken);
+      return true;
+    };
+    const rotateNow = async () => {
+      const current = localStorage.getItem('refreshToken');
+      if (!current) return;
+      const rotatedAt = Number(localStorage.getItem('tokenRotatedAt')) || 0;
+      if (Date.now() - rotatedAt < TOKEN_REFRESH_INTERVAL_MS / 2 && adoptStoredTokens()) return;
+      try {
+        const data = await refreshSession(current);
+        setToken(data.token);
+        setRefreshToken(data.refreshToken);
+        localStorage.setItem('token', data.token);
+        localStorage.setItem('refreshToken', data.refreshToken);
+        localStorage.setItem('tokenRotatedAt', String(Date.now()));
+      } catch (err) {
+        console.error('Session refresh failed', err);
+        // A network error (TypeError from fetch) is retried on the next tick
+        if (err instanceof TypeError) return;
+        // Another tab may have rotated past the token we presented; only sign out if ours is still the latest
+        if (localStorage.getItem('refreshToken') !== current && adoptStoredTokens()) return;
+        clearSession();
+      }
+    };
+    // Browsers without Web Locks fall back to the rotatedAt check alone
+    const rotate = () => (navigator.locks ? navigator.locks.request('session-refresh', rotateNow) : rotateNow());
+    rotate();
+    const interval = setInterval(rotate, TOKEN_REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+    // Only restart when signing in/out, not on every rotation
+  }, [!!refreshToken]);
+
+  // Follow rotations and sign-outs made in other tabs
+  useEffect(() => {
+    const onStorage = (e: StorageEvent) => {
+      if (e.key === 'token' && e.newValue) setToken(e.newValue);
+      if (e.key === 'refreshToken') {
+        if (e.newValue) setRefreshToken(e.newValue);
+        else clearSession();
+      }
+    };
+    window.addEventListener('storage', onStorage);
+    return () => window.removeEventListener('storage', onStorage);
+  }, []);
+
 
 
   // --- RBAC Filtering ---
@@ -181,14 +263,40 @@ export const AppProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
     addNotification('SUCCESS', `Supplier Added: ${supplier.name}`);
   };
 
-  const addLocation = (loc: Location) => {
-    // Auto-assign tenant ID if created by an Owner
-    const newLoc = { ...loc };
-    if (currentUser.role === Role.WAREHOUSE_OWNER && currentUser.tenantId) {
-      newLoc.tenantId = currentUser.tenantId;
+  const addLocation = async (loc: Location) => {
+    if (!token) return;
+    try {
+      // The server assigns the id and the caller's tenant
+      const saved = await createLocation(token, loc);
+      setLocations(prev => [...prev, saved]);
+      addNotification('SUCCESS', `New Location Created: ${saved.name}`);
+    } catch (e) {
+      addNotification('ERROR', 'Failed to create location', (e as Error).message);
+    }
+  };
+
+  const updateLocation = async (loc: Location) => {
+    if (!token) return;
+    try {
+      const saved = await apiUpdateLocation(token, loc.id, loc);
+      setLocations(prev => prev.map(l => l.id === saved.id ? saved : l));
+      addNotification('SUCCESS', `Location Updated: ${saved.name}`);
+    } catch (e) {
+      addNotification('ERROR', 'Failed to update location', (e as Error).message);
+    }
+  };
+
+  const deleteLocation = async (locationId: string, moveStockTo?: string) => {
+    if (!token) return false;
+    try {
+      const { transfers } = await apiDeleteLocation(token, locationId, moveStockTo);
+      addNotification('SUCCESS', 'Location moved to Trash', transfers.length > 0 ? `${transfers.length} product(s) transferred out` : undefined);
+      reloadContext();
+      return true;
+    } catch (e) {
+      addNotification('ERROR', 'Failed to delete location', (e as Error).message);
+      return false;
     }
-    setLocations(prev => [...prev, newLoc]);
-    addNotification('SUCCESS', `New Location Created: ${newLoc.name}`);
   };
 
   const addProduct = async (product: Product) => {
@@ -257,124 +365,92 @@ export const AppProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
     }
   };
 
-  const transferStock = (productId: string, fromLocId: string, toLocId: string, quantity: number, notes?: string) => {
-    let success = false;
-    let failReason = '';
-    const fromLocName = rawLocations.find(l => l.id === fromLocId)?.name;
-    const toLocName = rawLocations.find(l => l.id === toLocId)?.name;
-
-    // Check stock first
-    const product = products.find(p => p.id === productId);
-    if (product) {
-      const currentStock = product.stock[fromLocId] || 0;
-      if (currentStock >= quantity) {
-        success = true;
-      } else {
-        failReason = `Insufficient stock in ${fromLocName}. Requested: ${quantity}, Available: ${currentStock}`;
-      }
-    } else {
-      failReason = 'Product not found';
-    }
-
-    if (success && token) {
-      // Optimistic updates done above (refactor for API later if needed, but for now just update transfer list)
-      // Actually, updateStock handles the product update API calls individually if we reused it? 
-      // But here we did manual setProducts. 
-      // Let's manually call updateProduct API for the modified product.
-
-      const updatedProduct = products.find(p => p.id === productId);
-      if (updatedProduct) {
-        const fromStock = updatedProduct.stock[fromLocId] || 0;
-        const toStock = updatedProduct.stock[toLocId] || 0;
-        const newProductState = {
-          ...updatedProduct,
-          stock: {
-            ...updatedProduct.stock,
-            [fromLocId]: fromStock - quantity,
-            [toLocId]: toStock + quantity
-          }
-        };
-        // Optimistic UI
-        setProducts(prev => prev.map(p => p.id === productId ? newProductState : p));
-        apiUpdateProduct(token, productId, newProductState).catch(err => console.error("Transfer stock sync failed", err));
-      }
+  const transferStock = async (productId: string, fromLocId: string, toLocId: string, quantity: number, notes?: string) => {
+    if (!token) return;
 
-      const newTransfer: Transfer = {
-        id: `trf-${Date.now()}`,
+    // Availability check and stock movement are done in one server-side transaction
+    try {
+      const savedTransfer = await createTransfer(token, {
         productId,
         fromLocationId: fromLocId,
         toLocationId: toLocId,
         quantity,
-        date: new Date().toISOString(),
-        timestamp: Date.now(),
-        status: success ? 'COMPLETED' : 'FAILED',
-        reason: failReason,
         notes: notes || ''
-      };
-
-      createTransfer(token, newTransfer)
-        .then(savedTransfer => {
-          setTransfers(prev => [savedTransfer, ...prev]);
-          addNotification('SUCCESS', 'Stock Transfer Successful');
-        })
-        .catch(() => addNotification('ERROR', 'Failed to save transfer'));
-
-    } else {
-      addNotification('ERROR', 'Stock Transfer Failed', failReason);
+      });
+      setTransfers(prev => [savedTransfer, ...prev]);
+      addNotification('SUCCESS', 'Stock Transfer Successful');
+      reloadContext();
+    } catch (e) {
+      addNotification('ERROR', 'Stock Transfer Failed', (e as Error).message);
+      reloadContext();
     }
   };
 
   const addCustomer = async (customer: Customer) => {
-    if (!token) return;
+    if (!token) return false;
     try {
       const newCust = await createCustomer(token, customer);
       setCustomers(prev => [...prev, newCust]);
       addNotification('SUCCESS', `New Customer Added: ${newCust.name}`);
+      return true;
     } catch (e) {
-      addNotification('ERROR', 'Failed to add customer');
+      addNotification('ERROR', 'Failed to add customer', (e as Error).message);
+      return false;
     }
   };
 
-  const updateCustomer = (customer: Customer) => {
-    // API not implemented for updateCustomer yet, keep local
-    setCustomers(prev => prev.map(c => c.id === customer.id ? customer : c));
-    addNotification('INFO', `Customer Updated: ${customer.name}`);
+  const updateCustomer = async (customer: Customer) => {
+    if (!token) return false;
+    try {
+      const saved = await apiUpdateCustomer(token, customer.id, customer);
+      setCustomers(prev => prev.map(c => c.id === saved.id ? saved : c));
+      addNotification('SUCCESS', `Customer Updated: ${saved.name}`);
+      return true;
+    } catch (e) {
+      addNotification('ERROR', 'Failed to update customer', (e as Error).message);
+      return false;
+    }
   };
 
-  const addSale = async (sale: Sale) => {
-    if (!token) return;
+  const deleteCustomer = async (customerId: string) => {
+    if (!token) return false;
+    try {
+      await apiDeleteCustomer(token, customerId);
+      setCustomers(prev => prev.filter(c => c.id !== customerId));
+      addNotification('SUCCESS', 'Customer moved to Trash');
+      return true;
+    } catch (e) {
+      addNotification('ERROR', 'Failed to delete customer', (e as Error).message);
+      return false;
+    }
+  };
 
-    // 1. Save Sale to DB
+  const addSale = async (sale: Sale): Promise<Sale | null> => {
+    if (!token) return null;
+
+    // Stock deduction and loyalty update happen atomically on the server
     try {
       const savedSale = await createSale(token, sale);
       setSales(prev => [...prev, savedSale]);
       addNotification('SUCCESS', `New Sale Recorded: ₹${savedSale.totalAmount}`, `Invoice: ${savedSale.id}`);
 
-      // 2. Deduct stock for sold items (handled via updateStock individually)
-      // Note: Ideally this should be one transaction in backend, but for now we chain calls
+      // Low Stock Notification
       sale.items.forEach(item => {
-        updateStock(item.id, sale.locationId, -item.quantity);
+        const product = products.find(p => p.id === item.id);
+        if (!product) return;
+        const currentStock = product.stock[sale.locationId] || 0;
+        const newStock = currentStock - item.quantity;
+        if (newStock <= product.minStockLevel && currentStock > product.minStockLevel) {
+          const locName = rawLocations.find(l => l.id === sale.locationId)?.name;
+          addNotification('WARNING', `Low Stock Alert: ${product.name}`, `Location: ${locName}. Remaining: ${newStock}`);
+        }
       });
 
-      // 3. Handle Loyalty
-      if (sale.customerId) {
-        // We'd update customer API here technically, but reusing updateCustomer (local) for now or assume simple state update. 
-        // In real app, re-fetch customer or patch.
-        const pointsEarned = Math.floor(sale.totalAmount / 100);
-        setCustomers(prev => prev.map(c => {
-          if (c.id === sale.customerId) {
-            return {
-              ...c,
-              loyaltyPoints: c.loyaltyPoints + pointsEarned,
-              totalPurchases: c.totalPurchases + sale.totalAmount
-            };
-          }
-          return c;
-        }));
-      }
-
+      reloadContext();
+      return savedSale;
     } catch (e) {
-      addNotification('ERROR', 'Failed to record sale');
+      addNotification('ERROR', 'Failed to record sale', (e as Error).message);
+      return null;
     }
   };
 
@@ -416,9 +492,9 @@ export const AppProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
   return (
     <AppContext.Provider value={{
       currentUser, token, loginUser, logoutUser,
-      products, locations, addLocation, sales, transfers, customers, salesTargets, taxTiers, notifications, suppliers, addSupplier, goals,
+      products, locations, addLocation, updateLocation, deleteLocation, sales, transfers, customers, salesTargets, taxTiers, notifications, suppliers, addSupplier, goals,
       addProduct, updateProduct, deleteProducts, updateStock, transferStock, addSale,
-      addCustomer, updateCustomer, setSalesTarget, addTaxTier, deleteTaxTier, addNotification,
+      addCustomer, updateCustomer, deleteCustomer, setSalesTarget, addTaxTier, deleteTaxTier, addNotification,
       addGoal, updateGoal, deleteGoal, theme, toggleTheme, reloadContext
     }}>
       {children}
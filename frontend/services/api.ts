@@ -17,6 +17,329 @@ export const login = async (email, password) => {
     return response.json();
 };
 
+export const refreshSession = async (refreshToken: string) => {
+    const response = await fetch(`${API_URL}/auth/refresh`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ refreshToken }),
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Session expired');
+    }
+
+    return response.json();
+};
+
+export const logout = async (refreshToken: string) => {
+    const response = await fetch(`${API_URL}/auth/logout`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ refreshToken }),
+    });
+    return response.json();
+};
+
+// Second login step when the account has two-factor authentication enabled
+export const loginTwoFactor = async (challengeToken: string, code: string) => {
+    const response = await fetch(`${API_URL}/auth/login/2fa`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ challengeToken, code }),
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Verification failed');
+    }
+
+    return response.json();
+};
+
+export const getTwoFactorStatus = async (token: string) => {
+    const response = await fetch(`${API_URL}/auth/2fa`, {
+        headers: {
+            'Authorization': `Bearer ${token}`
+        }
+    });
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to load two-factor status');
+    }
+    return response.json();
+};
+
+export const setupTwoFactor = async (token: string) => {
+    const response = await fetch(`${API_URL}/auth/2fa/setup`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${token}`
+        }
+    });
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to start two-factor setup');
+    }
+    return response.json();
+};
+
+export const enableTwoFactor = async (token: string, code: string) => {
+    const response = await fetch(`${API_URL}/auth/2fa/enable`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ code })
+    });
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to enable two-factor authentication');
+    }
+    return response.json();
+};
+
+export const disableTwoFactor = async (token: string, password: string, code: string) => {
+    const response = await fetch(`${API_URL}/auth/2fa/disable`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ password, code })
+    });
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to disable two-factor authentication');
+    }
+    return response.json();
+};
+
+export const regenerateBackupCodes = async (token: string, code: string) => {
+    const response = await fetch(`${API_URL}/auth/2fa/backup-codes`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ code })
+    });
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to regenerate backup codes');
+    }
+    return response.json();
+};
+
+export const getSecuritySettings = async (token: string) => {
+    const response = await fetch(`${API_URL}/settings/security`, {
+        headers: {
+            'Authorization': `Bearer ${token}`
+        }
+    });
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to load security settings');
+    }
+    return response.json();
+};
+
+export const updateSecuritySettings = async (token: string, settings: { requireOwnerTwoFactor: boolean }) => {
+    const response = await fetch(`${API_URL}/settings/security`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify(settings)
+    });
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to update security settings');
+    }
+    return response.json();
+};
+
+export const getLoyaltySettings = async (token: string) => {
+    const response = await fetch(`${API_URL}/settings/loyalty`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to fetch loyalty settings');
+    }
+    return response.json();
+};
+
+export const updateLoyaltySettings = async (token: string, settings: any) => {
+    const response = await fetch(`${API_URL}/settings/loyalty`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify(settings)
+    });
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to update loyalty settings');
+    }
+    return response.json();
+};
+
+export const changePassword = async (token: string, currentPassword: string, newPassword: string) => {
+    const response = await fetch(`${API_URL}/auth/change-password`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ currentPassword, newPassword })
+    });
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to change password');
+    }
+    return response.json();
+};
+
+// Completes a reset with the one-time token from the reset email (no login required)
+export const resetPassword = async (resetToken: string, newPassword: string) => {
+    const response = await fetch(`${API_URL}/auth/reset-password`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ token: resetToken, newPassword })
+    });
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to reset password');
+    }
+    return response.json();
+};
+
+export const sendPasswordReset = async (token: string, userId: string) => {
+    const response = await fetch(`${API_URL}/users/${userId}/password-reset`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${token}`
+        }
+    });
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to send reset link');
+    }
+    return response.json();
+};
+
+// Creates a business with its owner, first location and default tax tiers (no login required)
+export const signupBusiness = async (data: { business: any; owner: any; location: any }) => {
+    const response = await fetch(`${API_URL}/businesses`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(data)
+    });
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to create business');
+    }
+    return response.json();
+};
+
+export const getMyBusiness = async (token: string) => {
+    const response = await fetch(`${API_URL}/businesses/me`, {
+        headers: {
+            'Authorization': `Bearer ${token}`
+        }
+    });
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to load business profile');
+    }
+    return response.json();
+};
+
+export const updateMyBusiness = async (token: string, data: any) => {
+    const response = await fetch(`${API_URL}/businesses/me`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify(data)
+    });
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to update business profile');
+    }
+    return response.json();
+};
+
+export const getSessions = async (token: string) => {
+    const response = await fetch(`${API_URL}/auth/sessions`, {
+        headers: {
+            'Authorization': `Bearer ${token}`
+        }
+    });
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to fetch sessions');
+    }
+    return response.json();
+};
+
+// Revokes one of the current user's sessions, or every other session when no id is given
+export const revokeSession = async (token: string, sessionId?: string) => {
+    const response = await fetch(`${API_URL}/auth/sessions${sessionId ? `/${sessionId}` : ''}`, {
+        method: 'DELETE',
+        headers: {
+            'Authorization': `Bearer ${token}`
+        }
+    });
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to revoke session');
+    }
+    return response.json();
+};
+
+export const getUserSessions = async (token: string, userId: string) => {
+    const response = await fetch(`${API_URL}/users/${userId}/sessions`, {
+        headers: {
+            'Authorization': `Bearer ${token}`
+        }
+    });
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to fetch sessions');
+    }
+    return response.json();
+};
+
+export const revokeUserSessions = async (token: string, userId: string) => {
+    const response = await fetch(`${API_URL}/users/${userId}/sessions`, {
+        method: 'DELETE',
+        headers: {
+            'Authorization': `Bearer ${token}`
+        }
+    });
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to revoke sessions');
+    }
+    return response.json();
+};
+
 export const getProducts = async (token) => {
     const response = await fetch(`${API_URL}/products`, {
         headers: {
@@ -26,8 +349,342 @@ export const getProducts = async (token) => {
     return response.json();
 };
 
-export const createProduct = async (token: string, data: any) => {
-    const response = await fetch(`${API_URL}/products`, {
+export const createProduct = async (token: string, data: any) => {
+    const response = await fetch(`${API_URL}/products`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify(data)
+    });
+    if (!response.ok) throw new Error('Failed to create product');
+    return response.json();
+};
+
+export const updateProduct = async (token: string, productId: string, data: any) => {
+    const response = await fetch(`${API_URL}/products/${productId}`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify(data)
+    });
+    if (!response.ok) throw new Error('Failed to update product');
+    return response.json();
+};
+
+export const deleteProduct = async (token: string, productId: string) => {
+    const response = await fetch(`${API_URL}/products/${productId}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!response.ok) throw new Error('Failed to delete product');
+    return response.json();
+};
+
+export const getProductLedger = async (token: string, productId: string, locationId?: string) => {
+    const query = locationId ? `?locationId=${encodeURIComponent(locationId)}` : '';
+    const response = await fetch(`${API_URL}/products/${productId}/ledger${query}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || 'Failed to fetch stock ledger');
+    }
+    return response.json();
+};
+
+export const getProductBatches = async (token: string, productId: string, locationId?: string) => {
+    const query = locationId ? `?locationId=${encodeURIComponent(locationId)}` : '';
+    const response = await fetch(`${API_URL}/products/${productId}/batches${query}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || 'Failed to fetch batches');
+    }
+    return response.json();
+};
+
+export const createBatch = async (token: string, productId: string, data: any) => {
+    const response = await fetch(`${API_URL}/products/${productId}/batches`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify(data)
+    });
+    if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || 'Failed to create batch');
+    }
+    return response.json();
+};
+
+export const getExpiringBatches = async (token: string, days: number = 30, locationId?: string) => {
+    const params = new URLSearchParams({ days: String(days) });
+    if (locationId) params.set('locationId', locationId);
+    const response = await fetch(`${API_URL}/inventory/expiring?${params.toString()}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || 'Failed to fetch expiring stock');
+    }
+    return response.json();
+};
+
+export const getLocations = async (token) => {
+    const response = await fetch(`${API_URL}/locations`, {
+        headers: {
+            'Authorization': `Bearer ${token}`
+        }
+    });
+    return response.json();
+};
+
+export const createLocation = async (token: string, data: any) => {
+    const response = await fetch(`${API_URL}/locations`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify(data)
+    });
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to create location');
+    }
+    return response.json();
+};
+
+export const updateLocation = async (token: string, locationId: string, data: any) => {
+    const response = await fetch(`${API_URL}/locations/${locationId}`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify(data)
+    });
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to update location');
+    }
+    return response.json();
+};
+
+// moveStockTo transfers any remaining stock to that location before the delete
+export const deleteLocation = async (token: string, locationId: string, moveStockTo?: string) => {
+    const query = moveStockTo ? `?moveStockTo=${encodeURIComponent(moveStockTo)}` : '';
+    const response = await fetch(`${API_URL}/locations/${locationId}${query}`, {
+        method: 'DELETE',
+        headers: {
+            'Authorization': `Bearer ${token}`
+        }
+    });
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to delete location');
+    }
+    return response.json();
+};
+
+export const getUsers = async (token) => {
+    const response = await fetch(`${API_URL}/users`, {
+        headers: {
+            'Authorization': `Bearer ${token}`
+        }
+    });
+    if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || 'Failed to fetch users');
+    }
+    return response.json();
+};
+
+export const createUser = async (token, userData) => {
+    const response = await fetch(`${API_URL}/users`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify(userData)
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to create user');
+    }
+
+    return response.json();
+};
+
+export const deleteUser = async (token, userId) => {
+    const response = await fetch(`${API_URL}/users/${userId}`, {
+        method: 'DELETE',
+        headers: {
+            'Authorization': `Bearer ${token}`
+        }
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to delete user');
+    }
+
+    return response.json();
+};
+
+export const updateUser = async (token: string, userId: string, userData: any) => {
+    const response = await fetch(`${API_URL}/users/${userId}`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify(userData)
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to update user');
+    }
+
+    return response.json();
+};
+
+export const getRoles = async (token: string) => {
+    const response = await fetch(`${API_URL}/roles`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || 'Failed to fetch roles');
+    }
+    return response.json();
+};
+
+export const createRole = async (token: string, roleData: any) => {
+    const response = await fetch(`${API_URL}/roles`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify(roleData)
+    });
+    if (!response.ok) throw new Error('Failed to create role');
+    return response.json();
+};
+
+export const updateRole = async (token: string, roleId: string, roleData: any) => {
+    const response = await fetch(`${API_URL}/roles/${roleId}`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify(roleData)
+    });
+    if (!response.ok) throw new Error('Failed to update role');
+    return response.json();
+};
+
+export const deleteRole = async (token: string, roleId: string) => {
+    const response = await fetch(`${API_URL}/roles/${roleId}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || 'Failed to delete role');
+    }
+    return response.json();
+};
+
+export const getCustomers = async (token: string) => {
+    const response = await fetch(`${API_URL}/customers`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    return response.json();
+};
+
+export const createCustomer = async (token: string, data: any) => {
+    const response = await fetch(`${API_URL}/customers`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify(data)
+    });
+    if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || 'Failed to create customer');
+    }
+    return response.json();
+};
+
+export const updateCustomer = async (token: string, id: string, data: any) => {
+    const response = await fetch(`${API_URL}/customers/${id}`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify(data)
+    });
+    if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || 'Failed to update customer');
+    }
+    return response.json();
+};
+
+// Moves the customer to Trash
+export const deleteCustomer = async (token: string, id: string) => {
+    const response = await fetch(`${API_URL}/customers/${id}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || 'Failed to delete customer');
+    }
+    return response.json();
+};
+
+// Purchase history with lifetime value and first/last visit
+export const getCustomerSales = async (token: string, id: string) => {
+    const response = await fetch(`${API_URL}/customers/${id}/sales`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || 'Failed to fetch customer history');
+    }
+    return response.json();
+};
+
+export const getCustomerLoyalty = async (token: string, id: string) => {
+    const response = await fetch(`${API_URL}/customers/${id}/loyalty`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || 'Failed to fetch loyalty ledger');
+    }
+    return response.json();
+};
+
+export const adjustCustomerLoyalty = async (token: string, id: string, data: { points: number; note: string }) => {
+    const response = await fetch(`${API_URL}/customers/${id}/loyalty/adjust`, {
         method: 'POST',
         headers: {
             'Content-Type': 'application/json',
@@ -35,164 +692,220 @@ export const createProduct = async (token: string, data: any) => {
         },
         body: JSON.stringify(data)
     });
-    if (!response.ok) throw new Error('Failed to create product');
+    if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || 'Failed to adjust loyalty points');
+    }
     return response.json();
 };
 
-export const updateProduct = async (token: string, productId: string, data: any) => {
-    const response = await fetch(`${API_URL}/products/${productId}`, {
-        method: 'PUT',
+// Outstanding balance, open invoices and the receivables ledger
+export const getCustomerReceivables = async (token: string, id: string) => {
+    const response = await fetch(`${API_URL}/customers/${id}/receivables`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || 'Failed to fetch receivables');
+    }
+    return response.json();
+};
+
+// Payment against the customer's account; without allocations it settles the oldest invoices first
+export const recordCustomerReceipt = async (token: string, id: string, data: {
+    amount: number;
+    method: string;
+    reference?: string;
+    note?: string;
+    allocations?: { saleId: string; amount: number }[];
+}) => {
+    const response = await fetch(`${API_URL}/customers/${id}/receipts`, {
+        method: 'POST',
         headers: {
             'Content-Type': 'application/json',
             'Authorization': `Bearer ${token}`
         },
         body: JSON.stringify(data)
     });
-    if (!response.ok) throw new Error('Failed to update product');
+    if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || 'Failed to record receipt');
+    }
     return response.json();
 };
 
-export const deleteProduct = async (token: string, productId: string) => {
-    const response = await fetch(`${API_URL}/products/${productId}`, {
-        method: 'DELETE',
+export const getReceivablesAgeing = async (token: string, asOf?: string) => {
+    const params = new URLSearchParams();
+    if (asOf) params.set('asOf', asOf);
+    const response = await fetch(`${API_URL}/receivables/ageing?${params.toString()}`, {
         headers: { 'Authorization': `Bearer ${token}` }
     });
-    if (!response.ok) throw new Error('Failed to delete product');
+    if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || 'Failed to fetch receivables ageing');
+    }
     return response.json();
 };
 
-export const getLocations = async (token) => {
-    const response = await fetch(`${API_URL}/locations`, {
-        headers: {
-            'Authorization': `Bearer ${token}`
-        }
+export const getSuppliers = async (token: string) => {
+    const response = await fetch(`${API_URL}/suppliers`, {
+        headers: { 'Authorization': `Bearer ${token}` }
     });
     return response.json();
 };
 
-export const getUsers = async (token) => {
-    const response = await fetch(`${API_URL}/users`, {
-        headers: {
-            'Authorization': `Bearer ${token}`
-        }
+export const getPurchaseOrders = async (token: string, filters: { supplierId?: string; status?: string; open?: boolean } = {}) => {
+    const params = new URLSearchParams();
+    if (filters.supplierId) params.set('supplierId', filters.supplierId);
+    if (filters.status) params.set('status', filters.status);
+    if (filters.open) params.set('open', 'true');
+    const response = await fetch(`${API_URL}/purchase-orders?${params.toString()}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
     });
     if (!response.ok) {
         const err = await response.json();
-        throw new Error(err.error || 'Failed to fetch users');
+        throw new Error(err.error || 'Failed to fetch purchase orders');
     }
     return response.json();
 };
 
-export const createUser = async (token, userData) => {
-    const response = await fetch(`${API_URL}/users`, {
+export const createPurchaseOrder = async (token: string, data: any) => {
+    const response = await fetch(`${API_URL}/purchase-orders`, {
         method: 'POST',
         headers: {
             'Content-Type': 'application/json',
             'Authorization': `Bearer ${token}`
         },
-        body: JSON.stringify(userData)
+        body: JSON.stringify(data)
     });
-
     if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || 'Failed to create user');
+        const err = await response.json();
+        throw new Error(err.error || 'Failed to create purchase order');
     }
-
     return response.json();
 };
 
-export const deleteUser = async (token, userId) => {
-    const response = await fetch(`${API_URL}/users/${userId}`, {
-        method: 'DELETE',
+// action: 'approve' | 'send' | 'cancel'
+export const advancePurchaseOrder = async (token: string, orderId: string, action: string, data: any = {}) => {
+    const response = await fetch(`${API_URL}/purchase-orders/${orderId}/${action}`, {
+        method: 'POST',
         headers: {
+            'Content-Type': 'application/json',
             'Authorization': `Bearer ${token}`
-        }
+        },
+        body: JSON.stringify(data)
     });
-
     if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || 'Failed to delete user');
+        const err = await response.json();
+        throw new Error(err.error || `Failed to ${action} purchase order`);
     }
-
     return response.json();
 };
 
-export const updateUser = async (token: string, userId: string, userData: any) => {
-    const response = await fetch(`${API_URL}/users/${userId}`, {
-        method: 'PUT',
+export const receiveGoods = async (token: string, orderId: string, data: any) => {
+    const response = await fetch(`${API_URL}/purchase-orders/${orderId}/receipts`, {
+        method: 'POST',
         headers: {
             'Content-Type': 'application/json',
             'Authorization': `Bearer ${token}`
         },
-        body: JSON.stringify(userData)
+        body: JSON.stringify(data)
     });
-
     if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || 'Failed to update user');
+        const err = await response.json();
+        throw new Error(err.error || 'Failed to record goods receipt');
     }
-
     return response.json();
 };
 
-export const getRoles = async (token: string) => {
-    const response = await fetch(`${API_URL}/roles`, {
+export const getReorderSuggestions = async (token: string, options: { days?: number; locationId?: string; latest?: boolean } = {}) => {
+    const params = new URLSearchParams();
+    if (options.days) params.set('days', String(options.days));
+    if (options.locationId) params.set('locationId', options.locationId);
+    if (options.latest) params.set('latest', 'true');
+    const response = await fetch(`${API_URL}/reorder-suggestions?${params.toString()}`, {
         headers: { 'Authorization': `Bearer ${token}` }
     });
     if (!response.ok) {
         const err = await response.json();
-        throw new Error(err.error || 'Failed to fetch roles');
+        throw new Error(err.error || 'Failed to fetch reorder suggestions');
     }
     return response.json();
 };
 
-export const createRole = async (token: string, roleData: any) => {
-    const response = await fetch(`${API_URL}/roles`, {
+export const createPurchaseOrdersFromSuggestions = async (token: string, supplierId: string, locationId?: string) => {
+    const response = await fetch(`${API_URL}/reorder-suggestions/purchase-orders`, {
         method: 'POST',
         headers: {
             'Content-Type': 'application/json',
             'Authorization': `Bearer ${token}`
         },
-        body: JSON.stringify(roleData)
+        body: JSON.stringify({ supplierId, locationId })
     });
-    if (!response.ok) throw new Error('Failed to create role');
+    if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || 'Failed to create purchase orders');
+    }
     return response.json();
 };
 
-export const updateRole = async (token: string, roleId: string, roleData: any) => {
-    const response = await fetch(`${API_URL}/roles/${roleId}`, {
-        method: 'PUT',
+export const getSales = async (token: string) => {
+    const response = await fetch(`${API_URL}/sales`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    return response.json();
+};
+
+export const createSale = async (token: string, data: any) => {
+    const response = await fetch(`${API_URL}/sales`, {
+        method: 'POST',
         headers: {
             'Content-Type': 'application/json',
             'Authorization': `Bearer ${token}`
         },
-        body: JSON.stringify(roleData)
+        body: JSON.stringify(data)
     });
-    if (!response.ok) throw new Error('Failed to update role');
+    if (!response.ok) {
+        const err = await response.json();
+        const details = (err.items || []).map(i => `${i.name || i.productId}: ${i.error}${i.available !== undefined ? ` (available ${i.available})` : ''}`).join(', ');
+        throw new Error(details ? `${err.error} - ${details}` : (err.error || 'Failed to create sale'));
+    }
     return response.json();
 };
 
-export const deleteRole = async (token: string, roleId: string) => {
-    const response = await fetch(`${API_URL}/roles/${roleId}`, {
-        method: 'DELETE',
+// GSTR-1 / GSTR-3B for a month (YYYY-MM): { data: portal JSON, warnings }
+export const getGstReturn = async (token: string, type: 'gstr1' | 'gstr3b', month: string) => {
+    const response = await fetch(`${API_URL}/gst/${type}?month=${encodeURIComponent(month)}`, {
         headers: { 'Authorization': `Bearer ${token}` }
     });
     if (!response.ok) {
         const err = await response.json();
-        throw new Error(err.error || 'Failed to delete role');
+        throw new Error(err.error || `Failed to build ${type.toUpperCase()}`);
     }
     return response.json();
 };
 
-export const getCustomers = async (token: string) => {
-    const response = await fetch(`${API_URL}/customers`, {
+export const getSaleInvoicePdf = async (token: string, id: string): Promise<Blob> => {
+    const response = await fetch(`${API_URL}/sales/${id}/invoice.pdf`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || 'Failed to fetch invoice');
+    }
+    return response.blob();
+};
+
+export const getSaleReturns = async (token: string, saleId: string) => {
+    const response = await fetch(`${API_URL}/sales/${saleId}/returns`, {
         headers: { 'Authorization': `Bearer ${token}` }
     });
+    if (!response.ok) throw new Error('Failed to fetch returns');
     return response.json();
 };
 
-export const createCustomer = async (token: string, data: any) => {
-    const response = await fetch(`${API_URL}/customers`, {
+export const createSalesReturn = async (token: string, saleId: string, data: { items: { lineIndex: number; quantity: number; condition: string }[]; reason?: string }) => {
+    const response = await fetch(`${API_URL}/sales/${saleId}/returns`, {
         method: 'POST',
         headers: {
             'Content-Type': 'application/json',
@@ -200,26 +913,45 @@ export const createCustomer = async (token: string, data: any) => {
         },
         body: JSON.stringify(data)
     });
-    if (!response.ok) throw new Error('Failed to create customer');
+    if (!response.ok) {
+        const err = await response.json();
+        const details = Array.isArray(err.items) ? `: ${err.items.map((i: any) => `${i.name || `Line ${i.lineIndex + 1}`} (${i.error})`).join(', ')}` : '';
+        throw new Error((err.error || 'Failed to record return') + details);
+    }
     return response.json();
 };
 
-export const getSuppliers = async (token: string) => {
-    const response = await fetch(`${API_URL}/suppliers`, {
+export const getSalesReturns = async (token: string, filters: { from?: string; to?: string } = {}) => {
+    const params = new URLSearchParams();
+    if (filters.from) params.set('from', filters.from);
+    if (filters.to) params.set('to', filters.to);
+    const response = await fetch(`${API_URL}/sales-returns?${params.toString()}`, {
         headers: { 'Authorization': `Bearer ${token}` }
     });
+    if (!response.ok) throw new Error('Failed to fetch credit notes');
     return response.json();
 };
 
-export const getSales = async (token: string) => {
-    const response = await fetch(`${API_URL}/sales`, {
+export const getCreditNotePdf = async (token: string, id: string): Promise<Blob> => {
+    const response = await fetch(`${API_URL}/sales-returns/${id}/credit-note.pdf`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || 'Failed to fetch credit note');
+    }
+    return response.blob();
+};
+
+export const getTransfers = async (token: string) => {
+    const response = await fetch(`${API_URL}/transfers`, {
         headers: { 'Authorization': `Bearer ${token}` }
     });
     return response.json();
 };
 
-export const createSale = async (token: string, data: any) => {
-    const response = await fetch(`${API_URL}/sales`, {
+export const createTransfer = async (token: string, data: any) => {
+    const response = await fetch(`${API_URL}/transfers`, {
         method: 'POST',
         headers: {
             'Content-Type': 'application/json',
@@ -227,19 +959,80 @@ export const createSale = async (token: string, data: any) => {
         },
         body: JSON.stringify(data)
     });
-    if (!response.ok) throw new Error('Failed to create sale');
+    if (!response.ok) {
+        const err = await response.json();
+        const details = err.shortfall ? ` (requested ${err.requested}, available ${err.available})` : '';
+        throw new Error(`${err.error || 'Failed to create transfer'}${details}`);
+    }
     return response.json();
 };
 
-export const getTransfers = async (token: string) => {
-    const response = await fetch(`${API_URL}/transfers`, {
+export const requestTransfer = async (token: string, data: any) => {
+    const response = await fetch(`${API_URL}/transfers/requests`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify(data)
+    });
+    if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || 'Failed to request transfer');
+    }
+    return response.json();
+};
+
+// action: 'approve' | 'reject' | 'cancel' | 'dispatch' | 'receive'
+export const advanceTransfer = async (token: string, transferId: string, action: string, data: any = {}) => {
+    const response = await fetch(`${API_URL}/transfers/${transferId}/${action}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify(data)
+    });
+    if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || `Failed to ${action} transfer`);
+    }
+    return response.json();
+};
+
+// Cross-tenant stock requests. direction: 'incoming' | 'outgoing' (both when omitted)
+export const getStockRequests = async (token: string, direction?: 'incoming' | 'outgoing') => {
+    const query = direction ? `?direction=${direction}` : '';
+    const response = await fetch(`${API_URL}/stock-requests${query}`, {
         headers: { 'Authorization': `Bearer ${token}` }
     });
+    if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || 'Failed to fetch stock requests');
+    }
     return response.json();
 };
 
-export const createTransfer = async (token: string, data: any) => {
-    const response = await fetch(`${API_URL}/transfers`, {
+export const createStockRequest = async (token: string, data: { sku: string; fromLocationId: string; toLocationId: string; quantity: number; notes?: string }) => {
+    const response = await fetch(`${API_URL}/stock-requests`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify(data)
+    });
+    if (!response.ok) {
+        const err = await response.json();
+        const details = err.available !== undefined ? ` (requested ${err.requested}, available ${err.available})` : '';
+        throw new Error(`${err.error || 'Failed to request stock'}${details}`);
+    }
+    return response.json();
+};
+
+// action: 'accept' | 'decline' | 'cancel'; accept takes { unitPrice }
+export const advanceStockRequest = async (token: string, requestId: string, action: string, data: any = {}) => {
+    const response = await fetch(`${API_URL}/stock-requests/${requestId}/${action}`, {
         method: 'POST',
         headers: {
             'Content-Type': 'application/json',
@@ -247,7 +1040,10 @@ export const createTransfer = async (token: string, data: any) => {
         },
         body: JSON.stringify(data)
     });
-    if (!response.ok) throw new Error('Failed to create transfer');
+    if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || `Failed to ${action} stock request`);
+    }
     return response.json();
 };
 
@@ -258,10 +1054,46 @@ export const getTaxTiers = async (token: string) => {
     return response.json();
 };
 
-export const getTrash = async (token: string) => {
-    const response = await fetch(`${API_URL}/trash`, {
+export const getTrash = async (token: string, filters: { collectionName?: string; from?: string; to?: string; q?: string } = {}) => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+    });
+    const response = await fetch(`${API_URL}/trash?${params.toString()}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || 'Failed to fetch trash');
+    }
+    return response.json();
+};
+
+export const restoreItems = async (token: string, ids: string[]) => {
+    const response = await fetch(`${API_URL}/trash/restore`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ ids })
+    });
+    if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || 'Failed to restore items');
+    }
+    return response.json();
+};
+
+export const purgeTrashItem = async (token: string, id: string) => {
+    const response = await fetch(`${API_URL}/trash/${id}`, {
+        method: 'DELETE',
         headers: { 'Authorization': `Bearer ${token}` }
     });
+    if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || 'Failed to delete item');
+    }
     return response.json();
 };
 
@@ -279,8 +1111,16 @@ export const restoreItem = async (token: string, id: string) => {
     }
     return response.json();
 };
-export const checkGlobalStock = async (token: string, sku: string) => {
-    const response = await fetch(`${API_URL}/inventory/global-check?sku=${encodeURIComponent(sku)}`, {
+export const checkGlobalStock = async (
+    token: string,
+    sku: string,
+    filters: { fromLocationId?: string; maxDistance?: number | ''; minQuantity?: number | '' } = {}
+) => {
+    const params = new URLSearchParams({ sku });
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value !== '' && value !== undefined) params.set(key, String(value));
+    });
+    const response = await fetch(`${API_URL}/inventory/global-check?${params.toString()}`, {
         headers: {
             'Authorization': `Bearer ${token}`
         }
@@ -291,3 +1131,34 @@ export const checkGlobalStock = async (token: string, sku: string) => {
     }
     return response.json();
 };
+
+export const getAuditLogs = async (token: string, filters: Record<string, string | number> = {}) => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value !== '' && value !== undefined) params.set(key, String(value));
+    });
+    const response = await fetch(`${API_URL}/audit-logs?${params.toString()}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || 'Failed to fetch audit logs');
+    }
+    return response.json();
+};
+
+// Returns the CSV as a Blob (same filters as getAuditLogs, without paging)
+export const exportAuditLogs = async (token: string, filters: Record<string, string> = {}) => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+    });
+    const response = await fetch(`${API_URL}/audit-logs/export?${params.toString()}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || 'Failed to export audit logs');
+    }
+    return response.blob();
+};
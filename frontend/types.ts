@@ -13,6 +13,77 @@ export interface User {
   tenantId?: string; // For Owners to group their warehouses
   managedLocationIds?: string[]; // For Managers, specific warehouses they can see
   permissions?: string[]; // List of module IDs this user can access
+  lockedUntil?: string; // Set after repeated failed logins
+  twoFactorEnabled?: boolean;
+}
+
+export interface TwoFactorStatus {
+  enabled: boolean;
+  enabledAt?: string;
+  backupCodesRemaining: number;
+  required: boolean; // The tenant enforces 2FA for this account's role
+}
+
+export interface Business {
+  id: string; // Same as the tenant id
+  name: string;
+  gstNumber?: string;
+  address?: string;
+  stateCode?: string; // GST state code; taken from the GSTIN when there is one
+  ownerId: string;
+  settings: {
+    currency: string;
+    timezone: string;
+    trashRetentionDays: number;
+    requireOwnerTwoFactor?: boolean;
+    shareStockWithNetwork?: boolean; // Other tenants can see and request this tenant's stock
+    loyalty?: LoyaltySettings;
+  };
+  isDeleted?: boolean;
+}
+
+export interface LoyaltySettings {
+  enabled: boolean;
+  spendPerPoint: number; // ₹ spent per point earned
+  categoryMultipliers: Record<string, number>; // Category -> earn multiplier (default 1)
+  minBillAmount: number; // Bills below this earn nothing
+  pointValue: number; // ₹ value of one point when redeemed
+  maxRedeemPercent: number; // Share of a bill that points may pay for
+  expiryDays: number; // 0 = points never expire
+}
+
+export type LoyaltyEntryType = 'OPENING' | 'EARN' | 'REDEEM' | 'EXPIRE' | 'ADJUST' | 'REFUND' | 'REVERSE'; // REFUND/REVERSE: sales returns
+
+export interface LoyaltyEntry {
+  id: string;
+  customerId: string;
+  type: LoyaltyEntryType;
+  points: number; // Signed
+  balance: number; // Balance after this entry
+  remaining?: number; // Unspent part of a credit
+  expiresAt?: string;
+  referenceType?: string;
+  referenceId?: string;
+  userId?: string;
+  note?: string;
+  timestamp: string;
+}
+
+// GET /customers/:id/loyalty
+export interface CustomerLoyalty {
+  balance: number;
+  entries: LoyaltyEntry[];
+  expiringSoon: { points: number; expiresAt: string }[]; // Within 30 days
+}
+
+export interface UserSession {
+  id: string;
+  userAgent?: string;
+  ipAddress?: string;
+  createdAt: string;
+  lastUsedAt: string;
+  expiresAt: string;
+  current: boolean; // The session making the request
 }
 
 export interface Location {
@@ -21,6 +92,10 @@ export interface Location {
   address: string;
   type: 'WAREHOUSE' | 'STORE';
   tenantId?: string; // Belongs to which owner/tenant
+  coordinates?: { lat: number; lng: number };
+  capacity?: number; // Storage capacity in units
+  invoicePrefix?: string; // Invoice series code; locations without one share the 'INV' series
+  stateCode?: string; // GST state code of the premises; the business's state when unset
 }
 
 export interface Product {
@@ -43,11 +118,50 @@ export interface Product {
   status: 'Active' | 'Discontinued' | 'Seasonal';
   lastSaleDate?: string;
   unit?: string;
+  inTransit?: Record<string, number>; // Destination LocationId -> Dispatched, not yet received
+  inTransitTotal?: number;
+  damagedStock?: Record<string, number>; // LocationId -> Units returned damaged, not sellable
 }
 
 export interface CartItem extends Product {
   quantity: number;
   discount: number; // Percentage
+  batches?: BatchAllocation[]; // Set by the server (FEFO) when the sale is posted
+  // GST on the line, set by the server
+  taxableValue?: number;
+  cgst?: number;
+  sgst?: number;
+  igst?: number;
+}
+
+export interface BatchAllocation {
+  batchNumber: string;
+  manufactureDate?: string;
+  expiryDate?: string;
+  quantity: number;
+}
+
+export interface Batch extends BatchAllocation {
+  id: string;
+  productId: string;
+  locationId: string;
+}
+
+export interface ExpiringBatch extends Batch {
+  productName: string;
+  sku?: string;
+  locationName: string;
+  daysToExpiry: number;
+  isExpired: boolean;
+  valueAtCost: number;
+}
+
+export type SalePaymentMethod = 'CASH' | 'CARD' | 'UPI' | 'ON_ACCOUNT'; // ON_ACCOUNT: owed by the customer, within their credit limit
+
+export interface SalePayment {
+  method: SalePaymentMethod;
+  amount: number;
+  reference?: string; // Card slip, UPI transaction id, ...
 }
 
 export interface Sale {
@@ -61,8 +175,65 @@ export interface Sale {
   customerName?: string;
   customerId?: string;
   locationId: string;
-  paymentMethod: 'CASH' | 'CARD' | 'UPI';
+  paymentMethod: SalePaymentMethod | 'SPLIT' | 'NETWORK'; // SPLIT: several payment lines; NETWORK: sold to another tenant through a stock request
+  payments?: SalePayment[]; // Sent with a new sale; the server fills in the ON_ACCOUNT remainder
+  balanceDue?: number; // Still owed on account, set by the server
   transactionId: string;
+  loyaltyPointsRedeemed?: number; // Sent with a new sale; validated against the customer's balance
+  loyalty?: { pointsEarned: number; pointsRedeemed: number; redeemedValue: number }; // Set by the server
+  // GST invoice fields, set by the server
+  invoiceNumber?: string; // e.g. DEL/2526/00042
+  financialYear?: string; // e.g. '2025-26'
+  sellerGstin?: string;
+  customerGstin?: string;
+  placeOfSupply?: string; // Two-digit state code
+  supplyType?: 'INTRA' | 'INTER';
+  taxBreakup?: { cgst: number; sgst: number; igst: number };
+  returnedAmount?: number; // Total of credit notes issued against this sale
+}
+
+export type ReturnCondition = 'GOOD' | 'DAMAGED';
+
+// A return against a sale; its credit note number comes from the tenant's CN series
+export interface SalesReturn {
+  id: string;
+  saleId: string;
+  invoiceNumber: string;
+  invoiceDate: string;
+  creditNoteNumber: string; // e.g. CN/2526/00007
+  financialYear: string;
+  date: string;
+  locationId: string;
+  customerId?: string;
+  customerName?: string;
+  customerGstin?: string;
+  placeOfSupply?: string;
+  supplyType: 'INTRA' | 'INTER';
+  items: {
+    lineIndex: number; // Position of the line on the sale
+    id: string; // Product id
+    name: string;
+    hsnCode?: string;
+    unit?: string;
+    price: number;
+    taxRate: number;
+    quantity: number;
+    condition: ReturnCondition;
+    taxableValue: number;
+    cgst: number;
+    sgst: number;
+    igst: number;
+  }[];
+  subtotal: number;
+  totalTax: number;
+  totalAmount: number;
+  taxBreakup: { cgst: number; sgst: number; igst: number };
+  loyalty?: { pointsReversed: number; pointsRestored: number; restoredValue: number };
+  adjustedAgainstBalance?: number; // Part of the credit note that reduced what the customer owed on the invoice
+  refundAmount: number; // totalAmount less loyalty points given back and the amount adjusted against the balance
+  reason?: string;
+  userId?: string;
+  createdAt: string;
 }
 
 export interface Transfer {
@@ -73,9 +244,90 @@ export interface Transfer {
   quantity: number;
   date: string; // ISO string
   timestamp: number;
-  status: 'COMPLETED' | 'FAILED';
+  status: TransferStatus;
   reason?: string;
   notes?: string;
+  requestedBy?: string;
+  approvedBy?: string;
+  dispatchedBy?: string;
+  receivedBy?: string;
+  receivedQuantity?: number;
+  discrepancy?: number; // Dispatched - Received
+  discrepancyNotes?: string;
+  batches?: BatchAllocation[];
+  history?: { status: TransferStatus; userId: string; at: string; note?: string }[];
+}
+
+// COMPLETED/FAILED are direct transfers; the rest belong to the request -> receive workflow
+export type TransferStatus = 'COMPLETED' | 'FAILED' | 'REQUESTED' | 'APPROVED' | 'DISPATCHED' | 'RECEIVED' | 'REJECTED' | 'CANCELLED';
+
+// Cross-tenant request for stock found through the network stock check
+export interface StockRequest {
+  id: string;
+  sku: string;
+  quantity: number;
+  status: StockRequestStatus;
+  requesterTenantId: string;
+  requesterProductId: string;
+  requesterName?: string;
+  toLocationId: string;
+  toLocationName?: string;
+  requestedBy?: string;
+  supplierTenantId: string;
+  supplierProductId: string;
+  supplierName?: string;
+  fromLocationId: string;
+  fromLocationName?: string;
+  respondedBy?: string;
+  unitPrice?: number; // Set by the supplier on acceptance
+  totalAmount?: number;
+  batches?: BatchAllocation[];
+  saleId?: string; // Sale in the supplier's tenant
+  purchaseOrderId?: string; // Purchase order in the requester's tenant
+  notes?: string;
+  history?: { status: StockRequestStatus; userId: string; at: string; note?: string }[];
+  createdAt: string;
+}
+
+export type StockRequestStatus = 'REQUESTED' | 'ACCEPTED' | 'DECLINED' | 'CANCELLED';
+
+// One row of GET /inventory/global-check
+export interface NetworkStockEntry {
+  locationId: string;
+  locationName: string;
+  quantity: number;
+  isLocal: boolean; // Held by the caller's own tenant
+  tenantId: string;
+  distanceKm: number | null; // null when either location has no coordinates
+  etaMinutes: number | null;
+  distance: string;
+  eta: string;
+}
+
+export interface StockMovement {
+  id: string;
+  productId: string;
+  locationId: string;
+  type: 'SALE' | 'TRANSFER_OUT' | 'TRANSFER_IN' | 'ADJUSTMENT' | 'IMPORT' | 'RESTORE' | 'DELETE' | 'OPENING' | 'PURCHASE_RECEIPT' | 'SALE_RETURN';
+  delta: number; // Signed quantity change
+  balance: number; // Quantity at the location after the change
+  referenceType?: string;
+  referenceId?: string;
+  userId: string;
+  note?: string;
+  timestamp: string;
+}
+
+export interface AuditLogEntry {
+  id: string;
+  userId: string;
+  action: string; // HTTP method
+  resource: string;
+  resourceId?: string;
+  details?: any;
+  changes?: { field: string; before: any; after: any }[];
+  timestamp: string;
+  ipAddress?: string;
 }
 
 export interface ChatMessage {
@@ -93,8 +345,74 @@ export interface Customer {
   email?: string;
   gstNumber?: string;
   address?: string;
+  stateCode?: string; // GST state code; taken from the GSTIN when there is one
   loyaltyPoints: number;
   totalPurchases: number;
+  creditLimit?: number; // ₹; no sales on account without one. Only owners can change it
+  outstandingBalance?: number; // Owed on account, maintained by the server
+}
+
+export type ReceiptMethod = 'CASH' | 'CARD' | 'UPI' | 'BANK' | 'CHEQUE';
+
+export interface ReceivableEntry {
+  id: string;
+  customerId: string;
+  type: 'INVOICE' | 'RECEIPT' | 'CREDIT_NOTE';
+  amount: number; // Signed: positive raises what the customer owes
+  balance: number; // Outstanding after this entry
+  date: string;
+  method?: ReceiptMethod;
+  reference?: string;
+  allocations: { saleId: string; invoiceNumber: string; amount: number }[];
+  referenceType?: string;
+  referenceId?: string;
+  userId?: string;
+  note?: string;
+  timestamp: string;
+}
+
+// GET /customers/:id/receivables
+export interface CustomerReceivables {
+  outstanding: number;
+  creditLimit: number;
+  availableCredit: number;
+  openInvoices: { id: string; invoiceNumber: string; date: string; totalAmount: number; balanceDue: number; ageDays: number }[];
+  entries: ReceivableEntry[]; // Newest first
+}
+
+// GET /receivables/ageing
+export interface ReceivablesAgeing {
+  asOf: string;
+  buckets: string[]; // '0-30', '31-60', '61-90', '90+'
+  customers: {
+    customerId: string;
+    name: string;
+    phone?: string;
+    creditLimit: number;
+    buckets: Record<string, number>;
+    total: number;
+    oldestDays: number;
+  }[];
+  totals: Record<string, number>; // Per bucket, plus `total`
+}
+
+// GET /gst/gstr1, /gst/gstr3b
+export interface GstReturnExport {
+  data: Record<string, any>; // Portal JSON, uploaded as-is
+  warnings: { invoice: string; error: string }[];
+}
+
+// GET /customers/:id/sales
+export interface CustomerHistory {
+  customer: Customer;
+  sales: Sale[];
+  summary: {
+    orders: number;
+    lifetimeValue: number;
+    averageOrderValue: number;
+    firstVisit: string | null; // Sale date (YYYY-MM-DD)
+    lastVisit: string | null;
+  };
 }
 
 export interface Supplier {
@@ -110,6 +428,68 @@ export interface Supplier {
   lastSupplyDate: string;
 }
 
+export interface PurchaseOrderItem {
+  productId: string;
+  name?: string;
+  quantity: number; // Ordered
+  unitCost: number;
+  receivedQuantity: number;
+}
+
+export interface PurchaseOrder {
+  id: string;
+  supplierId: string;
+  locationId: string; // Receiving location
+  status: 'DRAFT' | 'APPROVED' | 'SENT' | 'PARTIALLY_RECEIVED' | 'RECEIVED' | 'CANCELLED';
+  items: PurchaseOrderItem[];
+  totalAmount: number; // GST-inclusive when the PO records a supplier invoice
+  // Network stock requests: the supplier's GST invoice
+  supplierInvoiceNumber?: string;
+  subtotal?: number;
+  totalTax?: number;
+  taxBreakup?: { cgst: number; sgst: number; igst: number };
+  expectedDate?: string; // YYYY-MM-DD
+  notes?: string;
+  createdBy?: string;
+  approvedBy?: string;
+  createdAt: string;
+  receipts?: GoodsReceipt[];
+}
+
+export interface GoodsReceipt {
+  id: string;
+  purchaseOrderId: string;
+  supplierId: string;
+  locationId: string;
+  items: { productId: string; quantity: number; unitCost: number }[];
+  supplierInvoiceNumber?: string;
+  receivedBy?: string;
+  receivedAt: string;
+  notes?: string;
+}
+
+export interface ReorderSuggestionItem {
+  productId: string;
+  name: string;
+  sku?: string;
+  locationId: string;
+  onHand: number;
+  incoming: number; // Dispatched transfers + outstanding PO quantity
+  dailyVelocity: number;
+  leadTimeDays: number;
+  reorderPoint: number;
+  targetLevel: number;
+  suggestedQuantity: number;
+  unitCost: number;
+}
+
+export interface ReorderSuggestionGroup {
+  supplierId: string | null;
+  supplierName: string;
+  items: ReorderSuggestionItem[];
+  estimatedCost: number;
+}
+
 export interface SalesTarget {
   id: string;
   locationId: string;
@@ -129,8 +509,9 @@ export interface TaxTier {
   name: string;
   categoryType?: 'Essential' | 'Standard' | 'Luxury' | 'Goods';
   rate: number; // Total Percentage
-  cgst: number; // Percentage
-  sgst: number; // Percentage
+  cgst: number; // Percentage, intra-state
+  sgst: number; // Percentage, intra-state
+  igst?: number; // Percentage, inter-state; the full rate when unset
 }
 
 export interface Notification {
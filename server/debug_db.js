@@ -1,6 +1,7 @@
+require('dotenv').config();
 const mongoose = require('mongoose');
 
-const MONGO_URI = 'mongodb://localhost:27017/hanuman_traders';
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/hanuman_traders';
 
 mongoose.connect(MONGO_URI)
     .then(async () => {
@@ -0,0 +1,199 @@
+// Minimal PDF 1.4 writer for GST tax invoices. Uses the standard Helvetica fonts (no embedding),
+// so text is limited to WinAnsi characters; anything else is printed as '?'. Amounts use "Rs." for ₹.
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+const ROW_HEIGHT = 16;
+
+// Helvetica advance widths (1/1000 em) for the characters that appear in right-aligned columns
+const CHAR_WIDTHS = { ' ': 278, ',': 278, '.': 278, '-': 333, '/': 278, '%': 889, '(': 333, ')': 333, ':': 278 };
+const DEFAULT_WIDTH = 556; // Digits; a fair average for letters
+
+const textWidth = (text, size) => [...text].reduce((sum, ch) => sum + (CHAR_WIDTHS[ch] || DEFAULT_WIDTH), 0) * size / 1000;
+
+const escapeText = (value) => String(value ?? '')
+    .replace(/₹/g, 'Rs.')
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/([\\()])/g, '\\$1');
+
+const truncate = (value, max) => {
+    const text = String(value ?? '');
+    return text.length > max ? `${text.slice(0, max - 1)}.` : text;
+};
+
+const money = (value) => (Number(value) || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+// Collects drawing operators for one page
+class Page {
+    constructor() {
+        this.ops = [];
+    }
+
+    text(x, y, value, { size = 9, bold = false, align = 'left' } = {}) {
+        const text = String(value ?? '');
+        const left = align === 'right' ? x - textWidth(text, size) : x;
+        this.ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${left.toFixed(2)} ${y.toFixed(2)} Td (${escapeText(text)}) Tj ET`);
+    }
+
+    line(x1, y1, x2, y2) {
+        this.ops.push(`${x1} ${y1.toFixed(2)} m ${x2} ${y2.toFixed(2)} l S`);
+    }
+
+    fillRect(x, y, width, height, gray) {
+        this.ops.push(`${gray} g ${x} ${y.toFixed(2)} ${width} ${height} re f 0 g`);
+    }
+}
+
+// Serialises pages into a PDF file
+const buildPdf = (pages) => {
+    const objects = [];
+    const pageIds = pages.map((_, i) => 5 + i * 2);
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+    pages.forEach((page, i) => {
+        const content = page.ops.join('\n');
+        objects[pageIds[i]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+            + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+        objects[pageIds[i] + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+    });
+
+    let body = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+        offsets[id] = Buffer.byteLength(body, 'latin1');
+        body += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+    const xrefOffset = Buffer.byteLength(body, 'latin1');
+    body += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) body += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    body += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+    return Buffer.from(body, 'latin1');
+};
+
+// Item table columns: x is the left edge for left-aligned columns and the right edge otherwise
+const COLUMNS = [
+    { key: 'index', label: '#', x: MARGIN + 4 },
+    { key: 'description', label: 'Description / HSN', x: MARGIN + 20 },
+    { key: 'quantity', label: 'Qty', x: 250, align: 'right' },
+    { key: 'rate', label: 'Rate', x: 300, align: 'right' },
+    { key: 'taxable', label: 'Taxable', x: 360, align: 'right' },
+    { key: 'gstRate', label: 'GST %', x: 395, align: 'right' },
+    { key: 'cgst', label: 'CGST', x: 440, align: 'right' },
+    { key: 'sgst', label: 'SGST', x: 485, align: 'right' },
+    { key: 'igst', label: 'IGST', x: PAGE_WIDTH - MARGIN - 4, align: 'right' }
+];
+
+const drawTableHeader = (page, y) => {
+    page.fillRect(MARGIN, y - 5, PAGE_WIDTH - 2 * MARGIN, ROW_HEIGHT, 0.9);
+    COLUMNS.forEach(col => page.text(col.x, y, col.label, { bold: true, align: col.align }));
+    return y - ROW_HEIGHT;
+};
+
+/**
+ * Renders a GST tax invoice (or, with `title`/`reference`/`totalLabel`, a credit note in the same layout).
+ * `sale` carries the server-computed tax fields (invoiceNumber, supplyType, per-line taxableValue/cgst/sgst/igst);
+ * `business`, `location` and `customer` are the documents as stored (customer may be null for walk-ins).
+ */
+const renderInvoicePdf = ({ sale, business, location, customer, title = 'TAX INVOICE', reference, totalLabel = 'Invoice Total' }) => {
+    const pages = [];
+    let page = new Page();
+    pages.push(page);
+    const right = PAGE_WIDTH - MARGIN;
+    let y = PAGE_HEIGHT - MARGIN - 10;
+
+    // Seller
+    page.text(MARGIN, y, business?.name || 'Tax Invoice', { size: 16, bold: true });
+    page.text(right, y, title, { size: 14, bold: true, align: 'right' });
+    y -= 16;
+    if (business?.address) page.text(MARGIN, y, truncate(business.address, 70));
+    page.text(right, y, `No: ${sale.invoiceNumber || sale.id}`, { bold: true, align: 'right' });
+    y -= 12;
+    page.text(MARGIN, y, `GSTIN: ${sale.sellerGstin || business?.gstNumber || 'Not registered'}`);
+    page.text(right, y, `Date: ${sale.date}`, { align: 'right' });
+    y -= 12;
+    if (location) page.text(MARGIN, y, `Dispatched from: ${truncate([location.name, location.address].filter(Boolean).join(', '), 60)}`);
+    page.text(right, y, `Place of Supply: ${sale.placeOfSupply || '-'}`, { align: 'right' });
+    if (reference) {
+        y -= 12;
+        page.text(right, y, reference, { align: 'right' });
+    }
+    y -= 10;
+    page.line(MARGIN, y, right, y);
+
+    // Buyer
+    y -= 16;
+    page.text(MARGIN, y, 'Bill To', { bold: true });
+    y -= 12;
+    page.text(MARGIN, y, customer?.name || sale.customerName || 'Walk-in Customer');
+    y -= 12;
+    if (customer?.address) {
+        page.text(MARGIN, y, truncate(customer.address, 80));
+        y -= 12;
+    }
+    if (customer?.phone) {
+        page.text(MARGIN, y, `Phone: ${customer.phone}`);
+        y -= 12;
+    }
+    page.text(MARGIN, y, `GSTIN: ${sale.customerGstin || 'Unregistered'}`);
+    y -= 20;
+
+    // Items
+    y = drawTableHeader(page, y);
+    (sale.items || []).forEach((item, i) => {
+        if (y < MARGIN + 140) {
+            page = new Page();
+            pages.push(page);
+            y = drawTableHeader(page, PAGE_HEIGHT - MARGIN - 10);
+        }
+        const row = {
+            index: String(i + 1),
+            description: `${truncate(item.name, 28)}${item.hsnCode ? ` (${item.hsnCode})` : ''}`,
+            quantity: String(item.quantity),
+            rate: money(item.price),
+            taxable: money(item.taxableValue),
+            gstRate: `${item.taxRate || 0}%`,
+            cgst: money(item.cgst),
+            sgst: money(item.sgst),
+            igst: money(item.igst)
+        };
+        COLUMNS.forEach(col => page.text(col.x, y, row[col.key], { align: col.align }));
+        y -= ROW_HEIGHT;
+    });
+    page.line(MARGIN, y + ROW_HEIGHT - 5, right, y + ROW_HEIGHT - 5);
+
+    // Totals
+    const breakup = sale.taxBreakup || {};
+    const totals = [
+        ['Taxable Value', sale.subtotal],
+        ...(sale.supplyType === 'INTER'
+            ? [['IGST', breakup.igst]]
+            : [['CGST', breakup.cgst], ['SGST', breakup.sgst]]),
+        [totalLabel, sale.totalAmount]
+    ];
+    if (sale.loyalty?.redeemedValue) {
+        totals.push([`Paid with ${sale.loyalty.pointsRedeemed} loyalty points`, -sale.loyalty.redeemedValue]);
+        totals.push(['Amount Paid', sale.totalAmount - sale.loyalty.redeemedValue]);
+    }
+    y -= 8;
+    totals.forEach(([label, value], i) => {
+        const bold = label === totalLabel;
+        page.text(right - 110, y, label, { bold, align: 'right' });
+        page.text(right, y, `Rs. ${money(value)}`, { bold, align: 'right' });
+        y -= i === totals.length - 1 ? 0 : 14;
+    });
+
+    y -= 30;
+    if (sale.supplyType === 'INTER') page.text(MARGIN, y, 'Inter-state supply: IGST charged.', { size: 8 });
+    else page.text(MARGIN, y, 'Intra-state supply: CGST and SGST charged.', { size: 8 });
+    page.text(right, y, `For ${business?.name || ''}`, { bold: true, align: 'right' });
+    y -= 30;
+    page.text(MARGIN, y, `This is a computer-generated ${title.toLowerCase()}.`, { size: 8 });
+    page.text(right, y, 'Authorised Signatory', { align: 'right' });
+
+    return buildPdf(pages);
+};
+
+module.exports = { renderInvoicePdf };
@@ -0,0 +1,32 @@
+// Outgoing mail. The transport is chosen with MAIL_TRANSPORT; until a real provider is wired in,
+// 'console' logs messages and 'file' writes them to MAIL_OUTBOX_DIR as JSON.
+// A provider can be plugged in with registerTransport('smtp', async (message) => { ... }).
+const fs = require('fs');
+const path = require('path');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@hanumantraders.local';
+
+const transports = {
+    console: async (message) => {
+        console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    },
+    file: async (message) => {
+        const dir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, 'mail-outbox');
+        await fs.promises.mkdir(dir, { recursive: true });
+        const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).substr(2, 6)}.json`);
+        await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+    }
+};
+
+const registerTransport = (name, send) => {
+    transports[name] = send;
+};
+
+const sendMail = async ({ to, subject, text }) => {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const transport = transports[name];
+    if (!transport) throw new Error(`Unknown mail transport: ${name}`);
+    await transport({ from: MAIL_FROM, to, subject, text, sentAt: new Date().toISOString() });
+};
+
+module.exports = { sendMail, registerTransport };
@@ -7,8 +7,12 @@ const AuditLogSchema = new mongoose.Schema({
     resource: { type: String, required: true }, // e.g., 'Product', 'User'
     resourceId: { type: String },
     details: { type: Object }, // Changed fields or snapshot
+    changes: [{ _id: false, field: String, before: mongoose.Schema.Types.Mixed, after: mongoose.Schema.Types.Mixed }], // Field-level diff for PUT/DELETE
+    tenant_id: { type: String, index: true },
     timestamp: { type: Date, default: Date.now },
     ipAddress: { type: String }
 });
 
+AuditLogSchema.index({ tenant_id: 1, timestamp: -1 });
+
 module.exports = mongoose.model('AuditLog', AuditLogSchema);
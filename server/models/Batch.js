@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Lot/batch of a product held at one location. The same batchNumber can exist at several
+// locations (after a transfer); each location keeps its own quantity.
+const BatchSchema = new mongoose.Schema({
+    id: { type: String, required: true, unique: true },
+    tenant_id: { type: String, index: true },
+    productId: { type: String, required: true },
+    locationId: { type: String, required: true },
+    batchNumber: { type: String, required: true },
+    manufactureDate: { type: String }, // YYYY-MM-DD
+    expiryDate: { type: String }, // YYYY-MM-DD, empty for non-perishables
+    quantity: { type: Number, default: 0 },
+    createdAt: { type: Date, default: Date.now }
+});
+
+BatchSchema.index({ tenant_id: 1, productId: 1, locationId: 1, batchNumber: 1 }, { unique: true });
+BatchSchema.index({ tenant_id: 1, expiryDate: 1 });
+
+module.exports = mongoose.model('Batch', BatchSchema);
@@ -5,14 +5,29 @@ const BusinessSchema = new mongoose.Schema({
     name: { type: String, required: true },
     gstNumber: { type: String },
     address: { type: String },
+    stateCode: { type: String }, // GST state code; taken from the GSTIN when there is one
     ownerId: { type: String, required: true },
     settings: {
         currency: { type: String, default: 'INR' },
-        timezone: { type: String, default: 'Asia/Kolkata' }
+        timezone: { type: String, default: 'Asia/Kolkata' },
+        trashRetentionDays: { type: Number, default: 30 }, // Days before deleted items are purged
+        requireOwnerTwoFactor: { type: Boolean, default: false }, // WAREHOUSE_OWNER accounts must enroll in TOTP
+        shareStockWithNetwork: { type: Boolean, default: false }, // Stock is visible to (and requestable by) other tenants
+        loyalty: {
+            enabled: { type: Boolean, default: true },
+            spendPerPoint: { type: Number, default: 100 }, // ₹ spent per point earned
+            categoryMultipliers: { type: Map, of: Number }, // category -> earn multiplier (default 1)
+            minBillAmount: { type: Number, default: 0 }, // Bills below this earn nothing
+            pointValue: { type: Number, default: 1 }, // ₹ value of one point when redeemed
+            maxRedeemPercent: { type: Number, default: 100 }, // Share of a bill that points may pay for
+            expiryDays: { type: Number, default: 365 } // 0 = points never expire
+        }
     },
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now },
-    isDeleted: { type: Boolean, default: false }
+    isDeleted: { type: Boolean, default: false }, // Soft delete: blocks logins for every user of the tenant
+    deletedAt: { type: Date },
+    deletedBy: { type: String }
 });
 
 module.exports = mongoose.model('Business', BusinessSchema);
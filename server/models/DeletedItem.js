@@ -5,12 +5,14 @@ const DeletedItemSchema = new mongoose.Schema({
     originalId: { type: String, required: true }, // ID of the original document
     collectionName: { type: String, required: true }, // e.g., 'Product', 'User'
     document: { type: Object, required: true }, // Full snapshot of data
+    tenant_id: { type: String, index: true }, // Tenant that owned the document (null for global records)
     deletedBy: { type: String, default: 'unknown' }, // User ID who deleted it
-    deletedAt: { type: Date, default: Date.now }
+    deletedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date } // deletedAt + the tenant's trash retention (Business.settings.trashRetentionDays)
 });
 
-// Create TTL index on deletedAt field (expire after 30 days)
-// 30 days * 24 hours * 60 minutes * 60 seconds = 2592000 seconds
-DeletedItemSchema.index({ "deletedAt": 1 }, { expireAfterSeconds: 2592000 });
+// TTL index on expiresAt: each document is removed once its own expiry passes,
+// so retention can differ per tenant (default 30 days)
+DeletedItemSchema.index({ "expiresAt": 1 }, { expireAfterSeconds: 0 });
 
 module.exports = mongoose.model('DeletedItem', DeletedItemSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Goods Receipt Note (GRN): one delivery against a purchase order, full or partial
+const GoodsReceiptSchema = new mongoose.Schema({
+    id: { type: String, required: true, unique: true },
+    tenant_id: { type: String, index: true },
+    purchaseOrderId: { type: String, required: true, index: true },
+    supplierId: { type: String, required: true },
+    locationId: { type: String, required: true },
+    items: [{
+        _id: false,
+        productId: { type: String, required: true },
+        quantity: { type: Number, required: true },
+        unitCost: { type: Number, default: 0 },
+        batchNumber: { type: String },
+        expiryDate: { type: String }
+    }],
+    supplierInvoiceNumber: { type: String }, // Invoice the goods arrived with, when known
+    receivedBy: { type: String },
+    receivedAt: { type: Date, default: Date.now },
+    notes: { type: String }
+});
+
+module.exports = mongoose.model('GoodsReceipt', GoodsReceiptSchema);
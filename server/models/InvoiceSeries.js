@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Counter behind one gap-free document series, e.g. invoices with prefix 'DEL' in FY 2025-26.
+// Incremented inside the transaction that saves the document, so an aborted sale gives its number back.
+const InvoiceSeriesSchema = new mongoose.Schema({
+    tenant_id: { type: String, required: true },
+    prefix: { type: String, required: true },
+    financialYear: { type: String, required: true }, // e.g. '2025-26'
+    lastNumber: { type: Number, default: 0 },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+InvoiceSeriesSchema.index({ tenant_id: 1, prefix: 1, financialYear: 1 }, { unique: true });
+
+module.exports = mongoose.model('InvoiceSeries', InvoiceSeriesSchema);
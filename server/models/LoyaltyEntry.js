@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Append-only loyalty ledger: one entry per change to a customer's points balance.
+// Customer.loyaltyPoints is the running balance; it always equals the latest entry's `balance`.
+const LoyaltyEntrySchema = new mongoose.Schema({
+    id: { type: String, required: true, unique: true },
+    tenant_id: { type: String, index: true },
+    customerId: { type: String, required: true, index: true },
+    type: { type: String, required: true }, // 'OPENING', 'EARN', 'REDEEM', 'EXPIRE', 'ADJUST', 'REFUND' (redeemed points given back on a return), 'REVERSE' (earned points taken back)
+    points: { type: Number, required: true }, // Signed change
+    balance: { type: Number, required: true }, // Balance after this change
+    // Credits (OPENING, EARN, REFUND, positive ADJUST) are spent oldest-expiry first; `remaining` is what is left of them
+    remaining: { type: Number },
+    expiresAt: { type: Date },
+    referenceType: { type: String }, // e.g., 'Sale'
+    referenceId: { type: String },
+    userId: { type: String, default: 'system' },
+    note: { type: String },
+    timestamp: { type: Date, default: Date.now }
+});
+
+LoyaltyEntrySchema.index({ customerId: 1, timestamp: 1 });
+
+module.exports = mongoose.model('LoyaltyEntry', LoyaltyEntrySchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// One-time password reset token issued by an owner/admin. Only the hash of the token is stored.
+const PasswordResetSchema = new mongoose.Schema({
+    id: { type: String, required: true, unique: true },
+    userId: { type: String, required: true, index: true },
+    tokenHash: { type: String, required: true },
+    requestedBy: { type: String }, // User who initiated the reset
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date }
+});
+
+PasswordResetSchema.index({ "expiresAt": 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PasswordReset', PasswordResetSchema);
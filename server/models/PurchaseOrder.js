@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const PurchaseOrderItemSchema = new mongoose.Schema({
+    productId: { type: String, required: true },
+    name: { type: String },
+    quantity: { type: Number, required: true }, // Ordered
+    unitCost: { type: Number, default: 0 },
+    receivedQuantity: { type: Number, default: 0 }
+}, { _id: false });
+
+const PurchaseOrderSchema = new mongoose.Schema({
+    id: { type: String, required: true, unique: true },
+    tenant_id: { type: String, index: true },
+    supplierId: { type: String, required: true, index: true },
+    locationId: { type: String, required: true }, // Receiving location
+    status: { type: String, default: 'DRAFT' }, // DRAFT, APPROVED, SENT, PARTIALLY_RECEIVED, RECEIVED, CANCELLED
+    items: [PurchaseOrderItemSchema],
+    totalAmount: { type: Number, default: 0 }, // Ordered quantity at unitCost; GST-inclusive when invoiced (below)
+    // Goods that came with the supplier's GST invoice (network stock requests): the invoice's taxable value and tax
+    supplierInvoiceNumber: { type: String },
+    subtotal: { type: Number },
+    totalTax: { type: Number },
+    taxBreakup: { cgst: Number, sgst: Number, igst: Number },
+    expectedDate: { type: String }, // YYYY-MM-DD
+    notes: { type: String },
+    createdBy: { type: String },
+    approvedBy: { type: String },
+    history: [{ status: String, userId: String, at: Date, note: String }],
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('PurchaseOrder', PurchaseOrderSchema);
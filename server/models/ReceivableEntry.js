@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Append-only customer receivables ledger: sales on account are debits, payment receipts and credit notes credits.
+// Customer.outstandingBalance is the running balance; it always equals the latest entry's `balance`.
+// What is still owed per invoice is kept on the sale (Sale.balanceDue).
+const ReceivableEntrySchema = new mongoose.Schema({
+    id: { type: String, required: true, unique: true },
+    tenant_id: { type: String, index: true },
+    customerId: { type: String, required: true, index: true },
+    type: { type: String, required: true }, // 'INVOICE', 'RECEIPT', 'CREDIT_NOTE'
+    amount: { type: Number, required: true }, // Signed: positive raises what the customer owes
+    balance: { type: Number, required: true }, // Outstanding after this entry
+    date: { type: String }, // YYYY-MM-DD, business timezone
+    method: { type: String }, // RECEIPT: CASH, CARD, UPI, BANK, CHEQUE
+    reference: { type: String }, // RECEIPT: cheque number, UTR, ...
+    // Invoices a receipt or credit note settled
+    allocations: [{ _id: false, saleId: String, invoiceNumber: String, amount: Number }],
+    referenceType: { type: String }, // e.g., 'Sale', 'SalesReturn'
+    referenceId: { type: String },
+    userId: { type: String, default: 'system' },
+    note: { type: String },
+    timestamp: { type: Date, default: Date.now }
+});
+
+ReceivableEntrySchema.index({ customerId: 1, timestamp: 1 });
+
+module.exports = mongoose.model('ReceivableEntry', ReceivableEntrySchema);
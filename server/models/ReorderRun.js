@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Snapshot of reorder suggestions produced by the scheduled reorder job
+const ReorderRunSchema = new mongoose.Schema({
+    id: { type: String, required: true, unique: true },
+    tenant_id: { type: String, index: true },
+    groups: { type: Array, default: [] }, // Suggestions grouped by supplier
+    generatedAt: { type: Date, default: Date.now }
+});
+
+// Keep two weeks of runs
+ReorderRunSchema.index({ "generatedAt": 1 }, { expireAfterSeconds: 1209600 });
+
+module.exports = mongoose.model('ReorderRun', ReorderRunSchema);
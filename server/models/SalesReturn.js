@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Goods returned against a sale, documented by a GST credit note. A sale can have several partial returns;
+// together they never exceed the quantities sold.
+const SalesReturnSchema = new mongoose.Schema({
+    id: { type: String, required: true, unique: true },
+    tenant_id: { type: String, index: true },
+    saleId: { type: String, required: true, index: true },
+    invoiceNumber: { type: String }, // Of the original sale
+    invoiceDate: { type: String },
+    creditNoteNumber: { type: String, required: true }, // CN/YYYY/NNNNN, its own gap-free series
+    financialYear: { type: String },
+    date: { type: String, required: true }, // YYYY-MM-DD
+    locationId: { type: String, required: true },
+    customerId: { type: String },
+    customerName: { type: String },
+    customerGstin: { type: String },
+    placeOfSupply: { type: String },
+    supplyType: { type: String }, // As on the original sale
+    items: [{
+        _id: false,
+        lineIndex: Number, // Position of the line on the sale
+        id: String, // Product id
+        name: String,
+        hsnCode: String,
+        unit: String,
+        price: Number,
+        taxRate: Number,
+        quantity: Number,
+        condition: String, // GOOD (back to sellable stock) | DAMAGED (into damagedStock)
+        taxableValue: Number,
+        cgst: Number,
+        sgst: Number,
+        igst: Number,
+        batches: [{ _id: false, batchNumber: String, manufactureDate: String, expiryDate: String, quantity: Number }]
+    }],
+    subtotal: { type: Number }, // Taxable value
+    totalTax: { type: Number },
+    totalAmount: { type: Number },
+    taxBreakup: { cgst: Number, sgst: Number, igst: Number },
+    loyalty: { pointsReversed: Number, pointsRestored: Number, restoredValue: Number },
+    adjustedAgainstBalance: { type: Number }, // Taken off the invoice's unpaid on-account balance
+    refundAmount: { type: Number }, // totalAmount less loyalty value given back and adjustedAgainstBalance
+    reason: { type: String },
+    userId: { type: String },
+    createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('SalesReturn', SalesReturnSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// One row per signed-in device. The refresh token itself is never stored, only its hash.
+const SessionSchema = new mongoose.Schema({
+    id: { type: String, required: true, unique: true },
+    userId: { type: String, required: true, index: true },
+    tenant_id: { type: String },
+    tokenHash: { type: String, required: true }, // sha256 of the current refresh token
+    previousTokenHash: { type: String }, // Hash rotated out on the last refresh, kept to detect reuse
+    userAgent: { type: String },
+    ipAddress: { type: String },
+    createdAt: { type: Date, default: Date.now },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date },
+    revokedReason: { type: String } // LOGOUT, REVOKED, USER_DELETED, PASSWORD_CHANGED, TOKEN_REUSE, TENANT_DELETED
+});
+
+// Expired sessions are dropped by MongoDB
+SessionSchema.index({ "expiresAt": 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Append-only ledger: one entry per quantity change of a product at a location.
+// Entries are never updated or deleted; the stock map can be rebuilt by summing `delta`.
+const StockMovementSchema = new mongoose.Schema({
+    id: { type: String, required: true, unique: true },
+    tenant_id: { type: String, index: true },
+    productId: { type: String, required: true, index: true },
+    locationId: { type: String, required: true },
+    type: { type: String, required: true }, // e.g., 'SALE', 'TRANSFER_OUT', 'TRANSFER_IN', 'ADJUSTMENT', 'IMPORT', 'RESTORE', 'DELETE', 'OPENING', 'PURCHASE_RECEIPT', 'SALE_RETURN'
+    delta: { type: Number, required: true }, // Signed quantity change
+    balance: { type: Number, required: true }, // Quantity at the location after this change
+    referenceType: { type: String }, // e.g., 'Sale', 'Transfer'
+    referenceId: { type: String },
+    userId: { type: String, default: 'system' },
+    note: { type: String },
+    timestamp: { type: Date, default: Date.now }
+});
+
+StockMovementSchema.index({ productId: 1, locationId: 1, timestamp: 1 });
+
+module.exports = mongoose.model('StockMovement', StockMovementSchema);
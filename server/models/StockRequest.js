@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Cross-tenant stock request: the requesting tenant asks for units of a SKU held at another tenant's
+// location. REQUESTED -> ACCEPTED (stock moves, sale/purchase recorded on each side) | DECLINED | CANCELLED
+const StockRequestSchema = new mongoose.Schema({
+    id: { type: String, required: true, unique: true },
+    sku: { type: String, required: true },
+    quantity: { type: Number, required: true },
+    status: { type: String, default: 'REQUESTED' },
+    // Requesting side (buyer)
+    requesterTenantId: { type: String, required: true, index: true },
+    requesterProductId: { type: String, required: true },
+    requesterName: { type: String }, // Business name, for display on the other side
+    toLocationId: { type: String, required: true },
+    toLocationName: { type: String },
+    requestedBy: { type: String },
+    // Supplying side (seller)
+    supplierTenantId: { type: String, required: true, index: true },
+    supplierProductId: { type: String, required: true },
+    supplierName: { type: String },
+    fromLocationId: { type: String, required: true },
+    fromLocationName: { type: String },
+    respondedBy: { type: String },
+    unitPrice: { type: Number }, // Set by the supplier on acceptance
+    totalAmount: { type: Number }, // Invoice total of the supplier's sale, GST included
+    batches: [{ _id: false, batchNumber: String, manufactureDate: String, expiryDate: String, quantity: Number }],
+    // Records created on acceptance
+    saleId: { type: String }, // Sale in the supplier's tenant
+    purchaseOrderId: { type: String }, // Purchase order in the requester's tenant
+    notes: { type: String },
+    history: [{ status: String, userId: String, at: Date, note: String }],
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('StockRequest', StockRequestSchema);
@@ -0,0 +1,181 @@
+// Route -> permission map used by the authorization middleware in server.js.
+// Permission ids are the module ids from frontend/constants/permissions.ts.
+
+// Fallback when a user's role has no Role document (mirrors DEFAULT_PERMISSIONS on the frontend).
+// `inventory_manage` covers the destructive inventory routes (deleting products, adding batches,
+// approving transfers) on top of `inventory`; STAFF only sells.
+const DEFAULT_ROLE_PERMISSIONS = {
+    SUPER_ADMIN: ['all'],
+    WAREHOUSE_OWNER: ['dashboard', 'inventory', 'inventory_manage', 'sales', 'customers', 'suppliers', 'reports', 'analytics', 'users', 'settings'],
+    WAREHOUSE_MANAGER: ['dashboard', 'inventory', 'inventory_manage', 'sales', 'customers', 'suppliers', 'reports'],
+    STAFF: ['dashboard', 'sales']
+};
+
+// User.role holds either a system role code or a Role name/id (custom roles)
+const SYSTEM_ROLE_IDS = {
+    SUPER_ADMIN: 'role-super-admin',
+    WAREHOUSE_OWNER: 'role-wh-owner',
+    WAREHOUSE_MANAGER: 'role-wh-manager',
+    STAFF: 'role-staff'
+};
+
+// Bumped whenever a system role gains a permission; stored system roles below it are upgraded on startup.
+// 1: inventory_manage, customers, suppliers and analytics, none of which the first seeded owner role had.
+const SYSTEM_ROLE_PERMISSIONS_VERSION = 1;
+
+// Update bringing a stored system role up to DEFAULT_ROLE_PERMISSIONS, or null when it is already current.
+// It only adds, and only once per version, so a permission a super admin removes afterwards stays removed.
+const systemRoleUpgrade = (role) => {
+    if (!role.is_system || role.permissionsVersion >= SYSTEM_ROLE_PERMISSIONS_VERSION) return null;
+    const code = Object.keys(SYSTEM_ROLE_IDS).find(c => SYSTEM_ROLE_IDS[c] === role.id);
+    return {
+        $addToSet: { permissions: { $each: code ? DEFAULT_ROLE_PERMISSIONS[code] : [] } },
+        $set: { permissionsVersion: SYSTEM_ROLE_PERMISSIONS_VERSION }
+    };
+};
+
+// Key is `${METHOD} ${express route path}`.
+// null   -> any authenticated user (data every screen loads on startup)
+// string -> that permission is required
+// array  -> any one of the listed permissions is enough
+// Routes missing from this map are refused, so new routes must be added here.
+const ROUTE_PERMISSIONS = {
+    'POST /api/auth/change-password': null,
+    'GET /api/auth/2fa': null,
+    'POST /api/auth/2fa/setup': null,
+    'POST /api/auth/2fa/enable': null,
+    'POST /api/auth/2fa/disable': null,
+    'POST /api/auth/2fa/backup-codes': null,
+    'GET /api/auth/sessions': null, // Own sessions
+    'DELETE /api/auth/sessions': null,
+    'DELETE /api/auth/sessions/:id': null,
+
+    'GET /api/inventory/global-check': 'inventory',
+    'GET /api/inventory/expiring': 'inventory',
+
+    'GET /api/products': null,
+    'POST /api/products': 'inventory',
+    'PUT /api/products/:id': 'inventory',
+    'DELETE /api/products/:id': 'inventory_manage',
+    'GET /api/products/:id/ledger': 'inventory',
+    'GET /api/products/:id/batches': 'inventory',
+    'POST /api/products/:id/batches': 'inventory_manage',
+
+    'GET /api/locations': null,
+    'POST /api/locations': 'settings',
+    'PUT /api/locations/:id': 'settings',
+    'DELETE /api/locations/:id': 'settings',
+
+    'GET /api/customers': null,
+    'POST /api/customers': ['customers', 'sales'], // POS can add a walk-in customer
+    'PUT /api/customers/:id': 'customers',
+    'DELETE /api/customers/:id': 'customers',
+    'GET /api/customers/:id/sales': ['customers', 'sales'],
+    'GET /api/customers/:id/loyalty': ['customers', 'sales'],
+    'POST /api/customers/:id/loyalty/adjust': 'customers',
+    'GET /api/customers/:id/receivables': ['customers', 'sales'], // POS shows the credit still available
+    'POST /api/customers/:id/receipts': 'customers',
+    'GET /api/receivables/ageing': ['customers', 'reports'],
+
+    'GET /api/suppliers': null,
+    'POST /api/suppliers': 'suppliers',
+    'GET /api/suppliers/:id/purchase-orders': 'suppliers',
+
+    'GET /api/purchase-orders': 'suppliers',
+    'GET /api/purchase-orders/:id': 'suppliers',
+    'POST /api/purchase-orders': 'suppliers',
+    'PUT /api/purchase-orders/:id': 'suppliers',
+    'POST /api/purchase-orders/:id/approve': 'suppliers',
+    'POST /api/purchase-orders/:id/send': 'suppliers',
+    'POST /api/purchase-orders/:id/cancel': 'suppliers',
+    'POST /api/purchase-orders/:id/receipts': ['inventory', 'suppliers'],
+
+    'GET /api/reorder-suggestions': 'inventory',
+    'POST /api/reorder-suggestions/purchase-orders': 'suppliers',
+
+    'GET /api/sales': null,
+    'POST /api/sales': 'sales',
+    'GET /api/sales/:id/invoice.pdf': 'sales',
+    'GET /api/sales/:id/returns': 'sales',
+    'POST /api/sales/:id/returns': 'sales',
+    'GET /api/sales-returns': ['sales', 'reports'],
+    'GET /api/sales-returns/:id/credit-note.pdf': 'sales',
+
+    'GET /api/transfers': null,
+    'POST /api/transfers': 'inventory',
+    'POST /api/transfers/requests': 'inventory',
+    'POST /api/transfers/:id/approve': 'inventory_manage',
+    'POST /api/transfers/:id/reject': 'inventory_manage',
+    'POST /api/transfers/:id/cancel': 'inventory',
+    'POST /api/transfers/:id/dispatch': 'inventory',
+    'POST /api/transfers/:id/receive': 'inventory',
+
+    'GET /api/stock-requests': 'inventory',
+    'POST /api/stock-requests': 'inventory',
+    'POST /api/stock-requests/:id/accept': 'inventory',
+    'POST /api/stock-requests/:id/decline': 'inventory',
+    'POST /api/stock-requests/:id/cancel': 'inventory',
+
+    'GET /api/tax-tiers': null,
+    'POST /api/tax-tiers': 'settings',
+    // Returns cover the whole tenant, so the handler also refuses WAREHOUSE_MANAGER (limited to its locations)
+    'GET /api/gst/gstr1': 'reports',
+    'GET /api/gst/gstr3b': 'reports',
+
+    'GET /api/market-price': 'inventory',
+    'GET /api/market-price-v2': 'inventory',
+
+    'GET /api/users': 'users',
+    'POST /api/users': 'users',
+    'PUT /api/users/:id': 'users',
+    'DELETE /api/users/:id': 'users',
+    'POST /api/users/:id/password-reset': 'users',
+    'GET /api/users/:id/sessions': 'users',
+    'DELETE /api/users/:id/sessions': 'users',
+
+    'GET /api/roles': 'users',
+    'POST /api/roles': 'users',
+    'PUT /api/roles/:id': 'users',
+    'DELETE /api/roles/:id': 'users',
+
+    'GET /api/audit-logs': 'settings',
+    'GET /api/audit-logs/export': 'settings',
+
+    'GET /api/trash': 'settings',
+    'POST /api/trash/:id/restore': 'settings',
+    'POST /api/trash/restore': 'settings',
+    'DELETE /api/trash/:id': 'settings',
+    'GET /api/trash/settings': 'settings',
+    'PUT /api/trash/settings': 'settings',
+
+    'GET /api/settings/security': 'settings',
+    'PUT /api/settings/security': 'settings',
+    'GET /api/settings/loyalty': null, // POS needs the point value and redemption cap
+    'PUT /api/settings/loyalty': 'settings',
+
+    'GET /api/businesses': 'settings', // SUPER_ADMIN only (checked in the route)
+    'GET /api/businesses/me': null, // Business name/GSTIN are needed on invoices
+    'PUT /api/businesses/me': 'settings',
+    'DELETE /api/businesses/:id': 'settings',
+    'POST /api/businesses/:id/restore': 'settings'
+};
+
+// Effective permissions: the user's own list when set (same rule as Layout.hasAccess), else the role's
+const resolvePermissions = (user, roleDoc) => {
+    if (user.permissions && user.permissions.length > 0) return user.permissions;
+    if (roleDoc && roleDoc.permissions) return roleDoc.permissions;
+    return DEFAULT_ROLE_PERMISSIONS[user.role] || [];
+};
+
+// Returns true/false, or undefined when the route is not in the map
+const isAllowed = (permissions, method, routePath) => {
+    const key = `${method} ${routePath}`;
+    if (!(key in ROUTE_PERMISSIONS)) return undefined;
+    const required = ROUTE_PERMISSIONS[key];
+    if (required === null) return true;
+    if (permissions.includes('all')) return true;
+    const anyOf = Array.isArray(required) ? required : [required];
+    return anyOf.some(p => permissions.includes(p));
+};
+
+module.exports = { DEFAULT_ROLE_PERMISSIONS, SYSTEM_ROLE_IDS, SYSTEM_ROLE_PERMISSIONS_VERSION, ROUTE_PERMISSIONS, systemRoleUpgrade, resolvePermissions, isAllowed };
@@ -0,0 +1,79 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const StockMovement = require('./models/StockMovement');
+
+// Recomputes every product's stock map from the stock ledger and reports drift.
+// Usage:
+//   node rebuild_stock.js            -> report only
+//   node rebuild_stock.js --apply    -> overwrite product stock with ledger totals
+//   node rebuild_stock.js --baseline -> append OPENING entries so the ledger matches current stock
+//                                       (use once when adopting the ledger on existing data)
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/hanuman_traders';
+
+const apply = process.argv.includes('--apply');
+const baseline = process.argv.includes('--baseline');
+
+async function rebuild() {
+    try {
+        await mongoose.connect(MONGO_URI);
+        console.log('Connected to MongoDB');
+
+        if (apply && baseline) throw new Error('Use either --apply or --baseline, not both');
+
+        // Ledger totals per product/location
+        const totals = await StockMovement.aggregate([
+            { $group: { _id: { productId: '$productId', locationId: '$locationId' }, quantity: { $sum: '$delta' } } }
+        ]);
+        const ledger = new Map();
+        for (const row of totals) {
+            if (!ledger.has(row._id.productId)) ledger.set(row._id.productId, {});
+            ledger.get(row._id.productId)[row._id.locationId] = row.quantity;
+        }
+
+        const products = await mongoose.connection.db.collection('products').find({}).toArray();
+        let driftCount = 0;
+
+        for (const p of products) {
+            const stock = p.stock || {};
+            const expected = ledger.get(p.id) || {};
+            const locationIds = new Set([...Object.keys(stock), ...Object.keys(expected)]);
+
+            const drift = [];
+            for (const locId of locationIds) {
+                const actual = Number(stock[locId]) || 0;
+                const fromLedger = Number(expected[locId]) || 0;
+                if (actual !== fromLedger) drift.push({ locId, actual, fromLedger });
+            }
+            if (drift.length === 0) continue;
+
+            driftCount++;
+            drift.forEach(d => console.log(`DRIFT ${p.id} (${p.name}) @ ${d.locId}: stock=${d.actual} ledger=${d.fromLedger}`));
+
+            if (apply) {
+                await mongoose.connection.db.collection('products').updateOne({ id: p.id }, { $set: { stock: expected } });
+            } else if (baseline) {
+                await StockMovement.insertMany(drift.map(d => ({
+                    id: `mov-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+                    tenant_id: p.tenant_id,
+                    productId: p.id,
+                    locationId: d.locId,
+                    type: 'OPENING',
+                    delta: d.actual - d.fromLedger,
+                    balance: d.actual,
+                    note: 'Ledger baseline'
+                })));
+            }
+        }
+
+        console.log(`${driftCount} of ${products.length} products drifted from the ledger.`);
+        if (apply) console.log('Product stock rebuilt from ledger.');
+        if (baseline) console.log('Opening entries written; ledger now matches stock.');
+        process.exit(driftCount > 0 && !apply && !baseline ? 2 : 0);
+    } catch (err) {
+        console.error('Rebuild Error:', err);
+        process.exit(1);
+    }
+}
+
+rebuild();
@@ -1,8 +1,11 @@
+require('dotenv').config();
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const StockMovement = require('./models/StockMovement');
+const Business = require('./models/Business');
 
 // MongoDB Connection URI - Change if needed
-const MONGO_URI = 'mongodb://localhost:27017/hanuman_traders';
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/hanuman_traders';
 
 // --- Schemas ---
 // Keeping schemas consistent with server.js
@@ -125,11 +128,15 @@ const TaxTier = mongoose.model('TaxTier', TaxTierSchema);
 
 const ROLES = [
     { id: 'role-super-admin', name: 'Super Admin', permissions: ['all'], is_system: true },
-    { id: 'role-wh-owner', name: 'Warehouse Owner', permissions: ['dashboard', 'inventory', 'sales', 'reports', 'users', 'settings'], is_system: true },
-    { id: 'role-wh-manager', name: 'Warehouse Manager', permissions: ['dashboard', 'inventory', 'sales'], is_system: true },
+    { id: 'role-wh-owner', name: 'Warehouse Owner', permissions: ['dashboard', 'inventory', 'inventory_manage', 'sales', 'customers', 'suppliers', 'reports', 'analytics', 'users', 'settings'], is_system: true },
+    { id: 'role-wh-manager', name: 'Warehouse Manager', permissions: ['dashboard', 'inventory', 'inventory_manage', 'sales', 'customers', 'suppliers', 'reports'], is_system: true },
     { id: 'role-staff', name: 'Staff', permissions: ['sales'], is_system: true }
 ];
 
+const BUSINESSES = [
+    { id: 'tenant-1', name: 'Hanuman Traders', gstNumber: '07AAACH1234F1Z5', address: 'Industrial Area, Sector 4, New Delhi', ownerId: 'u-owner-1' }
+];
+
 const LOCATIONS = [
     { id: 'loc-1', name: 'Main Warehouse', address: 'Industrial Area, Sector 4, New Delhi', type: 'WAREHOUSE', tenant_id: 'tenant-1' },
     { id: 'loc-2', name: 'City Center Store', address: 'Market Road, Shop 12, Mumbai', type: 'STORE', tenant_id: 'tenant-1' },
@@ -344,12 +351,15 @@ async function seed() {
             Supplier.deleteMany({}),
             Sale.deleteMany({}),
             Transfer.deleteMany({}),
-            TaxTier.deleteMany({})
+            TaxTier.deleteMany({}),
+            StockMovement.deleteMany({}),
+            Business.deleteMany({})
         ]);
         console.log('Cleared existing data');
 
         // Insert Static Data
         await Role.insertMany(ROLES);
+        await Business.insertMany(BUSINESSES);
         await Location.insertMany(LOCATIONS);
         await Customer.insertMany(CUSTOMERS);
         await TaxTier.insertMany(TAX_TIERS);
@@ -374,6 +384,26 @@ async function seed() {
         await Product.insertMany(generatedProducts);
         console.log(`Inserted ${generatedProducts.length} Products`);
 
+        // Opening balances in the stock ledger so rebuild_stock.js reports no drift
+        const openingMovements = [];
+        generatedProducts.forEach(p => {
+            Object.entries(p.stock).forEach(([locationId, qty]) => {
+                if (qty === 0) return;
+                openingMovements.push({
+                    id: `mov-${p.id}-${locationId}`,
+                    tenant_id: p.tenant_id,
+                    productId: p.id,
+                    locationId,
+                    type: 'OPENING',
+                    delta: qty,
+                    balance: qty,
+                    note: 'Seed data'
+                });
+            });
+        });
+        await StockMovement.insertMany(openingMovements);
+        console.log(`Inserted ${openingMovements.length} opening stock movements`);
+
         // Insert Sales
         const generatedSales = generateSales(generatedProducts, CUSTOMERS);
         await Sale.insertMany(generatedSales);
@@ -435,4 +465,7 @@ async function seed() {
     }
 }
 
-seed();
+// Runs when invoked directly; tests only read the seeded roles
+if (require.main === module) seed();
+
+module.exports = { ROLES };
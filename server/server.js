@@ -1,3 +1,4 @@
+require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const mongoose = require('mongoose');
@@ -5,19 +6,54 @@ const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const axios = require('axios');
 const cheerio = require('cheerio');
+const crypto = require('crypto');
+const { SYSTEM_ROLE_IDS, systemRoleUpgrade, resolvePermissions, isAllowed } = require('./permissions');
+const { sendMail } = require('./mailer');
+const totp = require('./totp');
+const { renderInvoicePdf } = require('./invoicePdf');
 
 const app = express();
-const PORT = 5000;
-const SECRET_KEY = 'super_secret_key_change_in_prod';
-const MONGO_URI = 'mongodb://localhost:27017/hanuman_traders';
+const PORT = Number(process.env.PORT) || 5000;
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/hanuman_traders';
+const SECRET_KEY = process.env.JWT_SECRET || 'dev_only_insecure_secret';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const MAX_FAILED_LOGINS = Number(process.env.MAX_FAILED_LOGINS) || 5;
+const LOCKOUT_MINUTES = Number(process.env.LOCKOUT_MINUTES) || 15;
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'AutoInventory AI';
+const REORDER_JOB_INTERVAL_HOURS = Number(process.env.REORDER_JOB_INTERVAL_HOURS) || 24;
+const LOYALTY_EXPIRY_JOB_INTERVAL_HOURS = Number(process.env.LOYALTY_EXPIRY_JOB_INTERVAL_HOURS) || 24;
+
+if (!process.env.JWT_SECRET) {
+    if (process.env.NODE_ENV === 'production') {
+        console.error('JWT_SECRET is not set. Refusing to start.');
+        process.exit(1);
+    }
+    console.warn('JWT_SECRET is not set; using an insecure development secret. See .env.example.');
+}
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 
 // MongoDB Connection
-mongoose.connect(MONGO_URI)
-    .then(() => console.log('Connected to MongoDB'))
+const connectDatabase = () => mongoose.connect(MONGO_URI)
+    .then(async () => {
+        // Sales, transfers, goods receipts and returns run in transactions, which a standalone mongod refuses
+        const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+        if (!hello.setName && hello.msg !== 'isdbgrid') {
+            console.error('MongoDB is running as a standalone server, but transactions need a replica set. '
+                + 'Start mongod with --replSet rs0, run rs.initiate() once, and add ?replicaSet=rs0 to MONGO_URI (see server/.env.example).');
+            process.exit(1);
+        }
+        console.log('Connected to MongoDB');
+        // Replaces the old collection-wide TTL index on deletedAt with the per-item expiresAt one
+        DeletedItem.syncIndexes().catch(err => console.error('DeletedItem index sync failed:', err));
+        // Databases seeded by older releases: owners and managers keep reaching the routes guarded by newer permissions
+        upgradeSystemRoles().catch(err => console.error('Role permission upgrade failed:', err));
+    })
     .catch(err => console.error('MongoDB connection error:', err));
 
 // --- Schemas & Models ---
@@ -25,16 +61,38 @@ mongoose.connect(MONGO_URI)
 const AuditLog = require('./models/AuditLog');
 const Business = require('./models/Business');
 const DeletedItem = require('./models/DeletedItem');
+const StockMovement = require('./models/StockMovement');
+const PurchaseOrder = require('./models/PurchaseOrder');
+const GoodsReceipt = require('./models/GoodsReceipt');
+const ReorderRun = require('./models/ReorderRun');
+const Batch = require('./models/Batch');
+const Session = require('./models/Session');
+const PasswordReset = require('./models/PasswordReset');
+const StockRequest = require('./models/StockRequest');
+const LoyaltyEntry = require('./models/LoyaltyEntry');
+const InvoiceSeries = require('./models/InvoiceSeries');
+const SalesReturn = require('./models/SalesReturn');
+const ReceivableEntry = require('./models/ReceivableEntry');
 
 const RoleSchema = new mongoose.Schema({
     id: String,
     name: String,
     permissions: [String],
     is_system: Boolean,
-    tenant_id: String // Optional: if roles are tenant specific
+    tenant_id: String, // Owning tenant of a custom role; system roles have none and are shared
+    permissionsVersion: Number // System roles only: SYSTEM_ROLE_PERMISSIONS_VERSION they were last upgraded to
 });
 const Role = mongoose.model('Role', RoleSchema);
 
+// Adds the permissions system roles gained since they were stored (see systemRoleUpgrade in permissions.js)
+const upgradeSystemRoles = async () => {
+    const roles = await Role.find({ is_system: true });
+    for (const role of roles) {
+        const update = systemRoleUpgrade(role);
+        if (update) await Role.updateOne({ _id: role._id }, update);
+    }
+};
+
 const UserSchema = new mongoose.Schema({
     id: String,
     name: String,
@@ -43,7 +101,18 @@ const UserSchema = new mongoose.Schema({
     role: String,
     tenant_id: String,
     managed_location_ids: [String],
-    permissions: [String]
+    permissions: [String],
+    failedLoginAttempts: { type: Number, default: 0 }, // Consecutive failures since the last successful login
+    lockedUntil: Date,
+    passwordChangedAt: Date,
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        secret: String, // Encrypted TOTP secret
+        pendingSecret: String, // Encrypted secret awaiting the first confirmed code
+        backupCodes: [String], // sha256 hashes of unused backup codes
+        lastUsedStep: Number, // Time step of the last accepted code, so a code cannot be replayed
+        enabledAt: Date
+    }
 });
 const User = mongoose.model('User', UserSchema);
 
@@ -52,7 +121,11 @@ const LocationSchema = new mongoose.Schema({
     name: String,
     tenant_id: String,
     type: String, // STORE, WAREHOUSE
-    address: String
+    address: String,
+    coordinates: { lat: Number, lng: Number }, // Optional, WGS84 degrees
+    capacity: Number, // Optional storage capacity in units
+    invoicePrefix: String, // Invoice series code (1-5 of A-Z, 0-9); the tenant-wide 'INV' series when unset
+    stateCode: String // GST state code of the premises; the business's state when unset
 });
 const Location = mongoose.model('Location', LocationSchema);
 
@@ -63,9 +136,16 @@ const ProductSchema = new mongoose.Schema({
     category: String,
     price: Number,
     cost: Number,
+    hsnCode: String,
+    taxRate: Number, // GST %, split per the TaxTier with the same rate
     stock: { type: Map, of: Number }, // Map of locationId -> quantity
+    damagedStock: { type: Map, of: Number }, // Map of locationId -> returned units that cannot be resold
     tenant_id: String,
-    minStockLevel: { type: Number, default: 10 }
+    minStockLevel: { type: Number, default: 10 },
+    minStockThresholds: { type: Map, of: Number }, // Map of locationId -> min level (overrides minStockLevel)
+    maxStockLevel: Number,
+    leadTimeDays: { type: Number, default: 7 },
+    supplier: String // Supplier name
 });
 const Product = mongoose.model('Product', ProductSchema);
 
@@ -76,8 +156,11 @@ const CustomerSchema = new mongoose.Schema({
     email: String,
     gstNumber: String,
     address: String,
+    stateCode: String, // GST state code; taken from the GSTIN when there is one
     loyaltyPoints: { type: Number, default: 0 },
     totalPurchases: { type: Number, default: 0 },
+    creditLimit: Number, // Most the customer may owe on account; no credit sales when unset
+    outstandingBalance: { type: Number, default: 0 }, // Running balance of the ReceivableEntry ledger
     tenant_id: String
 });
 const Customer = mongoose.model('Customer', CustomerSchema);
@@ -93,6 +176,7 @@ const SupplierSchema = new mongoose.Schema({
     rating: Number,
     paymentTerms: String,
     lastSupplyDate: String,
+    networkTenantId: String, // Set when the supplier is another tenant, created by an accepted stock request
     tenant_id: String
 });
 const Supplier = mongoose.model('Supplier', SupplierSchema);
@@ -103,21 +187,33 @@ const SaleSchema = new mongoose.Schema({
     items: [],
     totalAmount: Number,
     totalTax: Number,
-    subtotal: Number,
+    subtotal: Number, // Taxable value after discounts
+    billDiscount: Number, // Percentage
     customerId: String,
     customerName: String,
     locationId: String,
-    paymentMethod: String,
+    paymentMethod: String, // CASH | CARD | UPI | ON_ACCOUNT, SPLIT when paid several ways, NETWORK for stock requests
+    payments: [{ _id: false, method: String, amount: Number, reference: String }],
+    balanceDue: Number, // Part of the ON_ACCOUNT amount not yet received
     transactionId: String,
+    // GST invoice fields, set by the server
+    invoiceNumber: String, // e.g. DEL/2526/00042, gap-free per prefix and financial year
+    financialYear: String, // e.g. '2025-26'
+    sellerGstin: String,
+    customerGstin: String,
+    placeOfSupply: String, // Two-digit state code
+    supplyType: String, // INTRA (CGST + SGST) | INTER (IGST)
+    taxBreakup: { cgst: Number, sgst: Number, igst: Number },
+    returnedAmount: Number, // Total of credit notes issued against this sale
+    loyalty: { pointsEarned: Number, pointsRedeemed: Number, redeemedValue: Number }, // Set by the server
     tenant_id: String
 });
 
 // Auto-generate transactionId if missing
-SaleSchema.pre('save', function (next) {
+SaleSchema.pre('save', function () {
     if (!this.transactionId) {
         this.transactionId = `TXN-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
     }
-    next();
 });
 
 const Sale = mongoose.model('Sale', SaleSchema);
@@ -130,42 +226,380 @@ const TransferSchema = new mongoose.Schema({
     quantity: Number,
     date: String,
     timestamp: Number,
-    status: String,
+    status: String, // COMPLETED, FAILED (direct) | REQUESTED, APPROVED, DISPATCHED, RECEIVED, REJECTED, CANCELLED (workflow)
     reason: String,
     notes: String,
-    tenant_id: String
+    tenant_id: String,
+    // Workflow fields
+    requestedBy: String,
+    approvedBy: String,
+    dispatchedBy: String,
+    receivedBy: String,
+    receivedQuantity: Number,
+    discrepancy: Number, // dispatched - received
+    discrepancyNotes: String,
+    batches: [{ _id: false, batchNumber: String, manufactureDate: String, expiryDate: String, quantity: Number }], // FEFO allocation at source
+    history: [{ status: String, userId: String, at: Date, note: String }]
 });
 const Transfer = mongoose.model('Transfer', TransferSchema);
 
+// Allowed workflow transitions: action -> states it may start from, resulting state, roles allowed
+const TRANSFER_TRANSITIONS = {
+    approve: { from: ['REQUESTED'], to: 'APPROVED', roles: ['WAREHOUSE_OWNER', 'SUPER_ADMIN'] },
+    reject: { from: ['REQUESTED', 'APPROVED'], to: 'REJECTED', roles: ['WAREHOUSE_OWNER', 'SUPER_ADMIN'] },
+    cancel: { from: ['REQUESTED', 'APPROVED'], to: 'CANCELLED' },
+    dispatch: { from: ['APPROVED'], to: 'DISPATCHED' },
+    receive: { from: ['DISPATCHED'], to: 'RECEIVED' }
+};
+
 const TaxTierSchema = new mongoose.Schema({
     id: String,
     name: String,
     categoryType: String,
     rate: Number,
-    cgst: Number,
+    cgst: Number, // Intra-state split
     sgst: Number,
+    igst: Number, // Inter-state; the full rate when unset
     tenant_id: String
 });
 const TaxTier = mongoose.model('TaxTier', TaxTierSchema);
 
+// --- Sessions ---
+// Access tokens are short-lived JWTs carrying the session id (sid). The refresh token is
+// `${sessionId}.${secret}`; only a hash of the secret is stored.
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const issueTokens = (user, session, secret) => ({
+    token: jwt.sign({ id: user.id, role: user.role, tenantId: user.tenant_id, sid: session.id }, SECRET_KEY, { expiresIn: ACCESS_TOKEN_TTL }),
+    refreshToken: `${session.id}.${secret}`
+});
+
+const createSession = async (req, user) => {
+    const secret = crypto.randomBytes(48).toString('hex');
+    const session = await Session.create({
+        id: `ses-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        userId: user.id,
+        tenant_id: user.tenant_id,
+        tokenHash: hashToken(secret),
+        userAgent: req.headers['user-agent'],
+        ipAddress: req.ip,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+    return issueTokens(user, session, secret);
+};
+
+// Revokes every active session of a user, optionally keeping one (e.g. the caller's own)
+const revokeUserSessions = (userId, reason, exceptSessionId = null) => {
+    const query = { userId, revokedAt: null };
+    if (exceptSessionId) query.id = { $ne: exceptSessionId };
+    return Session.updateMany(query, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+const sessionToJson = (session, currentSessionId) => ({
+    id: session.id,
+    userAgent: session.userAgent,
+    ipAddress: session.ipAddress,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: session.id === currentSessionId
+});
+
+// --- Passwords ---
+
+const COMMON_PASSWORDS = ['password', 'password1', 'password123', '12345678', '123456789', 'qwerty123', 'admin123', 'welcome123', 'letmein123'];
+
+// Returns a list of policy violations (empty when the password is acceptable)
+const validatePassword = (password, user = {}) => {
+    const problems = [];
+    if (typeof password !== 'string' || password.length < 8) problems.push('must be at least 8 characters');
+    if (typeof password !== 'string') return problems;
+    if (password.length > 128) problems.push('must be at most 128 characters');
+    if (!/[a-z]/.test(password) || !/[A-Z]/.test(password)) problems.push('must mix upper and lower case letters');
+    if (!/[0-9]/.test(password)) problems.push('must contain a digit');
+    if (COMMON_PASSWORDS.includes(password.toLowerCase())) problems.push('is too common');
+    const emailName = (user.email || '').split('@')[0].toLowerCase();
+    if (emailName.length >= 3 && password.toLowerCase().includes(emailName)) problems.push('must not contain your email name');
+    return problems;
+};
+
+const assertPasswordPolicy = (password, user) => {
+    const problems = validatePassword(password, user);
+    if (problems.length > 0) throw httpError(400, `Password ${problems.join(', ')}`, { policy: problems });
+};
+
+// Sets a new password and signs the user out everywhere (optionally keeping the caller's session)
+const setUserPassword = async (user, password, exceptSessionId = null) => {
+    user.password = await bcrypt.hash(password, 10);
+    user.passwordChangedAt = new Date();
+    user.failedLoginAttempts = 0;
+    user.lockedUntil = undefined;
+    await user.save();
+    await revokeUserSessions(user.id, 'PASSWORD_CHANGED', exceptSessionId);
+};
+
+// Audit entries for events that do not go through auditLogger (e.g. authentication)
+const recordAuditEvent = (req, { userId, action, resource = 'auth', resourceId = null, details = {}, tenant_id = null }) => new AuditLog({
+    id: `log-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    userId: userId || 'anonymous',
+    action,
+    resource,
+    resourceId,
+    details,
+    ipAddress: req.ip,
+    tenant_id
+}).save().catch(err => console.error("Audit Log Error:", err));
+
+// --- Two-Factor Authentication ---
+
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+const BACKUP_CODE_COUNT = 10;
+
+// TOTP secrets are encrypted at rest (AES-256-GCM). TOTP_ENCRYPTION_KEY should be set separately
+// so that rotating JWT_SECRET does not invalidate every enrollment.
+const TOTP_KEY = crypto.createHash('sha256').update(process.env.TOTP_ENCRYPTION_KEY || `totp:${SECRET_KEY}`).digest();
+
+const encryptSecret = (plain) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', TOTP_KEY, iv);
+    const encrypted = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (stored) => {
+    const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', TOTP_KEY, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Backup codes are shown once as xxxxx-xxxxx and stored hashed
+const generateBackupCodes = () => {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(code => hashToken(code)) };
+};
+
+// Returns 'TOTP' or 'BACKUP_CODE' when the code is accepted (and consumes it), otherwise null
+const verifySecondFactor = async (user, code, { allowBackupCode = true } = {}) => {
+    const input = String(code || '').trim().toLowerCase();
+    if (/^\d{6}$/.test(input.replace(/\s/g, ''))) {
+        const step = totp.verifyCode(decryptSecret(user.twoFactor.secret), input);
+        if (step === null) return null;
+        // Conditional update: a code (or an older one) that was already used cannot be replayed
+        const result = await User.updateOne(
+            { id: user.id, $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }] },
+            { $set: { 'twoFactor.lastUsedStep': step } }
+        );
+        return result.modifiedCount === 1 ? 'TOTP' : null;
+    }
+    if (!allowBackupCode) return null;
+    const result = await User.updateOne(
+        { id: user.id, 'twoFactor.backupCodes': hashToken(input) },
+        { $pull: { 'twoFactor.backupCodes': hashToken(input) } }
+    );
+    return result.modifiedCount === 1 ? 'BACKUP_CODE' : null;
+};
+
+// Tenants can require 2FA for every WAREHOUSE_OWNER account (Business.settings.requireOwnerTwoFactor)
+const isTwoFactorRequired = async (user) => {
+    if (user.role !== 'WAREHOUSE_OWNER' || !user.tenant_id) return false;
+    const business = await Business.findOne({ id: user.tenant_id });
+    return !!(business && business.settings && business.settings.requireOwnerTwoFactor);
+};
+
 // --- Auth Routes ---
 
+// Public shape of a user: no password hash, lockout counters or 2FA secrets
+const toUserJson = (user) => {
+    const userData = user.toObject();
+    delete userData.password;
+    delete userData.failedLoginAttempts;
+    userData.twoFactorEnabled = !!(userData.twoFactor && userData.twoFactor.enabled);
+    delete userData.twoFactor;
+    userData.managedLocationIds = userData.managed_location_ids;
+    return userData;
+};
+
+const loginAudit = (user) => ({ userId: user.id, resource: 'users', resourceId: user.id, tenant_id: user.tenant_id });
+
+// Counts a failed password or 2FA code and locks the account once MAX_FAILED_LOGINS is reached
+const registerFailedLogin = async (req, res, user, reason) => {
+    // $inc so parallel attempts cannot undercount
+    const updated = await User.findOneAndUpdate({ id: user.id }, { $inc: { failedLoginAttempts: 1 } }, { new: true });
+    recordAuditEvent(req, { ...loginAudit(user), action: 'LOGIN_FAILED', details: { email: user.email, reason, attempts: updated.failedLoginAttempts } });
+    if (updated.failedLoginAttempts >= MAX_FAILED_LOGINS) {
+        const lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+        await User.updateOne({ id: user.id }, { $set: { lockedUntil, failedLoginAttempts: 0 } });
+        recordAuditEvent(req, { ...loginAudit(user), action: 'ACCOUNT_LOCKED', details: { email: user.email, attempts: updated.failedLoginAttempts, lockedUntil } });
+        return res.status(423).json({ error: `Too many failed attempts. Account locked for ${LOCKOUT_MINUTES} minutes.`, lockedUntil });
+    }
+    return res.status(401).json({ error: reason === 'BAD_2FA_CODE' ? 'Invalid verification code' : 'Invalid credentials' });
+};
+
+const isLocked = (user) => user.lockedUntil && user.lockedUntil > new Date();
+
+const sendLocked = (req, res, user) => {
+    recordAuditEvent(req, { ...loginAudit(user), action: 'LOGIN_FAILED', details: { email: user.email, reason: 'LOCKED' } });
+    return res.status(423).json({ error: 'Account is locked after repeated failed logins. Try again later or ask your administrator for a password reset.', lockedUntil: user.lockedUntil });
+};
+
+// Users of a soft-deleted business cannot sign in. Tenants without a Business record stay active.
+const isTenantActive = async (tenantId) => {
+    if (!tenantId) return true;
+    const business = await Business.findOne({ id: tenantId }, { isDeleted: 1 });
+    return !(business && business.isDeleted);
+};
+
+const TENANT_INACTIVE_ERROR = 'This business account has been deactivated';
+
+// Final step of a successful login: clears failure counters and opens a session
+const completeLogin = async (req, res, user) => {
+    if (user.failedLoginAttempts || user.lockedUntil) {
+        await User.updateOne({ id: user.id }, { $set: { failedLoginAttempts: 0 }, $unset: { lockedUntil: 1 } });
+    }
+    recordAuditEvent(req, { ...loginAudit(user), action: 'LOGIN' });
+
+    const tokens = await createSession(req, user);
+    const twoFactorSetupRequired = !user.twoFactor?.enabled && await isTwoFactorRequired(user);
+    res.json({ ...tokens, user: toUserJson(user), twoFactorSetupRequired });
+};
+
 app.post('/api/auth/login', async (req, res) => {
     const { email, password } = req.body;
     try {
         const user = await User.findOne({ email });
-        if (!user) return res.status(401).json({ error: "Invalid credentials" });
+        if (!user) {
+            recordAuditEvent(req, { action: 'LOGIN_FAILED', details: { email, reason: 'UNKNOWN_EMAIL' } });
+            return res.status(401).json({ error: "Invalid credentials" });
+        }
+        if (isLocked(user)) return sendLocked(req, res, user);
 
         const isMatch = await bcrypt.compare(password, user.password);
-        if (!isMatch) return res.status(401).json({ error: "Invalid credentials" });
+        if (!isMatch) return registerFailedLogin(req, res, user, 'BAD_PASSWORD');
+        if (!(await isTenantActive(user.tenant_id))) return res.status(403).json({ error: TENANT_INACTIVE_ERROR });
+
+        // Second step: the password was right, but no session is issued until a code is verified
+        if (user.twoFactor?.enabled) {
+            const challengeToken = jwt.sign({ id: user.id, purpose: '2fa' }, SECRET_KEY, { expiresIn: TWO_FACTOR_CHALLENGE_TTL });
+            return res.json({ twoFactorRequired: true, challengeToken });
+        }
+
+        await completeLogin(req, res, user);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Accepts a TOTP code or a one-time backup code for a challenge issued by /api/auth/login
+app.post('/api/auth/login/2fa', async (req, res) => {
+    const { challengeToken, code } = req.body;
+    try {
+        let challenge;
+        try {
+            challenge = jwt.verify(challengeToken || '', SECRET_KEY);
+        } catch (err) {
+            return res.status(401).json({ error: 'Verification expired, please sign in again' });
+        }
+        if (challenge.purpose !== '2fa') return res.status(401).json({ error: 'Invalid challenge' });
+
+        const user = await User.findOne({ id: challenge.id });
+        if (!user || !user.twoFactor?.enabled) return res.status(401).json({ error: 'Invalid challenge' });
+        if (isLocked(user)) return sendLocked(req, res, user);
+
+        const accepted = await verifySecondFactor(user, code);
+        if (!accepted) return registerFailedLogin(req, res, user, 'BAD_2FA_CODE');
+        if (accepted === 'BACKUP_CODE') {
+            recordAuditEvent(req, { ...loginAudit(user), action: 'BACKUP_CODE_USED', details: { remaining: user.twoFactor.backupCodes.length - 1 } });
+        }
+
+        await completeLogin(req, res, user);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Exchanges a refresh token for a new access token. The refresh token is rotated on every call;
+// presenting an already-rotated token revokes the whole session since it may have been stolen.
+app.post('/api/auth/refresh', async (req, res) => {
+    const { refreshToken } = req.body;
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+        return res.status(400).json({ error: 'refreshToken is required' });
+    }
+    try {
+        const [sessionId, secret] = refreshToken.split('.');
+        const session = await Session.findOne({ id: sessionId });
+        if (!session || !secret) return res.status(401).json({ error: 'Invalid refresh token' });
+        if (session.revokedAt) return res.status(401).json({ error: 'Session has been revoked' });
+        if (session.expiresAt < new Date()) return res.status(401).json({ error: 'Session expired' });
+
+        const hash = hashToken(secret);
+        if (hash === session.previousTokenHash) {
+            await Session.updateOne({ id: session.id }, { $set: { revokedAt: new Date(), revokedReason: 'TOKEN_REUSE' } });
+            return res.status(401).json({ error: 'Refresh token reuse detected; session revoked' });
+        }
+
+        const user = await User.findOne({ id: session.userId });
+        if (!user) return res.status(401).json({ error: 'User no longer exists' });
+        if (!(await isTenantActive(user.tenant_id))) return res.status(401).json({ error: TENANT_INACTIVE_ERROR });
+
+        // Conditional on the current hash so two concurrent refreshes cannot both succeed
+        const newSecret = crypto.randomBytes(48).toString('hex');
+        const rotated = await Session.findOneAndUpdate(
+            { id: session.id, tokenHash: hash, revokedAt: null },
+            { $set: { tokenHash: hashToken(newSecret), previousTokenHash: hash, lastUsedAt: new Date() } },
+            { new: true }
+        );
+        if (!rotated) return res.status(401).json({ error: 'Invalid refresh token' });
+
+        res.json(issueTokens(user, rotated, newSecret));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Completes an owner-initiated reset with the one-time token from the reset email
+app.post('/api/auth/reset-password', async (req, res) => {
+    const { token, newPassword } = req.body;
+    try {
+        const [resetId, secret] = typeof token === 'string' ? token.split('.') : [];
+        const reset = resetId && secret ? await PasswordReset.findOne({ id: resetId }) : null;
+        if (!reset || reset.tokenHash !== hashToken(secret) || reset.usedAt || reset.expiresAt < new Date()) {
+            return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+        }
 
-        const token = jwt.sign({ id: user.id, role: user.role, tenantId: user.tenant_id }, SECRET_KEY, { expiresIn: '1h' });
+        const user = await User.findOne({ id: reset.userId });
+        if (!user) return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+        assertPasswordPolicy(newPassword, user);
 
-        const userData = user.toObject();
-        delete userData.password;
-        userData.managedLocationIds = userData.managed_location_ids;
+        // Claim the token first so it cannot be used twice
+        const claimed = await PasswordReset.updateOne({ id: reset.id, usedAt: null }, { $set: { usedAt: new Date() } });
+        if (claimed.modifiedCount === 0) return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+
+        await setUserPassword(user, newPassword);
+        recordAuditEvent(req, { userId: user.id, action: 'PASSWORD_RESET', resource: 'users', resourceId: user.id, details: { resetId: reset.id }, tenant_id: user.tenant_id });
+        res.json({ success: true });
+    } catch (e) {
+        sendError(res, e);
+    }
+});
 
-        res.json({ token, user: userData });
+// Ends the session the refresh token belongs to. Works with an expired access token.
+app.post('/api/auth/logout', async (req, res) => {
+    const { refreshToken } = req.body;
+    try {
+        const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+        if (sessionId && secret) {
+            const hash = hashToken(secret);
+            await Session.updateOne(
+                { id: sessionId, revokedAt: null, $or: [{ tokenHash: hash }, { previousTokenHash: hash }] },
+                { $set: { revokedAt: new Date(), revokedReason: 'LOGOUT' } }
+            );
+        }
+        res.json({ success: true });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
@@ -179,37 +613,149 @@ const authenticateToken = (req, res, next) => {
     if (!token) return res.sendStatus(401);
 
     jwt.verify(token, SECRET_KEY, (err, user) => {
-        if (err) return res.sendStatus(403);
+        // 401 on expiry tells the client to use its refresh token
+        if (err) return res.sendStatus(err.name === 'TokenExpiredError' ? 401 : 403);
         req.user = user;
-        next();
+        authorize(req, res, next);
     });
 };
 
+// Roles a tenant can use: the shared system roles plus its own custom roles
+const roleScopeFor = (tenantId) => ({ $or: [{ is_system: true }, { tenant_id: tenantId }] });
+
+// User.role is a system role code or a custom role's id/name, resolved within the user's tenant
+const findRoleFor = (roleName, tenantId) => Role.findOne({
+    $and: [{ $or: [{ id: SYSTEM_ROLE_IDS[roleName] || roleName }, { name: roleName }] }, roleScopeFor(tenantId)]
+});
+
+// Checks the route's required permission (see permissions.js) against the user's effective permissions
+const authorize = async (req, res, next) => {
+    try {
+        // Tokens are only honoured while their session is active, so logout/revocation takes effect immediately
+        const session = req.user.sid ? await Session.findOne({ id: req.user.sid, revokedAt: null }) : null;
+        if (!session) return res.status(401).json({ error: 'Session has been revoked' });
+
+        if (req.user.role === 'SUPER_ADMIN') return next();
+
+        const user = await User.findOne({ id: req.user.id });
+        if (!user) return res.status(401).json({ error: 'User no longer exists' });
+
+        const roleDoc = await findRoleFor(user.role, user.tenant_id);
+        // Owners of a tenant that enforces 2FA can only reach the auth routes (to enroll) until they have it
+        if (!req.route.path.startsWith('/api/auth/') && !user.twoFactor?.enabled && await isTwoFactorRequired(user)) {
+            return res.status(403).json({ error: 'Two-factor authentication must be set up before continuing', code: 'TWO_FACTOR_SETUP_REQUIRED' });
+        }
+
+        const permissions = resolvePermissions(user, roleDoc);
+        req.user.permissions = permissions;
+        req.user.managedLocationIds = user.managed_location_ids || [];
+
+        const allowed = isAllowed(permissions, req.method, req.route.path);
+        if (!allowed) {
+            return res.status(403).json({ error: allowed === undefined ? 'Route has no permission mapping' : 'Insufficient permissions' });
+        }
+        next();
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+};
+
+// Resources whose PUT/DELETE requests get a before/after diff in the audit log
+const AUDITED_MODELS = {
+    products: Product,
+    users: User,
+    roles: Role,
+    customers: Customer,
+    locations: Location
+};
+
+const AUDIT_IGNORED_FIELDS = ['_id', '__v'];
+const AUDIT_REDACTED_FIELDS = ['password', 'currentPassword', 'newPassword', 'refreshToken', 'token', 'code', 'twoFactor'];
+
+// Flattens nested objects to dotted paths so Map fields like stock diff per location
+const flattenForAudit = (value, prefix = '', out = {}) => {
+    if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+        for (const [key, child] of Object.entries(value)) {
+            if (!prefix && AUDIT_IGNORED_FIELDS.includes(key)) continue;
+            flattenForAudit(child, prefix ? `${prefix}.${key}` : key, out);
+        }
+        if (prefix && Object.keys(value).length === 0) out[prefix] = {};
+    } else if (prefix) {
+        out[prefix] = value;
+    }
+    return out;
+};
+
+const diffDocuments = (before, after) => {
+    const flatBefore = flattenForAudit(before || {});
+    const flatAfter = flattenForAudit(after || {});
+    const fields = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+    const changes = [];
+    for (const field of fields) {
+        if (JSON.stringify(flatBefore[field]) === JSON.stringify(flatAfter[field])) continue;
+        const redacted = AUDIT_REDACTED_FIELDS.includes(field.split('.')[0]);
+        changes.push({
+            field,
+            before: redacted ? '[REDACTED]' : flatBefore[field],
+            after: redacted ? '[REDACTED]' : flatAfter[field]
+        });
+    }
+    return changes;
+};
+
+// Copy of a request body with secrets masked at any depth (e.g. owner.password on signup)
+const redactBody = (value) => {
+    if (Array.isArray(value)) return value.map(redactBody);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, AUDIT_REDACTED_FIELDS.includes(key) ? '[REDACTED]' : redactBody(child)]));
+    }
+    return value;
+};
+
 const auditLogger = async (req, res, next) => {
     if (['POST', 'PUT', 'DELETE', 'PATCH'].includes(req.method)) {
+        // Runs before routing, so req.params is not populated yet: read resource/id from the path
+        const segments = req.path.split('/');
+        const resource = segments[2] || 'unknown';
+        const resourceId = segments[3] || null;
+
+        // Snapshot the document before a tracked update/delete so the change can be diffed afterwards
+        const AuditedModel = AUDITED_MODELS[resource];
+        const tracksDiff = AuditedModel && resourceId && segments.length === 4 && ['PUT', 'DELETE'].includes(req.method);
+        let before = null;
+        if (tracksDiff) {
+            try {
+                const doc = await AuditedModel.findOne({ id: resourceId });
+                before = doc ? doc.toObject({ flattenMaps: true }) : null;
+            } catch (e) {
+                console.error("Audit snapshot error", e);
+            }
+        }
+
         const originalSend = res.send;
         res.send = function (body) {
             res.send = originalSend;
             originalSend.apply(res, arguments);
             if (res.statusCode >= 200 && res.statusCode < 300) {
-                try {
+                (async () => {
+                    let changes = [];
+                    if (tracksDiff && before) {
+                        const afterDoc = req.method === 'PUT' ? await AuditedModel.findOne({ id: resourceId }) : null;
+                        changes = diffDocuments(before, afterDoc ? afterDoc.toObject({ flattenMaps: true }) : null);
+                    }
                     const logEntry = new AuditLog({
                         id: `log-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
                         userId: req.user ? req.user.id : 'anonymous',
                         action: req.method,
-                        resource: req.path.split('/')[2] || 'unknown',
-                        resourceId: req.params.id || null,
-                        details: { body: req.body, query: req.query },
+                        resource,
+                        resourceId,
+                        details: { body: redactBody(req.body), query: req.query },
+                        changes,
                         ipAddress: req.ip,
-                        tenant_id: req.user ? req.user.tenantId : null
+                        tenant_id: req.user ? req.user.tenantId : (before ? before.tenant_id : null)
                     });
-                    if (logEntry.details.body && logEntry.details.body.password) {
-                        logEntry.details.body.password = '[REDACTED]';
-                    }
-                    logEntry.save().catch(err => console.error("Audit Log Error:", err));
-                } catch (e) {
-                    console.error("Audit middleware error", e);
-                }
+                    await logEntry.save();
+                })().catch(err => console.error("Audit Log Error:", err));
             }
         };
     }
@@ -218,266 +764,3367 @@ const auditLogger = async (req, res, next) => {
 
 app.use(auditLogger);
 
-// --- Interlinking / Global Stock Check ---
+// --- Session Routes ---
 
-app.get('/api/inventory/global-check', authenticateToken, async (req, res) => {
+app.get('/api/auth/sessions', authenticateToken, async (req, res) => {
     try {
-        const { sku } = req.query;
-        if (!sku) return res.status(400).json({ error: 'SKU is required' });
-
-        // Search ALL products with this SKU, regardless of tenant
-        // usage: specific SKU lookup across the network
-        const products = await Product.find({ sku: sku });
-
-        const networkStock = [];
-
-        for (const p of products) {
-            // Skip if stock is empty
-            if (!p.stock || p.stock.size === 0) continue;
-
-            // Resolve Tenant/Location info
-            // We need to know which Location the stock is in.
-            // p.stock is Map<LocationID, Quantity>
-            for (const [locId, qty] of p.stock.entries()) {
-                if (qty <= 0) continue;
-
-                const location = await Location.findOne({ id: locId });
-                const locName = location ? location.name : 'Unknown Location';
-
-                // Determine if this is "My Warehouse" or "External"
-                // Determine if this is "My Warehouse" or "External"
-                const isLocal = (String(p.tenant_id) === String(req.user.tenantId));
-
-                // Simulation: Logistics Calculation
-                // In a real app, calculate using coordinates (Haversine) or Google Maps API
-                // Here we use a deterministic "mock" based on location name length + id to keep it consistent per session
-                // excluding "My Warehouse" which is 0 km
-                let distance = 0;
-                let eta = '0 min';
-
-                if (!isLocal) {
-                    // Mock algorithm: (Location Name Length * 2) + last digit of ID
-                    const seed = (locName.length * 3) + (locId.charCodeAt(locId.length - 1) % 10);
-                    distance = 5 + seed; // Range approx 5 - 40km
-
-                    // Assume avg speed 40 km/h in city traffic
-                    const timeInMinutes = Math.round((distance / 35) * 60);
-                    const hours = Math.floor(timeInMinutes / 60);
-                    const mins = timeInMinutes % 60;
-                    eta = hours > 0 ? `${hours} hr ${mins} min` : `${mins} min`;
-                }
-
-                networkStock.push({
-                    locationName: locName,
-                    quantity: qty,
-                    isLocal: isLocal,
-                    tenantId: p.tenant_id,
-                    distance: isLocal ? '0 km' : `${distance} km`,
-                    eta: isLocal ? 'Immediate' : eta
-                });
-            }
-        }
-
-        res.json(networkStock);
-
+        const sessions = await Session.find({ userId: req.user.id, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({ lastUsedAt: -1 });
+        res.json(sessions.map(s => sessionToJson(s, req.user.sid)));
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
+app.post('/api/auth/change-password', authenticateToken, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        const user = await User.findOne({ id: req.user.id });
+        if (!user) return res.status(404).json({ error: 'User not found' });
 
-// --- Data Routes ---
-
-const getTenantQuery = (req) => {
-    if (req.user.role === 'SUPER_ADMIN') return {};
-    return { tenant_id: req.user.tenantId };
-};
-
-const getTenantIdForSave = (req) => {
-    if (req.user.role === 'SUPER_ADMIN' && req.body.tenantId) return req.body.tenantId;
-    return req.user.tenantId;
-};
-
-// --- Data Routes ---
+        const isMatch = await bcrypt.compare(currentPassword || '', user.password);
+        if (!isMatch) return res.status(400).json({ error: 'Current password is incorrect' });
+        if (await bcrypt.compare(newPassword || '', user.password)) {
+            return res.status(400).json({ error: 'New password must differ from the current one' });
+        }
+        assertPasswordPolicy(newPassword, user);
 
-app.get('/api/products', authenticateToken, async (req, res) => {
-    try {
-        const query = getTenantQuery(req);
-        const products = await Product.find(query);
-        res.json(products);
+        // Other devices are signed out; this one stays signed in
+        await setUserPassword(user, newPassword, req.user.sid);
+        res.json({ success: true });
     } catch (e) {
-        res.status(500).json({ error: e.message });
+        sendError(res, e);
     }
 });
 
-app.post('/api/products', authenticateToken, async (req, res) => {
+app.get('/api/auth/2fa', authenticateToken, async (req, res) => {
     try {
-        const tenantId = getTenantIdForSave(req);
-        const product = new Product({ ...req.body, tenant_id: tenantId });
-        await product.save();
-        res.status(201).json(product);
+        const user = await User.findOne({ id: req.user.id });
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        res.json({
+            enabled: !!user.twoFactor?.enabled,
+            enabledAt: user.twoFactor?.enabledAt,
+            backupCodesRemaining: user.twoFactor?.enabled ? user.twoFactor.backupCodes.length : 0,
+            required: await isTwoFactorRequired(user)
+        });
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
-app.put('/api/products/:id', authenticateToken, async (req, res) => {
+// Step 1 of enrollment: a fresh secret and the otpauth:// URI to render as a QR code
+app.post('/api/auth/2fa/setup', authenticateToken, async (req, res) => {
     try {
-        const { id } = req.params;
-        const query = { id, ...getTenantQuery(req) };
-        const updated = await Product.findOneAndUpdate(query, req.body, { new: true });
-        if (!updated) return res.status(404).json({ error: 'Product not found' });
-        res.json(updated);
+        const user = await User.findOne({ id: req.user.id });
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        if (user.twoFactor?.enabled) return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+
+        const secret = totp.generateSecret();
+        await User.updateOne({ id: user.id }, { $set: { 'twoFactor.pendingSecret': encryptSecret(secret) } });
+        res.json({ secret, otpauthUri: totp.buildOtpauthUri({ issuer: TOTP_ISSUER, account: user.email, secret }) });
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
-app.delete('/api/products/:id', authenticateToken, async (req, res) => {
+// Step 2: confirm a code from the app. Backup codes are returned only here.
+app.post('/api/auth/2fa/enable', authenticateToken, async (req, res) => {
     try {
-        const { id } = req.params;
-        const query = { id, ...getTenantQuery(req) };
-        const product = await Product.findOne(query);
-        if (!product) return res.status(404).json({ error: 'Product not found' });
+        const user = await User.findOne({ id: req.user.id });
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        if (user.twoFactor?.enabled) return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+        if (!user.twoFactor?.pendingSecret) return res.status(400).json({ error: 'Start setup first' });
 
-        await new DeletedItem({
-            id: `del-${Date.now()}-${id}`,
-            originalId: id,
-            collectionName: 'Product',
-            document: product.toObject(),
-            deletedBy: req.user.id
-        }).save();
+        const secret = decryptSecret(user.twoFactor.pendingSecret);
+        const step = totp.verifyCode(secret, req.body.code);
+        if (step === null) return res.status(400).json({ error: 'Invalid verification code' });
 
-        await Product.deleteOne(query);
-        res.json({ success: true });
+        const { codes, hashes } = generateBackupCodes();
+        await User.updateOne({ id: user.id }, {
+            $set: { twoFactor: { enabled: true, secret: user.twoFactor.pendingSecret, backupCodes: hashes, lastUsedStep: step, enabledAt: new Date() } }
+        });
+        recordAuditEvent(req, { ...loginAudit(user), action: 'TWO_FACTOR_ENABLED' });
+        res.json({ enabled: true, backupCodes: codes });
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
-// Locations
-app.get('/api/locations', authenticateToken, async (req, res) => {
+// Requires the password and a current code (or backup code). Not allowed where the tenant enforces 2FA.
+app.post('/api/auth/2fa/disable', authenticateToken, async (req, res) => {
     try {
-        const query = getTenantQuery(req);
-        const locs = await Location.find(query);
-        res.json(locs);
+        const { password, code } = req.body;
+        const user = await User.findOne({ id: req.user.id });
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        if (!user.twoFactor?.enabled) return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        if (await isTwoFactorRequired(user)) return res.status(403).json({ error: 'Your business requires two-factor authentication for owners' });
+
+        if (!(await bcrypt.compare(password || '', user.password))) return res.status(400).json({ error: 'Password is incorrect' });
+        if (!(await verifySecondFactor(user, code))) return res.status(400).json({ error: 'Invalid verification code' });
+
+        await User.updateOne({ id: user.id }, { $unset: { twoFactor: 1 } });
+        recordAuditEvent(req, { ...loginAudit(user), action: 'TWO_FACTOR_DISABLED' });
+        res.json({ enabled: false });
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
-// Customers
-app.get('/api/customers', authenticateToken, async (req, res) => {
+// Replaces all backup codes; needs a current TOTP code
+app.post('/api/auth/2fa/backup-codes', authenticateToken, async (req, res) => {
     try {
-        const query = getTenantQuery(req);
-        const customers = await Customer.find(query);
-        res.json(customers);
+        const user = await User.findOne({ id: req.user.id });
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        if (!user.twoFactor?.enabled) return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        if (!(await verifySecondFactor(user, req.body.code, { allowBackupCode: false }))) return res.status(400).json({ error: 'Invalid verification code' });
+
+        const { codes, hashes } = generateBackupCodes();
+        await User.updateOne({ id: user.id }, { $set: { 'twoFactor.backupCodes': hashes } });
+        res.json({ backupCodes: codes });
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
-app.post('/api/customers', authenticateToken, async (req, res) => {
+// Signs out every other device; the current session stays active
+app.delete('/api/auth/sessions', authenticateToken, async (req, res) => {
     try {
-        const tenantId = getTenantIdForSave(req);
-        const newCust = new Customer({ ...req.body, tenant_id: tenantId });
-        await newCust.save();
-        res.status(201).json(newCust);
+        const result = await revokeUserSessions(req.user.id, 'REVOKED', req.user.sid);
+        res.json({ revoked: result.modifiedCount });
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
-// Suppliers
-app.get('/api/suppliers', authenticateToken, async (req, res) => {
+app.delete('/api/auth/sessions/:id', authenticateToken, async (req, res) => {
     try {
-        const query = getTenantQuery(req);
-        const suppliers = await Supplier.find(query);
-        res.json(suppliers);
+        const result = await Session.updateOne(
+            { id: req.params.id, userId: req.user.id, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: 'REVOKED' } }
+        );
+        if (result.matchedCount === 0) return res.status(404).json({ error: 'Session not found' });
+        res.json({ success: true });
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
-app.post('/api/suppliers', authenticateToken, async (req, res) => {
-    try {
-        const tenantId = getTenantIdForSave(req);
-        const newSup = new Supplier({ ...req.body, tenant_id: tenantId });
-        await newSup.save();
-        res.status(201).json(newSup);
-    } catch (e) {
-        res.status(500).json({ error: e.message });
+// --- Interlinking / Global Stock Check ---
+
+const EARTH_RADIUS_KM = 6371;
+const AVERAGE_SPEED_KMH = 35; // Road speed assumed for ETAs in city traffic
+
+// Great-circle distance between two { lat, lng } points in km
+const haversineKm = (a, b) => {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLng = toRad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+const hasCoordinates = (loc) => !!(loc && loc.coordinates && typeof loc.coordinates.lat === 'number' && typeof loc.coordinates.lng === 'number');
+
+const formatEta = (minutes) => {
+    const hours = Math.floor(minutes / 60);
+    const mins = minutes % 60;
+    return hours > 0 ? `${hours} hr ${mins} min` : `${mins} min`;
+};
+
+// Where distances are measured from: ?fromLocationId, else the user's managed location, else the
+// first of the tenant's locations that has coordinates
+const resolveOriginLocation = async (req, fromLocationId) => {
+    if (fromLocationId) {
+        assertLocationAccess(req, fromLocationId);
+        const origin = await Location.findOne({ id: fromLocationId, ...getTenantQuery(req) });
+        if (!origin) throw httpError(404, 'Origin location not found');
+        return origin;
     }
-});
+    const managed = getManagedLocationIds(req);
+    const candidates = await Location.find(managed ? { id: { $in: managed } } : getTenantQuery(req));
+    return candidates.find(hasCoordinates) || candidates[0] || null;
+};
+
+// Of the given tenants, the ones whose stock other tenants may see and request
+const getNetworkTenantIds = async (tenantIds) => {
+    const businesses = await Business.find({ id: { $in: tenantIds }, isDeleted: { $ne: true }, 'settings.shareStockWithNetwork': true });
+    return new Set(businesses.map(b => b.id));
+};
+
+// ?sku=...&fromLocationId=...&maxDistance=<km>&minQuantity=<units>
+// Results are sorted nearest first; locations without coordinates have no distance and sort last.
+// Other tenants' stock is only listed when they have opted in to sharing it with the network.
+app.get('/api/inventory/global-check', authenticateToken, async (req, res) => {
+    try {
+        const { sku, fromLocationId } = req.query;
+        if (!sku) return res.status(400).json({ error: 'SKU is required' });
+        const maxDistance = req.query.maxDistance !== undefined && req.query.maxDistance !== '' ? Number(req.query.maxDistance) : null;
+        const minQuantity = Number(req.query.minQuantity) || 0;
+        if (maxDistance !== null && !(maxDistance >= 0)) return res.status(400).json({ error: 'maxDistance must be a non-negative number' });
+
+        // Search ALL products with this SKU, regardless of tenant
+        // usage: specific SKU lookup across the network
+        const allProducts = await Product.find({ sku: sku });
+        const isOwnTenant = (p) => String(p.tenant_id) === String(req.user.tenantId);
+        const sharingTenants = await getNetworkTenantIds([...new Set(allProducts.filter(p => !isOwnTenant(p)).map(p => p.tenant_id))]);
+        const products = req.user.role === 'SUPER_ADMIN' ? allProducts : allProducts.filter(p => isOwnTenant(p) || sharingTenants.has(p.tenant_id));
+        const origin = await resolveOriginLocation(req, fromLocationId);
+
+        const entries = [];
+        for (const p of products) {
+            if (!p.stock) continue;
+            for (const [locId, qty] of p.stock.entries()) {
+                if (qty <= 0 || qty < minQuantity) continue;
+                entries.push({ product: p, locId, qty });
+            }
+        }
+
+        // One query for every location referenced above
+        const locations = await Location.find({ id: { $in: [...new Set(entries.map(e => e.locId))] } });
+        const locationsById = new Map(locations.map(l => [l.id, l]));
+
+        const networkStock = [];
+        for (const { product, locId, qty } of entries) {
+            const location = locationsById.get(locId);
+            const isOrigin = !!origin && origin.id === locId;
+            let distanceKm = null;
+            if (isOrigin) {
+                distanceKm = 0;
+            } else if (hasCoordinates(origin) && hasCoordinates(location)) {
+                distanceKm = Math.round(haversineKm(origin.coordinates, location.coordinates) * 10) / 10;
+            }
+            if (maxDistance !== null && (distanceKm === null || distanceKm > maxDistance)) continue;
+
+            const etaMinutes = distanceKm === null ? null : Math.round((distanceKm / AVERAGE_SPEED_KMH) * 60);
+            networkStock.push({
+                locationId: locId,
+                locationName: location ? location.name : 'Unknown Location',
+                quantity: qty,
+                isLocal: isOwnTenant(product),
+                tenantId: product.tenant_id,
+                distanceKm,
+                etaMinutes,
+                distance: distanceKm === null ? 'Unknown' : `${distanceKm} km`,
+                eta: isOrigin ? 'Immediate' : (etaMinutes === null ? 'Unknown' : formatEta(etaMinutes))
+            });
+        }
+
+        networkStock.sort((a, b) => {
+            if (a.distanceKm === null && b.distanceKm === null) return b.quantity - a.quantity;
+            if (a.distanceKm === null) return 1;
+            if (b.distanceKm === null) return -1;
+            return a.distanceKm - b.distanceKm || b.quantity - a.quantity;
+        });
+
+        res.json(networkStock);
+
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+
+// --- Data Routes ---
+
+const getTenantQuery = (req) => {
+    if (req.user.role === 'SUPER_ADMIN') return {};
+    return { tenant_id: req.user.tenantId };
+};
+
+const getTenantIdForSave = (req) => {
+    if (req.user.role === 'SUPER_ADMIN' && req.body.tenantId) return req.body.tenantId;
+    return req.user.tenantId;
+};
+
+// WAREHOUSE_MANAGER users are limited to their managed locations; null means no location restriction
+const getManagedLocationIds = (req) => (req.user.role === 'WAREHOUSE_MANAGER' ? (req.user.managedLocationIds || []) : null);
+
+const canAccessLocation = (req, locationId) => {
+    const managed = getManagedLocationIds(req);
+    return !managed || managed.includes(locationId);
+};
+
+const assertLocationAccess = (req, locationId) => {
+    if (!canAccessLocation(req, locationId)) throw httpError(403, `No access to location ${locationId}`);
+};
+
+// Query fragment restricting a location field to the managed locations (empty when unrestricted)
+const getLocationQuery = (req, field = 'locationId') => {
+    const managed = getManagedLocationIds(req);
+    return managed ? { [field]: { $in: managed } } : {};
+};
+
+// Hides quantities at locations the user cannot access
+const maskStock = (req, stock) => {
+    const managed = getManagedLocationIds(req);
+    if (!managed) return stock;
+    return Object.fromEntries(Object.entries(stock || {}).filter(([locId]) => managed.includes(locId)));
+};
+
+// --- Transaction Helpers ---
+
+// Runs `work(session)` inside a MongoDB transaction (requires a replica set) and returns its result.
+// Throwing inside `work` aborts the transaction.
+const withTransaction = async (work) => {
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await work(session);
+        });
+        return result;
+    } finally {
+        await session.endSession();
+    }
+};
+
+// Error that carries an HTTP status (and extra response fields) out of a route's try block
+const httpError = (status, message, extra = {}) => Object.assign(new Error(message), { status, extra });
+
+const sendError = (res, e) => {
+    if (e.status) return res.status(e.status).json({ error: e.message, ...e.extra });
+    // Input the schema rejects (e.g. a note that is not text) is the client's error, not the server's
+    if (e.name === 'ValidationError' || e.name === 'CastError') return res.status(400).json({ error: e.message });
+    res.status(500).json({ error: e.message });
+};
+
+// --- Trash Helpers ---
+
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+const getTrashRetentionDays = async (tenantId) => {
+    if (!tenantId) return DEFAULT_TRASH_RETENTION_DAYS;
+    const business = await Business.findOne({ id: tenantId });
+    return (business && business.settings && business.settings.trashRetentionDays) || DEFAULT_TRASH_RETENTION_DAYS;
+};
+
+// Snapshots a document into the trash; it expires after the owning tenant's retention period
+const moveToTrash = async ({ collectionName, document, deletedBy }, session) => {
+    const tenantId = document.tenant_id || null;
+    const retentionDays = await getTrashRetentionDays(tenantId);
+    const deletedAt = new Date();
+    await new DeletedItem({
+        id: `del-${deletedAt.getTime()}-${document.id}`,
+        originalId: document.id,
+        collectionName,
+        document,
+        tenant_id: tenantId,
+        deletedBy,
+        deletedAt,
+        expiresAt: new Date(deletedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000)
+    }).save({ session });
+};
+
+// Tenant filter for trash; older entries without tenant_id fall back to the snapshot's tenant
+const getTrashTenantQuery = (req) => {
+    if (req.user.role === 'SUPER_ADMIN') return {};
+    return {
+        $or: [
+            { tenant_id: req.user.tenantId },
+            { tenant_id: { $exists: false }, 'document.tenant_id': req.user.tenantId }
+        ]
+    };
+};
+
+// --- Stock Ledger Helpers ---
+
+// Appends one ledger entry. `balance` is the quantity at the location after the change.
+const recordStockMovement = async (entry, session) => {
+    await new StockMovement({
+        id: `mov-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        ...entry
+    }).save({ session });
+};
+
+// Applies a signed `delta` to a product's stock at one location and records it in the ledger.
+// Decrements only match when enough stock is on hand; returns null (and writes nothing) otherwise.
+const moveStock = async ({ tenantId, productId, locationId, delta, ...entry }, session) => {
+    const stockKey = `stock.${locationId}`;
+    const filter = { id: productId, tenant_id: tenantId };
+    if (delta < 0) filter[stockKey] = { $gte: -delta };
+
+    const product = await Product.findOneAndUpdate(filter, { $inc: { [stockKey]: delta } }, { new: true, session });
+    if (!product) return null;
+
+    await recordStockMovement({
+        tenant_id: tenantId,
+        productId,
+        locationId,
+        delta,
+        balance: product.stock.get(locationId),
+        ...entry
+    }, session);
+    return product;
+};
+
+// Records one entry per location whose quantity differs between two stock maps
+const recordStockDiff = async ({ tenantId, productId, before, after, ...entry }, session) => {
+    const locationIds = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    for (const locationId of locationIds) {
+        const oldQty = Number((before || {})[locationId]) || 0;
+        const newQty = Number((after || {})[locationId]) || 0;
+        if (oldQty === newQty) continue;
+        await recordStockMovement({
+            tenant_id: tenantId,
+            productId,
+            locationId,
+            delta: newQty - oldQty,
+            balance: newQty,
+            ...entry
+        }, session);
+    }
+};
+
+const stockToObject = (stock) => (stock instanceof Map ? Object.fromEntries(stock) : { ...(stock || {}) });
+
+// --- Batch Helpers ---
+
+// Batches without an expiry sort last
+const expirySortKey = (batch) => batch.expiryDate || '9999-12-31';
+
+// Consumes `quantity` from a location's batches, earliest expiry first (FEFO), and returns the allocation.
+// Stock not covered by batch records is untracked and simply left unallocated.
+const consumeBatchesFefo = async ({ tenantId, productId, locationId, quantity }, session) => {
+    const batches = await Batch.find({ tenant_id: tenantId, productId, locationId, quantity: { $gt: 0 } }).session(session);
+    batches.sort((a, b) => expirySortKey(a).localeCompare(expirySortKey(b)) || a.createdAt - b.createdAt);
+
+    const allocations = [];
+    let remaining = quantity;
+    for (const batch of batches) {
+        if (remaining <= 0) break;
+        const take = Math.min(batch.quantity, remaining);
+        batch.quantity -= take;
+        await batch.save({ session });
+        allocations.push({ batchNumber: batch.batchNumber, manufactureDate: batch.manufactureDate, expiryDate: batch.expiryDate, quantity: take });
+        remaining -= take;
+    }
+    return allocations;
+};
+
+// Adds quantities to batches at a location, creating the batch record there if needed
+const addToBatches = async ({ tenantId, productId, locationId, allocations }, session) => {
+    for (const a of allocations) {
+        if (!a.batchNumber || !(a.quantity > 0)) continue;
+        await Batch.updateOne(
+            { tenant_id: tenantId, productId, locationId, batchNumber: a.batchNumber },
+            {
+                $inc: { quantity: a.quantity },
+                $setOnInsert: {
+                    id: `bat-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+                    manufactureDate: a.manufactureDate,
+                    expiryDate: a.expiryDate
+                }
+            },
+            { upsert: true, session }
+        );
+    }
+};
+
+// Takes the first `quantity` units of an allocation, in order (used when less arrives than was sent)
+const trimAllocations = (allocations, quantity) => {
+    let remaining = quantity;
+    return allocations.map(a => {
+        const take = Math.min(a.quantity, remaining);
+        remaining -= take;
+        return { ...a, quantity: take };
+    }).filter(a => a.quantity > 0);
+};
+
+// --- Data Routes ---
+
+app.get('/api/products', authenticateToken, async (req, res) => {
+    try {
+        const query = getTenantQuery(req);
+        const products = await Product.find(query);
+
+        // Goods-in-transit: dispatched but not yet received, keyed by destination
+        const inTransit = await Transfer.aggregate([
+            { $match: { ...query, status: 'DISPATCHED' } },
+            { $group: { _id: { productId: '$productId', toLocationId: '$toLocationId' }, quantity: { $sum: '$quantity' } } }
+        ]);
+        const inTransitByProduct = {};
+        for (const row of inTransit) {
+            const entry = inTransitByProduct[row._id.productId] || (inTransitByProduct[row._id.productId] = {});
+            entry[row._id.toLocationId] = row.quantity;
+        }
+
+        res.json(products.map(p => {
+            const obj = p.toObject({ flattenMaps: true });
+            obj.stock = maskStock(req, obj.stock);
+            obj.inTransit = maskStock(req, inTransitByProduct[p.id] || {});
+            obj.inTransitTotal = Object.values(obj.inTransit).reduce((sum, q) => sum + q, 0);
+            return obj;
+        }));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+app.post('/api/products', authenticateToken, async (req, res) => {
+    try {
+        const tenantId = getTenantIdForSave(req);
+        Object.entries(req.body.stock || {}).forEach(([locId, qty]) => {
+            if (Number(qty) !== 0) assertLocationAccess(req, locId);
+        });
+        const product = await withTransaction(async (session) => {
+            const product = new Product({ ...req.body, tenant_id: tenantId });
+            await product.save({ session });
+            await recordStockDiff({
+                tenantId, productId: product.id, before: {}, after: stockToObject(product.stock),
+                type: 'IMPORT', referenceType: 'Product', referenceId: product.id, userId: req.user.id
+            }, session);
+            return product;
+        });
+        res.status(201).json(product);
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+app.put('/api/products/:id', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const query = { id, ...getTenantQuery(req) };
+        const updated = await withTransaction(async (session) => {
+            const existing = await Product.findOne(query).session(session);
+            if (!existing) throw httpError(404, 'Product not found');
+            const before = stockToObject(existing.stock);
+
+            // Managers see a masked stock map: merge their edits in and refuse changes elsewhere
+            const update = { ...req.body };
+            if (update.stock && getManagedLocationIds(req)) {
+                const merged = { ...before };
+                for (const [locId, qty] of Object.entries(update.stock)) {
+                    if (canAccessLocation(req, locId)) merged[locId] = qty;
+                    else if (Number(qty) !== (Number(before[locId]) || 0)) throw httpError(403, `No access to location ${locId}`);
+                }
+                update.stock = merged;
+            }
+
+            const updated = await Product.findOneAndUpdate(query, update, { new: true, session });
+            await recordStockDiff({
+                tenantId: updated.tenant_id, productId: id, before, after: stockToObject(updated.stock),
+                type: 'ADJUSTMENT', userId: req.user.id, note: req.body.adjustmentNote
+            }, session);
+            return updated;
+        });
+        res.json(updated);
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+app.delete('/api/products/:id', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const query = { id, ...getTenantQuery(req) };
+        const product = await Product.findOne(query);
+        if (!product) return res.status(404).json({ error: 'Product not found' });
+        const heldElsewhere = Object.entries(stockToObject(product.stock)).some(([locId, qty]) => qty !== 0 && !canAccessLocation(req, locId));
+        if (heldElsewhere) return res.status(403).json({ error: 'Product has stock at locations you do not manage' });
+
+        await withTransaction(async (session) => {
+            await moveToTrash({ collectionName: 'Product', document: product.toObject(), deletedBy: req.user.id }, session);
+
+            // Zero out the ledger so a later restore does not double-count
+            await recordStockDiff({
+                tenantId: product.tenant_id, productId: id, before: stockToObject(product.stock), after: {},
+                type: 'DELETE', referenceType: 'Product', referenceId: id, userId: req.user.id
+            }, session);
+
+            await Product.deleteOne(query, { session });
+        });
+        res.json({ success: true });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+app.get('/api/products/:id/ledger', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { locationId, type, from, to } = req.query;
+        const limit = Math.min(Number(req.query.limit) || 200, 1000);
+
+        const query = { productId: id, ...getTenantQuery(req), ...getLocationQuery(req) };
+        if (locationId) {
+            if (!canAccessLocation(req, locationId)) return res.status(403).json({ error: `No access to location ${locationId}` });
+            query.locationId = locationId;
+        }
+        if (type) query.type = type;
+        if (from || to) {
+            query.timestamp = {};
+            if (from) query.timestamp.$gte = new Date(from);
+            if (to) query.timestamp.$lte = new Date(to);
+        }
+
+        const movements = await StockMovement.find(query).sort({ timestamp: -1 }).limit(limit);
+        res.json(movements);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+app.get('/api/products/:id/batches', authenticateToken, async (req, res) => {
+    try {
+        const query = { productId: req.params.id, ...getTenantQuery(req), ...getLocationQuery(req) };
+        if (req.query.locationId) {
+            if (!canAccessLocation(req, req.query.locationId)) return res.status(403).json({ error: `No access to location ${req.query.locationId}` });
+            query.locationId = req.query.locationId;
+        }
+        if (req.query.includeEmpty !== 'true') query.quantity = { $gt: 0 };
+        const batches = await Batch.find(query);
+        batches.sort((a, b) => expirySortKey(a).localeCompare(expirySortKey(b)));
+        res.json(batches);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Registers a batch at a location. By default the quantity is new stock; with `addStock: false`
+// it only tags stock that is already on hand but not yet covered by any batch.
+app.post('/api/products/:id/batches', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { locationId, batchNumber, manufactureDate, expiryDate, addStock = true } = req.body;
+        const quantity = Number(req.body.quantity);
+        if (!locationId || !batchNumber) return res.status(400).json({ error: 'locationId and batchNumber are required' });
+        if (!(quantity > 0)) return res.status(400).json({ error: 'Quantity must be positive' });
+        assertLocationAccess(req, locationId);
+
+        const batch = await withTransaction(async (session) => {
+            const product = await Product.findOne({ id, ...getTenantQuery(req) }).session(session);
+            if (!product) throw httpError(404, 'Product not found');
+            const tenantId = product.tenant_id;
+
+            if (addStock) {
+                await moveStock({
+                    tenantId, productId: id, locationId, delta: quantity,
+                    type: 'ADJUSTMENT', referenceType: 'Batch', referenceId: batchNumber, userId: req.user.id, note: 'Batch received'
+                }, session);
+            } else {
+                const onHand = (product.stock && product.stock.get(locationId)) || 0;
+                const tracked = await Batch.aggregate([
+                    { $match: { tenant_id: tenantId, productId: id, locationId } },
+                    { $group: { _id: null, quantity: { $sum: '$quantity' } } }
+                ]).session(session);
+                const untracked = onHand - (tracked[0] ? tracked[0].quantity : 0);
+                if (quantity > untracked) throw httpError(409, 'Not enough untracked stock to tag', { untracked });
+            }
+
+            await addToBatches({ tenantId, productId: id, locationId, allocations: [{ batchNumber, manufactureDate, expiryDate, quantity }] }, session);
+            return Batch.findOne({ tenant_id: tenantId, productId: id, locationId, batchNumber }).session(session);
+        });
+        res.status(201).json(batch);
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+// Batches expiring within `days` (default 30), including already expired ones
+app.get('/api/inventory/expiring', authenticateToken, async (req, res) => {
+    try {
+        const days = Math.max(0, Number(req.query.days) || 30);
+        const today = new Date();
+        const cutoff = new Date(today);
+        cutoff.setDate(cutoff.getDate() + days);
+        const todayStr = today.toISOString().split('T')[0];
+
+        const query = {
+            ...getTenantQuery(req),
+            ...getLocationQuery(req),
+            quantity: { $gt: 0 },
+            expiryDate: { $nin: [null, ''], $lte: cutoff.toISOString().split('T')[0] }
+        };
+        if (req.query.locationId) {
+            if (!canAccessLocation(req, req.query.locationId)) return res.status(403).json({ error: `No access to location ${req.query.locationId}` });
+            query.locationId = req.query.locationId;
+        }
+
+        const batches = await Batch.find(query).sort({ expiryDate: 1 });
+        const [products, locations] = await Promise.all([
+            Product.find({ id: { $in: [...new Set(batches.map(b => b.productId))] } }),
+            Location.find({ id: { $in: [...new Set(batches.map(b => b.locationId))] } })
+        ]);
+        const productById = new Map(products.map(p => [p.id, p]));
+        const locationById = new Map(locations.map(l => [l.id, l]));
+
+        res.json(batches.map(b => {
+            const product = productById.get(b.productId);
+            const daysToExpiry = Math.round((new Date(b.expiryDate) - new Date(todayStr)) / (24 * 60 * 60 * 1000));
+            return {
+                ...b.toObject(),
+                productName: product ? product.name : 'Unknown Product',
+                sku: product ? product.sku : undefined,
+                locationName: locationById.has(b.locationId) ? locationById.get(b.locationId).name : 'Unknown Location',
+                daysToExpiry,
+                isExpired: daysToExpiry < 0,
+                valueAtCost: b.quantity * ((product && product.cost) || 0)
+            };
+        }));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Locations
+app.get('/api/locations', authenticateToken, async (req, res) => {
+    try {
+        const query = getTenantQuery(req);
+        const locs = await Location.find(query);
+        res.json(locs);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+const LOCATION_TYPES = ['WAREHOUSE', 'STORE'];
+
+// Whitelisted, validated location fields from a request body; `partial` for updates
+const pickLocationFields = (body = {}, partial = false) => {
+    const fields = {};
+    if (!partial || body.name !== undefined) {
+        if (!body.name || !String(body.name).trim()) throw httpError(400, 'Location name is required');
+        fields.name = String(body.name).trim();
+    }
+    if (!partial || body.type !== undefined) {
+        if (!LOCATION_TYPES.includes(body.type)) throw httpError(400, `type must be one of ${LOCATION_TYPES.join(', ')}`);
+        fields.type = body.type;
+    }
+    if (body.address !== undefined) fields.address = String(body.address || '').trim();
+    if (body.coordinates !== undefined) {
+        if (body.coordinates === null) {
+            fields.coordinates = undefined;
+        } else {
+            const lat = Number(body.coordinates.lat);
+            const lng = Number(body.coordinates.lng);
+            if (!(lat >= -90 && lat <= 90) || !(lng >= -180 && lng <= 180)) {
+                throw httpError(400, 'coordinates need lat between -90 and 90 and lng between -180 and 180');
+            }
+            fields.coordinates = { lat, lng };
+        }
+    }
+    if (body.capacity !== undefined) {
+        if (body.capacity === null || body.capacity === '') {
+            fields.capacity = undefined;
+        } else {
+            const capacity = Number(body.capacity);
+            if (!(capacity >= 0)) throw httpError(400, 'capacity must be zero or more');
+            fields.capacity = capacity;
+        }
+    }
+    if (body.stateCode !== undefined) fields.stateCode = normalizeStateCode(body.stateCode);
+    if (body.invoicePrefix !== undefined) {
+        const prefix = String(body.invoicePrefix || '').trim().toUpperCase();
+        if (prefix && !INVOICE_PREFIX_PATTERN.test(prefix)) throw httpError(400, 'invoicePrefix must be 1-5 letters or digits');
+        fields.invoicePrefix = prefix || undefined;
+    }
+    return fields;
+};
+
+app.post('/api/locations', authenticateToken, async (req, res) => {
+    try {
+        const tenantId = getTenantIdForSave(req);
+        if (!tenantId) return res.status(400).json({ error: 'tenantId is required' });
+        const location = new Location({
+            ...pickLocationFields(req.body),
+            id: `loc-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`,
+            tenant_id: tenantId
+        });
+        await location.save();
+        res.status(201).json(location);
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+app.put('/api/locations/:id', authenticateToken, async (req, res) => {
+    try {
+        assertLocationAccess(req, req.params.id);
+        const location = await Location.findOne({ id: req.params.id, ...getTenantQuery(req) });
+        if (!location) return res.status(404).json({ error: 'Location not found' });
+
+        location.set(pickLocationFields(req.body, true));
+        await location.save();
+        res.json(location);
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+// Transfers all stock (and its batches) out of a location, one COMPLETED transfer per product
+const moveAllStock = async ({ tenantId, fromLocationId, toLocationId, userId, reason }, session) => {
+    const products = await Product.find({ tenant_id: tenantId, [`stock.${fromLocationId}`]: { $gt: 0 } }).session(session);
+    const transfers = [];
+    for (const product of products) {
+        const quantity = product.stock.get(fromLocationId);
+        const now = new Date();
+        const transferId = `trf-${now.getTime()}-${transfers.length}`;
+        const movement = { tenantId, productId: product.id, referenceType: 'Transfer', referenceId: transferId, userId };
+        const moved = await moveStock({ ...movement, locationId: fromLocationId, delta: -quantity, type: 'TRANSFER_OUT' }, session);
+        if (!moved) throw httpError(409, 'Stock changed while it was being moved');
+        await moveStock({ ...movement, locationId: toLocationId, delta: quantity, type: 'TRANSFER_IN' }, session);
+
+        const batches = await consumeBatchesFefo({ tenantId, productId: product.id, locationId: fromLocationId, quantity }, session);
+        await addToBatches({ tenantId, productId: product.id, locationId: toLocationId, allocations: batches }, session);
+
+        const transfer = new Transfer({
+            id: transferId, productId: product.id, fromLocationId, toLocationId, quantity,
+            date: now.toISOString(), timestamp: now.getTime(), status: 'COMPLETED', reason, batches, tenant_id: tenantId
+        });
+        await transfer.save({ session });
+        transfers.push(transfer);
+    }
+    return transfers;
+};
+
+// Refused while stock, in-flight transfers or open purchase orders reference the location.
+// ?moveStockTo=<locationId> first transfers all remaining stock to another location of the tenant.
+app.delete('/api/locations/:id', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { moveStockTo } = req.query;
+        const location = await Location.findOne({ id, ...getTenantQuery(req) });
+        if (!location) return res.status(404).json({ error: 'Location not found' });
+        const tenantId = location.tenant_id;
+
+        const pendingTransfers = await Transfer.countDocuments({
+            tenant_id: tenantId,
+            status: { $in: ['REQUESTED', 'APPROVED', 'DISPATCHED'] },
+            $or: [{ fromLocationId: id }, { toLocationId: id }]
+        });
+        if (pendingTransfers > 0) {
+            return res.status(409).json({ error: 'Location has transfers in progress', pendingTransfers });
+        }
+        const openPurchaseOrders = await PurchaseOrder.countDocuments({ tenant_id: tenantId, locationId: id, status: { $in: OPEN_PO_STATUSES } });
+        if (openPurchaseOrders > 0) {
+            return res.status(409).json({ error: 'Location has open purchase orders', openPurchaseOrders });
+        }
+
+        if (moveStockTo) {
+            if (moveStockTo === id) return res.status(400).json({ error: 'moveStockTo must be a different location' });
+            await assertTransferLocations(tenantId, id, moveStockTo);
+        } else {
+            const stocked = await Product.find({ tenant_id: tenantId, [`stock.${id}`]: { $gt: 0 } });
+            if (stocked.length > 0) {
+                return res.status(409).json({
+                    error: 'Location still holds stock. Move it first or pass moveStockTo.',
+                    products: stocked.map(p => ({ productId: p.id, name: p.name, quantity: p.stock.get(id) }))
+                });
+            }
+        }
+
+        const transfers = await withTransaction(async (session) => {
+            const moved = moveStockTo
+                ? await moveAllStock({ tenantId, fromLocationId: id, toLocationId: moveStockTo, userId: req.user.id, reason: `Location ${location.name} deleted` }, session)
+                : [];
+            await moveToTrash({ collectionName: 'Location', document: location.toObject(), deletedBy: req.user.id }, session);
+            await Location.deleteOne({ id }, { session });
+            return moved;
+        });
+        res.json({ success: true, transfers });
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+// Customers
+app.get('/api/customers', authenticateToken, async (req, res) => {
+    try {
+        const query = getTenantQuery(req);
+        const customers = await Customer.find(query);
+        res.json(customers);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Phone numbers are compared on their last 10 digits, so "+91 98765-43210" matches "9876543210"
+const phoneDigits = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+// Whitelisted, validated customer fields from a request body; `partial` for updates.
+// loyaltyPoints, totalPurchases and outstandingBalance are maintained by sales and receipts and are not accepted here.
+const pickCustomerFields = (body = {}, partial = false) => {
+    const fields = {};
+    if (!partial || body.name !== undefined) {
+        if (!body.name || !String(body.name).trim()) throw httpError(400, 'Customer name is required');
+        fields.name = String(body.name).trim();
+    }
+    if (!partial || body.phone !== undefined) {
+        if (phoneDigits(body.phone).length < 10) throw httpError(400, 'A 10-digit phone number is required');
+        fields.phone = String(body.phone).trim();
+    }
+    if (body.email !== undefined) fields.email = String(body.email || '').trim();
+    if (body.gstNumber !== undefined) {
+        const gstNumber = String(body.gstNumber || '').trim().toUpperCase();
+        if (gstNumber && !GSTIN_PATTERN.test(gstNumber)) throw httpError(400, 'Invalid GSTIN');
+        fields.gstNumber = gstNumber;
+    }
+    if (body.address !== undefined) fields.address = String(body.address || '').trim();
+    if (body.stateCode !== undefined || fields.gstNumber) {
+        fields.stateCode = stateCodeFor({ stateCode: body.stateCode, gstNumber: fields.gstNumber });
+    }
+    if (body.creditLimit !== undefined) {
+        if (body.creditLimit === null || body.creditLimit === '') {
+            fields.creditLimit = undefined;
+        } else {
+            const creditLimit = Number(body.creditLimit);
+            if (!(creditLimit >= 0)) throw httpError(400, 'creditLimit must be zero or more');
+            fields.creditLimit = Math.round(creditLimit * 100) / 100;
+        }
+    }
+    return fields;
+};
+
+// Only owners grant or change credit; other roles may resend the current limit with an edit
+const assertCanSetCreditLimit = (req, fields, current) => {
+    if (!('creditLimit' in fields) || req.user.role === 'SUPER_ADMIN' || req.user.role === 'WAREHOUSE_OWNER') return;
+    if ((fields.creditLimit || 0) !== ((current && current.creditLimit) || 0)) throw httpError(403, 'Only an owner can change a credit limit');
+};
+
+// Another customer of the tenant with the same phone number or GSTIN, if any
+const findDuplicateCustomer = async (tenantId, { phone, gstNumber }, excludeId = null) => {
+    const or = [];
+    const digits = phoneDigits(phone);
+    if (digits) or.push({ phone: { $regex: `${digits.split('').join('\\D*')}\\D*$` } });
+    if (gstNumber) or.push({ gstNumber });
+    if (or.length === 0) return null;
+    const query = { tenant_id: tenantId, $or: or };
+    if (excludeId) query.id = { $ne: excludeId };
+    return Customer.findOne(query);
+};
+
+const assertNoDuplicateCustomer = async (tenantId, fields, excludeId) => {
+    const duplicate = await findDuplicateCustomer(tenantId, fields, excludeId);
+    if (!duplicate) return;
+    const field = fields.gstNumber && duplicate.gstNumber === fields.gstNumber ? 'GSTIN' : 'phone number';
+    throw httpError(409, `A customer with this ${field} already exists: ${duplicate.name}`, {
+        duplicate: { id: duplicate.id, name: duplicate.name, phone: duplicate.phone, gstNumber: duplicate.gstNumber }
+    });
+};
+
+app.post('/api/customers', authenticateToken, async (req, res) => {
+    try {
+        const tenantId = getTenantIdForSave(req);
+        const fields = pickCustomerFields(req.body);
+        assertCanSetCreditLimit(req, fields, null);
+        await assertNoDuplicateCustomer(tenantId, fields);
+        const newCust = new Customer({
+            ...fields,
+            id: req.body.id || `cust-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`,
+            tenant_id: tenantId
+        });
+        await newCust.save();
+        res.status(201).json(newCust);
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+app.put('/api/customers/:id', authenticateToken, async (req, res) => {
+    try {
+        const customer = await Customer.findOne({ id: req.params.id, ...getTenantQuery(req) });
+        if (!customer) return res.status(404).json({ error: 'Customer not found' });
+
+        const fields = pickCustomerFields(req.body, true);
+        if (fields.stateCode !== undefined && fields.gstNumber === undefined) {
+            fields.stateCode = stateCodeFor({ stateCode: fields.stateCode, gstNumber: customer.gstNumber });
+        }
+        assertCanSetCreditLimit(req, fields, customer);
+        await assertNoDuplicateCustomer(customer.tenant_id, {
+            phone: fields.phone !== undefined && phoneDigits(fields.phone) !== phoneDigits(customer.phone) ? fields.phone : null,
+            gstNumber: fields.gstNumber !== customer.gstNumber ? fields.gstNumber : null
+        }, customer.id);
+
+        customer.set(fields);
+        await customer.save();
+        res.json(customer);
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+// Past sales keep their customerId and customerName, so history survives a restore from Trash
+app.delete('/api/customers/:id', authenticateToken, async (req, res) => {
+    try {
+        const query = { id: req.params.id, ...getTenantQuery(req) };
+        const customer = await Customer.findOne(query);
+        if (!customer) return res.status(404).json({ error: 'Customer not found' });
+        if (roundMoney(customer.outstandingBalance || 0) > 0) {
+            return res.status(409).json({ error: `${customer.name} still owes ₹${roundMoney(customer.outstandingBalance).toFixed(2)}; record the payment before deleting` });
+        }
+
+        await withTransaction(async (session) => {
+            await moveToTrash({ collectionName: 'Customer', document: customer.toObject(), deletedBy: req.user.id }, session);
+            await Customer.deleteOne(query, { session });
+        });
+        res.json({ success: true });
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+// Purchase history, newest first, with lifetime value and first/last visit
+app.get('/api/customers/:id/sales', authenticateToken, async (req, res) => {
+    try {
+        const customer = await Customer.findOne({ id: req.params.id, ...getTenantQuery(req) });
+        if (!customer) return res.status(404).json({ error: 'Customer not found' });
+
+        const sales = await Sale.find({ customerId: customer.id, tenant_id: customer.tenant_id, ...getLocationQuery(req) }).sort({ date: -1 });
+        const lifetimeValue = sales.reduce((sum, s) => sum + (Number(s.totalAmount) || 0), 0);
+        res.json({
+            customer,
+            sales,
+            summary: {
+                orders: sales.length,
+                lifetimeValue: Math.round(lifetimeValue * 100) / 100,
+                averageOrderValue: sales.length > 0 ? Math.round((lifetimeValue / sales.length) * 100) / 100 : 0,
+                firstVisit: sales.length > 0 ? sales[sales.length - 1].date : null,
+                lastVisit: sales.length > 0 ? sales[0].date : null
+            }
+        });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Suppliers
+app.get('/api/suppliers', authenticateToken, async (req, res) => {
+    try {
+        const query = getTenantQuery(req);
+        const suppliers = await Supplier.find(query);
+        res.json(suppliers);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+app.post('/api/suppliers', authenticateToken, async (req, res) => {
+    try {
+        const tenantId = getTenantIdForSave(req);
+        const newSup = new Supplier({ ...req.body, tenant_id: tenantId });
+        await newSup.save();
+        res.status(201).json(newSup);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Purchase Orders: DRAFT -> APPROVED -> SENT -> (PARTIALLY_RECEIVED) -> RECEIVED, or CANCELLED before any receipt
+
+const OPEN_PO_STATUSES = ['DRAFT', 'APPROVED', 'SENT', 'PARTIALLY_RECEIVED'];
+
+const PO_TRANSITIONS = {
+    approve: { from: ['DRAFT'], to: 'APPROVED', roles: ['WAREHOUSE_OWNER', 'SUPER_ADMIN'] },
+    send: { from: ['APPROVED'], to: 'SENT' },
+    cancel: { from: ['DRAFT', 'APPROVED', 'SENT'], to: 'CANCELLED' }
+};
+
+// Validates PO line items against the tenant's products and fills in names/totals
+const buildPurchaseOrderItems = async (tenantId, items) => {
+    if (!Array.isArray(items) || items.length === 0) throw httpError(400, 'Purchase order must contain at least one item');
+    const products = await Product.find({ id: { $in: items.map(i => i.productId) }, tenant_id: tenantId });
+    const byId = new Map(products.map(p => [p.id, p]));
+
+    return items.map(item => {
+        const product = byId.get(item.productId);
+        if (!product) throw httpError(404, `Product not found: ${item.productId}`);
+        const quantity = Number(item.quantity);
+        if (!(quantity > 0)) throw httpError(400, `Quantity must be positive for ${product.name}`);
+        const unitCost = item.unitCost === undefined ? (product.cost || 0) : Number(item.unitCost);
+        return { productId: product.id, name: product.name, quantity, unitCost, receivedQuantity: 0 };
+    });
+};
+
+const purchaseOrderTotal = (items) => items.reduce((sum, i) => sum + i.quantity * i.unitCost, 0);
+
+// PO and GRN ids for every flow that creates them; the random part keeps ids made in the same millisecond apart
+const newPurchaseOrderId = () => `po-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+const newGoodsReceiptId = () => `grn-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+// Weighted average cost across all locations, using on-hand stock before `quantity` arrives at `unitCost`.
+// Call before adding the incoming stock.
+const updateAverageCost = async ({ tenantId, productId, quantity, unitCost }, session) => {
+    const product = await Product.findOne({ id: productId, tenant_id: tenantId }).session(session);
+    if (!product) throw httpError(404, `Product not found: ${productId}`);
+    const onHand = Array.from((product.stock || new Map()).values()).reduce((sum, q) => sum + Math.max(0, q), 0);
+    const newCost = (onHand * (product.cost || 0) + quantity * unitCost) / (onHand + quantity);
+    await Product.updateOne({ id: productId, tenant_id: tenantId }, { $set: { cost: Math.round(newCost * 100) / 100 } }, { session });
+};
+
+// Open purchase orders for one supplier (?all=true includes closed ones)
+app.get('/api/suppliers/:id/purchase-orders', authenticateToken, async (req, res) => {
+    try {
+        const query = { supplierId: req.params.id, ...getTenantQuery(req), ...getLocationQuery(req) };
+        if (req.query.all !== 'true') query.status = { $in: OPEN_PO_STATUSES };
+        const orders = await PurchaseOrder.find(query).sort({ createdAt: -1 });
+        res.json(orders);
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+app.get('/api/purchase-orders', authenticateToken, async (req, res) => {
+    try {
+        const query = { ...getTenantQuery(req), ...getLocationQuery(req) };
+        if (req.query.supplierId) query.supplierId = req.query.supplierId;
+        if (req.query.status) query.status = req.query.status;
+        else if (req.query.open === 'true') query.status = { $in: OPEN_PO_STATUSES };
+        const orders = await PurchaseOrder.find(query).sort({ createdAt: -1 });
+        res.json(orders);
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+app.get('/api/purchase-orders/:id', authenticateToken, async (req, res) => {
+    try {
+        // Managers only see orders for the locations they manage, as in the list
+        const order = await PurchaseOrder.findOne({ id: req.params.id, ...getTenantQuery(req), ...getLocationQuery(req) });
+        if (!order) throw httpError(404, 'Purchase order not found');
+        const receipts = await GoodsReceipt.find({ purchaseOrderId: order.id }).sort({ receivedAt: 1 });
+        res.json({ ...order.toObject(), receipts });
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+app.post('/api/purchase-orders', authenticateToken, async (req, res) => {
+    try {
+        const tenantId = getTenantIdForSave(req);
+        const { supplierId, locationId, expectedDate, notes } = req.body;
+        if (!supplierId || !locationId) return res.status(400).json({ error: 'supplierId and locationId are required' });
+
+        const supplier = await Supplier.findOne({ id: supplierId, tenant_id: tenantId });
+        if (!supplier) return res.status(404).json({ error: 'Supplier not found' });
+        const location = await Location.findOne({ id: locationId, tenant_id: tenantId });
+        if (!location) return res.status(404).json({ error: 'Location not found' });
+        assertLocationAccess(req, locationId);
+
+        const items = await buildPurchaseOrderItems(tenantId, req.body.items);
+        const now = new Date();
+        const order = new PurchaseOrder({
+            id: newPurchaseOrderId(),
+            tenant_id: tenantId,
+            supplierId,
+            locationId,
+            status: 'DRAFT',
+            items,
+            totalAmount: purchaseOrderTotal(items),
+            expectedDate,
+            notes: notes || '',
+            createdBy: req.user.id,
+            history: [{ status: 'DRAFT', userId: req.user.id, at: now }]
+        });
+        await order.save();
+        res.status(201).json(order);
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+app.put('/api/purchase-orders/:id', authenticateToken, async (req, res) => {
+    try {
+        const order = await PurchaseOrder.findOne({ id: req.params.id, ...getTenantQuery(req), ...getLocationQuery(req) });
+        if (!order) return res.status(404).json({ error: 'Purchase order not found' });
+        if (order.status !== 'DRAFT') return res.status(409).json({ error: 'Only draft purchase orders can be edited' });
+
+        if (req.body.locationId && req.body.locationId !== order.locationId) {
+            const location = await Location.findOne({ id: req.body.locationId, tenant_id: order.tenant_id });
+            if (!location) return res.status(404).json({ error: 'Location not found' });
+            assertLocationAccess(req, req.body.locationId);
+            order.locationId = req.body.locationId;
+        }
+        if (req.body.items) {
+            order.items = await buildPurchaseOrderItems(order.tenant_id, req.body.items);
+            order.totalAmount = purchaseOrderTotal(order.items);
+        }
+        if (req.body.expectedDate !== undefined) order.expectedDate = req.body.expectedDate;
+        if (req.body.notes !== undefined) order.notes = req.body.notes;
+        order.updatedAt = new Date();
+
+        await order.save();
+        res.json(order);
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+Object.entries(PO_TRANSITIONS).forEach(([action, rule]) => {
+    app.post(`/api/purchase-orders/:id/${action}`, authenticateToken, async (req, res) => {
+        try {
+            const order = await PurchaseOrder.findOne({ id: req.params.id, ...getTenantQuery(req), ...getLocationQuery(req) });
+            if (!order) throw httpError(404, 'Purchase order not found');
+            if (rule.roles && !rule.roles.includes(req.user.role)) throw httpError(403, `Not authorized to ${action} purchase orders`);
+            if (!rule.from.includes(order.status)) throw httpError(409, `Cannot ${action} a purchase order in status ${order.status}`);
+
+            if (action === 'approve') order.approvedBy = req.user.id;
+            order.status = rule.to;
+            order.history.push({ status: rule.to, userId: req.user.id, at: new Date(), note: req.body.note || '' });
+            order.updatedAt = new Date();
+            await order.save();
+            res.json(order);
+        } catch (e) {
+            sendError(res, e);
+        }
+    });
+});
+
+// Goods Receipt Note: adds stock at the PO location, updates weighted average cost and supplier supply date
+app.post('/api/purchase-orders/:id/receipts', authenticateToken, async (req, res) => {
+    try {
+        const result = await withTransaction(async (session) => {
+            const order = await PurchaseOrder.findOne({ id: req.params.id, ...getTenantQuery(req) }).session(session);
+            if (!order) throw httpError(404, 'Purchase order not found');
+            assertLocationAccess(req, order.locationId);
+            if (!['SENT', 'PARTIALLY_RECEIVED'].includes(order.status)) {
+                throw httpError(409, `Cannot receive goods against a purchase order in status ${order.status}`);
+            }
+
+            const lines = req.body.items;
+            if (!Array.isArray(lines) || lines.length === 0) throw httpError(400, 'Receipt must contain at least one item');
+
+            const tenantId = order.tenant_id;
+            const receipt = new GoodsReceipt({
+                id: newGoodsReceiptId(),
+                tenant_id: tenantId,
+                purchaseOrderId: order.id,
+                supplierId: order.supplierId,
+                locationId: order.locationId,
+                items: [],
+                receivedBy: req.user.id,
+                notes: req.body.notes || ''
+            });
+
+            for (const line of lines) {
+                const poItem = order.items.find(i => i.productId === line.productId);
+                if (!poItem) throw httpError(400, `Product ${line.productId} is not on this purchase order`);
+                const quantity = Number(line.quantity);
+                if (!(quantity > 0)) throw httpError(400, `Quantity must be positive for ${poItem.name}`);
+                const outstanding = poItem.quantity - poItem.receivedQuantity;
+                if (quantity > outstanding) {
+                    throw httpError(409, `Receiving more than ordered for ${poItem.name}`, { ordered: poItem.quantity, outstanding });
+                }
+                const unitCost = line.unitCost === undefined ? poItem.unitCost : Number(line.unitCost);
+
+                await updateAverageCost({ tenantId, productId: poItem.productId, quantity, unitCost }, session);
+                await moveStock({
+                    tenantId, productId: poItem.productId, locationId: order.locationId, delta: quantity,
+                    type: 'PURCHASE_RECEIPT', referenceType: 'GoodsReceipt', referenceId: receipt.id, userId: req.user.id
+                }, session);
+
+                if (line.batchNumber) {
+                    await addToBatches({
+                        tenantId, productId: poItem.productId, locationId: order.locationId,
+                        allocations: [{ batchNumber: line.batchNumber, manufactureDate: line.manufactureDate, expiryDate: line.expiryDate, quantity }]
+                    }, session);
+                }
+
+                poItem.receivedQuantity += quantity;
+                receipt.items.push({ productId: poItem.productId, quantity, unitCost, batchNumber: line.batchNumber, expiryDate: line.expiryDate });
+            }
+
+            const fullyReceived = order.items.every(i => i.receivedQuantity >= i.quantity);
+            order.status = fullyReceived ? 'RECEIVED' : 'PARTIALLY_RECEIVED';
+            order.history.push({ status: order.status, userId: req.user.id, at: new Date(), note: receipt.id });
+            order.updatedAt = new Date();
+
+            await receipt.save({ session });
+            await order.save({ session });
+            await Supplier.updateOne(
+                { id: order.supplierId, tenant_id: tenantId },
+                { $set: { lastSupplyDate: new Date().toISOString().split('T')[0] } },
+                { session }
+            );
+            return { purchaseOrder: order, receipt };
+        });
+        res.status(201).json(result);
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+// --- Reorder Suggestions ---
+
+// Per-location reorder quantities from recent sales velocity, lead time and min/max levels, grouped by supplier.
+// Incoming stock (dispatched transfers, outstanding PO quantities) counts towards availability so nothing is ordered twice.
+const computeReorderSuggestions = async (tenantId, { days = 30, locationId } = {}) => {
+    const since = new Date();
+    since.setDate(since.getDate() - days);
+    const sinceStr = since.toISOString().split('T')[0];
+
+    const locationQuery = { tenant_id: tenantId };
+    if (locationId) locationQuery.id = locationId;
+    const [locations, products, sales, transfers, openOrders, suppliers] = await Promise.all([
+        Location.find(locationQuery),
+        Product.find({ tenant_id: tenantId }),
+        Sale.find({ tenant_id: tenantId, date: { $gte: sinceStr } }),
+        Transfer.find({ tenant_id: tenantId, status: 'DISPATCHED' }),
+        PurchaseOrder.find({ tenant_id: tenantId, status: { $in: OPEN_PO_STATUSES } }),
+        Supplier.find({ tenant_id: tenantId })
+    ]);
+
+    const key = (productId, locId) => `${productId}|${locId}`;
+    const sold = new Map();
+    for (const sale of sales) {
+        for (const item of sale.items || []) {
+            const k = key(item.id, sale.locationId);
+            sold.set(k, (sold.get(k) || 0) + (Number(item.quantity) || 0));
+        }
+    }
+    const incoming = new Map();
+    const addIncoming = (productId, locId, qty) => {
+        const k = key(productId, locId);
+        incoming.set(k, (incoming.get(k) || 0) + qty);
+    };
+    transfers.forEach(t => addIncoming(t.productId, t.toLocationId, t.quantity));
+    openOrders.forEach(po => po.items.forEach(i => addIncoming(i.productId, po.locationId, i.quantity - i.receivedQuantity)));
+
+    const supplierByName = new Map(suppliers.map(sup => [sup.name, sup]));
+    const groups = new Map();
+
+    for (const product of products) {
+        for (const loc of locations) {
+            const k = key(product.id, loc.id);
+            const onHand = (product.stock && product.stock.get(loc.id)) || 0;
+            const pending = incoming.get(k) || 0;
+            const dailyVelocity = (sold.get(k) || 0) / days;
+            const minLevel = (product.minStockThresholds && product.minStockThresholds.get(loc.id)) ?? product.minStockLevel ?? 0;
+            const leadTimeDays = product.leadTimeDays ?? 7;
+
+            // Safety stock (min level) plus expected demand while the order is in flight
+            const reorderPoint = Math.ceil(minLevel + dailyVelocity * leadTimeDays);
+            if (onHand + pending > reorderPoint) continue;
+
+            const targetLevel = product.maxStockLevel || reorderPoint * 2;
+            const suggestedQuantity = Math.ceil(targetLevel - onHand - pending);
+            if (suggestedQuantity <= 0) continue;
+
+            const supplier = supplierByName.get(product.supplier);
+            const groupKey = supplier ? supplier.id : 'unassigned';
+            if (!groups.has(groupKey)) {
+                groups.set(groupKey, {
+                    supplierId: supplier ? supplier.id : null,
+                    supplierName: supplier ? supplier.name : (product.supplier || 'Unassigned'),
+                    items: [],
+                    estimatedCost: 0
+                });
+            }
+            const group = groups.get(groupKey);
+            group.items.push({
+                productId: product.id,
+                name: product.name,
+                sku: product.sku,
+                locationId: loc.id,
+                onHand,
+                incoming: pending,
+                dailyVelocity: Math.round(dailyVelocity * 100) / 100,
+                leadTimeDays,
+                reorderPoint,
+                targetLevel,
+                suggestedQuantity,
+                unitCost: product.cost || 0
+            });
+            group.estimatedCost += suggestedQuantity * (product.cost || 0);
+        }
+    }
+
+    return Array.from(groups.values());
+};
+
+app.get('/api/reorder-suggestions', authenticateToken, async (req, res) => {
+    try {
+        const tenantId = req.user.role === 'SUPER_ADMIN' && req.query.tenantId ? req.query.tenantId : req.user.tenantId;
+        if (req.query.latest === 'true') {
+            const run = await ReorderRun.findOne({ tenant_id: tenantId }).sort({ generatedAt: -1 });
+            return res.json(run ? run.groups : []);
+        }
+        const days = Math.max(1, Number(req.query.days) || 30);
+        const groups = await computeReorderSuggestions(tenantId, { days, locationId: req.query.locationId });
+        const managed = getManagedLocationIds(req);
+        if (!managed) return res.json(groups);
+        res.json(groups
+            .map(g => ({ ...g, items: g.items.filter(i => managed.includes(i.locationId)) }))
+            .filter(g => g.items.length > 0));
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+// Converts one supplier's suggestions into draft purchase orders (one per receiving location)
+app.post('/api/reorder-suggestions/purchase-orders', authenticateToken, async (req, res) => {
+    try {
+        const tenantId = getTenantIdForSave(req);
+        const { supplierId, locationId } = req.body;
+        if (!supplierId) throw httpError(400, 'supplierId is required');
+        if (locationId) assertLocationAccess(req, locationId);
+
+        const supplier = await Supplier.findOne({ id: supplierId, tenant_id: tenantId });
+        if (!supplier) throw httpError(404, 'Supplier not found');
+
+        const days = Math.max(1, Number(req.body.days) || 30);
+        const groups = await computeReorderSuggestions(tenantId, { days, locationId });
+        const group = groups.find(g => g.supplierId === supplierId);
+        if (!group) throw httpError(404, 'No reorder suggestions for this supplier');
+
+        const byLocation = new Map();
+        group.items.filter(item => canAccessLocation(req, item.locationId)).forEach(item => {
+            if (!byLocation.has(item.locationId)) byLocation.set(item.locationId, []);
+            byLocation.get(item.locationId).push(item);
+        });
+
+        const orders = [];
+        const now = new Date();
+        for (const [locId, items] of byLocation) {
+            const poItems = items.map(i => ({
+                productId: i.productId, name: i.name, quantity: i.suggestedQuantity, unitCost: i.unitCost, receivedQuantity: 0
+            }));
+            const order = new PurchaseOrder({
+                id: newPurchaseOrderId(),
+                tenant_id: tenantId,
+                supplierId,
+                locationId: locId,
+                status: 'DRAFT',
+                items: poItems,
+                totalAmount: purchaseOrderTotal(poItems),
+                notes: 'Generated from reorder suggestions',
+                createdBy: req.user.id,
+                history: [{ status: 'DRAFT', userId: req.user.id, at: now, note: 'Reorder suggestion' }]
+            });
+            await order.save();
+            orders.push(order);
+        }
+        res.status(201).json(orders);
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+// Scheduled job: snapshot suggestions for every tenant so the dashboard can show them without recomputing
+const runReorderJob = async () => {
+    try {
+        const tenantIds = (await Location.distinct('tenant_id')).filter(Boolean);
+        for (const tenantId of tenantIds) {
+            const groups = await computeReorderSuggestions(tenantId);
+            await new ReorderRun({ id: `rr-${Date.now()}-${tenantId}`, tenant_id: tenantId, groups }).save();
+        }
+        console.log(`[ReorderJob] Generated suggestions for ${tenantIds.length} tenants`);
+    } catch (e) {
+        console.error('[ReorderJob] Failed:', e.message);
+    }
+};
+
+mongoose.connection.once('open', () => {
+    runReorderJob();
+    setInterval(runReorderJob, REORDER_JOB_INTERVAL_HOURS * 60 * 60 * 1000);
+});
+
+// --- GST Invoicing ---
+// Invoice numbers come from per-prefix, per-financial-year series (InvoiceSeries). Locations pick their series
+// with invoicePrefix; locations without one share the tenant-wide 'INV' series.
+
+const DEFAULT_INVOICE_PREFIX = 'INV';
+const INVOICE_PREFIX_PATTERN = /^[A-Z0-9]{1,5}$/;
+
+// Business.settings.timezone is free text; fall back to IST when it is not a valid IANA zone
+const safeTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-CA', { timeZone });
+        return timeZone;
+    } catch (e) {
+        return 'Asia/Kolkata';
+    }
+};
+
+// Calendar date (YYYY-MM-DD) of `date` in the given timezone
+const localDateOf = (date, timeZone) => new Intl.DateTimeFormat('en-CA', {
+    timeZone: safeTimeZone(timeZone), year: 'numeric', month: '2-digit', day: '2-digit'
+}).format(date);
+
+// Indian financial year (April-March) containing a YYYY-MM-DD date, e.g. '2025-26'
+const financialYearOf = (dateString) => {
+    const [year, month] = dateString.split('-').map(Number);
+    const start = month >= 4 ? year : year - 1;
+    return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+};
+
+// Next number in a gap-free series. Must run inside the transaction that saves the document.
+// Formatted PREFIX/YYYY/NNNNN (e.g. DEL/2526/00042) to stay within GST's 16-character limit.
+const nextDocumentNumber = async ({ tenantId, prefix, financialYear }, session) => {
+    const series = await InvoiceSeries.findOneAndUpdate(
+        { tenant_id: tenantId, prefix, financialYear },
+        { $inc: { lastNumber: 1 }, $set: { updatedAt: new Date() } },
+        { upsert: true, new: true, session }
+    );
+    return `${prefix}/${financialYear.replace('-', '').slice(2)}/${String(series.lastNumber).padStart(5, '0')}`;
+};
+
+// GST state codes; mirrors GST_STATES in frontend/constants.ts
+const GST_STATE_CODES = {
+    '01': 'Jammu and Kashmir', '02': 'Himachal Pradesh', '03': 'Punjab', '04': 'Chandigarh', '05': 'Uttarakhand',
+    '06': 'Haryana', '07': 'Delhi', '08': 'Rajasthan', '09': 'Uttar Pradesh', '10': 'Bihar', '11': 'Sikkim',
+    '12': 'Arunachal Pradesh', '13': 'Nagaland', '14': 'Manipur', '15': 'Mizoram', '16': 'Tripura', '17': 'Meghalaya',
+    '18': 'Assam', '19': 'West Bengal', '20': 'Jharkhand', '21': 'Odisha', '22': 'Chhattisgarh', '23': 'Madhya Pradesh',
+    '24': 'Gujarat', '26': 'Dadra and Nagar Haveli and Daman and Diu', '27': 'Maharashtra', '29': 'Karnataka', '30': 'Goa',
+    '31': 'Lakshadweep', '32': 'Kerala', '33': 'Tamil Nadu', '34': 'Puducherry', '35': 'Andaman and Nicobar Islands',
+    '36': 'Telangana', '37': 'Andhra Pradesh', '38': 'Ladakh', '97': 'Other Territory'
+};
+
+const gstinStateCode = (gstin) => (gstin && GSTIN_PATTERN.test(gstin) ? gstin.slice(0, 2) : null);
+
+// Validated two-digit state code ('7' -> '07'); empty clears it
+const normalizeStateCode = (value, field = 'stateCode') => {
+    if (value === undefined || value === null || value === '') return undefined;
+    const code = String(value).trim().padStart(2, '0');
+    if (!GST_STATE_CODES[code]) throw httpError(400, `${field} must be a GST state code (e.g. 07 for Delhi)`);
+    return code;
+};
+
+// State code for a party with an optional GSTIN: the GSTIN's state wins, and a conflicting explicit code is rejected
+const stateCodeFor = ({ stateCode, gstNumber }) => {
+    const requested = normalizeStateCode(stateCode);
+    const fromGstin = gstinStateCode(gstNumber);
+    if (fromGstin && requested && requested !== fromGstin) {
+        throw httpError(400, `stateCode ${requested} does not match the GSTIN, which is registered in ${fromGstin}`);
+    }
+    return fromGstin || requested;
+};
+
+// Seller's state for a sale: the dispatching location's, else the business's (set, or from its GSTIN)
+const sellerStateCode = ({ location, business }) => (location && location.stateCode)
+    || (business && (business.stateCode || gstinStateCode(business.gstNumber)))
+    || null;
+
+// Place of supply is the buyer's state: an explicit state code, else the customer's GSTIN or recorded state,
+// else the seller's own state (over-the-counter sale)
+const resolvePlaceOfSupply = ({ requested, customer, sellerState }) => normalizeStateCode(requested, 'placeOfSupply')
+    || (customer && (gstinStateCode(customer.gstNumber) || customer.stateCode))
+    || sellerState;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// GST per line at the product's rate. Intra-state supplies split into CGST + SGST per the tenant's TaxTier
+// for that rate (half each when no tier matches); inter-state supplies carry IGST (the tier's, else the full rate).
+// The bill discount (percent) reduces every line's taxable value.
+const computeSaleTax = ({ items, byId, tiers, billDiscount, interState }) => {
+    const billFactor = 1 - (Number(billDiscount) || 0) / 100;
+    const taxBreakup = { cgst: 0, sgst: 0, igst: 0 };
+    let subtotal = 0;
+
+    const lines = items.map(item => {
+        const product = byId.get(item.id);
+        const price = item.price !== undefined ? Number(item.price) : product.price;
+        const taxRate = Number(product.taxRate ?? item.taxRate) || 0;
+        const taxableValue = roundMoney(price * Number(item.quantity) * (1 - (Number(item.discount) || 0) / 100) * billFactor);
+        const tier = tiers.find(t => t.rate === taxRate);
+        const line = { cgst: 0, sgst: 0, igst: 0 };
+        if (interState) {
+            line.igst = roundMoney(taxableValue * (tier && tier.igst != null ? tier.igst : taxRate) / 100);
+        } else {
+            line.cgst = roundMoney(taxableValue * (tier ? tier.cgst : taxRate / 2) / 100);
+            line.sgst = roundMoney(taxableValue * (tier ? tier.sgst : taxRate / 2) / 100);
+        }
+        subtotal += taxableValue;
+        taxBreakup.cgst += line.cgst;
+        taxBreakup.sgst += line.sgst;
+        taxBreakup.igst += line.igst;
+        return { ...item, name: item.name || product.name, price, hsnCode: product.hsnCode || item.hsnCode, taxRate, taxableValue, ...line };
+    });
+
+    Object.keys(taxBreakup).forEach(key => { taxBreakup[key] = roundMoney(taxBreakup[key]); });
+    const totalTax = roundMoney(taxBreakup.cgst + taxBreakup.sgst + taxBreakup.igst);
+    return { items: lines, subtotal: roundMoney(subtotal), totalTax, totalAmount: roundMoney(subtotal + totalTax), taxBreakup };
+};
+
+// GST invoice fields for a new sale: tax split, local date, and the next number in the location's series.
+// `buyer` (a customer, or the buying business for network sales) decides the place of supply.
+// Must run inside the transaction that saves the sale.
+const buildSaleInvoice = async ({ tenantId, business, location, buyer, requestedPlaceOfSupply, items, byId, billDiscount }, session) => {
+    const tiers = await TaxTier.find({ tenant_id: tenantId }).session(session);
+    const sellerState = sellerStateCode({ location, business });
+    const placeOfSupply = resolvePlaceOfSupply({ requested: requestedPlaceOfSupply, customer: buyer, sellerState });
+    const interState = Boolean(sellerState && placeOfSupply && placeOfSupply !== sellerState);
+    const date = localDateOf(new Date(), business?.settings?.timezone);
+    const financialYear = financialYearOf(date);
+    return {
+        ...computeSaleTax({ items, byId, tiers, billDiscount, interState }),
+        date,
+        financialYear,
+        invoiceNumber: await nextDocumentNumber({ tenantId, prefix: location.invoicePrefix || DEFAULT_INVOICE_PREFIX, financialYear }, session),
+        sellerGstin: business ? business.gstNumber : undefined,
+        customerGstin: (buyer && buyer.gstNumber) || undefined,
+        placeOfSupply: placeOfSupply || undefined,
+        supplyType: interState ? 'INTER' : 'INTRA'
+    };
+};
+
+// --- Loyalty ---
+// Points are earned on sales per the tenant's rules and spent oldest-expiry first. Every change goes through
+// the LoyaltyEntry ledger; Customer.loyaltyPoints is kept as the running balance.
+
+const DEFAULT_LOYALTY_SETTINGS = {
+    enabled: true,
+    spendPerPoint: 100,
+    categoryMultipliers: {},
+    minBillAmount: 0,
+    pointValue: 1,
+    maxRedeemPercent: 100,
+    expiryDays: 365
+};
+
+const getLoyaltySettings = async (tenantId, session) => {
+    const business = tenantId ? await Business.findOne({ id: tenantId }).session(session || null) : null;
+    const stored = (business && business.toObject({ flattenMaps: true }).settings?.loyalty) || {};
+    const set = Object.fromEntries(Object.entries(stored).filter(([, value]) => value !== undefined && value !== null));
+    return { ...DEFAULT_LOYALTY_SETTINGS, ...set };
+};
+
+// Whitelisted, validated loyalty settings as `settings.loyalty.*` update paths
+const pickLoyaltySettings = (body = {}) => {
+    const fields = {};
+    const number = (key, valid, message) => {
+        if (body[key] === undefined) return;
+        const value = Number(body[key]);
+        if (!valid(value)) throw httpError(400, message);
+        fields[`settings.loyalty.${key}`] = value;
+    };
+    if (body.enabled !== undefined) fields['settings.loyalty.enabled'] = body.enabled === true;
+    number('spendPerPoint', v => v > 0, 'spendPerPoint must be greater than zero');
+    number('minBillAmount', v => v >= 0, 'minBillAmount must be zero or more');
+    number('pointValue', v => v > 0, 'pointValue must be greater than zero');
+    number('maxRedeemPercent', v => v >= 0 && v <= 100, 'maxRedeemPercent must be between 0 and 100');
+    number('expiryDays', v => Number.isInteger(v) && v >= 0, 'expiryDays must be a whole number of days (0 = never)');
+    if (body.categoryMultipliers !== undefined) {
+        const multipliers = {};
+        for (const [category, value] of Object.entries(body.categoryMultipliers || {})) {
+            const multiplier = Number(value);
+            if (!(multiplier >= 0)) throw httpError(400, `Multiplier for ${category} must be zero or more`);
+            multipliers[category] = multiplier;
+        }
+        fields['settings.loyalty.categoryMultipliers'] = multipliers;
+    }
+    return fields;
+};
+
+const loyaltyExpiryDate = (settings) => (settings.expiryDays > 0 ? new Date(Date.now() + settings.expiryDays * 24 * 60 * 60 * 1000) : undefined);
+
+// Appends a ledger entry and moves the customer's balance by `points`.
+// Debits only match when the balance covers them; throws 409 otherwise.
+const recordLoyaltyEntry = async (customer, { points, ...entry }, session) => {
+    const filter = { id: customer.id, tenant_id: customer.tenant_id };
+    if (points < 0) filter.loyaltyPoints = { $gte: -points };
+    const updated = await Customer.findOneAndUpdate(filter, { $inc: { loyaltyPoints: points } }, { new: true, session });
+    if (!updated) throw httpError(409, 'Not enough loyalty points');
+
+    await new LoyaltyEntry({
+        id: `loy-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        tenant_id: customer.tenant_id,
+        customerId: customer.id,
+        points,
+        balance: updated.loyaltyPoints,
+        ...entry
+    }).save({ session });
+    return updated;
+};
+
+// Balances from before the ledger existed become one OPENING credit, so they can be spent and expire like earned points
+const ensureLoyaltyOpening = async (customer, settings, session) => {
+    if (!(customer.loyaltyPoints > 0)) return;
+    const hasLedger = await LoyaltyEntry.exists({ customerId: customer.id, tenant_id: customer.tenant_id }).session(session || null);
+    if (hasLedger) return;
+    await new LoyaltyEntry({
+        id: `loy-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        tenant_id: customer.tenant_id,
+        customerId: customer.id,
+        type: 'OPENING',
+        points: customer.loyaltyPoints,
+        balance: customer.loyaltyPoints,
+        remaining: customer.loyaltyPoints,
+        expiresAt: loyaltyExpiryDate(settings),
+        note: 'Balance carried over'
+    }).save({ session });
+};
+
+// Draws `points` from open credits, earliest expiry first (credits that never expire go last)
+const consumeLoyaltyCredits = async (customer, points, session) => {
+    const credits = await LoyaltyEntry.find({ customerId: customer.id, tenant_id: customer.tenant_id, remaining: { $gt: 0 } }).session(session || null);
+    const expiryKey = (entry) => (entry.expiresAt ? entry.expiresAt.getTime() : Infinity);
+    credits.sort((a, b) => expiryKey(a) - expiryKey(b) || a.timestamp - b.timestamp);
+
+    let left = points;
+    for (const credit of credits) {
+        if (left <= 0) break;
+        const take = Math.min(credit.remaining, left);
+        credit.remaining -= take;
+        left -= take;
+        await credit.save({ session });
+    }
+};
+
+// Writes off credits past their expiry date and returns the customer with the resulting balance
+const expireLoyaltyPoints = async (customer, session) => {
+    const expired = await LoyaltyEntry.find({
+        customerId: customer.id, tenant_id: customer.tenant_id, remaining: { $gt: 0 }, expiresAt: { $lte: new Date() }
+    }).session(session || null);
+    if (expired.length === 0) return customer;
+
+    const points = Math.min(expired.reduce((sum, e) => sum + e.remaining, 0), customer.loyaltyPoints);
+    for (const credit of expired) {
+        credit.remaining = 0;
+        await credit.save({ session });
+    }
+    if (points <= 0) return customer;
+    return recordLoyaltyEntry(customer, { type: 'EXPIRE', points: -points, note: `${expired.length} credit(s) expired` }, session);
+};
+
+// Points for a bill: the amount paid (excluding points) per `spendPerPoint`, weighted by each line's category multiplier
+const computeLoyaltyEarn = (settings, lines, totalAmount, paidAmount) => {
+    if (!settings.enabled || totalAmount < settings.minBillAmount || paidAmount <= 0) return 0;
+    let lineTotal = 0;
+    let weighted = 0;
+    for (const line of lines) {
+        const value = (Number(line.price) || 0) * (Number(line.quantity) || 0) * (1 - (Number(line.discount) || 0) / 100);
+        const multiplier = settings.categoryMultipliers[line.category] ?? 1;
+        lineTotal += value;
+        weighted += value * multiplier;
+    }
+    const weight = lineTotal > 0 ? weighted / lineTotal : 1;
+    return Math.floor((paidAmount * weight) / settings.spendPerPoint);
+};
+
+// Redeems then earns points for one sale and adds it to the customer's total purchases
+const applySaleLoyalty = async ({ tenantId, customerId, saleId, lines, totalAmount, pointsToRedeem, userId }, session) => {
+    let customer = await Customer.findOne({ id: customerId, tenant_id: tenantId }).session(session);
+    if (!customer) throw httpError(404, 'Customer not found');
+    const settings = await getLoyaltySettings(tenantId, session);
+    await ensureLoyaltyOpening(customer, settings, session);
+    customer = await expireLoyaltyPoints(customer, session);
+
+    let redeemedValue = 0;
+    if (pointsToRedeem > 0) {
+        if (!settings.enabled) throw httpError(400, 'Loyalty points are not enabled for this business');
+        if (pointsToRedeem > customer.loyaltyPoints) {
+            throw httpError(409, 'Not enough loyalty points', { requested: pointsToRedeem, available: customer.loyaltyPoints });
+        }
+        redeemedValue = Math.round(pointsToRedeem * settings.pointValue * 100) / 100;
+        const maxValue = (totalAmount * settings.maxRedeemPercent) / 100;
+        if (redeemedValue > maxValue) {
+            throw httpError(400, `Points can pay for at most ${settings.maxRedeemPercent}% of the bill`, {
+                maxPoints: Math.floor(maxValue / settings.pointValue)
+            });
+        }
+        await consumeLoyaltyCredits(customer, pointsToRedeem, session);
+        customer = await recordLoyaltyEntry(customer, {
+            type: 'REDEEM', points: -pointsToRedeem, referenceType: 'Sale', referenceId: saleId, userId
+        }, session);
+    }
+
+    const pointsEarned = computeLoyaltyEarn(settings, lines, totalAmount, totalAmount - redeemedValue);
+    if (pointsEarned > 0) {
+        customer = await recordLoyaltyEntry(customer, {
+            type: 'EARN', points: pointsEarned, remaining: pointsEarned, expiresAt: loyaltyExpiryDate(settings),
+            referenceType: 'Sale', referenceId: saleId, userId
+        }, session);
+    }
+
+    await Customer.updateOne({ id: customerId, tenant_id: tenantId }, { $inc: { totalPurchases: totalAmount } }, { session });
+    return { pointsEarned, pointsRedeemed: pointsToRedeem, redeemedValue, balance: customer.loyaltyPoints };
+};
+
+const runLoyaltyExpiryJob = async () => {
+    try {
+        const due = await LoyaltyEntry.find({ remaining: { $gt: 0 }, expiresAt: { $lte: new Date() } }).distinct('customerId');
+        for (const customerId of due) {
+            await withTransaction(async (session) => {
+                const customer = await Customer.findOne({ id: customerId }).session(session);
+                if (customer) await expireLoyaltyPoints(customer, session);
+            });
+        }
+        console.log(`[LoyaltyExpiryJob] Expired points for ${due.length} customers`);
+    } catch (e) {
+        console.error('[LoyaltyExpiryJob] Failed:', e.message);
+    }
+};
+
+mongoose.connection.once('open', () => {
+    runLoyaltyExpiryJob();
+    setInterval(runLoyaltyExpiryJob, LOYALTY_EXPIRY_JOB_INTERVAL_HOURS * 60 * 60 * 1000);
+});
+
+// Needed by the POS (point value, redemption cap), so readable by any user of the tenant
+app.get('/api/settings/loyalty', authenticateToken, async (req, res) => {
+    try {
+        res.json(await getLoyaltySettings(req.user.tenantId));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+app.put('/api/settings/loyalty', authenticateToken, async (req, res) => {
+    try {
+        if (req.user.role !== 'SUPER_ADMIN' && req.user.role !== 'WAREHOUSE_OWNER') return res.status(403).json({ error: 'Not authorized' });
+        const tenantId = getTenantIdForSave(req);
+        if (!tenantId) return res.status(400).json({ error: 'tenantId is required' });
+        const business = await Business.findOneAndUpdate(
+            { id: tenantId },
+            { $set: { ...pickLoyaltySettings(req.body), updatedAt: new Date() } },
+            { new: true }
+        );
+        if (!business) return res.status(404).json({ error: 'Business profile not found' });
+        res.json(await getLoyaltySettings(tenantId));
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+// Balance, ledger (newest first) and credits expiring within 30 days
+app.get('/api/customers/:id/loyalty', authenticateToken, async (req, res) => {
+    try {
+        const found = await Customer.findOne({ id: req.params.id, ...getTenantQuery(req) });
+        if (!found) return res.status(404).json({ error: 'Customer not found' });
+
+        const customer = await withTransaction(async (session) => {
+            const settings = await getLoyaltySettings(found.tenant_id, session);
+            await ensureLoyaltyOpening(found, settings, session);
+            return expireLoyaltyPoints(found, session);
+        });
+        const entries = await LoyaltyEntry.find({ customerId: customer.id, tenant_id: customer.tenant_id }).sort({ timestamp: -1 }).limit(200);
+        const soon = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+        const expiringSoon = await LoyaltyEntry.find({
+            customerId: customer.id, tenant_id: customer.tenant_id, remaining: { $gt: 0 }, expiresAt: { $lte: soon }
+        }).sort({ expiresAt: 1 });
+
+        res.json({
+            balance: customer.loyaltyPoints,
+            entries,
+            expiringSoon: expiringSoon.map(e => ({ points: e.remaining, expiresAt: e.expiresAt }))
+        });
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+// Manual correction by an owner. Body: { points (signed), note }
+app.post('/api/customers/:id/loyalty/adjust', authenticateToken, async (req, res) => {
+    try {
+        if (req.user.role !== 'SUPER_ADMIN' && req.user.role !== 'WAREHOUSE_OWNER') return res.status(403).json({ error: 'Not authorized' });
+        const points = Number(req.body.points);
+        if (!Number.isInteger(points) || points === 0) return res.status(400).json({ error: 'points must be a non-zero whole number' });
+        if (!req.body.note || !String(req.body.note).trim()) return res.status(400).json({ error: 'A note explaining the adjustment is required' });
+
+        const customer = await withTransaction(async (session) => {
+            let customer = await Customer.findOne({ id: req.params.id, ...getTenantQuery(req) }).session(session);
+            if (!customer) throw httpError(404, 'Customer not found');
+            const settings = await getLoyaltySettings(customer.tenant_id, session);
+            await ensureLoyaltyOpening(customer, settings, session);
+            customer = await expireLoyaltyPoints(customer, session);
+
+            const entry = { type: 'ADJUST', points, userId: req.user.id, note: String(req.body.note).trim() };
+            if (points > 0) {
+                Object.assign(entry, { remaining: points, expiresAt: loyaltyExpiryDate(settings) });
+            } else {
+                if (-points > customer.loyaltyPoints) throw httpError(409, 'Not enough loyalty points', { available: customer.loyaltyPoints });
+                await consumeLoyaltyCredits(customer, -points, session);
+            }
+            return recordLoyaltyEntry(customer, entry, session);
+        });
+        res.json(customer);
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+// --- Receivables ---
+// Sales may be paid several ways at once; the ON_ACCOUNT part is owed by the customer, within their credit limit.
+// Every change to what a customer owes goes through the ReceivableEntry ledger; Sale.balanceDue tracks each invoice.
+
+const SALE_PAYMENT_METHODS = ['CASH', 'CARD', 'UPI', 'ON_ACCOUNT'];
+const RECEIPT_METHODS = ['CASH', 'CARD', 'UPI', 'BANK', 'CHEQUE'];
+const PAYMENT_TOLERANCE = 1; // ₹ the POS preview may differ from the server's totals by (rounding)
+const AGEING_BUCKETS = [
+    { label: '0-30', maxDays: 30 },
+    { label: '31-60', maxDays: 60 },
+    { label: '61-90', maxDays: 90 },
+    { label: '90+', maxDays: Infinity }
+];
+
+// Payment lines for a sale of `amountDue` (after loyalty). Body: { payments: [{ method, amount, reference }] },
+// or the older { paymentMethod } for one payment of the whole bill. An ON_ACCOUNT line takes whatever the
+// other lines leave; otherwise the lines must add up to the bill, and the last one absorbs rounding.
+const resolveSalePayments = (body, amountDue) => {
+    const requested = Array.isArray(body.payments) && body.payments.length > 0
+        ? body.payments
+        : [{ method: body.paymentMethod || 'CASH', amount: amountDue }];
+    if (requested.filter(p => p.method === 'ON_ACCOUNT').length > 1) throw httpError(400, 'Only one ON_ACCOUNT payment is allowed');
+
+    const paid = [];
+    for (const payment of requested) {
+        if (!SALE_PAYMENT_METHODS.includes(payment.method)) {
+            throw httpError(400, `Payment method must be one of ${SALE_PAYMENT_METHODS.join(', ')}`);
+        }
+        if (payment.method === 'ON_ACCOUNT') continue;
+        const amount = roundMoney(Number(payment.amount));
+        if (!(amount > 0)) throw httpError(400, `${payment.method} payment needs a positive amount`);
+        paid.push({ method: payment.method, amount, reference: payment.reference ? String(payment.reference).trim() : undefined });
+    }
+
+    const remainder = roundMoney(amountDue - paid.reduce((sum, p) => sum + p.amount, 0));
+    if (requested.some(p => p.method === 'ON_ACCOUNT')) {
+        if (remainder < 0) throw httpError(400, `Payments exceed the bill of ₹${amountDue.toFixed(2)}`, { amountDue });
+        const payments = remainder > 0 ? [...paid, { method: 'ON_ACCOUNT', amount: remainder }] : paid;
+        return { payments, onAccount: remainder };
+    }
+    if (paid.length === 0 || Math.abs(remainder) > PAYMENT_TOLERANCE) {
+        throw httpError(400, `Payments total ₹${(amountDue - remainder).toFixed(2)} but the bill is ₹${amountDue.toFixed(2)}`, { amountDue });
+    }
+    const last = paid[paid.length - 1];
+    last.amount = roundMoney(last.amount + remainder);
+    return { payments: paid, onAccount: 0 };
+};
+
+// Applies a signed change to the customer's outstanding balance and writes the ledger entry.
+// Debits are refused when they would take the balance past `creditLimit`.
+const recordReceivableEntry = async (customer, { amount, ...entry }, session, creditLimit) => {
+    const filter = { id: customer.id, tenant_id: customer.tenant_id };
+    if (amount > 0 && creditLimit !== undefined) filter.outstandingBalance = { $lte: roundMoney(creditLimit - amount) };
+    const updated = await Customer.findOneAndUpdate(filter, { $inc: { outstandingBalance: amount } }, { new: true, session });
+    if (!updated) {
+        const current = await Customer.findOne({ id: customer.id, tenant_id: customer.tenant_id }).session(session);
+        if (!current) throw httpError(404, 'Customer not found');
+        throw httpError(409, `Credit limit exceeded for ${current.name}`, {
+            creditLimit, outstanding: current.outstandingBalance || 0, requested: amount,
+            available: roundMoney(Math.max(0, creditLimit - (current.outstandingBalance || 0)))
+        });
+    }
+    updated.outstandingBalance = roundMoney(updated.outstandingBalance);
+
+    await new ReceivableEntry({
+        id: `rcv-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        tenant_id: customer.tenant_id,
+        customerId: customer.id,
+        amount,
+        balance: updated.outstandingBalance,
+        ...entry
+    }).save({ session });
+    return updated;
+};
+
+// Puts the ON_ACCOUNT part of a new sale on the customer's account
+const chargeSaleOnAccount = async ({ customer, sale, amount, userId }, session) => {
+    if (!(customer.creditLimit > 0)) {
+        throw httpError(409, `${customer.name} has no credit limit; set one before selling on account`, { creditLimit: 0 });
+    }
+    return recordReceivableEntry(customer, {
+        type: 'INVOICE', date: sale.date, referenceType: 'Sale', referenceId: sale.id, userId,
+        allocations: [{ saleId: sale.id, invoiceNumber: sale.invoiceNumber, amount }]
+    }, session, customer.creditLimit);
+};
+
+// Open invoices of a customer, oldest first, optionally limited to the caller's locations
+const openInvoicesOf = (customer, req, session) => Sale.find({
+    tenant_id: customer.tenant_id, customerId: customer.id, balanceDue: { $gt: 0 }, ...(req ? getLocationQuery(req) : {})
+}).sort({ date: 1, invoiceNumber: 1 }).session(session || null);
+
+const ageInDays = (date, asOf) => Math.max(0, Math.round((Date.parse(asOf) - Date.parse(date)) / (24 * 60 * 60 * 1000)));
+
+app.get('/api/customers/:id/receivables', authenticateToken, async (req, res) => {
+    try {
+        const customer = await Customer.findOne({ id: req.params.id, ...getTenantQuery(req) });
+        if (!customer) return res.status(404).json({ error: 'Customer not found' });
+
+        const business = await Business.findOne({ id: customer.tenant_id });
+        const today = localDateOf(new Date(), business?.settings?.timezone);
+        const invoices = await openInvoicesOf(customer);
+        const entries = await ReceivableEntry.find({ customerId: customer.id, tenant_id: customer.tenant_id }).sort({ timestamp: -1 }).limit(200);
+        const outstanding = roundMoney(customer.outstandingBalance || 0);
+
+        res.json({
+            outstanding,
+            creditLimit: customer.creditLimit || 0,
+            availableCredit: roundMoney(Math.max(0, (customer.creditLimit || 0) - outstanding)),
+            openInvoices: invoices.map(sale => ({
+                id: sale.id,
+                invoiceNumber: sale.invoiceNumber || sale.id,
+                date: sale.date,
+                totalAmount: sale.totalAmount,
+                balanceDue: sale.balanceDue,
+                ageDays: ageInDays(sale.date, today)
+            })),
+            entries
+        });
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+// Payment received from a customer. Body: { amount, method, reference, note, allocations: [{ saleId, amount }] }.
+// Allocations settle the named invoices first; anything left settles the oldest open invoices.
+app.post('/api/customers/:id/receipts', authenticateToken, async (req, res) => {
+    try {
+        const amount = roundMoney(Number(req.body.amount));
+        const method = req.body.method || 'CASH';
+        if (!(amount > 0)) return res.status(400).json({ error: 'amount must be positive' });
+        if (!RECEIPT_METHODS.includes(method)) return res.status(400).json({ error: `method must be one of ${RECEIPT_METHODS.join(', ')}` });
+        const requestedAllocations = Array.isArray(req.body.allocations) ? req.body.allocations : [];
+
+        const result = await withTransaction(async (session) => {
+            const customer = await Customer.findOne({ id: req.params.id, ...getTenantQuery(req) }).session(session);
+            if (!customer) throw httpError(404, 'Customer not found');
+            if (amount > roundMoney(customer.outstandingBalance || 0)) {
+                throw httpError(409, `Receipt exceeds the outstanding balance of ₹${roundMoney(customer.outstandingBalance || 0).toFixed(2)}`, {
+                    outstanding: roundMoney(customer.outstandingBalance || 0)
+                });
+            }
+
+            const invoices = await openInvoicesOf(customer, null, session);
+            const byId = new Map(invoices.map(sale => [sale.id, sale]));
+            const allocations = [];
+            let left = amount;
+            const settle = (sale, value) => {
+                const applied = roundMoney(Math.min(value, sale.balanceDue, left));
+                if (applied <= 0) return;
+                sale.balanceDue = roundMoney(sale.balanceDue - applied);
+                left = roundMoney(left - applied);
+                const existing = allocations.find(a => a.saleId === sale.id);
+                if (existing) existing.amount = roundMoney(existing.amount + applied);
+                else allocations.push({ saleId: sale.id, invoiceNumber: sale.invoiceNumber || sale.id, amount: applied });
+            };
+            for (const allocation of requestedAllocations) {
+                const sale = byId.get(allocation.saleId);
+                if (!sale) throw httpError(409, `Invoice ${allocation.saleId} has nothing outstanding`);
+                if (!(Number(allocation.amount) > 0)) throw httpError(400, 'Each allocation needs a positive amount');
+                settle(sale, Number(allocation.amount));
+            }
+            for (const sale of invoices) {
+                if (left <= 0) break;
+                settle(sale, left);
+            }
+            // Open invoices are checked against the ledger balance above, so this only trips on inconsistent data
+            if (left > 0) throw httpError(409, `Only ₹${roundMoney(amount - left).toFixed(2)} is outstanding on open invoices`);
+            for (const sale of invoices) {
+                if (allocations.some(a => a.saleId === sale.id)) await sale.save({ session });
+            }
+
+            const business = await Business.findOne({ id: customer.tenant_id }).session(session);
+            const receiptId = `rct-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+            const updated = await recordReceivableEntry(customer, {
+                type: 'RECEIPT',
+                amount: -amount,
+                date: localDateOf(new Date(), business?.settings?.timezone),
+                method,
+                reference: req.body.reference ? String(req.body.reference).trim() : undefined,
+                allocations,
+                referenceType: 'Receipt',
+                referenceId: receiptId,
+                userId: req.user.id,
+                note: req.body.note ? String(req.body.note).trim() : undefined
+            }, session);
+            return { customer: updated, allocations };
+        });
+
+        recordAuditEvent(req, {
+            userId: req.user.id, action: 'RECEIPT_RECORDED', resource: 'customers', resourceId: req.params.id,
+            details: { amount, method, allocations: result.allocations }, tenant_id: result.customer.tenant_id
+        });
+        res.status(201).json(result);
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+// Open invoice balances per customer by age. ?asOf=YYYY-MM-DD (default today); managers see their locations only
+app.get('/api/receivables/ageing', authenticateToken, async (req, res) => {
+    try {
+        const tenantId = req.user.role === 'SUPER_ADMIN' && req.query.tenantId ? req.query.tenantId : req.user.tenantId;
+        const business = await Business.findOne({ id: tenantId });
+        const asOf = req.query.asOf || localDateOf(new Date(), business?.settings?.timezone);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(asOf) || Number.isNaN(Date.parse(asOf))) throw httpError(400, 'asOf must be a YYYY-MM-DD date');
+
+        const sales = await Sale.find({ tenant_id: tenantId, balanceDue: { $gt: 0 }, date: { $lte: asOf }, ...getLocationQuery(req) });
+        const customers = await Customer.find({ tenant_id: tenantId, id: { $in: [...new Set(sales.map(s => s.customerId))] } });
+        const customerById = new Map(customers.map(c => [c.id, c]));
+        const emptyBuckets = () => Object.fromEntries(AGEING_BUCKETS.map(b => [b.label, 0]));
+
+        const rows = new Map();
+        const totals = { ...emptyBuckets(), total: 0 };
+        for (const sale of sales) {
+            if (!rows.has(sale.customerId)) {
+                const customer = customerById.get(sale.customerId);
+                rows.set(sale.customerId, {
+                    customerId: sale.customerId,
+                    name: customer ? customer.name : sale.customerName,
+                    phone: customer ? customer.phone : undefined,
+                    creditLimit: customer ? customer.creditLimit || 0 : 0,
+                    buckets: emptyBuckets(),
+                    total: 0,
+                    oldestDays: 0
+                });
+            }
+            const row = rows.get(sale.customerId);
+            const days = ageInDays(sale.date, asOf);
+            const bucket = AGEING_BUCKETS.find(b => days <= b.maxDays).label;
+            row.buckets[bucket] = roundMoney(row.buckets[bucket] + sale.balanceDue);
+            row.total = roundMoney(row.total + sale.balanceDue);
+            row.oldestDays = Math.max(row.oldestDays, days);
+            totals[bucket] = roundMoney(totals[bucket] + sale.balanceDue);
+            totals.total = roundMoney(totals.total + sale.balanceDue);
+        }
+
+        res.json({
+            asOf,
+            buckets: AGEING_BUCKETS.map(b => b.label),
+            customers: [...rows.values()].sort((a, b) => b.total - a.total),
+            totals
+        });
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+// Sales
+app.get('/api/sales', authenticateToken, async (req, res) => {
+    try {
+        const query = { ...getTenantQuery(req), ...getLocationQuery(req) };
+        const sales = await Sale.find(query);
+        res.json(sales);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+app.post('/api/sales', authenticateToken, async (req, res) => {
+    try {
+        const tenantId = getTenantIdForSave(req);
+        const { locationId, customerId } = req.body;
+        const pointsToRedeem = Number(req.body.loyaltyPointsRedeemed) || 0;
+        const billDiscount = Number(req.body.billDiscount) || 0;
+
+        if (!locationId) return res.status(400).json({ error: 'locationId is required' });
+        if (!Number.isInteger(pointsToRedeem) || pointsToRedeem < 0) return res.status(400).json({ error: 'loyaltyPointsRedeemed must be a whole number' });
+        if (pointsToRedeem > 0 && !customerId) return res.status(400).json({ error: 'Select a customer to redeem loyalty points' });
+        const onAccountRequested = (Array.isArray(req.body.payments) && req.body.payments.some(p => p.method === 'ON_ACCOUNT')) || req.body.paymentMethod === 'ON_ACCOUNT';
+        if (onAccountRequested && !customerId) return res.status(400).json({ error: 'Select a customer to sell on account' });
+        if (billDiscount < 0 || billDiscount > 100) return res.status(400).json({ error: 'billDiscount must be between 0 and 100' });
+        if (!Array.isArray(req.body.items) || req.body.items.length === 0) return res.status(400).json({ error: 'Sale must contain at least one item' });
+        for (const item of req.body.items) {
+            if (!item.id || !(Number(item.quantity) > 0)) {
+                return res.status(400).json({ error: 'Each item needs a product id and a positive quantity' });
+            }
+            if (item.price !== undefined && !(Number(item.price) >= 0)) return res.status(400).json({ error: 'Item price must be zero or more' });
+        }
+        // Only what the POS decides is taken from a line; names, categories, costs and tax come from the catalogue
+        const items = req.body.items.map(item => ({
+            id: item.id,
+            quantity: Number(item.quantity),
+            price: item.price !== undefined ? Number(item.price) : undefined,
+            discount: Number(item.discount) || 0
+        }));
+
+        const location = await Location.findOne({ id: locationId, tenant_id: tenantId });
+        if (!location) return res.status(404).json({ error: 'Location not found' });
+        assertLocationAccess(req, locationId);
+
+        const business = await Business.findOne({ id: tenantId });
+        const customer = customerId ? await Customer.findOne({ id: customerId, tenant_id: tenantId }) : null;
+        if (customerId && !customer) return res.status(404).json({ error: 'Customer not found' });
+
+        // Same product may appear on several lines; validate against the combined quantity
+        const requested = new Map();
+        for (const item of items) {
+            requested.set(item.id, (requested.get(item.id) || 0) + Number(item.quantity));
+        }
+
+        const savedSale = await withTransaction(async (session) => {
+            const products = await Product.find({ id: { $in: [...requested.keys()] }, tenant_id: tenantId }).session(session);
+            const byId = new Map(products.map(p => [p.id, p]));
+
+            const itemErrors = [];
+            for (const [productId, quantity] of requested) {
+                const product = byId.get(productId);
+                if (!product) {
+                    itemErrors.push({ productId, error: 'Product not found' });
+                    continue;
+                }
+                const available = (product.stock && product.stock.get(locationId)) || 0;
+                if (available < quantity) {
+                    itemErrors.push({ productId, name: product.name, requested: quantity, available, error: 'Insufficient stock' });
+                }
+            }
+            if (itemErrors.length > 0) throw httpError(409, 'Sale rejected: insufficient stock', { items: itemErrors });
+
+            // Totals, tax split, date and invoice number are computed here; the client's values are ignored
+            const tax = await buildSaleInvoice({
+                tenantId, business, location, buyer: customer, requestedPlaceOfSupply: req.body.placeOfSupply,
+                items, byId, billDiscount
+            }, session);
+            // Fields are listed rather than spread from the body, so clients cannot preset server-owned state
+            const newSale = new Sale({
+                ...tax,
+                id: `sale-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+                billDiscount,
+                customerId: customer ? customer.id : undefined,
+                customerName: customer ? customer.name : (req.body.customerName ? String(req.body.customerName).trim() : undefined),
+                locationId,
+                transactionId: req.body.transactionId ? String(req.body.transactionId) : undefined,
+                tenant_id: tenantId
+            });
+
+            for (const [productId, quantity] of requested) {
+                const updated = await moveStock({
+                    tenantId, productId, locationId, delta: -quantity,
+                    type: 'SALE', referenceType: 'Sale', referenceId: newSale.id, userId: req.user.id
+                }, session);
+                // Guard against a concurrent write that slipped in after validation
+                if (!updated) {
+                    throw httpError(409, 'Sale rejected: insufficient stock', { items: [{ productId, requested: quantity, error: 'Stock changed during sale' }] });
+                }
+            }
+
+            // Record which batches each line was picked from
+            const itemsWithBatches = [];
+            for (const item of tax.items) {
+                const product = byId.get(item.id);
+                const batches = await consumeBatchesFefo({ tenantId, productId: item.id, locationId, quantity: Number(item.quantity) }, session);
+                itemsWithBatches.push({ ...item, sku: product.sku, category: product.category, cost: product.cost, batches });
+            }
+            newSale.items = itemsWithBatches;
+
+            if (customerId) {
+                // Earn multipliers use the catalogue category, not whatever the client sent
+                const lines = tax.items.map(item => ({ ...item, category: byId.get(item.id).category }));
+                newSale.loyalty = await applySaleLoyalty({
+                    tenantId, customerId, saleId: newSale.id, lines, totalAmount: newSale.totalAmount, pointsToRedeem, userId: req.user.id
+                }, session);
+            }
+
+            // Payments are checked against the server's totals; the ON_ACCOUNT part is charged to the customer
+            const amountDue = roundMoney(newSale.totalAmount - (newSale.loyalty ? newSale.loyalty.redeemedValue || 0 : 0));
+            const { payments, onAccount } = resolveSalePayments(req.body, amountDue);
+            if (onAccount > 0) {
+                await chargeSaleOnAccount({ customer, sale: newSale, amount: onAccount, userId: req.user.id }, session);
+            }
+            newSale.payments = payments;
+            newSale.paymentMethod = payments.length === 1 ? payments[0].method : 'SPLIT';
+            newSale.balanceDue = onAccount > 0 ? onAccount : undefined;
+
+            await newSale.save({ session });
+            return newSale;
+        });
+
+        res.status(201).json(savedSale);
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+// GST tax invoice as a PDF, rendered from the stored sale
+app.get('/api/sales/:id/invoice.pdf', authenticateToken, async (req, res) => {
+    try {
+        const sale = await Sale.findOne({ id: req.params.id, ...getTenantQuery(req), ...getLocationQuery(req) });
+        if (!sale) return res.status(404).json({ error: 'Sale not found' });
+
+        const [business, location, customer] = await Promise.all([
+            Business.findOne({ id: sale.tenant_id }),
+            Location.findOne({ id: sale.locationId, tenant_id: sale.tenant_id }),
+            sale.customerId ? Customer.findOne({ id: sale.customerId, tenant_id: sale.tenant_id }) : null
+        ]);
+        const pdf = renderInvoicePdf({ sale: sale.toObject(), business, location, customer });
+
+        const fileName = (sale.invoiceNumber || sale.id).replace(/[^A-Za-z0-9-]/g, '-');
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `inline; filename="${fileName}.pdf"`,
+            'Content-Length': pdf.length
+        });
+        res.send(pdf);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// --- Sales Returns ---
+// A return takes back part or all of a sale: good units go back to the sale's location (and batches), damaged ones
+// into Product.damagedStock. Each return is a credit note from the tenant-wide 'CN' series, unwinds loyalty and
+// settles any balance still owed on the invoice before refunding.
+
+const CREDIT_NOTE_PREFIX = 'CN';
+const RETURN_CONDITIONS = ['GOOD', 'DAMAGED'];
+
+// `quantity` units of an allocation after skipping the first `skip` units
+const sliceAllocations = (allocations, skip, quantity) => {
+    const taken = trimAllocations(allocations || [], skip);
+    const upTo = trimAllocations(allocations || [], skip + quantity);
+    return upTo.map((a, i) => ({ ...a, quantity: a.quantity - (taken[i] ? taken[i].quantity : 0) })).filter(a => a.quantity > 0);
+};
+
+// Gives back the points the returned share of a sale redeemed and takes back the points it earned.
+// Shares are cumulative over all returns of the sale so rounding never unwinds more than the sale moved.
+const reverseSaleLoyalty = async ({ sale, returnId, returnedAmount, previouslyReturned, userId }, session) => {
+    const result = { pointsReversed: 0, pointsRestored: 0, restoredValue: 0 };
+    if (!sale.customerId || !sale.loyalty) return result;
+    const share = (amount) => (sale.totalAmount > 0 ? Math.min(1, amount / sale.totalAmount) : 1);
+    const portion = (points) => Math.floor((points || 0) * share(previouslyReturned + returnedAmount)) - Math.floor((points || 0) * share(previouslyReturned));
+    const pointsToRestore = portion(sale.loyalty.pointsRedeemed);
+    const pointsToReverse = portion(sale.loyalty.pointsEarned);
+    if (pointsToRestore === 0 && pointsToReverse === 0) return result;
+
+    let customer = await Customer.findOne({ id: sale.customerId, tenant_id: sale.tenant_id }).session(session);
+    if (!customer) return result; // Customer is in Trash
+    const settings = await getLoyaltySettings(sale.tenant_id, session);
+    await ensureLoyaltyOpening(customer, settings, session);
+    customer = await expireLoyaltyPoints(customer, session);
+
+    const reference = { referenceType: 'SalesReturn', referenceId: returnId, userId };
+    if (pointsToRestore > 0) {
+        customer = await recordLoyaltyEntry(customer, {
+            type: 'REFUND', points: pointsToRestore, remaining: pointsToRestore, expiresAt: loyaltyExpiryDate(settings), ...reference
+        }, session);
+        result.pointsRestored = pointsToRestore;
+        result.restoredValue = roundMoney(sale.loyalty.redeemedValue * pointsToRestore / sale.loyalty.pointsRedeemed);
+    }
+    // Points the customer has already spent cannot be taken back; the shortfall is noted on the entry
+    const reversible = Math.min(pointsToReverse, customer.loyaltyPoints);
+    if (reversible > 0) {
+        await consumeLoyaltyCredits(customer, reversible, session);
+        await recordLoyaltyEntry(customer, {
+            type: 'REVERSE', points: -reversible, ...reference,
+            note: reversible < pointsToReverse ? `${pointsToReverse - reversible} pts already spent` : undefined
+        }, session);
+        result.pointsReversed = reversible;
+    }
+    return result;
+};
+
+app.get('/api/sales/:id/returns', authenticateToken, async (req, res) => {
+    try {
+        const returns = await SalesReturn.find({ saleId: req.params.id, ...getTenantQuery(req), ...getLocationQuery(req) }).sort({ createdAt: 1 });
+        res.json(returns);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Body: { items: [{ lineIndex, quantity, condition: 'GOOD' | 'DAMAGED' }], reason }
+app.post('/api/sales/:id/returns', authenticateToken, async (req, res) => {
+    try {
+        const { items, reason } = req.body;
+        if (!Array.isArray(items) || items.length === 0) return res.status(400).json({ error: 'Select at least one line to return' });
+        for (const item of items) {
+            if (!Number.isInteger(item.lineIndex) || !(Number(item.quantity) > 0)) {
+                return res.status(400).json({ error: 'Each returned line needs a lineIndex and a positive quantity' });
+            }
+            if (item.condition !== undefined && !RETURN_CONDITIONS.includes(item.condition)) {
+                return res.status(400).json({ error: `condition must be one of ${RETURN_CONDITIONS.join(', ')}` });
+            }
+        }
+
+        const salesReturn = await withTransaction(async (session) => {
+            const sale = await Sale.findOne({ id: req.params.id, ...getTenantQuery(req) }).session(session);
+            if (!sale) throw httpError(404, 'Sale not found');
+            assertLocationAccess(req, sale.locationId);
+            const tenantId = sale.tenant_id;
+            const returnId = `ret-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+            const previous = await SalesReturn.find({ saleId: sale.id, tenant_id: tenantId }).session(session);
+            const returnedQty = new Map(); // lineIndex -> units already returned
+            previous.forEach(r => r.items.forEach(i => returnedQty.set(i.lineIndex, (returnedQty.get(i.lineIndex) || 0) + i.quantity)));
+            const previouslyReturned = previous.reduce((sum, r) => sum + (r.totalAmount || 0), 0);
+
+            const saleLines = saleTaxLines(sale.toObject());
+            const lineErrors = [];
+            const returnItems = [];
+            for (const item of items) {
+                const line = saleLines[item.lineIndex];
+                const quantity = Number(item.quantity);
+                if (!line) {
+                    lineErrors.push({ lineIndex: item.lineIndex, error: 'No such line on the sale' });
+                    continue;
+                }
+                const already = returnedQty.get(item.lineIndex) || 0;
+                const available = Number(line.quantity) - already;
+                if (quantity > available) {
+                    lineErrors.push({ lineIndex: item.lineIndex, name: line.name, requested: quantity, available, error: 'More than was sold' });
+                    continue;
+                }
+                returnedQty.set(item.lineIndex, already + quantity);
+                const ratio = quantity / Number(line.quantity);
+                returnItems.push({
+                    lineIndex: item.lineIndex,
+                    id: line.id,
+                    name: line.name,
+                    hsnCode: line.hsnCode,
+                    unit: line.unit,
+                    price: line.price,
+                    taxRate: line.taxRate,
+                    quantity,
+                    condition: item.condition || 'GOOD',
+                    taxableValue: roundMoney(line.taxableValue * ratio),
+                    cgst: roundMoney(line.cgst * ratio),
+                    sgst: roundMoney(line.sgst * ratio),
+                    igst: roundMoney(line.igst * ratio),
+                    batches: sliceAllocations(line.batches, already, quantity)
+                });
+            }
+            if (lineErrors.length > 0) throw httpError(409, 'Return rejected', { items: lineErrors });
+
+            for (const item of returnItems) {
+                const reference = { referenceType: 'SalesReturn', referenceId: returnId, userId: req.user.id, note: reason };
+                let product;
+                if (item.condition === 'GOOD') {
+                    product = await moveStock({ tenantId, productId: item.id, locationId: sale.locationId, delta: item.quantity, type: 'SALE_RETURN', ...reference }, session);
+                    if (product) await addToBatches({ tenantId, productId: item.id, locationId: sale.locationId, allocations: item.batches }, session);
+                } else {
+                    product = await Product.findOneAndUpdate(
+                        { id: item.id, tenant_id: tenantId },
+                        { $inc: { [`damagedStock.${sale.locationId}`]: item.quantity } },
+                        { new: true, session }
+                    );
+                }
+                if (!product) throw httpError(409, `${item.name} has been deleted; restore it from Trash before returning it`);
+            }
+
+            const taxBreakup = ['cgst', 'sgst', 'igst'].reduce((acc, key) => ({ ...acc, [key]: roundMoney(returnItems.reduce((sum, i) => sum + i[key], 0)) }), {});
+            const subtotal = roundMoney(returnItems.reduce((sum, i) => sum + i.taxableValue, 0));
+            const totalTax = roundMoney(taxBreakup.cgst + taxBreakup.sgst + taxBreakup.igst);
+            const totalAmount = roundMoney(subtotal + totalTax);
+
+            const business = await Business.findOne({ id: tenantId }).session(session);
+            const date = localDateOf(new Date(), business?.settings?.timezone);
+            const financialYear = financialYearOf(date);
+            const loyalty = await reverseSaleLoyalty({ sale, returnId, returnedAmount: totalAmount, previouslyReturned, userId: req.user.id }, session);
+            // Against an invoice still owed on account, the credit note first reduces what is owed; the rest is refunded
+            const refundDue = roundMoney(totalAmount - loyalty.restoredValue);
+            const adjustedAgainstBalance = roundMoney(Math.min(sale.balanceDue || 0, refundDue));
+            if (adjustedAgainstBalance > 0) {
+                sale.balanceDue = roundMoney(sale.balanceDue - adjustedAgainstBalance);
+                const customer = await Customer.findOne({ id: sale.customerId, tenant_id: tenantId }).session(session);
+                if (customer) {
+                    await recordReceivableEntry(customer, {
+                        type: 'CREDIT_NOTE', amount: -adjustedAgainstBalance, date,
+                        allocations: [{ saleId: sale.id, invoiceNumber: sale.invoiceNumber || sale.id, amount: adjustedAgainstBalance }],
+                        referenceType: 'SalesReturn', referenceId: returnId, userId: req.user.id
+                    }, session);
+                }
+            }
+            if (sale.customerId) {
+                await Customer.updateOne({ id: sale.customerId, tenant_id: tenantId }, { $inc: { totalPurchases: -totalAmount } }, { session });
+            }
+            sale.returnedAmount = roundMoney(previouslyReturned + totalAmount);
+            await sale.save({ session });
+
+            const created = new SalesReturn({
+                id: returnId,
+                tenant_id: tenantId,
+                saleId: sale.id,
+                invoiceNumber: sale.invoiceNumber || sale.id,
+                invoiceDate: sale.date,
+                creditNoteNumber: await nextDocumentNumber({ tenantId, prefix: CREDIT_NOTE_PREFIX, financialYear }, session),
+                financialYear,
+                date,
+                locationId: sale.locationId,
+                customerId: sale.customerId,
+                customerName: sale.customerName,
+                customerGstin: sale.customerGstin,
+                placeOfSupply: sale.placeOfSupply,
+                supplyType: sale.supplyType || 'INTRA',
+                items: returnItems,
+                subtotal,
+                totalTax,
+                totalAmount,
+                taxBreakup,
+                loyalty,
+                adjustedAgainstBalance,
+                refundAmount: roundMoney(refundDue - adjustedAgainstBalance),
+                reason,
+                userId: req.user.id
+            });
+            await created.save({ session });
+            return created;
+        });
+
+        res.status(201).json(salesReturn);
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+// Credit notes for a period, for the GST report. ?from=YYYY-MM-DD&to=YYYY-MM-DD
+app.get('/api/sales-returns', authenticateToken, async (req, res) => {
+    try {
+        const query = { ...getTenantQuery(req), ...getLocationQuery(req) };
+        if (req.query.from || req.query.to) {
+            query.date = {};
+            if (req.query.from) query.date.$gte = req.query.from;
+            if (req.query.to) query.date.$lte = req.query.to;
+        }
+        const returns = await SalesReturn.find(query).sort({ date: 1, creditNoteNumber: 1 });
+        res.json(returns);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+app.get('/api/sales-returns/:id/credit-note.pdf', authenticateToken, async (req, res) => {
+    try {
+        const salesReturn = await SalesReturn.findOne({ id: req.params.id, ...getTenantQuery(req), ...getLocationQuery(req) });
+        if (!salesReturn) return res.status(404).json({ error: 'Credit note not found' });
+
+        const [business, location, customer] = await Promise.all([
+            Business.findOne({ id: salesReturn.tenant_id }),
+            Location.findOne({ id: salesReturn.locationId, tenant_id: salesReturn.tenant_id }),
+            salesReturn.customerId ? Customer.findOne({ id: salesReturn.customerId, tenant_id: salesReturn.tenant_id }) : null
+        ]);
+        const note = salesReturn.toObject();
+        const pdf = renderInvoicePdf({
+            sale: { ...note, invoiceNumber: note.creditNoteNumber, sellerGstin: business ? business.gstNumber : undefined, loyalty: undefined },
+            business,
+            location,
+            customer,
+            title: 'CREDIT NOTE',
+            reference: `Against invoice ${note.invoiceNumber} dated ${note.invoiceDate}`,
+            totalLabel: 'Credit Note Total'
+        });
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `inline; filename="${note.creditNoteNumber.replace(/[^A-Za-z0-9-]/g, '-')}.pdf"`,
+            'Content-Length': pdf.length
+        });
+        res.send(pdf);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Transfers
+app.get('/api/transfers', authenticateToken, async (req, res) => {
+    try {
+        const query = getTenantQuery(req);
+        const managed = getManagedLocationIds(req);
+        if (managed) query.$or = [{ fromLocationId: { $in: managed } }, { toLocationId: { $in: managed } }];
+        const transfers = await Transfer.find(query);
+        res.json(transfers);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+const assertTransferLocations = async (tenantId, fromLocationId, toLocationId) => {
+    const locations = await Location.find({ id: { $in: [fromLocationId, toLocationId] } });
+    if (locations.length !== 2) throw httpError(404, 'Location not found');
+    if (locations.some(l => l.tenant_id !== tenantId)) {
+        throw httpError(403, 'Cannot transfer to or from another tenant\'s location');
+    }
+};
+
+app.post('/api/transfers', authenticateToken, async (req, res) => {
+    try {
+        const tenantId = getTenantIdForSave(req);
+        const { productId, fromLocationId, toLocationId, reason, notes } = req.body;
+        const quantity = Number(req.body.quantity);
+
+        if (!productId || !fromLocationId || !toLocationId) {
+            return res.status(400).json({ error: 'productId, fromLocationId and toLocationId are required' });
+        }
+        if (fromLocationId === toLocationId) return res.status(400).json({ error: 'Source and destination must differ' });
+        if (!(quantity > 0)) return res.status(400).json({ error: 'Quantity must be positive' });
+
+        await assertTransferLocations(tenantId, fromLocationId, toLocationId);
+        assertLocationAccess(req, fromLocationId);
+
+        const now = new Date();
+        const transferDoc = {
+            id: `trf-${now.getTime()}`,
+            productId,
+            fromLocationId,
+            toLocationId,
+            quantity,
+            date: now.toISOString(),
+            timestamp: now.getTime(),
+            notes: notes || '',
+            tenant_id: tenantId
+        };
+
+        const saved = await withTransaction(async (session) => {
+            const product = await Product.findOne({ id: productId, tenant_id: tenantId }).session(session);
+            if (!product) throw httpError(404, 'Product not found');
+
+            const available = (product.stock && product.stock.get(fromLocationId)) || 0;
+            if (available < quantity) {
+                throw httpError(409, 'Insufficient stock at source location', {
+                    requested: quantity, available, shortfall: quantity - available
+                });
+            }
+
+            const movement = { tenantId, productId, referenceType: 'Transfer', referenceId: transferDoc.id, userId: req.user.id };
+            const moved = await moveStock({ ...movement, locationId: fromLocationId, delta: -quantity, type: 'TRANSFER_OUT' }, session);
+            if (!moved) throw httpError(409, 'Stock changed during transfer');
+            await moveStock({ ...movement, locationId: toLocationId, delta: quantity, type: 'TRANSFER_IN' }, session);
+
+            const batches = await consumeBatchesFefo({ tenantId, productId, locationId: fromLocationId, quantity }, session);
+            await addToBatches({ tenantId, productId, locationId: toLocationId, allocations: batches }, session);
+
+            const transfer = new Transfer({ ...transferDoc, status: 'COMPLETED', reason: reason || '', batches });
+            await transfer.save({ session });
+            return transfer;
+        }).catch(async (e) => {
+            // Keep a record of rejected transfers, outside the aborted transaction
+            if (e.status === 409) {
+                const failed = await new Transfer({ ...transferDoc, status: 'FAILED', reason: e.message }).save();
+                e.extra.transfer = failed;
+            }
+            throw e;
+        });
+
+        res.status(201).json(saved);
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+// Transfer workflow: request -> approve -> dispatch (stock leaves source) -> receive (stock lands at destination)
+
+app.post('/api/transfers/requests', authenticateToken, async (req, res) => {
+    try {
+        const tenantId = getTenantIdForSave(req);
+        const { productId, fromLocationId, toLocationId, reason, notes } = req.body;
+        const quantity = Number(req.body.quantity);
+
+        if (!productId || !fromLocationId || !toLocationId) {
+            return res.status(400).json({ error: 'productId, fromLocationId and toLocationId are required' });
+        }
+        if (fromLocationId === toLocationId) return res.status(400).json({ error: 'Source and destination must differ' });
+        if (!(quantity > 0)) return res.status(400).json({ error: 'Quantity must be positive' });
+
+        await assertTransferLocations(tenantId, fromLocationId, toLocationId);
+        if (!canAccessLocation(req, fromLocationId) && !canAccessLocation(req, toLocationId)) {
+            return res.status(403).json({ error: 'Transfer must involve a location you manage' });
+        }
+        const product = await Product.findOne({ id: productId, tenant_id: tenantId });
+        if (!product) return res.status(404).json({ error: 'Product not found' });
+
+        const now = new Date();
+        const transfer = new Transfer({
+            id: `trf-${now.getTime()}`,
+            productId,
+            fromLocationId,
+            toLocationId,
+            quantity,
+            date: now.toISOString(),
+            timestamp: now.getTime(),
+            status: 'REQUESTED',
+            reason: reason || '',
+            notes: notes || '',
+            tenant_id: tenantId,
+            requestedBy: req.user.id,
+            history: [{ status: 'REQUESTED', userId: req.user.id, at: now }]
+        });
+        await transfer.save();
+        res.status(201).json(transfer);
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+// Loads the transfer and checks the requested action is allowed from its current state and for this user
+const loadTransferForAction = async (req, action, session) => {
+    const rule = TRANSFER_TRANSITIONS[action];
+    const query = { id: req.params.id, ...getTenantQuery(req) };
+    const transfer = await Transfer.findOne(query).session(session || null);
+    if (!transfer) throw httpError(404, 'Transfer not found');
+    if (!canAccessLocation(req, transfer.fromLocationId) && !canAccessLocation(req, transfer.toLocationId)) {
+        throw httpError(404, 'Transfer not found');
+    }
+    if (rule.roles && !rule.roles.includes(req.user.role)) {
+        throw httpError(403, `Not authorized to ${action} transfers`);
+    }
+    if (!rule.from.includes(transfer.status)) {
+        throw httpError(409, `Cannot ${action} a transfer in status ${transfer.status}`);
+    }
+    return transfer;
+};
+
+const recordTransition = (transfer, action, userId, note) => {
+    const status = TRANSFER_TRANSITIONS[action].to;
+    transfer.status = status;
+    transfer.history.push({ status, userId, at: new Date(), note: note || '' });
+};
+
+app.post('/api/transfers/:id/approve', authenticateToken, async (req, res) => {
+    try {
+        const transfer = await loadTransferForAction(req, 'approve');
+        transfer.approvedBy = req.user.id;
+        recordTransition(transfer, 'approve', req.user.id, req.body.note);
+        await transfer.save();
+        res.json(transfer);
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+app.post('/api/transfers/:id/reject', authenticateToken, async (req, res) => {
+    try {
+        const transfer = await loadTransferForAction(req, 'reject');
+        recordTransition(transfer, 'reject', req.user.id, req.body.note);
+        await transfer.save();
+        res.json(transfer);
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+app.post('/api/transfers/:id/cancel', authenticateToken, async (req, res) => {
+    try {
+        const transfer = await loadTransferForAction(req, 'cancel');
+        const isOwner = ['WAREHOUSE_OWNER', 'SUPER_ADMIN'].includes(req.user.role);
+        if (!isOwner && transfer.requestedBy !== req.user.id) {
+            return res.status(403).json({ error: 'Only the requester or an owner can cancel this transfer' });
+        }
+        recordTransition(transfer, 'cancel', req.user.id, req.body.note);
+        await transfer.save();
+        res.json(transfer);
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+app.post('/api/transfers/:id/dispatch', authenticateToken, async (req, res) => {
+    try {
+        const transfer = await withTransaction(async (session) => {
+            const transfer = await loadTransferForAction(req, 'dispatch', session);
+            const { productId, fromLocationId, quantity, tenant_id: tenantId } = transfer;
+            assertLocationAccess(req, fromLocationId);
+
+            const product = await Product.findOne({ id: productId, tenant_id: tenantId }).session(session);
+            if (!product) throw httpError(404, 'Product not found');
+
+            const available = (product.stock && product.stock.get(fromLocationId)) || 0;
+            if (available < quantity) {
+                throw httpError(409, 'Insufficient stock at source location', {
+                    requested: quantity, available, shortfall: quantity - available
+                });
+            }
+
+            const moved = await moveStock({
+                tenantId, productId, locationId: fromLocationId, delta: -quantity,
+                type: 'TRANSFER_OUT', referenceType: 'Transfer', referenceId: transfer.id, userId: req.user.id
+            }, session);
+            if (!moved) throw httpError(409, 'Stock changed during dispatch');
+
+            transfer.batches = await consumeBatchesFefo({ tenantId, productId, locationId: fromLocationId, quantity }, session);
+            transfer.dispatchedBy = req.user.id;
+            recordTransition(transfer, 'dispatch', req.user.id, req.body.note);
+            await transfer.save({ session });
+            return transfer;
+        });
+        res.json(transfer);
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+app.post('/api/transfers/:id/receive', authenticateToken, async (req, res) => {
+    try {
+        const transfer = await withTransaction(async (session) => {
+            const transfer = await loadTransferForAction(req, 'receive', session);
+            assertLocationAccess(req, transfer.toLocationId);
+            const receivedQuantity = req.body.receivedQuantity === undefined ? transfer.quantity : Number(req.body.receivedQuantity);
+            if (!(receivedQuantity >= 0)) throw httpError(400, 'receivedQuantity must be zero or more');
+            if (receivedQuantity > transfer.quantity) throw httpError(400, 'Cannot receive more than was dispatched');
+
+            if (receivedQuantity > 0) {
+                await moveStock({
+                    tenantId: transfer.tenant_id, productId: transfer.productId, locationId: transfer.toLocationId, delta: receivedQuantity,
+                    type: 'TRANSFER_IN', referenceType: 'Transfer', referenceId: transfer.id, userId: req.user.id
+                }, session);
+                await addToBatches({
+                    tenantId: transfer.tenant_id, productId: transfer.productId, locationId: transfer.toLocationId,
+                    allocations: trimAllocations(transfer.batches.map(b => b.toObject()), receivedQuantity)
+                }, session);
+            }
+
+            transfer.receivedBy = req.user.id;
+            transfer.receivedQuantity = receivedQuantity;
+            transfer.discrepancy = transfer.quantity - receivedQuantity;
+            if (transfer.discrepancy !== 0) transfer.discrepancyNotes = req.body.discrepancyNotes || '';
+            recordTransition(transfer, 'receive', req.user.id, req.body.note);
+            await transfer.save({ session });
+            return transfer;
+        });
+        res.json(transfer);
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+// --- Network Stock Requests ---
+// One tenant asks another for stock found through the global SKU check. On acceptance the units leave
+// the supplier's location as a Sale there and arrive at the requester's location as a received purchase order.
+
+const STOCK_REQUEST_TRANSITIONS = {
+    accept: { from: ['REQUESTED'], to: 'ACCEPTED', side: 'supplier', roles: ['WAREHOUSE_OWNER', 'SUPER_ADMIN'] },
+    decline: { from: ['REQUESTED'], to: 'DECLINED', side: 'supplier', roles: ['WAREHOUSE_OWNER', 'SUPER_ADMIN'] },
+    cancel: { from: ['REQUESTED'], to: 'CANCELLED', side: 'requester' }
+};
+
+// Requests are visible to both the requesting and the supplying tenant
+const getStockRequestQuery = (req) => {
+    if (req.user.role === 'SUPER_ADMIN') return {};
+    return { $or: [{ requesterTenantId: req.user.tenantId }, { supplierTenantId: req.user.tenantId }] };
+};
+
+const loadStockRequestForAction = async (req, action, session) => {
+    const rule = STOCK_REQUEST_TRANSITIONS[action];
+    const request = await StockRequest.findOne({ id: req.params.id, ...getStockRequestQuery(req) }).session(session || null);
+    if (!request) throw httpError(404, 'Stock request not found');
+    const sideTenantId = rule.side === 'supplier' ? request.supplierTenantId : request.requesterTenantId;
+    if (req.user.role !== 'SUPER_ADMIN' && req.user.tenantId !== sideTenantId) {
+        throw httpError(403, `Only the ${rule.side} can ${action} this request`);
+    }
+    if (rule.roles && !rule.roles.includes(req.user.role)) {
+        throw httpError(403, `Not authorized to ${action} stock requests`);
+    }
+    if (!rule.from.includes(request.status)) {
+        throw httpError(409, `Cannot ${action} a stock request in status ${request.status}`);
+    }
+    return request;
+};
+
+const recordStockRequestTransition = (request, action, userId, note) => {
+    const status = STOCK_REQUEST_TRANSITIONS[action].to;
+    request.status = status;
+    request.history.push({ status, userId, at: new Date(), note: note || '' });
+    request.updatedAt = new Date();
+};
+
+// ?direction=incoming (asked of us) | outgoing (asked by us); both when omitted
+app.get('/api/stock-requests', authenticateToken, async (req, res) => {
+    try {
+        let query = getStockRequestQuery(req);
+        if (req.query.direction === 'incoming') query = { supplierTenantId: req.user.tenantId };
+        if (req.query.direction === 'outgoing') query = { requesterTenantId: req.user.tenantId };
+        if (req.query.status) query.status = req.query.status;
+        const requests = await StockRequest.find(query).sort({ createdAt: -1 });
+        res.json(requests);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Body: { sku, fromLocationId (the other tenant's location), toLocationId (ours), quantity, notes }
+app.post('/api/stock-requests', authenticateToken, async (req, res) => {
+    try {
+        const tenantId = getTenantIdForSave(req);
+        const { sku, fromLocationId, toLocationId, notes } = req.body;
+        const quantity = Number(req.body.quantity);
+        if (!tenantId) return res.status(400).json({ error: 'tenantId is required' });
+        if (!sku || !fromLocationId || !toLocationId) {
+            return res.status(400).json({ error: 'sku, fromLocationId and toLocationId are required' });
+        }
+        if (!(quantity > 0)) return res.status(400).json({ error: 'Quantity must be positive' });
+
+        const toLocation = await Location.findOne({ id: toLocationId, tenant_id: tenantId });
+        if (!toLocation) return res.status(404).json({ error: 'Destination location not found' });
+        assertLocationAccess(req, toLocationId);
+
+        const fromLocation = await Location.findOne({ id: fromLocationId });
+        if (!fromLocation) return res.status(404).json({ error: 'Source location not found' });
+        const supplierTenantId = fromLocation.tenant_id;
+        if (supplierTenantId === tenantId) {
+            return res.status(400).json({ error: 'Use a transfer to move stock between your own locations' });
+        }
+        if (!(await getNetworkTenantIds([supplierTenantId])).has(supplierTenantId)) {
+            return res.status(403).json({ error: 'This business does not share its stock with the network' });
+        }
+        const supplierBusiness = await Business.findOne({ id: supplierTenantId });
+        const requesterBusiness = await Business.findOne({ id: tenantId });
+
+        const requesterProduct = await Product.findOne({ sku, tenant_id: tenantId });
+        if (!requesterProduct) return res.status(404).json({ error: `Add a product with SKU ${sku} to your inventory before requesting it` });
+        const supplierProduct = await Product.findOne({ sku, tenant_id: supplierTenantId });
+        const available = (supplierProduct && supplierProduct.stock && supplierProduct.stock.get(fromLocationId)) || 0;
+        if (available < quantity) {
+            return res.status(409).json({ error: 'Not enough stock at the source location', requested: quantity, available });
+        }
+
+        const now = new Date();
+        const request = new StockRequest({
+            id: `sreq-${now.getTime()}-${Math.random().toString(36).substr(2, 9)}`,
+            sku,
+            quantity,
+            status: 'REQUESTED',
+            requesterTenantId: tenantId,
+            requesterProductId: requesterProduct.id,
+            requesterName: requesterBusiness ? requesterBusiness.name : tenantId,
+            toLocationId,
+            toLocationName: toLocation.name,
+            requestedBy: req.user.id,
+            supplierTenantId,
+            supplierProductId: supplierProduct.id,
+            supplierName: supplierBusiness.name,
+            fromLocationId,
+            fromLocationName: fromLocation.name,
+            notes: notes || '',
+            history: [{ status: 'REQUESTED', userId: req.user.id, at: now }]
+        });
+        await request.save();
+        res.status(201).json(request);
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+// Body: { unitPrice (defaults to the supplier's selling price), note }
+app.post('/api/stock-requests/:id/accept', authenticateToken, async (req, res) => {
+    try {
+        const result = await withTransaction(async (session) => {
+            const request = await loadStockRequestForAction(req, 'accept', session);
+            assertLocationAccess(req, request.fromLocationId);
+            const { quantity, supplierTenantId, requesterTenantId } = request;
+
+            const supplierProduct = await Product.findOne({ id: request.supplierProductId, tenant_id: supplierTenantId }).session(session);
+            const requesterProduct = await Product.findOne({ id: request.requesterProductId, tenant_id: requesterTenantId }).session(session);
+            if (!supplierProduct || !requesterProduct) throw httpError(404, 'Product not found');
+
+            const unitPrice = req.body.unitPrice === undefined ? (supplierProduct.price || 0) : Number(req.body.unitPrice);
+            if (!(unitPrice >= 0)) throw httpError(400, 'unitPrice must be zero or more');
+
+            const supplierBusiness = await Business.findOne({ id: supplierTenantId }).session(session);
+            const requesterBusiness = await Business.findOne({ id: requesterTenantId }).session(session);
+            if (!requesterBusiness || requesterBusiness.isDeleted) throw httpError(409, 'The requesting business is no longer active');
+            const fromLocation = await Location.findOne({ id: request.fromLocationId, tenant_id: supplierTenantId }).session(session);
+            if (!fromLocation) throw httpError(404, 'Source location not found');
+
+            const now = new Date();
+            const stamp = `${now.getTime()}-${Math.random().toString(36).substr(2, 6)}`;
+
+            // Supplier side: stock leaves as a B2B sale to the requesting business, invoiced like any other sale
+            const invoice = await buildSaleInvoice({
+                tenantId: supplierTenantId, business: supplierBusiness, location: fromLocation, buyer: requesterBusiness,
+                items: [{ id: supplierProduct.id, quantity, price: unitPrice, discount: 0 }],
+                byId: new Map([[supplierProduct.id, supplierProduct]])
+            }, session);
+            const sale = new Sale({
+                ...invoice,
+                id: `sale-${now.getTime()}-${Math.random().toString(36).substr(2, 9)}`,
+                customerName: requesterBusiness.name,
+                locationId: request.fromLocationId,
+                paymentMethod: 'NETWORK',
+                tenant_id: supplierTenantId
+            });
+            const moved = await moveStock({
+                tenantId: supplierTenantId, productId: supplierProduct.id, locationId: request.fromLocationId, delta: -quantity,
+                type: 'SALE', referenceType: 'Sale', referenceId: sale.id, userId: req.user.id, note: request.id
+            }, session);
+            if (!moved) throw httpError(409, 'Not enough stock at the source location');
+            const batches = await consumeBatchesFefo({ tenantId: supplierTenantId, productId: supplierProduct.id, locationId: request.fromLocationId, quantity }, session);
+            sale.items = invoice.items.map(line => ({
+                ...line, sku: supplierProduct.sku, category: supplierProduct.category, cost: supplierProduct.cost, batches
+            }));
+            await sale.save({ session });
+
+            // Requester side: the supplying business becomes a supplier, and the goods arrive against a received PO
+            const supplier = await Supplier.findOneAndUpdate(
+                { tenant_id: requesterTenantId, networkTenantId: supplierTenantId },
+                {
+                    $setOnInsert: {
+                        id: `sup-${stamp}`,
+                        name: supplierBusiness ? supplierBusiness.name : supplierTenantId,
+                        address: supplierBusiness ? supplierBusiness.address : '',
+                        category: 'Network'
+                    },
+                    $set: { lastSupplyDate: now.toISOString().split('T')[0] }
+                },
+                { upsert: true, new: true, session }
+            );
+            // Both sides record the same invoice: unitCost is the taxable unit price, the totals and tax split are the sale's
+            const order = new PurchaseOrder({
+                id: newPurchaseOrderId(),
+                tenant_id: requesterTenantId,
+                supplierId: supplier.id,
+                locationId: request.toLocationId,
+                status: 'RECEIVED',
+                items: [{ productId: requesterProduct.id, name: requesterProduct.name, quantity, unitCost: unitPrice, receivedQuantity: quantity }],
+                supplierInvoiceNumber: sale.invoiceNumber,
+                subtotal: sale.subtotal,
+                totalTax: sale.totalTax,
+                taxBreakup: sale.taxBreakup,
+                totalAmount: sale.totalAmount,
+                notes: `Network stock request ${request.id}`,
+                createdBy: request.requestedBy,
+                approvedBy: req.user.id,
+                history: [{ status: 'RECEIVED', userId: req.user.id, at: now, note: request.id }]
+            });
+            const receipt = new GoodsReceipt({
+                id: newGoodsReceiptId(),
+                tenant_id: requesterTenantId,
+                purchaseOrderId: order.id,
+                supplierId: supplier.id,
+                locationId: request.toLocationId,
+                items: batches.length > 0
+                    ? batches.map(b => ({ productId: requesterProduct.id, quantity: b.quantity, unitCost: unitPrice, batchNumber: b.batchNumber, expiryDate: b.expiryDate }))
+                    : [{ productId: requesterProduct.id, quantity, unitCost: unitPrice }],
+                supplierInvoiceNumber: sale.invoiceNumber,
+                receivedBy: req.user.id,
+                notes: `Network stock request ${request.id}`
+            });
+            await updateAverageCost({ tenantId: requesterTenantId, productId: requesterProduct.id, quantity, unitCost: unitPrice }, session);
+            await moveStock({
+                tenantId: requesterTenantId, productId: requesterProduct.id, locationId: request.toLocationId, delta: quantity,
+                type: 'PURCHASE_RECEIPT', referenceType: 'GoodsReceipt', referenceId: receipt.id, userId: req.user.id, note: request.id
+            }, session);
+            await addToBatches({ tenantId: requesterTenantId, productId: requesterProduct.id, locationId: request.toLocationId, allocations: batches }, session);
+            await order.save({ session });
+            await receipt.save({ session });
+
+            request.respondedBy = req.user.id;
+            request.unitPrice = unitPrice;
+            request.totalAmount = sale.totalAmount;
+            request.batches = batches;
+            request.saleId = sale.id;
+            request.purchaseOrderId = order.id;
+            recordStockRequestTransition(request, 'accept', req.user.id, req.body.note);
+            await request.save({ session });
+            return request;
+        });
+        res.json(result);
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+app.post('/api/stock-requests/:id/decline', authenticateToken, async (req, res) => {
+    try {
+        const request = await loadStockRequestForAction(req, 'decline');
+        request.respondedBy = req.user.id;
+        recordStockRequestTransition(request, 'decline', req.user.id, req.body.note);
+        await request.save();
+        res.json(request);
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+app.post('/api/stock-requests/:id/cancel', authenticateToken, async (req, res) => {
+    try {
+        const request = await loadStockRequestForAction(req, 'cancel');
+        const isOwner = ['WAREHOUSE_OWNER', 'SUPER_ADMIN'].includes(req.user.role);
+        if (!isOwner && request.requestedBy !== req.user.id) {
+            return res.status(403).json({ error: 'Only the requester or an owner can cancel this request' });
+        }
+        recordStockRequestTransition(request, 'cancel', req.user.id, req.body.note);
+        await request.save();
+        res.json(request);
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+// Tax Tiers
+app.get('/api/tax-tiers', authenticateToken, async (req, res) => {
+    try {
+        const query = getTenantQuery(req);
+        const tiers = await TaxTier.find(query);
+        res.json(tiers);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+app.post('/api/tax-tiers', authenticateToken, async (req, res) => {
+    try {
+        const tenantId = getTenantIdForSave(req);
+        const tier = new TaxTier({ ...req.body, tenant_id: tenantId });
+        await tier.save();
+        res.status(201).json(tier);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+
+// --- GST Returns ---
+// GSTR-1 and GSTR-3B for one month, in the GST portal's offline-tool JSON layout. Built from the tax split
+// stored on each sale; sales recorded before server-side invoicing are re-taxed from their lines (intra-state).
+// Credit notes issued for sales returns in the month are reported as reductions of the same tables.
+
+const GSTIN_CHECKSUM_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const B2CL_THRESHOLD = 100000; // Inter-state B2C invoices above this go to B2CL instead of B2CS
+const UQC_BY_UNIT = { pcs: 'NOS', nos: 'NOS', kg: 'KGS', g: 'GMS', l: 'LTR', ltr: 'LTR', ml: 'MLT', box: 'BOX', pack: 'PAC', dozen: 'DOZ' };
+
+// Format plus the mod-36 check character the portal verifies
+const isValidGstin = (gstin) => {
+    if (!gstin || !GSTIN_PATTERN.test(gstin)) return false;
+    let sum = 0;
+    for (let i = 0; i < 14; i++) {
+        const product = GSTIN_CHECKSUM_CHARS.indexOf(gstin[i]) * (i % 2 === 0 ? 1 : 2);
+        sum += Math.floor(product / 36) + (product % 36);
+    }
+    return GSTIN_CHECKSUM_CHARS[(36 - (sum % 36)) % 36] === gstin[14];
+};
+
+// '2026-10' -> { from: '2026-10-01', to: '2026-10-31', fp: '102026' }
+const parseReturnPeriod = (month) => {
+    const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(month || '');
+    if (!match) throw httpError(400, 'month must be in YYYY-MM format');
+    return { from: `${month}-01`, to: `${month}-31`, fp: `${match[2]}${match[1]}` };
+};
+
+const portalDate = (date) => date.split('-').reverse().join('-'); // YYYY-MM-DD -> DD-MM-YYYY
+
+// Per-line taxable value and tax amounts of a sale, whether or not it was taxed by the server
+const saleTaxLines = (sale) => {
+    const billFactor = 1 - (Number(sale.billDiscount) || 0) / 100;
+    return (sale.items || []).map(item => {
+        const taxRate = Number(item.taxRate) || 0;
+        if (item.taxableValue !== undefined) {
+            return { ...item, taxRate, cgst: item.cgst || 0, sgst: item.sgst || 0, igst: item.igst || 0 };
+        }
+        const taxableValue = roundMoney(Number(item.price) * Number(item.quantity) * (1 - (Number(item.discount) || 0) / 100) * billFactor);
+        const half = roundMoney(taxableValue * taxRate / 200);
+        return { ...item, taxRate, taxableValue, cgst: half, sgst: half, igst: 0 };
+    });
+};
+
+// Adds (sign -1: subtracts) line amounts into an accumulator keyed by the portal's field names
+const addTaxAmounts = (target, line, sign = 1) => {
+    target.txval = roundMoney((target.txval || 0) + sign * line.taxableValue);
+    target.iamt = roundMoney((target.iamt || 0) + sign * line.igst);
+    target.camt = roundMoney((target.camt || 0) + sign * line.cgst);
+    target.samt = roundMoney((target.samt || 0) + sign * line.sgst);
+    target.csamt = 0;
+    return target;
+};
+
+// Sales and credit notes of the period plus the seller GSTIN, with the checks both returns need
+const loadReturnData = async (req) => {
+    if (getManagedLocationIds(req)) throw httpError(403, 'GST returns cover every location; ask an owner to export them');
+    const tenantId = req.user.role === 'SUPER_ADMIN' && req.query.tenantId ? req.query.tenantId : req.user.tenantId;
+    const period = parseReturnPeriod(req.query.month);
+
+    const business = await Business.findOne({ id: tenantId });
+    if (!business) throw httpError(404, 'Business profile not found');
+    if (!isValidGstin(business.gstNumber)) {
+        throw httpError(400, 'Set a valid GSTIN in Settings > Business before exporting returns', { gstin: business.gstNumber || null });
+    }
+
+    const sales = await Sale.find({ tenant_id: tenantId, date: { $gte: period.from, $lte: period.to } }).sort({ date: 1, invoiceNumber: 1 });
+    const sellerState = business.gstNumber.slice(0, 2);
+    const warnings = [];
+    const invoices = sales.map(sale => {
+        const customerGstin = sale.customerGstin || null;
+        if (customerGstin && !isValidGstin(customerGstin)) {
+            warnings.push({ invoice: sale.invoiceNumber || sale.id, error: `Customer GSTIN ${customerGstin} is invalid; reported as B2C` });
+        }
+        if (!sale.invoiceNumber) warnings.push({ invoice: sale.id, error: 'Recorded before server-side invoicing; tax re-derived as intra-state' });
+        return {
+            sale,
+            number: sale.invoiceNumber || sale.id,
+            ctin: customerGstin && isValidGstin(customerGstin) ? customerGstin : null,
+            pos: sale.placeOfSupply || (customerGstin ? customerGstin.slice(0, 2) : sellerState),
+            interState: sale.supplyType === 'INTER',
+            lines: saleTaxLines(sale)
+        };
+    });
+
+    // A credit note is reported where its invoice was: B2B notes under cdnr, notes against B2CL invoices
+    // under cdnur, and the rest netted off B2CS
+    const salesReturns = await SalesReturn.find({ tenant_id: tenantId, date: { $gte: period.from, $lte: period.to } }).sort({ date: 1, creditNoteNumber: 1 });
+    const originalSales = await Sale.find({ tenant_id: tenantId, id: { $in: [...new Set(salesReturns.map(r => r.saleId))] } }, { id: 1, totalAmount: 1 });
+    const invoiceTotals = new Map(originalSales.map(sale => [sale.id, sale.totalAmount]));
+    const creditNotes = salesReturns.map(note => {
+        const customerGstin = note.customerGstin || null;
+        const interState = note.supplyType === 'INTER';
+        const ctin = customerGstin && isValidGstin(customerGstin) ? customerGstin : null;
+        return {
+            note,
+            number: note.creditNoteNumber,
+            ctin,
+            pos: note.placeOfSupply || (customerGstin ? customerGstin.slice(0, 2) : sellerState),
+            interState,
+            largeB2c: !ctin && interState && (invoiceTotals.get(note.saleId) || 0) > B2CL_THRESHOLD,
+            lines: note.items.map(item => ({ ...item.toObject(), taxRate: Number(item.taxRate) || 0 }))
+        };
+    });
+    return { business, period, invoices, creditNotes, warnings };
+};
+
+// Groups an invoice's lines by rate, as the portal expects under itms
+const invoiceItems = (lines, interState) => {
+    const byRate = new Map();
+    for (const line of lines) {
+        if (!byRate.has(line.taxRate)) byRate.set(line.taxRate, { rt: line.taxRate });
+        addTaxAmounts(byRate.get(line.taxRate), line);
+    }
+    return [...byRate.values()].map((itm_det, i) => {
+        if (interState) {
+            delete itm_det.camt;
+            delete itm_det.samt;
+        }
+        return { num: i + 1, itm_det };
+    });
+};
+
+const buildGstr1 = ({ business, period, invoices, creditNotes }) => {
+    const b2b = new Map(); // ctin -> invoices
+    const b2cl = new Map(); // pos -> invoices
+    const cdnr = new Map(); // ctin -> credit notes
+    const cdnur = []; // credit notes against B2CL invoices
+    const b2cs = new Map(); // supply type|pos|rate -> totals
+    const nil = new Map(); // nil table supply type -> nil-rated value
+    const hsn = new Map(); // hsn|rate -> totals
+    const series = new Map(); // invoice prefix/year -> numbers
+
+    const creditNoteSeries = new Map(); // CN/year -> numbers
+
+    // HSN summary and nil table take every line; credit notes (sign -1) reduce them
+    const addSummaryLines = ({ ctin, interState, lines }, sign) => {
+        for (const line of lines) {
+            const code = line.hsnCode || 'NA';
+            const key = `${code}|${line.taxRate}`;
+            if (!hsn.has(key)) {
+                hsn.set(key, { hsn_sc: code, desc: String(line.name || '').slice(0, 30), uqc: UQC_BY_UNIT[String(line.unit || '').toLowerCase()] || 'OTH', qty: 0, rt: line.taxRate, val: 0 });
+            }
+            const row = addTaxAmounts(hsn.get(key), line, sign);
+            row.qty += sign * (Number(line.quantity) || 0);
+            row.val = roundMoney(row.val + sign * (line.taxableValue + line.cgst + line.sgst + line.igst));
+        }
+
+        // Nil-rated lines go to the nil table, not with the taxable supplies
+        const nilType = `${interState ? 'INTR' : 'INTRA'}${ctin ? 'B2B' : 'B2C'}`;
+        lines.filter(line => line.taxRate === 0).forEach(line => {
+            nil.set(nilType, roundMoney((nil.get(nilType) || 0) + sign * line.taxableValue));
+        });
+        return lines.filter(line => line.taxRate !== 0);
+    };
 
+    const addB2cs = ({ pos, interState }, lines, sign) => {
+        for (const line of lines) {
+            const key = `${interState ? 'INTER' : 'INTRA'}|${pos}|${line.taxRate}`;
+            if (!b2cs.has(key)) b2cs.set(key, { sply_ty: interState ? 'INTER' : 'INTRA', pos, typ: 'OE', rt: line.taxRate });
+            addTaxAmounts(b2cs.get(key), line, sign);
+        }
+    };
 
-// Sales
-app.get('/api/sales', authenticateToken, async (req, res) => {
-    try {
-        const query = getTenantQuery(req);
-        const sales = await Sale.find(query);
-        res.json(sales);
-    } catch (e) {
-        res.status(500).json({ error: e.message });
-    }
-});
+    for (const invoiceData of invoices) {
+        const { sale, number, ctin, pos, interState } = invoiceData;
+        const seriesKey = sale.invoiceNumber ? number.split('/').slice(0, 2).join('/') : 'LEGACY';
+        if (!series.has(seriesKey)) series.set(seriesKey, []);
+        series.get(seriesKey).push(number);
 
-app.post('/api/sales', authenticateToken, async (req, res) => {
-    try {
-        const tenantId = getTenantIdForSave(req);
-        const newSale = new Sale({ ...req.body, tenant_id: tenantId });
-        await newSale.save();
-        res.status(201).json(newSale);
-    } catch (e) {
-        res.status(500).json({ error: e.message });
+        const taxableLines = addSummaryLines(invoiceData, 1);
+        if (taxableLines.length === 0) continue;
+
+        const invoice = { inum: number, idt: portalDate(sale.date), val: roundMoney(sale.totalAmount), pos };
+        if (ctin) {
+            if (!b2b.has(ctin)) b2b.set(ctin, []);
+            b2b.get(ctin).push({ ...invoice, rchrg: 'N', inv_typ: 'R', itms: invoiceItems(taxableLines, interState) });
+        } else if (interState && sale.totalAmount > B2CL_THRESHOLD) {
+            if (!b2cl.has(pos)) b2cl.set(pos, []);
+            b2cl.get(pos).push({ inum: invoice.inum, idt: invoice.idt, val: invoice.val, itms: invoiceItems(taxableLines, true) });
+        } else {
+            addB2cs(invoiceData, taxableLines, 1);
+        }
     }
-});
 
-// Transfers
-app.get('/api/transfers', authenticateToken, async (req, res) => {
-    try {
-        const query = getTenantQuery(req);
-        const transfers = await Transfer.find(query);
-        res.json(transfers);
-    } catch (e) {
-        res.status(500).json({ error: e.message });
+    for (const noteData of creditNotes) {
+        const { note, number, ctin, pos, interState, largeB2c } = noteData;
+        const seriesKey = number.split('/').slice(0, 2).join('/');
+        if (!creditNoteSeries.has(seriesKey)) creditNoteSeries.set(seriesKey, []);
+        creditNoteSeries.get(seriesKey).push(number);
+
+        const taxableLines = addSummaryLines(noteData, -1);
+        if (taxableLines.length === 0) continue;
+
+        const creditNote = { ntty: 'C', nt_num: number, nt_dt: portalDate(note.date), val: roundMoney(note.totalAmount), pos };
+        if (ctin) {
+            if (!cdnr.has(ctin)) cdnr.set(ctin, []);
+            cdnr.get(ctin).push({ ...creditNote, rchrg: 'N', inv_typ: 'R', itms: invoiceItems(taxableLines, interState) });
+        } else if (largeB2c) {
+            cdnur.push({ ...creditNote, typ: 'B2CL', itms: invoiceItems(taxableLines, true) });
+        } else {
+            addB2cs(noteData, taxableLines, -1);
+        }
     }
-});
 
-app.post('/api/transfers', authenticateToken, async (req, res) => {
-    try {
-        const tenantId = getTenantIdForSave(req);
-        const newTransfer = new Transfer({ ...req.body, tenant_id: tenantId });
-        await newTransfer.save();
-        res.status(201).json(newTransfer);
-    } catch (e) {
-        res.status(500).json({ error: e.message });
+    const documentRanges = (seriesMap) => [...seriesMap.values()].map((numbers, i) => {
+        const sorted = [...numbers].sort();
+        return { num: i + 1, from: sorted[0], to: sorted[sorted.length - 1], totnum: sorted.length, cancel: 0, net_issue: sorted.length };
+    });
+    const docDetails = [];
+    if (series.size > 0) docDetails.push({ doc_num: 1, docs: documentRanges(series) }); // Invoices for outward supply
+    if (creditNoteSeries.size > 0) docDetails.push({ doc_num: 5, docs: documentRanges(creditNoteSeries) }); // Credit notes
+
+    return {
+        gstin: business.gstNumber,
+        fp: period.fp,
+        b2b: [...b2b].map(([ctin, inv]) => ({ ctin, inv })),
+        b2cl: [...b2cl].map(([pos, inv]) => ({ pos, inv })),
+        b2cs: [...b2cs.values()],
+        cdnr: [...cdnr].map(([ctin, nt]) => ({ ctin, nt })),
+        cdnur,
+        nil: { inv: [...nil].map(([sply_ty, nil_amt]) => ({ sply_ty, nil_amt, expt_amt: 0, ngsup_amt: 0 })) },
+        hsn: { data: [...hsn.values()].map((row, i) => ({ num: i + 1, ...row })) },
+        doc_issue: { doc_det: docDetails }
+    };
+};
+
+const buildGstr3b = ({ business, period, invoices, creditNotes }) => {
+    const zero = () => ({ txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 });
+    const taxable = zero(); // 3.1(a) outward taxable supplies
+    const nilRated = { txval: 0 }; // 3.1(c) nil rated and exempt
+    const unregistered = new Map(); // 3.2 inter-state supplies to unregistered persons, by place of supply
+
+    // Credit notes of the month are netted off the outward supplies they reverse
+    const documents = [...invoices.map(doc => ({ ...doc, sign: 1 })), ...creditNotes.map(doc => ({ ...doc, sign: -1 }))];
+    for (const { ctin, pos, interState, lines, sign } of documents) {
+        for (const line of lines) {
+            if (line.taxRate === 0) {
+                nilRated.txval = roundMoney(nilRated.txval + sign * line.taxableValue);
+                continue;
+            }
+            addTaxAmounts(taxable, line, sign);
+            if (interState && !ctin) {
+                if (!unregistered.has(pos)) unregistered.set(pos, { pos, txval: 0, iamt: 0 });
+                const row = unregistered.get(pos);
+                row.txval = roundMoney(row.txval + sign * line.taxableValue);
+                row.iamt = roundMoney(row.iamt + sign * line.igst);
+            }
+        }
     }
-});
 
-// Tax Tiers
-app.get('/api/tax-tiers', authenticateToken, async (req, res) => {
+    return {
+        gstin: business.gstNumber,
+        ret_period: period.fp,
+        sup_details: {
+            osup_det: taxable,
+            osup_zero: zero(),
+            osup_nil_exmp: nilRated,
+            isup_rev: zero(),
+            osup_nongst: { txval: 0 }
+        },
+        inter_sup: { unreg_details: [...unregistered.values()], comp_details: [], uin_details: [] }
+    };
+};
+
+// ?month=YYYY-MM. Returns { data, warnings }; data is the JSON to upload to the portal
+app.get('/api/gst/gstr1', authenticateToken, async (req, res) => {
     try {
-        const query = getTenantQuery(req);
-        const tiers = await TaxTier.find(query);
-        res.json(tiers);
+        const returnData = await loadReturnData(req);
+        res.json({ data: buildGstr1(returnData), warnings: returnData.warnings });
     } catch (e) {
-        res.status(500).json({ error: e.message });
+        sendError(res, e);
     }
 });
 
-app.post('/api/tax-tiers', authenticateToken, async (req, res) => {
+app.get('/api/gst/gstr3b', authenticateToken, async (req, res) => {
     try {
-        const tenantId = getTenantIdForSave(req);
-        const tier = new TaxTier({ ...req.body, tenant_id: tenantId });
-        await tier.save();
-        res.status(201).json(tier);
+        const returnData = await loadReturnData(req);
+        res.json({ data: buildGstr3b(returnData), warnings: returnData.warnings });
     } catch (e) {
-        res.status(500).json({ error: e.message });
+        sendError(res, e);
     }
 });
 
-
 // --- External Services Routes ---
 
 app.get('/api/market-price', authenticateToken, async (req, res) => {
@@ -573,6 +4220,36 @@ app.get('/api/market-price-v2', authenticateToken, async (req, res) => {
 
 // --- User Management Routes ---
 
+// Below SUPER_ADMIN, nobody hands out 'all' or a permission they do not hold themselves
+const assertHoldsPermissions = (req, permissions, action) => {
+    if (req.user.role === 'SUPER_ADMIN') return;
+    if (permissions.includes('all')) throw httpError(403, `Only a super admin can ${action} with all permissions`);
+    const held = req.user.permissions || [];
+    if (held.includes('all')) return;
+    const missing = permissions.filter(p => !held.includes(p));
+    if (missing.length > 0) throw httpError(403, `Cannot ${action} with permissions you do not hold: ${missing.join(', ')}`, { missing });
+};
+
+// The role and overrides a user would end up with must stay within the caller's own permissions
+const assertCanAssign = async (req, { role, permissions }, tenantId) => {
+    if (req.user.role === 'SUPER_ADMIN') return;
+    if (role === 'SUPER_ADMIN') throw httpError(403, 'Only a super admin can assign the SUPER_ADMIN role');
+    const roleDoc = role ? await findRoleFor(role, tenantId) : null;
+    assertHoldsPermissions(req, resolvePermissions({ role, permissions }, roleDoc), 'assign a role or overrides');
+};
+
+// Looks up a user the caller may manage (same tenant unless SUPER_ADMIN). With an action, the caller must also
+// hold every permission the user has, so e.g. a manager cannot delete, reset or sign out the owner.
+const loadManagedUser = async (req, id, action = null) => {
+    const user = await User.findOne({ id });
+    if (!user) throw httpError(404, 'User not found');
+    if (req.user.role !== 'SUPER_ADMIN' && user.tenant_id !== req.user.tenantId) {
+        throw httpError(403, 'Not authorized');
+    }
+    if (action) assertHoldsPermissions(req, resolvePermissions(user, await findRoleFor(user.role, user.tenant_id)), action);
+    return user;
+};
+
 app.get('/api/users', authenticateToken, async (req, res) => {
     try {
         let query = {};
@@ -585,12 +4262,7 @@ app.get('/api/users', authenticateToken, async (req, res) => {
         }
 
         const users = await User.find(query);
-        const parsedUsers = users.map(u => {
-            const obj = u.toObject();
-            obj.managedLocationIds = obj.managed_location_ids;
-            return obj;
-        });
-        res.json(parsedUsers);
+        res.json(users.map(toUserJson));
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
@@ -603,15 +4275,18 @@ app.post('/api/users', authenticateToken, async (req, res) => {
         if (!name || !email || !password || !role) {
             return res.status(400).json({ error: 'Missing required fields' });
         }
+        const problems = validatePassword(password, { email });
+        if (problems.length > 0) return res.status(400).json({ error: `Password ${problems.join(', ')}`, policy: problems });
 
         const existing = await User.findOne({ email });
         if (existing) return res.status(400).json({ error: 'Email already registered' });
 
-        const passwordHash = await bcrypt.hash(password, 10);
-        const userId = `u-${Date.now()}`;
-
         // Tenant Logic for User Creation
         let tenantId = getTenantIdForSave(req);
+        await assertCanAssign(req, { role, permissions: permissions || [] }, tenantId);
+
+        const passwordHash = await bcrypt.hash(password, 10);
+        const userId = `u-${Date.now()}`;
 
         const newUser = new User({
             id: userId,
@@ -626,27 +4301,19 @@ app.post('/api/users', authenticateToken, async (req, res) => {
 
         await newUser.save();
 
-        const responseUser = newUser.toObject();
-        delete responseUser.password;
-        responseUser.managedLocationIds = responseUser.managed_location_ids;
-
-        res.status(201).json(responseUser);
+        res.status(201).json(toUserJson(newUser));
     } catch (e) {
-        res.status(500).json({ error: e.message });
+        sendError(res, e);
     }
 });
 
 app.put('/api/users/:id', authenticateToken, async (req, res) => {
     try {
         const { id } = req.params;
-        const { name, email, role, locationId, permissions } = req.body;
-
-        const user = await User.findOne({ id });
-        if (!user) return res.status(404).json({ error: 'User not found' });
+        const { name, email, role, locationId, permissions, password } = req.body;
 
-        if (req.user.role !== 'SUPER_ADMIN' && user.tenant_id !== req.user.tenantId) {
-            return res.status(403).json({ error: 'Not authorized' });
-        }
+        const user = await loadManagedUser(req, id, 'change a user');
+        await assertCanAssign(req, { role, permissions: permissions || [] }, user.tenant_id);
 
         user.name = name;
         user.email = email;
@@ -654,10 +4321,17 @@ app.put('/api/users/:id', authenticateToken, async (req, res) => {
         user.permissions = permissions || [];
         if (locationId) user.managed_location_ids = [locationId];
 
-        await user.save();
+        if (password) {
+            const problems = validatePassword(password, user);
+            if (problems.length > 0) return res.status(400).json({ error: `Password ${problems.join(', ')}`, policy: problems });
+            // Saves the other changes too and signs the user out of every existing session
+            await setUserPassword(user, password);
+        } else {
+            await user.save();
+        }
         res.json({ success: true, message: 'User updated' });
     } catch (e) {
-        res.status(500).json({ error: e.message });
+        sendError(res, e);
     }
 });
 
@@ -666,33 +4340,74 @@ app.delete('/api/users/:id', authenticateToken, async (req, res) => {
         const { id } = req.params;
         if (id === req.user.id) return res.status(400).json({ error: 'Cannot delete self' });
 
-        const user = await User.findOne({ id });
-        if (!user) return res.status(404).json({ error: 'Not found' });
-
-        if (req.user.role !== 'SUPER_ADMIN' && user.tenant_id !== req.user.tenantId) {
-            return res.status(403).json({ error: 'Not authorized' });
-        }
+        const user = await loadManagedUser(req, id, 'delete a user');
 
-        await new DeletedItem({
-            id: `del-${Date.now()}-${id}`,
-            originalId: id,
-            collectionName: 'User',
-            document: user.toObject(),
-            deletedBy: req.user.id
-        }).save();
+        await moveToTrash({ collectionName: 'User', document: user.toObject(), deletedBy: req.user.id });
 
         await User.deleteOne({ id });
+        await revokeUserSessions(id, 'USER_DELETED');
         res.json({ success: true });
     } catch (e) {
-        res.status(500).json({ error: e.message });
+        sendError(res, e);
+    }
+});
+
+// Emails the user a one-time reset link; their current password keeps working until it is used
+app.post('/api/users/:id/password-reset', authenticateToken, async (req, res) => {
+    try {
+        const user = await loadManagedUser(req, req.params.id, 'reset the password of a user');
+        const secret = crypto.randomBytes(32).toString('hex');
+        const reset = await PasswordReset.create({
+            id: `pwr-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            userId: user.id,
+            tokenHash: hashToken(secret),
+            requestedBy: req.user.id,
+            expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+        });
+        // Earlier unused links stop working
+        await PasswordReset.updateMany({ userId: user.id, id: { $ne: reset.id }, usedAt: null }, { $set: { usedAt: new Date() } });
+
+        const link = `${APP_URL}/reset-password?token=${encodeURIComponent(`${reset.id}.${secret}`)}`;
+        await sendMail({
+            to: user.email,
+            subject: 'Reset your password',
+            text: `Hi ${user.name},\n\nA password reset was requested for your account. Open the link below to choose a new password. It can be used once and expires in ${PASSWORD_RESET_TTL_MINUTES} minutes.\n\n${link}\n`
+        });
+        res.status(201).json({ success: true, expiresAt: reset.expiresAt });
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+app.get('/api/users/:id/sessions', authenticateToken, async (req, res) => {
+    try {
+        const user = await loadManagedUser(req, req.params.id);
+        const sessions = await Session.find({ userId: user.id, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({ lastUsedAt: -1 });
+        res.json(sessions.map(s => sessionToJson(s, req.user.sid)));
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+// Signs the user out everywhere, e.g. when a staff member leaves
+app.delete('/api/users/:id/sessions', authenticateToken, async (req, res) => {
+    try {
+        const user = await loadManagedUser(req, req.params.id, 'sign out a user');
+        const result = await revokeUserSessions(user.id, 'REVOKED');
+        res.json({ revoked: result.modifiedCount });
+    } catch (e) {
+        sendError(res, e);
     }
 });
 
 // --- Role Management Routes ---
+// Custom roles belong to a tenant. System roles are shared by every tenant, so only SUPER_ADMIN may change them.
+
+const roleQueryFor = (req) => (req.user.role === 'SUPER_ADMIN' ? {} : roleScopeFor(req.user.tenantId));
 
 app.get('/api/roles', authenticateToken, async (req, res) => {
     try {
-        const roles = await Role.find({});
+        const roles = await Role.find(roleQueryFor(req));
         const parsedRoles = roles.map(r => {
             const obj = r.toObject();
             obj.isSystem = obj.is_system;
@@ -708,19 +4423,21 @@ app.post('/api/roles', authenticateToken, async (req, res) => {
     try {
         const { name, permissions } = req.body;
         if (!name) return res.status(400).json({ error: 'Role name required' });
+        assertHoldsPermissions(req, permissions || [], 'create a role');
 
         const roleId = `role-${Date.now()}`;
         const newRole = new Role({
             id: roleId,
             name,
             permissions: permissions || [],
-            is_system: false
+            is_system: false,
+            tenant_id: getTenantIdForSave(req)
         });
 
         await newRole.save();
         res.status(201).json({ id: roleId, name, permissions: newRole.permissions, isSystem: false });
     } catch (e) {
-        res.status(500).json({ error: e.message });
+        sendError(res, e);
     }
 });
 
@@ -728,33 +4445,29 @@ app.put('/api/roles/:id', authenticateToken, async (req, res) => {
     try {
         const { id } = req.params;
         const { name, permissions } = req.body;
-        const role = await Role.findOne({ id });
+        const role = await Role.findOne({ id, ...roleQueryFor(req) });
         if (!role) return res.status(404).json({ error: 'Role not found' });
+        if (role.is_system && req.user.role !== 'SUPER_ADMIN') return res.status(403).json({ error: 'System roles are read-only' });
         if (role.is_system && name !== role.name) return res.status(400).json({ error: 'Cannot rename system role' });
+        assertHoldsPermissions(req, permissions || [], 'update a role');
 
         role.name = name;
         role.permissions = permissions || [];
         await role.save();
         res.json({ success: true });
     } catch (e) {
-        res.status(500).json({ error: e.message });
+        sendError(res, e);
     }
 });
 
 app.delete('/api/roles/:id', authenticateToken, async (req, res) => {
     try {
         const { id } = req.params;
-        const role = await Role.findOne({ id });
+        const role = await Role.findOne({ id, ...roleQueryFor(req) });
         if (!role) return res.status(404).json({ error: 'Role not found' });
         if (role.is_system) return res.status(403).json({ error: 'Cannot delete system role' });
 
-        await new DeletedItem({
-            id: `del-${Date.now()}-${id}`,
-            originalId: id,
-            collectionName: 'Role',
-            document: role.toObject(),
-            deletedBy: req.user.id
-        }).save();
+        await moveToTrash({ collectionName: 'Role', document: role.toObject(), deletedBy: req.user.id });
 
         await Role.deleteOne({ id });
         res.json({ success: true });
@@ -763,54 +4476,453 @@ app.delete('/api/roles/:id', authenticateToken, async (req, res) => {
     }
 });
 
+// --- Audit Log Routes ---
+
+// Shared filters: ?userId=&resource=&resourceId=&action=&from=&to=
+const buildAuditQuery = (req) => {
+    const { userId, resource, resourceId, action, from, to } = req.query;
+    const query = getTenantQuery(req);
+    if (userId) query.userId = userId;
+    if (resource) query.resource = resource;
+    if (resourceId) query.resourceId = resourceId;
+    if (action) query.action = action;
+    if (from || to) {
+        query.timestamp = {};
+        if (from) query.timestamp.$gte = new Date(from);
+        if (to) {
+            const end = new Date(to);
+            end.setHours(23, 59, 59, 999);
+            query.timestamp.$lte = end;
+        }
+    }
+    return query;
+};
+
+app.get('/api/audit-logs', authenticateToken, async (req, res) => {
+    try {
+        const query = buildAuditQuery(req);
+        const page = Math.max(1, Number(req.query.page) || 1);
+        const limit = Math.min(Math.max(1, Number(req.query.limit) || 50), 200);
+
+        const [items, total] = await Promise.all([
+            AuditLog.find(query).sort({ timestamp: -1 }).skip((page - 1) * limit).limit(limit),
+            AuditLog.countDocuments(query)
+        ]);
+        res.json({ items, total, page, limit, pages: Math.ceil(total / limit) });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+const AUDIT_EXPORT_LIMIT = 10000;
+
+const csvCell = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+app.get('/api/audit-logs/export', authenticateToken, async (req, res) => {
+    try {
+        const logs = await AuditLog.find(buildAuditQuery(req)).sort({ timestamp: -1 }).limit(AUDIT_EXPORT_LIMIT);
+
+        const header = ['Timestamp', 'User', 'Action', 'Resource', 'Resource ID', 'IP Address', 'Changes'];
+        const rows = logs.map(log => [
+            log.timestamp.toISOString(),
+            log.userId,
+            log.action,
+            log.resource,
+            log.resourceId,
+            log.ipAddress,
+            (log.changes || []).map(c => `${c.field}: ${JSON.stringify(c.before)} -> ${JSON.stringify(c.after)}`).join('; ')
+        ]);
+        const csv = [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().split('T')[0]}.csv"`);
+        res.send(csv);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
 // --- Trash Management Routes ---
 
+const canManageTrash = (req) => req.user.role === 'SUPER_ADMIN' || req.user.role === 'WAREHOUSE_OWNER';
+
+// Filters: ?collectionName=Product&from=2024-01-01&to=2024-01-31&q=milk
 app.get('/api/trash', authenticateToken, async (req, res) => {
     try {
-        if (req.user.role !== 'SUPER_ADMIN' && req.user.role !== 'WAREHOUSE_OWNER') {
-            return res.status(403).json({ error: 'Not authorized' });
+        if (!canManageTrash(req)) return res.status(403).json({ error: 'Not authorized' });
+
+        const { collectionName, from, to, q } = req.query;
+        const filters = [getTrashTenantQuery(req)];
+        if (collectionName) filters.push({ collectionName });
+        if (from || to) {
+            const deletedAt = {};
+            if (from) deletedAt.$gte = new Date(from);
+            if (to) {
+                const end = new Date(to);
+                end.setHours(23, 59, 59, 999);
+                deletedAt.$lte = end;
+            }
+            filters.push({ deletedAt });
         }
-        // In full multi-tenant, we should filter trash by tenant too if we want perfect isolation.
-        // For now, if we stored full doc, we can filter in memory or rely on Super Admin only.
-        // Let's stick to existing behavior (All Trash) but usually Owners should only see their own.
-        // TODO: Isolate Trash in future if needed.
-        const items = await DeletedItem.find({}).sort({ deletedAt: -1 });
+        if (q) {
+            const pattern = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+            filters.push({ $or: [{ originalId: pattern }, { 'document.name': pattern }, { 'document.email': pattern }, { 'document.sku': pattern }] });
+        }
+
+        const items = await DeletedItem.find({ $and: filters }).sort({ deletedAt: -1 });
         res.json(items);
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
+// Restores one trash entry; throws httpError on conflicts
+const restoreDeletedItem = async (req, deletedItem) => {
+    let Model;
+    try {
+        Model = mongoose.model(deletedItem.collectionName);
+    } catch (e) {
+        throw httpError(400, `Unknown collection: ${deletedItem.collectionName}`);
+    }
+
+    const docToRestore = deletedItem.document;
+    const existing = await Model.findOne({ id: docToRestore.id });
+    if (existing) throw httpError(409, 'ID collision in active records');
+
+    await withTransaction(async (session) => {
+        await new Model(docToRestore).save({ session });
+        if (deletedItem.collectionName === 'Product') {
+            await recordStockDiff({
+                tenantId: docToRestore.tenant_id, productId: docToRestore.id, before: {}, after: stockToObject(docToRestore.stock),
+                type: 'RESTORE', referenceType: 'DeletedItem', referenceId: deletedItem.id, userId: req.user.id
+            }, session);
+        }
+        await DeletedItem.deleteOne({ id: deletedItem.id }, { session });
+    });
+};
+
 app.post('/api/trash/:id/restore', authenticateToken, async (req, res) => {
     try {
         const { id } = req.params;
-        if (req.user.role !== 'SUPER_ADMIN' && req.user.role !== 'WAREHOUSE_OWNER') {
-            return res.status(403).json({ error: 'Not authorized' });
-        }
+        if (!canManageTrash(req)) return res.status(403).json({ error: 'Not authorized' });
 
-        const deletedItem = await DeletedItem.findOne({ id });
+        const deletedItem = await DeletedItem.findOne({ id, ...getTrashTenantQuery(req) });
         if (!deletedItem) return res.status(404).json({ error: 'Item not found' });
 
-        let Model;
-        try {
-            Model = mongoose.model(deletedItem.collectionName);
-        } catch (e) {
-            return res.status(400).json({ error: `Unknown collection: ${deletedItem.collectionName}` });
+        await restoreDeletedItem(req, deletedItem);
+        res.json({ success: true, message: 'Restored successfully' });
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+// Body: { ids: [...] }. Restores what it can and reports each failure.
+app.post('/api/trash/restore', authenticateToken, async (req, res) => {
+    try {
+        if (!canManageTrash(req)) return res.status(403).json({ error: 'Not authorized' });
+        const { ids } = req.body;
+        if (!Array.isArray(ids) || ids.length === 0) return res.status(400).json({ error: 'ids must be a non-empty array' });
+
+        const items = await DeletedItem.find({ id: { $in: ids }, ...getTrashTenantQuery(req) });
+        const byId = new Map(items.map(i => [i.id, i]));
+
+        const restored = [];
+        const failed = [];
+        for (const id of ids) {
+            const item = byId.get(id);
+            if (!item) {
+                failed.push({ id, error: 'Item not found' });
+                continue;
+            }
+            try {
+                await restoreDeletedItem(req, item);
+                restored.push(id);
+            } catch (e) {
+                failed.push({ id, error: e.message });
+            }
         }
+        res.json({ restored, failed });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
 
-        const docToRestore = deletedItem.document;
-        const existing = await Model.findOne({ id: docToRestore.id });
-        if (existing) return res.status(409).json({ error: 'ID collision in active records' });
+// Permanent purge, skipping the retention period
+app.delete('/api/trash/:id', authenticateToken, async (req, res) => {
+    try {
+        if (!canManageTrash(req)) return res.status(403).json({ error: 'Not authorized' });
+        const result = await DeletedItem.deleteOne({ id: req.params.id, ...getTrashTenantQuery(req) });
+        if (result.deletedCount === 0) return res.status(404).json({ error: 'Item not found' });
+        res.json({ success: true });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
 
-        await new Model(docToRestore).save();
-        await DeletedItem.deleteOne({ id });
-        res.json({ success: true, message: 'Restored successfully' });
+app.get('/api/trash/settings', authenticateToken, async (req, res) => {
+    try {
+        const retentionDays = await getTrashRetentionDays(req.user.tenantId);
+        res.json({ retentionDays });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Changes the tenant's retention and re-dates its existing trash entries
+app.put('/api/trash/settings', authenticateToken, async (req, res) => {
+    try {
+        if (!canManageTrash(req)) return res.status(403).json({ error: 'Not authorized' });
+        const retentionDays = Number(req.body.retentionDays);
+        if (!Number.isInteger(retentionDays) || retentionDays < 1 || retentionDays > 365) {
+            return res.status(400).json({ error: 'retentionDays must be a whole number between 1 and 365' });
+        }
+
+        const tenantId = getTenantIdForSave(req);
+        const business = await Business.findOneAndUpdate(
+            { id: tenantId },
+            { $set: { 'settings.trashRetentionDays': retentionDays, updatedAt: new Date() } },
+            { new: true }
+        );
+        if (!business) return res.status(404).json({ error: 'Business profile not found' });
+
+        await DeletedItem.updateMany(
+            { tenant_id: tenantId },
+            [{ $set: { expiresAt: { $add: ['$deletedAt', retentionDays * 24 * 60 * 60 * 1000] } } }],
+            { updatePipeline: true }
+        );
+        res.json({ retentionDays });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// --- Security Settings (per tenant) ---
+
+app.get('/api/settings/security', authenticateToken, async (req, res) => {
+    try {
+        const business = req.user.tenantId ? await Business.findOne({ id: req.user.tenantId }) : null;
+        res.json({ requireOwnerTwoFactor: !!(business && business.settings && business.settings.requireOwnerTwoFactor) });
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
+app.put('/api/settings/security', authenticateToken, async (req, res) => {
+    try {
+        if (req.user.role !== 'SUPER_ADMIN' && req.user.role !== 'WAREHOUSE_OWNER') return res.status(403).json({ error: 'Not authorized' });
+        const requireOwnerTwoFactor = req.body.requireOwnerTwoFactor === true;
+
+        // An owner turning enforcement on must already be enrolled, or they would lock themselves out of the app
+        if (requireOwnerTwoFactor && req.user.role === 'WAREHOUSE_OWNER') {
+            const self = await User.findOne({ id: req.user.id });
+            if (!self.twoFactor?.enabled) {
+                return res.status(400).json({ error: 'Enable two-factor authentication on your own account first' });
+            }
+        }
+
+        const tenantId = getTenantIdForSave(req);
+        if (!tenantId) return res.status(400).json({ error: 'tenantId is required' });
+        const business = await Business.findOneAndUpdate(
+            { id: tenantId },
+            { $set: { 'settings.requireOwnerTwoFactor': requireOwnerTwoFactor, updatedAt: new Date() } },
+            { new: true }
+        );
+        if (!business) return res.status(404).json({ error: 'Business profile not found' });
+        res.json({ requireOwnerTwoFactor: business.settings.requireOwnerTwoFactor });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// --- Businesses (tenants) ---
+
+// Seeded into every new tenant; mirrors DEFAULT_TAX_TIERS in frontend/constants.ts
+const DEFAULT_TAX_TIERS = [
+    { name: 'Exempt', categoryType: 'Essential', rate: 0, cgst: 0, sgst: 0, igst: 0 },
+    { name: 'GST 5%', categoryType: 'Essential', rate: 5, cgst: 2.5, sgst: 2.5, igst: 5 },
+    { name: 'GST 12%', categoryType: 'Standard', rate: 12, cgst: 6, sgst: 6, igst: 12 },
+    { name: 'GST 18%', categoryType: 'Standard', rate: 18, cgst: 9, sgst: 9, igst: 18 },
+    { name: 'GST 28%', categoryType: 'Luxury', rate: 28, cgst: 14, sgst: 14, igst: 28 }
+];
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// Whitelisted, validated business profile fields from a request body
+const pickBusinessFields = (body = {}) => {
+    const fields = {};
+    if (body.name !== undefined) {
+        if (!String(body.name).trim()) throw httpError(400, 'Business name is required');
+        fields.name = String(body.name).trim();
+    }
+    if (body.gstNumber !== undefined) {
+        const gstNumber = String(body.gstNumber || '').trim().toUpperCase();
+        if (gstNumber && !GSTIN_PATTERN.test(gstNumber)) throw httpError(400, 'Invalid GSTIN');
+        fields.gstNumber = gstNumber;
+    }
+    if (body.address !== undefined) fields.address = String(body.address || '').trim();
+    if (body.stateCode !== undefined || fields.gstNumber) {
+        fields.stateCode = stateCodeFor({ stateCode: body.stateCode, gstNumber: fields.gstNumber });
+    }
+    if (body.currency !== undefined) fields['settings.currency'] = String(body.currency).toUpperCase();
+    if (body.timezone !== undefined) fields['settings.timezone'] = String(body.timezone);
+    if (body.shareStockWithNetwork !== undefined) fields['settings.shareStockWithNetwork'] = body.shareStockWithNetwork === true;
+    return fields;
+};
+
+// Self-signup (also used by SUPER_ADMIN provisioning): the Business, its owner, the first location
+// and the default tax tiers are created together or not at all.
+// Body: { business: { name, gstNumber, address, currency, timezone }, owner: { name, email, password }, location: { name, address, type } }
+app.post('/api/businesses', async (req, res) => {
+    try {
+        const { business = {}, owner = {}, location = {} } = req.body;
+        const businessFields = pickBusinessFields({ ...business, name: business.name || '' });
+        if (!owner.name || !owner.email || !owner.password) throw httpError(400, 'Owner name, email and password are required');
+        assertPasswordPolicy(owner.password, owner);
+        if (await User.findOne({ email: owner.email })) throw httpError(400, 'Email already registered');
+
+        const stamp = `${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+        const tenantId = `tenant-${stamp}`;
+        const ownerId = `u-${stamp}`;
+        const locationId = `loc-${stamp}`;
+        const passwordHash = await bcrypt.hash(owner.password, 10);
+
+        const created = await withTransaction(async (session) => {
+            const [newBusiness] = await Business.create([{
+                id: tenantId,
+                name: businessFields.name,
+                gstNumber: businessFields.gstNumber,
+                address: businessFields.address,
+                stateCode: businessFields.stateCode,
+                ownerId,
+                settings: {
+                    currency: businessFields['settings.currency'] || 'INR',
+                    timezone: businessFields['settings.timezone'] || 'Asia/Kolkata'
+                }
+            }], { session });
+            const [newOwner] = await User.create([{
+                id: ownerId,
+                name: owner.name,
+                email: owner.email,
+                password: passwordHash,
+                role: 'WAREHOUSE_OWNER',
+                tenant_id: tenantId,
+                managed_location_ids: [locationId],
+                permissions: []
+            }], { session });
+            const [newLocation] = await Location.create([{
+                id: locationId,
+                name: location.name || newBusiness.name,
+                address: location.address || newBusiness.address,
+                type: location.type === 'STORE' ? 'STORE' : 'WAREHOUSE',
+                stateCode: normalizeStateCode(location.stateCode) || newBusiness.stateCode,
+                tenant_id: tenantId
+            }], { session });
+            const taxTiers = await TaxTier.create(DEFAULT_TAX_TIERS.map((tier, i) => ({
+                ...tier,
+                id: `tax-${stamp}-${i}`,
+                tenant_id: tenantId
+            })), { session, ordered: true });
+            return { business: newBusiness, user: newOwner, location: newLocation, taxTiers };
+        });
+
+        recordAuditEvent(req, { userId: req.user ? req.user.id : ownerId, action: 'TENANT_CREATED', resource: 'businesses', resourceId: tenantId, tenant_id: tenantId });
+        res.status(201).json({ ...created, user: toUserJson(created.user) });
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+// SUPER_ADMIN overview of all tenants, including deactivated ones
+app.get('/api/businesses', authenticateToken, async (req, res) => {
+    try {
+        if (req.user.role !== 'SUPER_ADMIN') return res.status(403).json({ error: 'Not authorized' });
+        const businesses = await Business.find({}).sort({ createdAt: -1 });
+        res.json(businesses);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+app.get('/api/businesses/me', authenticateToken, async (req, res) => {
+    try {
+        const business = req.user.tenantId ? await Business.findOne({ id: req.user.tenantId }) : null;
+        if (!business) return res.status(404).json({ error: 'Business profile not found' });
+        res.json(business);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+app.put('/api/businesses/me', authenticateToken, async (req, res) => {
+    try {
+        if (!req.user.tenantId) return res.status(404).json({ error: 'Business profile not found' });
+        const fields = pickBusinessFields(req.body);
+        if (fields.stateCode !== undefined && fields.gstNumber === undefined) {
+            const current = await Business.findOne({ id: req.user.tenantId });
+            fields.stateCode = stateCodeFor({ stateCode: fields.stateCode, gstNumber: current ? current.gstNumber : undefined });
+        }
+        const business = await Business.findOneAndUpdate(
+            { id: req.user.tenantId, isDeleted: { $ne: true } },
+            { $set: { ...fields, updatedAt: new Date() } },
+            { new: true }
+        );
+        if (!business) return res.status(404).json({ error: 'Business profile not found' });
+        res.json(business);
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+// Soft delete: the data is kept, but every user of the tenant is signed out and can no longer log in
+app.delete('/api/businesses/:id', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const isOwnTenantOwner = req.user.role === 'WAREHOUSE_OWNER' && req.user.tenantId === id;
+        if (req.user.role !== 'SUPER_ADMIN' && !isOwnTenantOwner) return res.status(403).json({ error: 'Not authorized' });
+
+        const business = await Business.findOneAndUpdate(
+            { id, isDeleted: { $ne: true } },
+            { $set: { isDeleted: true, deletedAt: new Date(), deletedBy: req.user.id, updatedAt: new Date() } },
+            { new: true }
+        );
+        if (!business) return res.status(404).json({ error: 'Business not found' });
+
+        const tenantUserIds = (await User.find({ tenant_id: id }, { id: 1 })).map(u => u.id);
+        await Session.updateMany(
+            { userId: { $in: tenantUserIds }, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: 'TENANT_DELETED' } }
+        );
+        res.json({ success: true });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
 
-app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
+app.post('/api/businesses/:id/restore', authenticateToken, async (req, res) => {
+    try {
+        if (req.user.role !== 'SUPER_ADMIN') return res.status(403).json({ error: 'Not authorized' });
+        const business = await Business.findOneAndUpdate(
+            { id: req.params.id, isDeleted: true },
+            { $set: { isDeleted: false, updatedAt: new Date() }, $unset: { deletedAt: 1, deletedBy: 1 } },
+            { new: true }
+        );
+        if (!business) return res.status(404).json({ error: 'Deactivated business not found' });
+        res.json(business);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
 });
+
+
+// Only when started directly: the tests load the app without a database or a listening port
+if (require.main === module) {
+    connectDatabase();
+    app.listen(PORT, () => {
+        console.log(`Server running on port ${PORT}`);
+    });
+}
+
+module.exports = { app };
@@ -0,0 +1,143 @@
+// Route handlers exercised over HTTP with the Mongoose models stubbed, so no database is needed. Run with `npm test`.
+process.env.JWT_SECRET = 'test-secret';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+// Anything a test does not stub fails at once instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+const { app } = require('../server');
+
+const User = mongoose.model('User');
+const Role = mongoose.model('Role');
+const Session = mongoose.model('Session');
+const Business = mongoose.model('Business');
+const AuditLog = mongoose.model('AuditLog');
+const PasswordReset = mongoose.model('PasswordReset');
+const DeletedItem = mongoose.model('DeletedItem');
+const PurchaseOrder = mongoose.model('PurchaseOrder');
+
+const USERS = {
+    owner: { id: 'u-owner', name: 'Owner', email: 'owner@example.com', role: 'WAREHOUSE_OWNER', tenant_id: 't-1', permissions: [] },
+    manager: { id: 'u-manager', name: 'Manager', email: 'manager@example.com', role: 'WAREHOUSE_MANAGER', tenant_id: 't-1', permissions: [], managed_location_ids: ['loc-1'] },
+    // A custom role that can only manage users
+    userAdmin: { id: 'u-admin', name: 'User Admin', email: 'admin@example.com', role: 'role-user-admin', tenant_id: 't-1', permissions: ['users'] }
+};
+
+let baseUrl;
+let server;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+// Stubs what authorize and the user routes read: active sessions, the users above and no Role documents (defaults apply)
+const stubDirectory = (t) => {
+    t.mock.method(Session, 'findOne', async (query) => ({ id: query.id }));
+    t.mock.method(User, 'findOne', async (query) => {
+        const user = Object.values(USERS).find(u => u.id === query.id);
+        return user ? new User(user) : null;
+    });
+    t.mock.method(Role, 'findOne', async () => null);
+    t.mock.method(Business, 'findOne', async () => null);
+    t.mock.method(AuditLog.prototype, 'save', async function () { return this; });
+};
+
+const request = (method, path, caller, body) => fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+        Authorization: `Bearer ${jwt.sign({ id: caller.id, role: caller.role, tenantId: caller.tenant_id, sid: `ses-${caller.id}` }, process.env.JWT_SECRET)}`,
+        'Content-Type': 'application/json'
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+});
+
+test('DELETE /api/users/:id refuses to delete a user with permissions the caller lacks', async (t) => {
+    stubDirectory(t);
+    const trashed = t.mock.method(DeletedItem.prototype, 'save', async function () { return this; });
+    const deleted = t.mock.method(User, 'deleteOne', async () => ({ deletedCount: 1 }));
+    const revoked = t.mock.method(Session, 'updateMany', async () => ({ modifiedCount: 1 }));
+
+    const res = await request('DELETE', '/api/users/u-owner', USERS.userAdmin);
+    assert.strictEqual(res.status, 403);
+    assert.match((await res.json()).error, /delete a user/);
+    assert.strictEqual(trashed.mock.callCount(), 0);
+    assert.strictEqual(deleted.mock.callCount(), 0);
+    assert.strictEqual(revoked.mock.callCount(), 0);
+});
+
+test('POST /api/users/:id/password-reset refuses to reset a user with permissions the caller lacks', async (t) => {
+    stubDirectory(t);
+    const created = t.mock.method(PasswordReset, 'create', async (doc) => doc);
+
+    const res = await request('POST', '/api/users/u-owner/password-reset', USERS.userAdmin);
+    assert.strictEqual(res.status, 403);
+    assert.match((await res.json()).error, /reset the password of a user/);
+    assert.strictEqual(created.mock.callCount(), 0);
+});
+
+test('DELETE /api/users/:id/sessions refuses to sign out a user with permissions the caller lacks', async (t) => {
+    stubDirectory(t);
+    const revoked = t.mock.method(Session, 'updateMany', async () => ({ modifiedCount: 1 }));
+
+    const res = await request('DELETE', '/api/users/u-owner/sessions', USERS.userAdmin);
+    assert.strictEqual(res.status, 403);
+    assert.match((await res.json()).error, /sign out a user/);
+    assert.strictEqual(revoked.mock.callCount(), 0);
+});
+
+test('DELETE /api/users/:id/sessions signs out a user whose permissions the caller holds', async (t) => {
+    stubDirectory(t);
+    const revoked = t.mock.method(Session, 'updateMany', async () => ({ modifiedCount: 2 }));
+
+    const res = await request('DELETE', '/api/users/u-manager/sessions', USERS.owner);
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(await res.json(), { revoked: 2 });
+    assert.strictEqual(revoked.mock.calls[0].arguments[0].userId, 'u-manager');
+});
+
+test('GET /api/gst/gstr1 and gstr3b refuse managers, whose reports permission only covers their own locations', async (t) => {
+    stubDirectory(t);
+
+    for (const path of ['/api/gst/gstr1?month=2026-09', '/api/gst/gstr3b?month=2026-09']) {
+        const res = await request('GET', path, USERS.manager);
+        assert.strictEqual(res.status, 403, path);
+        assert.match((await res.json()).error, /GST returns cover every location/);
+    }
+    // The owner gets past the check to the business profile lookup (none is stubbed)
+    const res = await request('GET', '/api/gst/gstr1?month=2026-09', USERS.owner);
+    assert.strictEqual(res.status, 404);
+});
+
+test('purchase order transitions answer invalid requests with 4xx, not 500', async (t) => {
+    stubDirectory(t);
+    t.mock.method(PurchaseOrder, 'findOne', async (query) => new PurchaseOrder({
+        id: query.id, tenant_id: 't-1', supplierId: 'sup-1', locationId: 'loc-1', status: query.id === 'po-sent' ? 'SENT' : 'DRAFT', items: []
+    }));
+
+    let res = await request('POST', '/api/purchase-orders/po-sent/approve', USERS.owner, {});
+    assert.strictEqual(res.status, 409);
+    assert.match((await res.json()).error, /Cannot approve a purchase order in status SENT/);
+
+    // Fails schema validation before anything is written
+    res = await request('POST', '/api/purchase-orders/po-draft/approve', USERS.owner, { note: { text: 'not a string' } });
+    assert.strictEqual(res.status, 400);
+});
+
+test('converting reorder suggestions answers invalid requests with 4xx, not 500', async (t) => {
+    stubDirectory(t);
+
+    let res = await request('POST', '/api/reorder-suggestions/purchase-orders', USERS.manager, {});
+    assert.strictEqual(res.status, 400);
+    assert.match((await res.json()).error, /supplierId is required/);
+
+    res = await request('POST', '/api/reorder-suggestions/purchase-orders', USERS.manager, { supplierId: 'sup-1', locationId: 'loc-2' });
+    assert.strictEqual(res.status, 403);
+    assert.match((await res.json()).error, /No access to location loc-2/);
+});